@@ -0,0 +1,245 @@
+/**
+ * 统一缓存索引
+ * HLS 分片目录、MP4 文件与源音频 / 封面下载文件都登记在 cache_entries 表（键、类型、路径、大小、最近访问时间、命中次数），
+ * 共用一个总大小上限：超过保留时长未访问、或总大小超限时按最近访问时间从最久未用的开始删除（LRU），使用中的缓存不删除。
+ * 命中只在内存中记下，定期批量写入索引；状态接口直接读索引，不再扫描缓存目录。
+ *   HLS_CACHE_MAX_SIZE / HLS_CACHE_MAX_SIZE_GB   总大小上限（字节优先，默认 5 GB）
+ *   HLS_CACHE_MAX_AGE_HOURS                      未访问的缓存保留时长（默认 24）
+ *   HLS_CACHE_CLEANUP_INTERVAL_MINUTES           定时清理间隔（默认 60）
+ *   HLS_CACHE_CLEANUP_TARGET_RATIO               超限时清理到上限的该比例以下（默认 0.8）
+ */
+
+const fs = require('fs');
+const { cacheOps } = require('./db');
+
+const TOUCH_FLUSH_INTERVAL_MS = 5000;
+// 刚生成或刚访问的缓存不淘汰，避免生成完成到开始读取之间被删除
+const DEFAULT_GRACE_MS = 30 * 1000;
+
+function readNumber(raw) {
+  if (raw == null || raw === '') return NaN;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+function getCacheConfig(env = process.env) {
+  const maxSizeBytes = readNumber(env.HLS_CACHE_MAX_SIZE);
+  const maxSizeGB = readNumber(env.HLS_CACHE_MAX_SIZE_GB);
+  const maxAgeHours = readNumber(env.HLS_CACHE_MAX_AGE_HOURS);
+  const intervalMinutes = readNumber(env.HLS_CACHE_CLEANUP_INTERVAL_MINUTES);
+  const ratio = readNumber(env.HLS_CACHE_CLEANUP_TARGET_RATIO);
+  return {
+    maxSize: maxSizeBytes > 0
+      ? Math.floor(maxSizeBytes)
+      : Math.floor((maxSizeGB > 0 ? maxSizeGB : 5) * 1024 * 1024 * 1024),
+    maxAge: Math.floor((maxAgeHours > 0 ? maxAgeHours : 24) * 60 * 60 * 1000),
+    cleanupInterval: Math.floor((intervalMinutes > 0 ? intervalMinutes : 60) * 60 * 1000),
+    cleanupToRatio: ratio > 0 && ratio < 1 ? ratio : 0.8
+  };
+}
+
+function formatMB(bytes) {
+  return (bytes / 1024 / 1024).toFixed(2);
+}
+
+/**
+ * ops 为 createCacheOps() 返回的语句（见 lib/db.js），maxSize / maxAge / cleanupToRatio 见 getCacheConfig。
+ * path 为缓存在磁盘上的文件或目录，淘汰时整体删除
+ */
+function createCacheIndex({ ops = cacheOps, maxSize, maxAge, cleanupToRatio = 0.8, graceMs = DEFAULT_GRACE_MS }) {
+  const pendingTouches = new Map();
+  const busyChecks = [];
+  const evictListeners = [];
+  let evicting = null;
+  let evictScheduled = false;
+
+  const writeTouches = ops.transaction((entries) => {
+    for (const [key, touch] of entries) {
+      ops.touch.run({ key, at: touch.at, hits: touch.hits });
+    }
+  });
+
+  function flush() {
+    if (!pendingTouches.size) return;
+    const entries = Array.from(pendingTouches);
+    pendingTouches.clear();
+    try {
+      writeTouches(entries);
+    } catch (e) {
+      console.error('[缓存] 写入访问记录失败:', e.message);
+    }
+  }
+
+  // 生成或重新生成完成后登记，访问时间从此刻算起
+  function record({ key, kind, path, bytes }, now = Date.now()) {
+    pendingTouches.delete(key);
+    ops.upsert.run({ key, kind, path, bytes: Math.max(0, Math.floor(Number(bytes) || 0)), now });
+  }
+
+  // 登记索引建立前已存在的缓存；已有记录时返回 false
+  function adopt({ key, kind, path, bytes, lastAccess }) {
+    const at = Math.floor(Number(lastAccess) || Date.now());
+    return ops.adopt.run({
+      key,
+      kind,
+      path,
+      bytes: Math.max(0, Math.floor(Number(bytes) || 0)),
+      created_at: at,
+      last_access: at
+    }).changes > 0;
+  }
+
+  function touch(key, now = Date.now()) {
+    const pending = pendingTouches.get(key);
+    if (pending) {
+      pending.at = now;
+      pending.hits++;
+    } else {
+      pendingTouches.set(key, { at: now, hits: 1 });
+    }
+  }
+
+  function get(key) {
+    return ops.get.get(key) || null;
+  }
+
+  function getByPath(path) {
+    return ops.getByPath.get(path) || null;
+  }
+
+  // check(entry) 返回 true 时该缓存正在使用（生成中 / 被读取），本轮不淘汰
+  function addBusyCheck(check) {
+    busyChecks.push(check);
+  }
+
+  function isBusy(entry) {
+    return busyChecks.some((check) => check(entry));
+  }
+
+  // 缓存被淘汰后调用 listener(entry)，供各模块清理内存中的信息
+  function onEvict(listener) {
+    evictListeners.push(listener);
+  }
+
+  // 删除磁盘上的缓存与索引记录并通知 onEvict；不检查是否使用中，调用方先用 isBusy 判断
+  async function deleteEntry(entry) {
+    await fs.promises.rm(entry.path, { recursive: true, force: true });
+    ops.delete.run(entry.key);
+    for (const listener of evictListeners) {
+      try {
+        listener(entry);
+      } catch (_) {}
+    }
+  }
+
+  async function evictNow(reason, now) {
+    flush();
+    const entries = ops.listLru.all();
+    let totalBytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    const limit = totalBytes > maxSize ? Math.floor(maxSize * cleanupToRatio) : maxSize;
+    let deleted = 0;
+    let freedBytes = 0;
+
+    for (const entry of entries) {
+      const expired = now - entry.last_access > maxAge;
+      if (!expired && totalBytes <= limit) break;
+      if (now - entry.last_access < graceMs || isBusy(entry)) continue;
+      try {
+        await deleteEntry(entry);
+        totalBytes -= entry.bytes;
+        freedBytes += entry.bytes;
+        deleted++;
+      } catch (e) {
+        console.error(`[缓存] 删除失败 ${entry.key}:`, e.message);
+      }
+    }
+
+    if (deleted) {
+      console.log(`[缓存] 清理完成(${reason})，删除 ${deleted} 项，释放 ${formatMB(freedBytes)} MB，当前 ${formatMB(totalBytes)} MB`);
+    }
+    return { deleted, freedBytes, totalBytes };
+  }
+
+  function evict(reason = 'interval', now = Date.now()) {
+    if (!evicting) {
+      evicting = evictNow(reason, now).finally(() => { evicting = null; });
+    }
+    return evicting;
+  }
+
+  // 生成 / 下载完成后调用，1 秒内的多次调用合并为一次
+  function scheduleEvict(reason = 'scheduled') {
+    if (evictScheduled) return;
+    evictScheduled = true;
+    setTimeout(() => {
+      evictScheduled = false;
+      evict(reason).catch((e) => console.error('[缓存] 清理失败:', e.message));
+    }, 1000);
+  }
+
+  // 删除磁盘上已不存在（被手动删除等）的记录
+  async function dropMissing() {
+    flush();
+    let dropped = 0;
+    for (const entry of ops.listLru.all()) {
+      const exists = await fs.promises.stat(entry.path).then(() => true, () => false);
+      if (!exists) {
+        ops.delete.run(entry.key);
+        dropped++;
+      }
+    }
+    return dropped;
+  }
+
+  function getStats() {
+    flush();
+    const kinds = {};
+    let entries = 0;
+    let totalBytes = 0;
+    for (const row of ops.totals.all()) {
+      kinds[row.kind] = { entries: row.entries, bytes: row.bytes, hits: row.hits };
+      entries += row.entries;
+      totalBytes += row.bytes;
+    }
+    return { entries, totalBytes, maxSize, maxAge, kinds };
+  }
+
+  // 最近访问的缓存
+  function listRecent(limit = 50) {
+    flush();
+    return ops.listRecent.all(limit);
+  }
+
+  return {
+    record,
+    adopt,
+    touch,
+    flush,
+    get,
+    getByPath,
+    addBusyCheck,
+    isBusy,
+    remove: deleteEntry,
+    onEvict,
+    evict,
+    scheduleEvict,
+    dropMissing,
+    getStats,
+    listRecent
+  };
+}
+
+const CACHE_CONFIG = getCacheConfig();
+const cacheIndex = createCacheIndex(CACHE_CONFIG);
+
+setInterval(() => cacheIndex.flush(), TOUCH_FLUSH_INTERVAL_MS).unref();
+setInterval(() => {
+  cacheIndex.evict('interval').catch((e) => console.error('[缓存] 清理失败:', e.message));
+}, CACHE_CONFIG.cleanupInterval).unref();
+
+module.exports = {
+  getCacheConfig,
+  createCacheIndex,
+  CACHE_CONFIG,
+  cacheIndex
+};
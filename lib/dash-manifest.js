@@ -0,0 +1,99 @@
+/**
+ * MPEG-DASH 清单（manifest.mpd）
+ * 与 HLS 的 fMP4 分片共用缓存：每首歌一个 Period，各档位为一个 Representation，
+ * 分片通过 SegmentTemplate + SegmentTimeline 描述（$Number$ 从 0 开始，与 HLS 分片序号一致）。
+ * 每首歌单独转码、时间轴从 0 开始，因此 Period 之间不需要 presentationTimeOffset。
+ */
+
+const TIMESCALE = 1000;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatIsoDuration(seconds) {
+  const value = Math.max(0, Number(seconds) || 0);
+  return `PT${Number(value.toFixed(3))}S`;
+}
+
+// 连续相同时长的分片合并为一个 <S d r>
+function buildSegmentTimeline(segmentDurations) {
+  const entries = [];
+  for (const seconds of segmentDurations) {
+    const d = Math.max(1, Math.round(Number(seconds) * TIMESCALE));
+    const last = entries[entries.length - 1];
+    if (last && last.d === d) {
+      last.r++;
+    } else {
+      entries.push({ d, r: 0 });
+    }
+  }
+  return entries.map((e, i) => {
+    const t = i === 0 ? ' t="0"' : '';
+    const r = e.r > 0 ? ` r="${e.r}"` : '';
+    return `<S${t} d="${e.d}"${r}/>`;
+  });
+}
+
+function buildRepresentation(rep, indent) {
+  const attrs = [
+    `id="${escapeXml(rep.id)}"`,
+    `bandwidth="${Math.round(rep.bandwidth)}"`,
+    `codecs="${escapeXml(rep.codecs)}"`
+  ];
+  if (rep.audioOnly) {
+    attrs.push('audioSamplingRate="44100"');
+  } else {
+    attrs.push(`width="${rep.width}"`, `height="${rep.height}"`);
+  }
+
+  const lines = [
+    `${indent}<Representation ${attrs.join(' ')}>`,
+    `${indent}  <SegmentTemplate timescale="${TIMESCALE}" startNumber="0" initialization="${escapeXml(rep.initialization)}" media="${escapeXml(rep.media)}">`,
+    `${indent}    <SegmentTimeline>`,
+    ...buildSegmentTimeline(rep.segmentDurations).map((s) => `${indent}      ${s}`),
+    `${indent}    </SegmentTimeline>`,
+    `${indent}  </SegmentTemplate>`,
+    `${indent}</Representation>`
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * periods: [{ duration, representations: [{ id, audioOnly, bandwidth, codecs, width, height,
+ *   initialization, media, segmentDurations }] }]
+ * initialization / media 为完整 URL，media 中用 $Number$ 表示分片序号
+ */
+function buildDashManifest({ periods }) {
+  const total = periods.reduce((sum, p) => sum + (Number(p.duration) || 0), 0);
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" profiles="urn:mpeg:dash:profile:isoff-live:2011" type="static" mediaPresentationDuration="${formatIsoDuration(total)}" minBufferTime="PT2S">`
+  ];
+
+  let start = 0;
+  periods.forEach((period, index) => {
+    const audioOnly = period.representations.every((rep) => rep.audioOnly);
+    out.push(`  <Period id="${index}" start="${formatIsoDuration(start)}" duration="${formatIsoDuration(period.duration)}">`);
+    out.push(`    <AdaptationSet mimeType="${audioOnly ? 'audio/mp4' : 'video/mp4'}" segmentAlignment="true" startWithSAP="1">`);
+    for (const rep of period.representations) {
+      out.push(buildRepresentation(rep, '      '));
+    }
+    out.push('    </AdaptationSet>');
+    out.push('  </Period>');
+    start += Number(period.duration) || 0;
+  });
+
+  out.push('</MPD>');
+  return `${out.join('\n')}\n`;
+}
+
+module.exports = {
+  formatIsoDuration,
+  buildSegmentTimeline,
+  buildDashManifest
+};
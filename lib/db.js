@@ -18,6 +18,23 @@ try {
   } catch (_) {}
 }
 
+// 缓存索引表：HLS 分片、MP4 与下载文件统一按最近访问时间淘汰（时间为毫秒时间戳）
+function initCacheEntriesTable(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS cache_entries (
+      key TEXT PRIMARY KEY,
+      kind TEXT NOT NULL,
+      path TEXT NOT NULL,
+      bytes INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      last_access INTEGER NOT NULL,
+      hit_count INTEGER NOT NULL DEFAULT 0
+    )
+  `);
+  database.exec('CREATE INDEX IF NOT EXISTS idx_cache_entries_last_access ON cache_entries(last_access)');
+  database.exec('CREATE INDEX IF NOT EXISTS idx_cache_entries_path ON cache_entries(path)');
+}
+
 function initDatabase() {
   db.exec(`
     CREATE TABLE IF NOT EXISTS users (
@@ -88,10 +105,97 @@ function initDatabase() {
     )
   `);
 
+  // 短链：code 指向某个音乐源用户签发的播放 token，expires_at 为空表示短链本身不过期，但保存的 token 过期后不再续签
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS short_links (
+      code TEXT PRIMARY KEY,
+      source TEXT NOT NULL,
+      user_id INTEGER NOT NULL,
+      playlist_id TEXT NOT NULL,
+      song_id TEXT,
+      type TEXT NOT NULL,
+      token TEXT NOT NULL,
+      label TEXT,
+      hits INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME,
+      last_hit_at DATETIME
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS playback_tokens (
+      jti TEXT PRIMARY KEY,
+      source TEXT NOT NULL,
+      user_id INTEGER NOT NULL,
+      playlist_id TEXT NOT NULL,
+      label TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS usage_daily (
+      scope TEXT NOT NULL,
+      scope_id TEXT NOT NULL,
+      day TEXT NOT NULL,
+      requests INTEGER DEFAULT 0,
+      transcode_seconds REAL DEFAULT 0,
+      bytes INTEGER DEFAULT 0,
+      PRIMARY KEY (scope, scope_id, day)
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS song_loudness (
+      song_key TEXT PRIMARY KEY,
+      input_i REAL NOT NULL,
+      input_tp REAL NOT NULL,
+      input_lra REAL NOT NULL,
+      input_thresh REAL NOT NULL,
+      target_offset REAL NOT NULL,
+      measured_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS song_lyrics (
+      song_key TEXT PRIMARY KEY,
+      lrc TEXT NOT NULL DEFAULT '',
+      tlrc TEXT NOT NULL DEFAULT '',
+      fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS transcode_jobs (
+      id TEXT PRIMARY KEY,
+      queue TEXT NOT NULL,
+      job_key TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      priority INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL,
+      payload TEXT NOT NULL DEFAULT '{}',
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  initCacheEntriesTable(db);
+
   db.exec('CREATE INDEX IF NOT EXISTS idx_favorites_user_created_at ON favorites(user_id, created_at)');
   db.exec('CREATE INDEX IF NOT EXISTS idx_play_logs_user_played_at ON play_logs(user_id, played_at)');
   db.exec('CREATE INDEX IF NOT EXISTS idx_play_logs_user_song_id ON play_logs(user_id, song_id)');
   db.exec('CREATE INDEX IF NOT EXISTS idx_play_logs_user_playlist_played_at ON play_logs(user_id, playlist_id, played_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_short_links_owner_created_at ON short_links(source, user_id, created_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_playback_tokens_owner_created_at ON playback_tokens(source, user_id, created_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_transcode_jobs_queue_status ON transcode_jobs(queue, status)');
 
   // play_logs 表迁移：移除 FOREIGN KEY 约束（QQ音乐用户ID与网易云用户ID独立，外键会导致插入失败）
   try {
@@ -403,6 +507,211 @@ const playLogOps = {
   `)
 };
 
+const shortLinkOps = {
+  create: db.prepare(`
+    INSERT INTO short_links (code, source, user_id, playlist_id, song_id, type, token, label, expires_at)
+    VALUES (@code, @source, @user_id, @playlist_id, @song_id, @type, @token, @label, @expires_at)
+  `),
+
+  getActive: db.prepare(`
+    SELECT * FROM short_links
+    WHERE code = ? AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+  `),
+
+  getByOwner: db.prepare(`
+    SELECT * FROM short_links
+    WHERE source = ? AND user_id = ?
+    ORDER BY created_at DESC
+    LIMIT ? OFFSET ?
+  `),
+
+  countByOwner: db.prepare('SELECT COUNT(*) as count FROM short_links WHERE source = ? AND user_id = ?'),
+
+  hit: db.prepare('UPDATE short_links SET hits = hits + 1, last_hit_at = CURRENT_TIMESTAMP WHERE code = ?'),
+
+  updateToken: db.prepare('UPDATE short_links SET token = ? WHERE code = ?'),
+
+  remove: db.prepare('DELETE FROM short_links WHERE code = ? AND source = ? AND user_id = ?')
+};
+
+const playbackTokenOps = {
+  create: db.prepare(`
+    INSERT INTO playback_tokens (jti, source, user_id, playlist_id, label, expires_at)
+    VALUES (@jti, @source, @user_id, @playlist_id, @label, @expires_at)
+  `),
+
+  isRevoked: db.prepare('SELECT 1 FROM playback_tokens WHERE jti = ? AND revoked_at IS NOT NULL'),
+
+  getByOwner: db.prepare(`
+    SELECT *,
+      CASE
+        WHEN revoked_at IS NOT NULL THEN 'revoked'
+        WHEN expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+        ELSE 'active'
+      END AS status
+    FROM playback_tokens
+    WHERE source = ? AND user_id = ?
+    ORDER BY created_at DESC, rowid DESC
+    LIMIT ? OFFSET ?
+  `),
+
+  countByOwner: db.prepare('SELECT COUNT(*) as count FROM playback_tokens WHERE source = ? AND user_id = ?'),
+
+  rename: db.prepare('UPDATE playback_tokens SET label = ? WHERE jti = ? AND source = ? AND user_id = ?'),
+
+  revoke: db.prepare(`
+    UPDATE playback_tokens SET revoked_at = CURRENT_TIMESTAMP
+    WHERE jti = ? AND source = ? AND user_id = ? AND revoked_at IS NULL
+  `),
+
+  // 短链续签 token 时沿用原 jti，同步延长记录的过期时间
+  extend: db.prepare('UPDATE playback_tokens SET expires_at = ? WHERE jti = ? AND expires_at < ?'),
+
+  // 已撤销的记录保留（短链续签会沿用 jti），仅清理过期较久且未撤销的
+  clearStale: db.prepare(`
+    DELETE FROM playback_tokens
+    WHERE revoked_at IS NULL AND expires_at <= datetime('now', '-30 days')
+  `)
+};
+
+const usageOps = {
+  get: db.prepare(`
+    SELECT requests, transcode_seconds, bytes FROM usage_daily
+    WHERE scope = ? AND scope_id = ? AND day = ?
+  `),
+
+  add: db.prepare(`
+    INSERT INTO usage_daily (scope, scope_id, day, requests, transcode_seconds, bytes)
+    VALUES (@scope, @scope_id, @day, @requests, @transcode_seconds, @bytes)
+    ON CONFLICT(scope, scope_id, day) DO UPDATE SET
+      requests = requests + @requests,
+      transcode_seconds = transcode_seconds + @transcode_seconds,
+      bytes = bytes + @bytes
+  `),
+
+  clearBefore: db.prepare('DELETE FROM usage_daily WHERE day < ?')
+};
+
+const loudnessOps = {
+  get: db.prepare(`
+    SELECT input_i, input_tp, input_lra, input_thresh, target_offset FROM song_loudness
+    WHERE song_key = ?
+  `),
+
+  set: db.prepare(`
+    INSERT INTO song_loudness (song_key, input_i, input_tp, input_lra, input_thresh, target_offset)
+    VALUES (@song_key, @input_i, @input_tp, @input_lra, @input_thresh, @target_offset)
+    ON CONFLICT(song_key) DO UPDATE SET
+      input_i = excluded.input_i,
+      input_tp = excluded.input_tp,
+      input_lra = excluded.input_lra,
+      input_thresh = excluded.input_thresh,
+      target_offset = excluded.target_offset,
+      measured_at = CURRENT_TIMESTAMP
+  `)
+};
+
+// 歌词缓存：过期的记录仍保留，上游获取失败时作为兜底
+const lyricsOps = {
+  get: db.prepare(`
+    SELECT lrc, tlrc, expires_at > CURRENT_TIMESTAMP AS fresh FROM song_lyrics
+    WHERE song_key = ?
+  `),
+
+  set: db.prepare(`
+    INSERT INTO song_lyrics (song_key, lrc, tlrc, fetched_at, expires_at)
+    VALUES (@song_key, @lrc, @tlrc, CURRENT_TIMESTAMP, datetime('now', @ttl))
+    ON CONFLICT(song_key) DO UPDATE SET
+      lrc = excluded.lrc,
+      tlrc = excluded.tlrc,
+      fetched_at = CURRENT_TIMESTAMP,
+      expires_at = excluded.expires_at
+  `)
+};
+
+// 转码任务：排队 / 进行中的任务在服务重启后恢复，结束的任务保留一段时间供状态接口查看
+const jobOps = {
+  insert: db.prepare(`
+    INSERT INTO transcode_jobs (id, queue, job_key, kind, priority, status, attempts, max_attempts, payload)
+    VALUES (@id, @queue, @job_key, @kind, @priority, @status, @attempts, @max_attempts, @payload)
+  `),
+
+  update: db.prepare(`
+    UPDATE transcode_jobs
+    SET status = @status, priority = @priority, attempts = @attempts, error = @error, updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `),
+
+  listUnfinished: db.prepare(`
+    SELECT * FROM transcode_jobs
+    WHERE queue = ? AND status IN ('queued', 'running')
+    ORDER BY priority, created_at
+  `),
+
+  listFinished: db.prepare(`
+    SELECT id, queue, job_key, kind, priority, status, attempts, max_attempts, error, created_at, updated_at
+    FROM transcode_jobs
+    WHERE status IN ('done', 'failed', 'cancelled')
+    ORDER BY updated_at DESC
+    LIMIT ?
+  `),
+
+  prune: db.prepare(`
+    DELETE FROM transcode_jobs
+    WHERE status IN ('done', 'failed', 'cancelled') AND updated_at < datetime('now', ?)
+  `)
+};
+
+// 缓存索引语句可建在任意连接上（测试使用内存数据库，避免淘汰真实缓存）
+function createCacheOps(database) {
+  initCacheEntriesTable(database);
+  return {
+    // 重新生成时重置创建与访问时间，保留命中次数
+    upsert: database.prepare(`
+      INSERT INTO cache_entries (key, kind, path, bytes, created_at, last_access, hit_count)
+      VALUES (@key, @kind, @path, @bytes, @now, @now, 0)
+      ON CONFLICT(key) DO UPDATE SET
+        kind = excluded.kind,
+        path = excluded.path,
+        bytes = excluded.bytes,
+        created_at = excluded.created_at,
+        last_access = excluded.last_access
+    `),
+
+    // 登记索引建立前已存在的缓存，已有记录时不覆盖
+    adopt: database.prepare(`
+      INSERT OR IGNORE INTO cache_entries (key, kind, path, bytes, created_at, last_access, hit_count)
+      VALUES (@key, @kind, @path, @bytes, @created_at, @last_access, 0)
+    `),
+
+    touch: database.prepare(`
+      UPDATE cache_entries
+      SET last_access = MAX(last_access, @at), hit_count = hit_count + @hits
+      WHERE key = @key
+    `),
+
+    get: database.prepare('SELECT * FROM cache_entries WHERE key = ?'),
+
+    getByPath: database.prepare('SELECT * FROM cache_entries WHERE path = ?'),
+
+    delete: database.prepare('DELETE FROM cache_entries WHERE key = ?'),
+
+    listLru: database.prepare('SELECT * FROM cache_entries ORDER BY last_access ASC'),
+
+    listRecent: database.prepare('SELECT * FROM cache_entries ORDER BY last_access DESC LIMIT ?'),
+
+    totals: database.prepare(`
+      SELECT kind, COUNT(*) AS entries, COALESCE(SUM(bytes), 0) AS bytes, COALESCE(SUM(hit_count), 0) AS hits
+      FROM cache_entries
+      GROUP BY kind
+    `),
+
+    transaction: (fn) => database.transaction(fn)
+  };
+}
+
+const cacheOps = createCacheOps(db);
+
 module.exports = {
   db,
   initDatabase,
@@ -410,5 +719,13 @@ module.exports = {
   qqUserOps,
   playlistOps,
   favoriteOps,
-  playLogOps
+  playLogOps,
+  shortLinkOps,
+  playbackTokenOps,
+  usageOps,
+  loudnessOps,
+  lyricsOps,
+  jobOps,
+  createCacheOps,
+  cacheOps
 };
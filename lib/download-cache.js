@@ -0,0 +1,155 @@
+/**
+ * 源音频与封面的下载缓存（HLS / MP4 共用）
+ * 音频按「音乐源:歌曲ID@音质」、封面按图片地址缓存在 data/downloads，文件名为缓存键的 SHA-256；
+ * 同一首歌生成不同档位、分片封装或 MP4 时只从 CDN 下载一次，同一文件同时只下载一次。
+ * 文件登记在统一缓存索引（见 lib/cache-index.js，类型 audio / cover），与分片、MP4 共用容量上限按最近使用淘汰，使用中的文件不删除。
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { cacheIndex } = require('./cache-index');
+
+const DEFAULT_DOWNLOAD_DIR = path.join(__dirname, '..', 'data', 'downloads');
+const PART_SUFFIX = '.part';
+
+// 音频地址带有时效签名，不能作为键；同一音质的内容不变
+function getAudioDownloadKey(source, songId, quality) {
+  return `audio:${source}:${String(songId || '').trim()}@${quality || ''}`;
+}
+
+function getCoverDownloadKey(url) {
+  return `cover:${url}`;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function getDownloadKind(key) {
+  return String(key).startsWith('cover:') ? 'cover' : 'audio';
+}
+
+/**
+ * dir 为缓存目录，index 为缓存索引（见 lib/cache-index.js）。
+ * acquire 返回 { filePath, release }：文件在 release() 之前不会被淘汰，调用方只读、不要删除
+ */
+function createDownloadCache({ dir = DEFAULT_DOWNLOAD_DIR, index = cacheIndex } = {}) {
+  const inflight = new Map();
+  const leases = new Map();
+
+  index.addBusyCheck((entry) => leases.has(entry.path));
+
+  function getFilePath(key, ext) {
+    return path.join(dir, `${hashKey(key)}${ext || ''}`);
+  }
+
+  function lease(filePath) {
+    leases.set(filePath, (leases.get(filePath) || 0) + 1);
+    let released = false;
+    return {
+      filePath,
+      release() {
+        if (released) return;
+        released = true;
+        const count = leases.get(filePath) - 1;
+        if (count > 0) leases.set(filePath, count);
+        else leases.delete(filePath);
+      }
+    };
+  }
+
+  async function fetchToCache(key, filePath, url, download) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const partPath = `${filePath}.${process.pid}.${Date.now()}${PART_SUFFIX}`;
+    try {
+      await download(url, partPath);
+      await fs.promises.rename(partPath, filePath);
+    } catch (e) {
+      fs.unlink(partPath, () => {});
+      throw e;
+    }
+    const stat = await fs.promises.stat(filePath);
+    index.record({ key, kind: getDownloadKind(key), path: filePath, bytes: stat.size });
+    index.scheduleEvict('after-download');
+  }
+
+  // download(url, filePath) 负责实际下载（见 lib/downloader.js，各路由自己的地址白名单、大小与超时限制）
+  async function acquire({ key, url, ext, download }) {
+    const filePath = getFilePath(key, ext);
+    // 先占用再检查，下载完成到交给调用方之间不会被清理
+    const handle = lease(filePath);
+    try {
+      let pending = inflight.get(filePath);
+      if (!pending) {
+        const stat = await fs.promises.stat(filePath).catch(() => null);
+        if (stat && stat.size > 0) {
+          if (index.get(key)) index.touch(key);
+          else index.record({ key, kind: getDownloadKind(key), path: filePath, bytes: stat.size });
+          return handle;
+        }
+        pending = inflight.get(filePath);
+        if (!pending) {
+          pending = fetchToCache(key, filePath, url, download).finally(() => inflight.delete(filePath));
+          inflight.set(filePath, pending);
+        }
+      }
+      await pending;
+      return handle;
+    } catch (e) {
+      handle.release();
+      throw e;
+    }
+  }
+
+  // 同时获取多个文件（null 项原样返回 null）；任一失败时释放已获取的文件再抛出
+  async function acquireAll(requests) {
+    const results = await Promise.allSettled(requests.map((request) => (request ? acquire(request) : null)));
+    const failed = results.find((result) => result.status === 'rejected');
+    if (failed) {
+      for (const result of results) {
+        if (result.status === 'fulfilled' && result.value) result.value.release();
+      }
+      throw failed.reason;
+    }
+    return results.map((result) => result.value);
+  }
+
+  // 服务启动时调用：删除上次运行中断留下的临时文件，以及未登记在索引中的文件（无法得知缓存键，重新下载即可）
+  async function reconcile() {
+    let names = [];
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (_) {
+      return 0;
+    }
+
+    let deleted = 0;
+    for (const name of names) {
+      const filePath = path.join(dir, name);
+      if (leases.has(filePath)) continue;
+      const stale = name.endsWith(PART_SUFFIX)
+        ? !name.includes(`.${process.pid}.`)
+        : !index.getByPath(filePath);
+      if (!stale) continue;
+      try {
+        await fs.promises.unlink(filePath);
+        deleted++;
+      } catch (_) {}
+    }
+
+    if (deleted) console.log(`[下载缓存] 已删除 ${deleted} 个未登记的文件`);
+    return deleted;
+  }
+
+  return { getFilePath, acquire, acquireAll, reconcile };
+}
+
+const downloadCache = createDownloadCache();
+
+module.exports = {
+  getAudioDownloadKey,
+  getCoverDownloadKey,
+  createDownloadCache,
+  downloadCache
+};
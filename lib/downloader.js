@@ -0,0 +1,178 @@
+/**
+ * 源音频与封面的 HTTP 下载（HLS / MP4 共用）
+ * 只允许从音乐源 CDN 域名下载（可通过环境变量追加 host 正则），跟随重定向时逐跳检查，
+ * 并限制重定向次数、超时与文件大小；下载失败时删除写了一半的文件。
+ */
+
+const fs = require('fs');
+const https = require('https');
+const http = require('http');
+
+const DEFAULT_DOWNLOAD_ALLOW_PATTERNS = [
+  /^m\d+[a-z]*\.music\.126\.net$/i,
+  /^p\d+\.music\.126\.net$/i,
+  /^music\.126\.net$/i,
+  // QQ 音乐域名
+  /^[a-z0-9]+\.y\.qq\.com$/i,
+  /^y\.gtimg\.cn$/i,
+  /^[a-z0-9]+\.stream\.qqmusic\.qq\.com$/i,
+  /^dl\.stream\.qqmusic\.qq\.com$/i,
+  /^isure\.stream\.qqmusic\.qq\.com$/i,
+  /^ws\.stream\.qqmusic\.qq\.com$/i,
+  /^[a-z0-9-]+\.mcobj\.com$/i,
+];
+
+const HTTP_AGENT = new http.Agent({ keepAlive: true, maxSockets: 50 });
+const HTTPS_AGENT = new https.Agent({ keepAlive: true, maxSockets: 50 });
+
+// extra 为逗号分隔的 host 正则；无效的模式跳过
+function parseExtraAllowPatterns(extra) {
+  if (!extra) return [];
+  return extra.split(',').map(s => s.trim()).filter(Boolean).map(pattern => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (e) {
+      console.warn(`[下载] 无效的允许下载 host 模式: ${pattern}`);
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * allowHosts 为额外允许的 host 正则（逗号分隔，来自各路由的环境变量），
+ * timeout / maxSize / maxRedirects 为单次下载的限制。
+ * 返回 { isDownloadUrlAllowed, downloadFile }，downloadFile(url, filePath) 可直接交给下载缓存
+ */
+function createDownloader({ allowHosts, timeout = 60000, maxSize = 100 * 1024 * 1024, maxRedirects = 5 } = {}) {
+  const allowPatterns = [...DEFAULT_DOWNLOAD_ALLOW_PATTERNS, ...parseExtraAllowPatterns(allowHosts)];
+
+  function isDownloadUrlAllowed(urlStr) {
+    let u;
+    try {
+      u = new URL(urlStr);
+    } catch (e) {
+      return { allowed: false, reason: 'Invalid URL' };
+    }
+
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') {
+      return { allowed: false, reason: `Protocol not allowed: ${u.protocol}` };
+    }
+
+    const hostname = u.hostname.toLowerCase();
+    const matched = allowPatterns.some(pattern => pattern.test(hostname));
+    if (!matched) {
+      return { allowed: false, reason: `Host not allowed: ${hostname}` };
+    }
+
+    return { allowed: true };
+  }
+
+  function downloadFile(url, filePath, redirectCount = 0) {
+    return new Promise((resolve, reject) => {
+      if (redirectCount >= maxRedirects) {
+        return reject(new Error('Too many redirects'));
+      }
+
+      const urlCheck = isDownloadUrlAllowed(url);
+      if (!urlCheck.allowed) {
+        return reject(new Error(`Download blocked: ${urlCheck.reason}`));
+      }
+
+      const isHttps = /^https:/i.test(url);
+      const protocol = isHttps ? https : http;
+      const options = {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+          'Referer': 'https://music.163.com/'
+        },
+        agent: isHttps ? HTTPS_AGENT : HTTP_AGENT,
+        timeout
+      };
+
+      const file = fs.createWriteStream(filePath);
+      let downloadedSize = 0;
+      let aborted = false;
+
+      const req = protocol.get(url, options, (response) => {
+        if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
+          response.resume();
+          file.close();
+          fs.unlink(filePath, () => {});
+
+          const redirectLocation = response.headers.location;
+          if (!redirectLocation) {
+            return reject(new Error('Redirect without location'));
+          }
+
+          let redirectUrl = '';
+          try {
+            redirectUrl = new URL(redirectLocation, url).toString();
+          } catch (_) {
+            return reject(new Error('Redirect with invalid location'));
+          }
+
+          const redirectCheck = isDownloadUrlAllowed(redirectUrl);
+          if (!redirectCheck.allowed) {
+            return reject(new Error(`Redirect blocked: ${redirectCheck.reason}`));
+          }
+
+          return downloadFile(redirectUrl, filePath, redirectCount + 1).then(resolve).catch(reject);
+        }
+
+        if (response.statusCode !== 200) {
+          file.close();
+          fs.unlink(filePath, () => {});
+          return reject(new Error(`HTTP ${response.statusCode}`));
+        }
+
+        const contentLength = parseInt(response.headers['content-length']);
+        if (contentLength && contentLength > maxSize) {
+          req.destroy();
+          file.close();
+          fs.unlink(filePath, () => {});
+          return reject(new Error(`File too large: ${contentLength} bytes`));
+        }
+
+        response.on('data', (chunk) => {
+          downloadedSize += chunk.length;
+          if (downloadedSize > maxSize) {
+            aborted = true;
+            req.destroy();
+            file.close();
+            fs.unlink(filePath, () => {});
+            reject(new Error(`Download exceeded max size: ${downloadedSize} bytes`));
+          }
+        });
+
+        response.pipe(file);
+        file.on('finish', () => {
+          if (!aborted) {
+            file.close();
+            resolve(filePath);
+          }
+        });
+      });
+
+      req.on('timeout', () => {
+        req.destroy();
+        file.close();
+        fs.unlink(filePath, () => {});
+        reject(new Error('Download timeout'));
+      });
+
+      req.on('error', (err) => {
+        file.close();
+        fs.unlink(filePath, () => {});
+        reject(err);
+      });
+    });
+  }
+
+  return { isDownloadUrlAllowed, downloadFile };
+}
+
+module.exports = {
+  DEFAULT_DOWNLOAD_ALLOW_PATTERNS,
+  parseExtraAllowPatterns,
+  createDownloader
+};
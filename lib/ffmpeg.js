@@ -0,0 +1,58 @@
+/**
+ * FFmpeg 可执行文件查找（HLS / MP4 共用）
+ * 优先使用 PATH 中的 ffmpeg；Windows 上再查找 WinGet 安装目录与常见安装路径，都找不到时仍返回 'ffmpeg'
+ */
+
+const { execSync } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+function findFFmpeg() {
+  try {
+    execSync('ffmpeg -version', { stdio: 'ignore' });
+    return 'ffmpeg';
+  } catch (e) {}
+
+  if (os.platform() === 'win32') {
+    const wingetPath = path.join(
+      process.env.LOCALAPPDATA || '',
+      'Microsoft', 'WinGet', 'Packages'
+    );
+    if (fs.existsSync(wingetPath)) {
+      const searchFFmpeg = (dir) => {
+        try {
+          const items = fs.readdirSync(dir);
+          for (const item of items) {
+            const fullPath = path.join(dir, item);
+            const stat = fs.statSync(fullPath);
+            if (stat.isDirectory()) {
+              const result = searchFFmpeg(fullPath);
+              if (result) return result;
+            } else if (item === 'ffmpeg.exe') {
+              return fullPath;
+            }
+          }
+        } catch (e) {}
+        return null;
+      };
+      const found = searchFFmpeg(wingetPath);
+      if (found) return found;
+    }
+
+    const commonPaths = [
+      'C:\\ffmpeg\\bin\\ffmpeg.exe',
+      'C:\\Program Files\\ffmpeg\\bin\\ffmpeg.exe',
+      path.join(process.env.ChocolateyInstall || 'C:\\ProgramData\\chocolatey', 'bin', 'ffmpeg.exe')
+    ];
+    for (const p of commonPaths) {
+      if (fs.existsSync(p)) return p;
+    }
+  }
+
+  return 'ffmpeg';
+}
+
+module.exports = {
+  findFFmpeg
+};
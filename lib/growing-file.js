@@ -0,0 +1,181 @@
+/**
+ * 边写边读的文件（MP4 边转码边播放）
+ * 写入方把数据写入 writable（FFmpeg 的输出经此落盘），读取方用 createReadStream() 从头读取：
+ * 读到已写入的末尾时等待新数据，end() 之后读完即结束，end(err) 时读取方收到同一错误。
+ * 文件在创建时打开，读取流也在创建时打开，之后文件被改名或删除不影响已打开的读取
+ */
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { Readable, Writable } = require('stream');
+
+const READ_CHUNK_SIZE = 64 * 1024;
+
+function createGrowingFile(filePath) {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  const fd = fs.openSync(filePath, 'w');
+  let size = 0;
+  let ended = false;
+  let error = null;
+
+  function writeAll(chunk, offset, callback) {
+    fs.write(fd, chunk, offset, chunk.length - offset, size, (err, written) => {
+      if (err) return callback(err);
+      size += written;
+      events.emit('change');
+      if (offset + written < chunk.length) writeAll(chunk, offset + written, callback);
+      else callback();
+    });
+  }
+
+  const writable = new Writable({
+    write(chunk, encoding, callback) {
+      writeAll(chunk, 0, callback);
+    }
+  });
+
+  // 写入方结束后调用（成功时须等 writable 写完），之后不能再写入
+  function end(err) {
+    if (ended) return;
+    ended = true;
+    error = err || null;
+    fs.close(fd, () => {});
+    events.emit('change');
+  }
+
+  function createReadStream() {
+    const readFd = fs.openSync(filePath, 'r');
+    let position = 0;
+    let reading = false;
+    let waiting = false;
+
+    const onChange = () => {
+      waiting = false;
+      pump();
+    };
+
+    const stream = new Readable({
+      read() {
+        pump();
+      },
+      destroy(err, callback) {
+        events.off('change', onChange);
+        fs.close(readFd, () => callback(err));
+      }
+    });
+
+    function pump() {
+      if (reading || waiting || stream.destroyed) return;
+      if (position < size) {
+        reading = true;
+        const length = Math.min(READ_CHUNK_SIZE, size - position);
+        const buffer = Buffer.allocUnsafe(length);
+        fs.read(readFd, buffer, 0, length, position, (err, bytesRead) => {
+          reading = false;
+          if (err) return stream.destroy(err);
+          if (stream.destroyed) return;
+          if (!bytesRead) return stream.destroy(new Error('文件被截断'));
+          position += bytesRead;
+          if (stream.push(buffer.subarray(0, bytesRead))) pump();
+        });
+        return;
+      }
+      if (ended) {
+        if (error) stream.destroy(error);
+        else stream.push(null);
+        return;
+      }
+      waiting = true;
+      events.once('change', onChange);
+    }
+
+    return stream;
+  }
+
+  return {
+    filePath,
+    writable,
+    get size() {
+      return size;
+    },
+    get ended() {
+      return ended;
+    },
+    end,
+    createReadStream
+  };
+}
+
+/**
+ * 正在写入的文件登记表：键 -> createGrowingFile() 的结果。
+ * openReader 在文件登记的同一时刻打开读取流，之后写入方改名或删除临时文件不影响该读取
+ */
+function createGrowingFileRegistry() {
+  const files = new Map();
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  // 临时文件已被移走（写入刚结束）时返回 null
+  function tryOpen(file) {
+    try {
+      return file.createReadStream();
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  function set(key, file) {
+    files.set(key, file);
+    events.emit('start', key, file);
+  }
+
+  // 只移除仍是 file 的登记，避免误删重试后新登记的文件
+  function remove(key, file) {
+    if (files.get(key) === file) files.delete(key);
+  }
+
+  // 等待 key 开始写入（排队中时一直等待）并返回已打开的读取流；
+  // generation 先结束（失败或已有缓存）或文件已被移走时返回 null，由调用方按普通流程处理
+  function openReader(key, generation) {
+    const current = files.get(key);
+    if (current) return Promise.resolve(tryOpen(current));
+    return new Promise((resolve, reject) => {
+      const onStart = (startedKey, file) => {
+        if (startedKey !== key) return;
+        events.off('start', onStart);
+        try {
+          resolve(tryOpen(file));
+        } catch (e) {
+          reject(e);
+        }
+      };
+      events.on('start', onStart);
+      generation.then(() => null, () => null).then((result) => {
+        events.off('start', onStart);
+        resolve(result);
+      });
+    });
+  }
+
+  return {
+    set,
+    remove,
+    openReader
+  };
+}
+
+// 正在写入的文件长度未知、不支持 Range：只有不带 Range 或 Range 为 bytes=0- 的 GET 请求边写边读，
+// 其余请求（HEAD、续传、Safari 的 bytes=0-1 探测等）等写入完成后按普通文件返回
+function canStreamGrowingFile(req) {
+  if (req.method !== 'GET') return false;
+  const range = String(req.headers.range || '').trim();
+  return !range || range === 'bytes=0-';
+}
+
+module.exports = {
+  createGrowingFile,
+  createGrowingFileRegistry,
+  canStreamGrowingFile
+};
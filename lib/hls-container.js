@@ -0,0 +1,48 @@
+/**
+ * HLS 分片封装格式
+ *   ts    MPEG-TS 分片（默认，兼容性最好）
+ *   fmp4  fMP4 / CMAF：每首歌一个 init.mp4（#EXT-X-MAP）+ .m4s 分片；较新的播放器与 AVPro 支持更好，也可供 DASH 复用
+ * 生成播放链接时以 fmt=fmp4 写入 token（c 声明），两种格式的分片分别缓存。
+ */
+
+const SEGMENT_FORMATS = ['ts', 'fmp4'];
+const INIT_SEGMENT_NAME = 'init.mp4';
+
+// cmaf 作为 fmp4 的别名；其余取值一律按默认的 ts 处理
+function normalizeSegmentFormat(value) {
+  const format = String(value || '').trim().toLowerCase();
+  return format === 'fmp4' || format === 'cmaf' ? 'fmp4' : 'ts';
+}
+
+function isFmp4Format(format) {
+  return format === 'fmp4';
+}
+
+function getSegmentExtension(format) {
+  return isFmp4Format(format) ? 'm4s' : 'ts';
+}
+
+function getSegmentFileName(format, segmentIndex) {
+  return `seg_${String(segmentIndex).padStart(4, '0')}.${getSegmentExtension(format)}`;
+}
+
+// fMP4 依赖 EXT-X-MAP，且歌曲之间（DISCONTINUITY 之后）会切换 init 段，按规范声明版本 7
+function getMediaPlaylistVersion(format) {
+  return isFmp4Format(format) ? 7 : 3;
+}
+
+function getSegmentContentType(format, audioOnly) {
+  if (!isFmp4Format(format)) return 'video/mp2t';
+  return audioOnly ? 'audio/mp4' : 'video/mp4';
+}
+
+module.exports = {
+  SEGMENT_FORMATS,
+  INIT_SEGMENT_NAME,
+  normalizeSegmentFormat,
+  isFmp4Format,
+  getSegmentExtension,
+  getSegmentFileName,
+  getMediaPlaylistVersion,
+  getSegmentContentType
+};
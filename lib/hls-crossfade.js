@@ -0,0 +1,67 @@
+/**
+ * HLS 交叉淡化（crossfade）
+ * 播放 token 声明了淡化秒数（生成链接时的 xf=<秒>，d 声明）时，相邻两首歌之间插入一段过渡分片：前一首从某个分片边界起的结尾，
+ * 与后一首开头若干个完整分片混音（最后 xf 秒重叠）；两首歌在过渡段内外的部分仍直接使用各自的缓存分片。
+ * 转码时按 HLS_SEGMENT_DURATION 强制切分，分片边界固定在其整数倍上，因此过渡段只依赖歌单中的歌曲时长，
+ * 按「前一首 + 后一首 + 淡化秒数」单独缓存。时长未知或过短的歌曲保持硬切。
+ */
+
+const MAX_CROSSFADE_SECONDS = 12;
+
+// 1~12 的整数秒，其余取值表示不淡化
+function normalizeCrossfade(value) {
+  const n = Number(String(value == null ? '' : value).trim());
+  return Number.isInteger(n) && n >= 1 && n <= MAX_CROSSFADE_SECONDS ? n : 0;
+}
+
+/**
+ * 前一首从第 tailIndex 个分片（tailStart 秒）起、后一首的前 headIndex 个分片（headDuration 秒）混音为 duration 秒的过渡段；
+ * fromStartIndex 为前一首自身从第几个分片开始播放（它本身也是上一段过渡的后一首时大于 0）。
+ * 无法淡化时返回 null
+ */
+function getCrossfadePlan({ fromDuration, toDuration, crossfade, segmentDuration, fromStartIndex = 0 }) {
+  if (!crossfade || !(fromDuration > 0) || !(toDuration > 0)) return null;
+
+  const tailIndex = Math.floor((fromDuration - crossfade) / segmentDuration);
+  const headIndex = Math.ceil(crossfade / segmentDuration);
+  const headDuration = headIndex * segmentDuration;
+  if (tailIndex < 1 || tailIndex < fromStartIndex || toDuration <= headDuration) return null;
+
+  const tailStart = tailIndex * segmentDuration;
+  return {
+    tailIndex,
+    tailStart,
+    headIndex,
+    headDuration,
+    duration: fromDuration - tailStart + headDuration - crossfade
+  };
+}
+
+/**
+ * 按播放顺序为整张歌单安排过渡段。durations 中 0 表示该曲不参与（时长未知或歌曲ID无效）。
+ * 返回每首歌自身要输出的分片范围 [startIndex, endIndex)（endIndex 为 null 表示到结尾）以及之后的过渡段
+ */
+function planPlaylistCrossfades(durations, crossfade, segmentDuration) {
+  const layout = durations.map(() => ({ startIndex: 0, endIndex: null, transition: null }));
+  for (let i = 0; i < durations.length - 1; i++) {
+    const plan = getCrossfadePlan({
+      fromDuration: durations[i],
+      toDuration: durations[i + 1],
+      crossfade,
+      segmentDuration,
+      fromStartIndex: layout[i].startIndex
+    });
+    if (!plan) continue;
+    layout[i].endIndex = plan.tailIndex;
+    layout[i].transition = plan;
+    layout[i + 1].startIndex = plan.headIndex;
+  }
+  return layout;
+}
+
+module.exports = {
+  MAX_CROSSFADE_SECONDS,
+  normalizeCrossfade,
+  getCrossfadePlan,
+  planPlaylistCrossfades
+};
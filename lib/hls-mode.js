@@ -0,0 +1,41 @@
+/**
+ * HLS 输出模式
+ *   （默认）    歌曲封面渲染为 H.264 视频轨 + AAC 音频（分辨率见 hls-renditions.js）
+ *   lite_video  随机背景图视频（见 lite-video-bg.js）
+ *   audio       纯音频：只输出 AAC 分片，不下载封面、不编码视频，转码开销低得多
+ *   visualizer  模糊封面上叠加随音乐变化的波形 / 频谱（见 visualizer.js），转码开销最高
+ * 模式写入播放 token（m 声明），不接受播放请求的查询参数；各模式的分片分别缓存。
+ */
+
+const HLS_MODES = ['lite_video', 'audio', 'visualizer'];
+
+function normalizeHlsMode(value) {
+  const mode = String(value || '').trim().toLowerCase();
+  return HLS_MODES.includes(mode) ? mode : '';
+}
+
+function isLiteVideoMode(mode) {
+  return mode === 'lite_video';
+}
+
+function isAudioMode(mode) {
+  return mode === 'audio';
+}
+
+function isVisualizerMode(mode) {
+  return mode === 'visualizer';
+}
+
+// 分片缓存键中的模式部分；默认模式沿用原有的 "default"
+function getModeCacheKey(mode) {
+  return normalizeHlsMode(mode) || 'default';
+}
+
+module.exports = {
+  HLS_MODES,
+  normalizeHlsMode,
+  isLiteVideoMode,
+  isAudioMode,
+  isVisualizerMode,
+  getModeCacheKey
+};
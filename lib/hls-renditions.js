@@ -0,0 +1,183 @@
+/**
+ * HLS 多码率（rendition）
+ *   HLS_VIDEO_RENDITIONS=360p,720p   视频模式（默认 / lite_video）的各档分辨率
+ *   HLS_AUDIO_RENDITIONS=96k,192k    纯音频模式（mode=audio）的各档码率
+ * 未配置时只有一档：视频为 COVER_WIDTH x COVER_HEIGHT，音频为 128k，缓存键与旧版本一致。
+ * 各档分片按需转码、分别缓存；master.m3u8 中的 BANDWIDTH / CODECS 优先取自已生成分片的实测值。
+ */
+
+const AUDIO_CODEC = 'mp4a.40.2';
+const DEFAULT_AUDIO_KBPS = 128;
+// MPEG-TS 封装开销，仅用于尚无实测数据时的估算
+const TS_OVERHEAD = 1.1;
+
+const VIDEO_PRESETS = {
+  '240p': { width: 426, height: 240, videoKbps: 250, audioKbps: 64 },
+  '360p': { width: 640, height: 360, videoKbps: 400, audioKbps: 96 },
+  '480p': { width: 854, height: 480, videoKbps: 700, audioKbps: 128 },
+  '720p': { width: 1280, height: 720, videoKbps: 1200, audioKbps: 128 },
+  '1080p': { width: 1920, height: 1080, videoKbps: 2000, audioKbps: 128 }
+};
+
+// H.264 各 level 允许的最大帧尺寸（宏块数），封面视频帧率很低，只按帧尺寸估算
+const H264_LEVELS = [
+  [10, 99], [11, 396], [21, 792], [22, 1620], [31, 3600],
+  [32, 5120], [40, 8192], [42, 8704], [50, 22080], [51, 36864]
+];
+
+// x264 日志中的 profile 名称 → RFC 6381 的 profile_idc + constraint flags
+const H264_PROFILES = {
+  'Constrained Baseline': '42c0',
+  Baseline: '4200',
+  Main: '4d40',
+  High: '6400'
+};
+
+function splitList(raw) {
+  return String(raw || '').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+}
+
+function createVideoRendition(id, { width, height, videoKbps, audioKbps }) {
+  return { id, audioOnly: false, width, height, videoKbps, audioKbps };
+}
+
+function createAudioRendition(id, audioKbps) {
+  return { id, audioOnly: true, width: 0, height: 0, videoKbps: 0, audioKbps };
+}
+
+// fallbackSize 为未配置时的唯一一档（COVER_WIDTH / COVER_HEIGHT）；该档 id 为空，不限制视频码率
+function parseVideoRenditions(raw, fallbackSize) {
+  const list = [];
+  for (const name of splitList(raw)) {
+    const preset = VIDEO_PRESETS[name];
+    if (!preset) {
+      console.warn(`[HLS] 忽略未知的视频档位: ${name}（可选 ${Object.keys(VIDEO_PRESETS).join('/')}）`);
+      continue;
+    }
+    if (!list.some((r) => r.id === name)) list.push(createVideoRendition(name, preset));
+  }
+  if (list.length > 0) return list;
+  return [createVideoRendition('', {
+    width: fallbackSize.width,
+    height: fallbackSize.height,
+    videoKbps: 0,
+    audioKbps: DEFAULT_AUDIO_KBPS
+  })];
+}
+
+function parseAudioRenditions(raw) {
+  const list = [];
+  for (const name of splitList(raw)) {
+    const match = /^(\d{2,3})k$/.exec(name);
+    const kbps = match ? Number(match[1]) : 0;
+    if (kbps < 32 || kbps > 320) {
+      console.warn(`[HLS] 忽略无效的音频档位: ${name}（格式如 96k，范围 32k~320k）`);
+      continue;
+    }
+    if (!list.some((r) => r.id === name)) list.push(createAudioRendition(name, kbps));
+  }
+  return list.length > 0 ? list : [createAudioRendition('', DEFAULT_AUDIO_KBPS)];
+}
+
+// 空 id 表示默认档（列表第一项）；未知 id 返回 null
+function resolveRendition(renditions, id) {
+  const key = String(id || '').trim().toLowerCase();
+  if (!key) return renditions[0];
+  return renditions.find((r) => r.id === key) || null;
+}
+
+function formatLevelHex(level) {
+  return level.toString(16).padStart(2, '0');
+}
+
+function getH264Level(width, height) {
+  const macroblocks = Math.ceil(width / 16) * Math.ceil(height / 16);
+  const found = H264_LEVELS.find(([, maxFrame]) => macroblocks <= maxFrame);
+  return (found || H264_LEVELS[H264_LEVELS.length - 1])[0];
+}
+
+// 从 FFmpeg 输出中解析 x264 实际使用的 profile 与 level，例如
+// "[libx264 @ 0x...] profile Constrained Baseline, level 3.1, 4:2:0, 8-bit" → "avc1.42c01f"
+function parseX264Codec(ffmpegLog) {
+  const match = /\bprofile ([A-Za-z ]+?), level (\d)(?:\.(\d))?/.exec(String(ffmpegLog || ''));
+  if (!match) return null;
+  const profile = H264_PROFILES[match[1]];
+  if (!profile) return null;
+  const level = Number(match[2]) * 10 + Number(match[3] || 0);
+  return `avc1.${profile}${formatLevelHex(level)}`;
+}
+
+// 尚无实测数据时的 CODECS：preset ultrafast 下 x264 输出 Constrained Baseline
+function getNominalCodecs(rendition) {
+  if (rendition.audioOnly) return AUDIO_CODEC;
+  return `avc1.42c0${formatLevelHex(getH264Level(rendition.width, rendition.height))},${AUDIO_CODEC}`;
+}
+
+function getNominalBandwidth(rendition) {
+  const videoKbps = rendition.audioOnly
+    ? 0
+    : (rendition.videoKbps || Math.max(200, Math.round(rendition.width * rendition.height / 1000)));
+  return Math.round((videoKbps + rendition.audioKbps) * 1000 * TS_OVERHEAD);
+}
+
+// 单首歌分片的实测码率（bit/s）：peak 为最大的单个分片，average 为整首平均
+function measureBandwidth(segmentBytes, segmentDurations) {
+  let peak = 0;
+  let totalBytes = 0;
+  let totalDuration = 0;
+  for (let i = 0; i < segmentBytes.length; i++) {
+    const bytes = Number(segmentBytes[i]) || 0;
+    const duration = Number(segmentDurations[i]) || 0;
+    totalBytes += bytes;
+    totalDuration += duration;
+    if (duration > 0) peak = Math.max(peak, Math.ceil(bytes * 8 / duration));
+  }
+  if (totalDuration <= 0) return null;
+  return { peak, average: Math.ceil(totalBytes * 8 / totalDuration) };
+}
+
+// 汇总歌单中已缓存歌曲的实测码率：BANDWIDTH 取各首峰值的最大值，AVERAGE-BANDWIDTH 按时长加权
+function summarizeBandwidth(infos) {
+  let peak = 0;
+  let weighted = 0;
+  let totalDuration = 0;
+  for (const info of infos) {
+    if (!info || !info.bandwidth) continue;
+    const duration = Number(info.totalDuration) || 0;
+    peak = Math.max(peak, Number(info.bandwidth.peak) || 0);
+    weighted += (Number(info.bandwidth.average) || 0) * duration;
+    totalDuration += duration;
+  }
+  if (!peak || totalDuration <= 0) return null;
+  return { peak, average: Math.ceil(weighted / totalDuration) };
+}
+
+// infos 为该档位已缓存歌曲的 info.json 内容，可为空数组
+function buildStreamInf(rendition, infos = []) {
+  const measured = summarizeBandwidth(infos);
+  const withCodecs = infos.find((info) => info && info.codecs);
+  const codecs = withCodecs ? withCodecs.codecs : getNominalCodecs(rendition);
+
+  const attrs = measured
+    ? [`BANDWIDTH=${measured.peak}`, `AVERAGE-BANDWIDTH=${measured.average}`]
+    : [`BANDWIDTH=${getNominalBandwidth(rendition)}`];
+  if (!rendition.audioOnly) attrs.push(`RESOLUTION=${rendition.width}x${rendition.height}`);
+  attrs.push(`CODECS="${codecs}"`);
+  return attrs.join(',');
+}
+
+module.exports = {
+  AUDIO_CODEC,
+  DEFAULT_AUDIO_KBPS,
+  VIDEO_PRESETS,
+  parseVideoRenditions,
+  parseAudioRenditions,
+  resolveRendition,
+  getH264Level,
+  parseX264Codec,
+  getNominalCodecs,
+  getNominalBandwidth,
+  measureBandwidth,
+  summarizeBandwidth,
+  buildStreamInf
+};
@@ -0,0 +1,124 @@
+/**
+ * 转码中的 HLS 分片发布
+ * FFmpeg 的 HLS 输出在每个分片文件写完并关闭后才把它追加到分片列表（m3u8），
+ * 轮询该列表即可逐个发布已完成的分片，请求第 N 个分片时只需等到它出现在列表中
+ */
+
+const fs = require('fs');
+
+// 解析分片列表，返回 { segments: [{ duration, uri }], ended }；
+// 只计入 #EXTINF 之后已写出 URI 的条目，读到写了一半的列表时忽略末尾不完整的部分
+function parseSegmentList(content) {
+  const segments = [];
+  const lines = String(content || '').split('\n');
+  // 最后一行没有换行符时可能还没写完
+  lines.pop();
+  let duration = null;
+  let ended = false;
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length).split(',')[0]);
+    } else if (line === '#EXT-X-ENDLIST') {
+      ended = true;
+    } else if (!line.startsWith('#') && duration !== null) {
+      if (Number.isFinite(duration)) segments.push({ duration, uri: line });
+      duration = null;
+    }
+  }
+  return { segments, ended };
+}
+
+/**
+ * 轮询 listPath，新出现的分片按顺序交给 onSegment(segment, index)（可返回 Promise，如把分片移入缓存目录），
+ * 之后才算发布。waitFor(index) 在第 index 个分片发布后返回 true，stop() 之后仍未发布则返回 false；
+ * FFmpeg 退出后应再调用一次 poll()，发布最后的分片
+ */
+function createSegmentListWatcher({ listPath, onSegment, interval = 250 }) {
+  const segments = [];
+  const waiters = [];
+  let polling = null;
+  let queued = null;
+  let stopped = false;
+
+  function settleWaiters() {
+    for (let i = waiters.length - 1; i >= 0; i--) {
+      const waiter = waiters[i];
+      if (waiter.index < segments.length || stopped) {
+        waiters.splice(i, 1);
+        waiter.resolve(waiter.index < segments.length);
+      }
+    }
+  }
+
+  async function readAndPublish() {
+    let content;
+    try {
+      content = await fs.promises.readFile(listPath, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return;
+      throw e;
+    }
+    const listed = parseSegmentList(content).segments;
+    while (!stopped && segments.length < listed.length) {
+      const segment = listed[segments.length];
+      await onSegment(segment, segments.length);
+      segments.push(segment);
+      settleWaiters();
+    }
+  }
+
+  // 同一时刻只有一次读取；读取进行中再次调用时排在其后重新读取一次，保证读到调用之后的列表
+  function poll() {
+    if (!polling) {
+      polling = readAndPublish().finally(() => {
+        polling = null;
+      });
+      return polling;
+    }
+    if (!queued) {
+      queued = polling.catch(() => {}).then(() => {
+        queued = null;
+        return poll();
+      });
+    }
+    return queued;
+  }
+
+  const timer = setInterval(() => {
+    if (polling) return;
+    poll().catch((e) => console.error(`[分片列表] 读取失败 ${listPath}:`, e.message));
+  }, interval);
+  timer.unref();
+
+  // 停止发布，返回的 Promise 在进行中的读取结束后完成
+  function stop() {
+    if (!stopped) {
+      stopped = true;
+      clearInterval(timer);
+      settleWaiters();
+    }
+    return polling ? polling.catch(() => {}) : Promise.resolve();
+  }
+
+  function waitFor(index) {
+    if (index < segments.length) return Promise.resolve(true);
+    if (stopped) return Promise.resolve(false);
+    return new Promise((resolve) => waiters.push({ index, resolve }));
+  }
+
+  return {
+    get segments() {
+      return segments.slice();
+    },
+    poll,
+    waitFor,
+    stop
+  };
+}
+
+module.exports = {
+  parseSegmentList,
+  createSegmentListWatcher
+};
@@ -0,0 +1,379 @@
+/**
+ * 转码任务队列
+ * 取代原先的内存信号量：按优先级调度（即时播放 > 下一首预加载 > 批量预加载），同一 key 的任务合并，
+ * 失败后按指数退避重试，可取消（运行中的任务通过 job.signal 通知），任务状态写入 transcode_jobs 表。
+ * 服务重启后，排队 / 进行中的任务由 restore() 交给按 kind 注册的处理函数重新执行（处理函数需能只凭 payload 重建任务）。
+ */
+
+const crypto = require('crypto');
+const { jobOps } = require('./db');
+
+const PRIORITIES = {
+  on_demand: 0,
+  next: 1,
+  preload: 2
+};
+
+const QUEUE_FULL_MESSAGE = '服务繁忙，请稍后重试';
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 60000;
+// 结束的任务在数据库中保留的时长
+const FINISHED_RETENTION = '-7 days';
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('任务已取消');
+    this.name = 'JobCancelledError';
+    this.retryable = false;
+  }
+}
+
+function getPriorityRank(priority) {
+  return Object.prototype.hasOwnProperty.call(PRIORITIES, priority) ? PRIORITIES[priority] : PRIORITIES.on_demand;
+}
+
+function getPriorityName(rank) {
+  return Object.keys(PRIORITIES).find((name) => PRIORITIES[name] === rank) || 'on_demand';
+}
+
+// 第 n 次失败后等待 base * 2^(n-1)，不超过 MAX_RETRY_DELAY_MS
+function getRetryDelay(attempts, baseDelayMs = DEFAULT_RETRY_DELAY_MS) {
+  return Math.min(MAX_RETRY_DELAY_MS, baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+// 所有队列，供状态接口汇总与按 ID 取消
+const queues = new Map();
+
+class JobQueue {
+  constructor({ name, concurrency, maxQueueSize, maxAttempts = DEFAULT_MAX_ATTEMPTS, retryDelayMs = DEFAULT_RETRY_DELAY_MS }) {
+    this.name = name;
+    this.concurrency = Math.max(1, concurrency);
+    this.maxQueueSize = maxQueueSize;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.jobs = new Map();
+    this.byKey = new Map();
+    this.handlers = new Map();
+    this.current = 0;
+    queues.set(name, this);
+  }
+
+  get running() {
+    return this.current;
+  }
+
+  get waiting() {
+    let count = 0;
+    for (const job of this.jobs.values()) {
+      if (job.status === 'queued') count++;
+    }
+    return count;
+  }
+
+  has(key) {
+    return this.byKey.has(key);
+  }
+
+  // 服务重启后恢复该 kind 的任务时调用 handler(payload, job)
+  registerHandler(kind, handler) {
+    this.handlers.set(kind, handler);
+  }
+
+  /**
+   * 入队并等待完成，返回 task(job) 的结果。同一 key 的任务已在队列中时直接等待它（优先级取较高者）；
+   * 排队已满时抛出 QUEUE_FULL_MESSAGE。payload 须可序列化为 JSON
+   */
+  run({ key, kind, priority = 'on_demand', payload = {} }, task) {
+    const existing = this.byKey.get(key);
+    if (existing) {
+      this.promote(key, priority);
+      return existing.promise;
+    }
+    if (this.waiting >= this.maxQueueSize) {
+      return Promise.reject(new Error(QUEUE_FULL_MESSAGE));
+    }
+
+    const job = this._createJob({ id: crypto.randomUUID(), key, kind, priority: getPriorityRank(priority), attempts: 0, payload, task });
+    this._persist('insert', job);
+    this._schedule();
+    return job.promise;
+  }
+
+  // 排队中的任务提升到更高优先级（例如正在预加载的歌曲被用户点播）
+  promote(key, priority) {
+    const job = this.byKey.get(key);
+    const rank = getPriorityRank(priority);
+    if (!job || rank >= job.priority) return false;
+    job.priority = rank;
+    this._persist('update', job);
+    return true;
+  }
+
+  // 排队中的任务直接移除；运行中的任务通过 job.signal 通知，由任务自行中止
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return false;
+    job.cancelled = true;
+    if (job.status === 'running') {
+      job.controller.abort();
+    } else {
+      clearTimeout(job.retryTimer);
+      this._finish(job, 'cancelled', new JobCancelledError());
+    }
+    return true;
+  }
+
+  list() {
+    return Array.from(this.jobs.values())
+      .sort((a, b) => (a.status === b.status ? 0 : a.status === 'running' ? -1 : 1) || a.priority - b.priority || a.createdAt - b.createdAt)
+      .map((job) => ({
+        id: job.id,
+        queue: this.name,
+        key: job.key,
+        kind: job.kind,
+        priority: getPriorityName(job.priority),
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: this.maxAttempts,
+        progress: job.progress,
+        error: job.error,
+        createdAt: new Date(job.createdAt).toISOString(),
+        startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+        retryAt: job.readyAt > Date.now() ? new Date(job.readyAt).toISOString() : null
+      }));
+  }
+
+  /**
+   * 恢复上次运行时未完成的任务；没有对应处理函数的任务记为失败。
+   * 恢复的任务没有等待者，结果只记录在日志与数据库中
+   */
+  restore() {
+    let rows = [];
+    try {
+      rows = jobOps.listUnfinished.all(this.name);
+    } catch (e) {
+      console.error(`[任务队列] ${this.name} 读取未完成任务失败:`, e.message);
+      return 0;
+    }
+
+    let restored = 0;
+    for (const row of rows) {
+      const handler = this.handlers.get(row.kind);
+      let payload = null;
+      try {
+        payload = JSON.parse(row.payload);
+      } catch (_) {}
+      if (!handler || !payload || this.byKey.has(row.job_key)) {
+        this._persistRow({ id: row.id, status: 'failed', priority: row.priority, attempts: row.attempts, error: '服务重启后无法恢复' });
+        continue;
+      }
+
+      const job = this._createJob({
+        id: row.id,
+        key: row.job_key,
+        kind: row.kind,
+        priority: row.priority,
+        attempts: row.attempts,
+        payload,
+        task: (current) => handler(payload, current)
+      });
+      job.promise.catch((e) => {
+        console.error(`[任务队列] 恢复的任务失败 ${row.job_key}:`, e.message);
+      });
+      this._persist('update', job);
+      restored++;
+    }
+
+    if (restored) console.log(`[任务队列] ${this.name} 恢复 ${restored} 个未完成任务`);
+    this._schedule();
+    return restored;
+  }
+
+  _createJob({ id, key, kind, priority, attempts, payload, task }) {
+    const job = {
+      id,
+      key,
+      kind,
+      priority,
+      attempts,
+      payload,
+      task,
+      status: 'queued',
+      progress: null,
+      error: null,
+      cancelled: false,
+      createdAt: Date.now(),
+      startedAt: null,
+      readyAt: 0,
+      retryTimer: null,
+      controller: new AbortController()
+    };
+    job.signal = job.controller.signal;
+    // 进度 0~1，total 未知时为空
+    job.reportProgress = (done, total) => {
+      job.progress = total > 0 ? Math.min(1, Math.max(0, done / total)) : null;
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    this.jobs.set(id, job);
+    this.byKey.set(key, job);
+    return job;
+  }
+
+  _next() {
+    const now = Date.now();
+    let best = null;
+    for (const job of this.jobs.values()) {
+      if (job.status !== 'queued' || job.readyAt > now) continue;
+      if (!best || job.priority < best.priority || (job.priority === best.priority && job.createdAt < best.createdAt)) {
+        best = job;
+      }
+    }
+    return best;
+  }
+
+  _schedule() {
+    while (this.current < this.concurrency) {
+      const job = this._next();
+      if (!job) return;
+      this._start(job);
+    }
+  }
+
+  _start(job) {
+    this.current++;
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = Date.now();
+    job.progress = null;
+    this._persist('update', job);
+
+    Promise.resolve()
+      .then(() => job.task(job))
+      .then((result) => {
+        this._finish(job, 'done', null, result);
+      }, (err) => {
+        if (job.cancelled) {
+          this._finish(job, 'cancelled', new JobCancelledError());
+        } else if (err && err.retryable === false || job.attempts >= this.maxAttempts) {
+          this._finish(job, 'failed', err);
+        } else {
+          this._retry(job, err);
+        }
+      })
+      .finally(() => {
+        this.current--;
+        this._schedule();
+      });
+  }
+
+  _retry(job, err) {
+    const delay = getRetryDelay(job.attempts, this.retryDelayMs);
+    job.status = 'queued';
+    job.error = err && err.message ? err.message : String(err);
+    job.readyAt = Date.now() + delay;
+    this._persist('update', job);
+    console.warn(`[任务队列] ${job.key} 第 ${job.attempts} 次失败，${Math.round(delay / 1000)} 秒后重试: ${job.error}`);
+    // 定时器可能比 Date.now() 早 1 毫秒触发，触发时视为已到重试时间，否则任务不会再被调度
+    job.retryTimer = setTimeout(() => {
+      job.readyAt = Math.min(job.readyAt, Date.now());
+      this._schedule();
+    }, delay);
+  }
+
+  _finish(job, status, err, result) {
+    job.status = status;
+    job.error = err ? (err.message || String(err)) : null;
+    if (status === 'done') job.progress = 1;
+    this.jobs.delete(job.id);
+    if (this.byKey.get(job.key) === job) this.byKey.delete(job.key);
+    this._persist('update', job);
+    if (status === 'done') job.resolve(result);
+    else job.reject(err);
+  }
+
+  _persist(op, job) {
+    try {
+      if (op === 'insert') {
+        jobOps.insert.run({
+          id: job.id,
+          queue: this.name,
+          job_key: job.key,
+          kind: job.kind,
+          priority: job.priority,
+          status: job.status,
+          attempts: job.attempts,
+          max_attempts: this.maxAttempts,
+          payload: JSON.stringify(job.payload)
+        });
+      } else {
+        this._persistRow({ id: job.id, status: job.status, priority: job.priority, attempts: job.attempts, error: job.error });
+      }
+    } catch (e) {
+      console.error(`[任务队列] 保存任务状态失败 ${job.key}:`, e.message);
+    }
+  }
+
+  _persistRow(row) {
+    try {
+      jobOps.update.run(row);
+    } catch (e) {
+      console.error(`[任务队列] 保存任务状态失败 ${row.id}:`, e.message);
+    }
+  }
+}
+
+// FFmpeg stderr 中最后一个 time=HH:MM:SS.xx（已处理的媒体时长，秒），没有时返回 null
+function parseFFmpegProgress(text) {
+  const matches = String(text || '').match(/time=(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/g);
+  if (!matches) return null;
+  const [h, m, sec] = matches[matches.length - 1].slice(5).split(':');
+  return Number(h) * 3600 + Number(m) * 60 + Number(sec);
+}
+
+function getJobQueues() {
+  return Array.from(queues.values());
+}
+
+// 按任务 ID 在所有队列中取消
+function cancelJob(id) {
+  return getJobQueues().some((queue) => queue.cancel(id));
+}
+
+// 最近结束的任务（数据库记录），顺带清理过旧的记录
+function listFinishedJobs(limit = 50) {
+  try {
+    jobOps.prune.run(FINISHED_RETENTION);
+    return jobOps.listFinished.all(limit).map((row) => ({
+      id: row.id,
+      queue: row.queue,
+      key: row.job_key,
+      kind: row.kind,
+      priority: getPriorityName(row.priority),
+      status: row.status,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      error: row.error,
+      createdAt: row.created_at,
+      finishedAt: row.updated_at
+    }));
+  } catch (e) {
+    console.error('[任务队列] 读取任务记录失败:', e.message);
+    return [];
+  }
+}
+
+module.exports = {
+  PRIORITIES,
+  QUEUE_FULL_MESSAGE,
+  JobCancelledError,
+  JobQueue,
+  getRetryDelay,
+  parseFFmpegProgress,
+  getJobQueues,
+  cancelJob,
+  listFinishedJobs
+};
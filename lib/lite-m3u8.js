@@ -27,7 +27,8 @@ function buildLiteM3u8({ segments }) {
       return {
         url,
         title: sanitizeM3uTitle(item?.title || ''),
-        duration: normalizeDurationSeconds(item?.duration)
+        duration: normalizeDurationSeconds(item?.duration),
+        replayGain: item?.replayGain || null
       };
     })
     .filter(Boolean);
@@ -44,6 +45,10 @@ function buildLiteM3u8({ segments }) {
 
   list.forEach((item, index) => {
     if (index > 0) out += '#EXT-X-DISCONTINUITY\n';
+    // 已测量响度的歌曲附带 ReplayGain 风格的增益，支持的播放器可据此统一音量
+    if (item.replayGain) {
+      out += `#EXT-X-REPLAYGAIN:TRACK-GAIN=${item.replayGain.gain.toFixed(2)},TRACK-PEAK=${item.replayGain.peak.toFixed(6)}\n`;
+    }
     out += `#EXTINF:${item.duration.toFixed(3)},${item.title}\n`;
     out += `${item.url}\n`;
   });
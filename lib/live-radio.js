@@ -0,0 +1,108 @@
+/**
+ * 直播电台（live.m3u8）
+ * 服务器时钟按歌单顺序循环播放：以 Unix 纪元为起点，按各曲时长排出一个循环的时间表，
+ * 任意时刻加入的听众都落在同一位置，重启服务或多实例部署也不会错位。
+ * 已缓存的歌曲按实际分片时长排入时间表（转码时按 HLS_SEGMENT_DURATION 强制切分，各档位基本一致），
+ * 未缓存的按歌单元数据中的时长推算名义分片时长；元数据时长可能不准，缓存完成后时间表以实际时长为准。
+ * 歌单内容、播放选项或缓存状态变化后时间表随之改变，位置会重新计算。
+ */
+
+const DEFAULT_WINDOW_SEGMENTS = 6;
+
+function toMs(seconds) {
+  return Math.max(1, Math.round(Number(seconds) * 1000));
+}
+
+// 与 stream.m3u8 未缓存时的估算一致：整段按 segmentDuration，末段为余数
+function getNominalSegmentDurations(songDuration, segmentDuration) {
+  const duration = Number(songDuration) > 0 ? Number(songDuration) : 240;
+  const count = Math.ceil(duration / segmentDuration);
+  return Array.from({ length: count }, (_, i) => (
+    i === count - 1 ? (duration % segmentDuration) || segmentDuration : segmentDuration
+  ));
+}
+
+// 一首歌排入时间表的分片 [{ segmentIndex, seconds }]：有实际分片时长时跳过其中缺失的序号；
+// 否则按名义时长，已知分片数（缓存信息中没有逐段时长）时截到该数量，不引用不存在的分片
+function getTrackSegments(track, segmentDuration) {
+  const measured = (Array.isArray(track.segmentDurations) ? track.segmentDurations : [])
+    .map((seconds, segmentIndex) => ({ segmentIndex, seconds: Number(seconds) }))
+    .filter((segment) => segment.seconds > 0);
+  if (measured.length) return measured;
+
+  const nominal = getNominalSegmentDurations(track.duration, segmentDuration);
+  const count = Number(track.segmentCount) > 0 ? Math.min(nominal.length, Number(track.segmentCount)) : nominal.length;
+  return nominal.slice(0, count).map((seconds, segmentIndex) => ({ segmentIndex, seconds }));
+}
+
+/**
+ * tracks: [{ id, duration, segmentDurations, segmentCount }]（单位秒）：segmentDurations / segmentCount 取自该歌曲的缓存信息，
+ * 未缓存时省略，按 duration 推算
+ * 返回一个循环内按时间排列的全部分片：{ trackIndex, songId, segmentIndex, songStart, startMs, durationMs }
+ */
+function buildLiveSchedule(tracks, segmentDuration) {
+  const segments = [];
+  let cycleMs = 0;
+  tracks.forEach((track, trackIndex) => {
+    getTrackSegments(track, segmentDuration).forEach(({ segmentIndex, seconds }, i) => {
+      const durationMs = toMs(seconds);
+      segments.push({ trackIndex, songId: track.id, segmentIndex, songStart: i === 0, startMs: cycleMs, durationMs });
+      cycleMs += durationMs;
+    });
+  });
+  return { trackCount: tracks.length, segments, cycleMs };
+}
+
+// 一个循环内 offsetMs 所在分片的下标
+function findSegmentAt(segments, offsetMs) {
+  let lo = 0;
+  let hi = segments.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (segments[mid].startMs <= offsetMs) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+/**
+ * 滑动窗口：以当前正在播出的分片为末尾，向前取 windowSize 个（可跨越上一轮循环）。
+ * mediaSequence 为自纪元起的分片序号；每首歌的第一个分片前有 DISCONTINUITY，
+ * 窗口首个分片不输出该标签，discontinuitySequence 按已移出（含省略）的标签数计算。
+ */
+function getLiveWindow(schedule, nowMs, { windowSize = DEFAULT_WINDOW_SEGMENTS, epochMs = 0 } = {}) {
+  const { segments, cycleMs, trackCount } = schedule;
+  if (!segments.length || cycleMs <= 0) return null;
+
+  const elapsed = Math.max(0, nowMs - epochMs);
+  const cycle = Math.floor(elapsed / cycleMs);
+  const current = cycle * segments.length + findSegmentAt(segments, elapsed % cycleMs);
+  const first = Math.max(0, current - Math.max(1, windowSize) + 1);
+
+  const items = [];
+  for (let sequence = first; sequence <= current; sequence++) {
+    const loop = Math.floor(sequence / segments.length);
+    const segment = segments[sequence % segments.length];
+    items.push({
+      ...segment,
+      sequence,
+      programDateTime: epochMs + loop * cycleMs + segment.startMs,
+      discontinuity: sequence !== first && segment.songStart
+    });
+  }
+
+  const head = items[0];
+  const headLoop = Math.floor(first / segments.length);
+  return {
+    mediaSequence: first,
+    discontinuitySequence: headLoop * trackCount + head.trackIndex + 1,
+    segments: items
+  };
+}
+
+module.exports = {
+  DEFAULT_WINDOW_SEGMENTS,
+  getNominalSegmentDurations,
+  buildLiveSchedule,
+  getLiveWindow
+};
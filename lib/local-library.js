@@ -0,0 +1,434 @@
+/**
+ * 本地音乐库
+ * 扫描 LOCAL_MUSIC_DIR：每个包含音频文件的目录、每个 .m3u/.m3u8 文件各作为一个歌单，
+ * 标签与时长通过 ffprobe 读取（失败时回退到文件名）。
+ *
+ * 歌单 ID 由相对路径哈希为纯数字（与播放签名 token 的 playlistId 要求一致），
+ * 歌曲 ID 为相对路径的 16 位十六进制哈希，不在 URL 中暴露真实路径。
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { pathToFileURL, fileURLToPath } = require('url');
+
+const AUDIO_EXTS = new Set(['.mp3', '.flac', '.m4a', '.aac', '.ogg', '.opus', '.wav']);
+const PLAYLIST_EXTS = new Set(['.m3u', '.m3u8']);
+const MAX_SCAN_DEPTH = 8;
+const PROBE_TIMEOUT_MS = 15000;
+const PROBE_CACHE_MAX = 5000;
+
+function getLibraryRoot() {
+  const raw = String(process.env.LOCAL_MUSIC_DIR || '').trim();
+  return raw ? path.resolve(raw) : '';
+}
+
+function getRescanIntervalMs() {
+  const raw = parseInt(process.env.LOCAL_MUSIC_RESCAN_SECONDS, 10);
+  if (!Number.isFinite(raw) || raw < 0) return 300 * 1000;
+  return raw * 1000;
+}
+
+function isAudioFile(name) {
+  return AUDIO_EXTS.has(path.extname(String(name || '')).toLowerCase());
+}
+
+function isPlaylistFile(name) {
+  return PLAYLIST_EXTS.has(path.extname(String(name || '')).toLowerCase());
+}
+
+function toPosixRel(relPath) {
+  const rel = String(relPath || '').split(path.sep).join('/');
+  return rel || '.';
+}
+
+function hashHex(input) {
+  return crypto.createHash('sha1').update(String(input)).digest('hex');
+}
+
+// 48 位哈希，最多 15 位十进制数字
+function toPlaylistId(kind, relPath) {
+  const num = parseInt(hashHex(`${kind}:${toPosixRel(relPath)}`).slice(0, 12), 16);
+  return String(num || 1);
+}
+
+function toSongId(relPath) {
+  return hashHex(`song:${toPosixRel(relPath)}`).slice(0, 16);
+}
+
+function isValidSongId(id) {
+  return typeof id === 'string' && /^[a-f0-9]{16}$/.test(id);
+}
+
+function isInsideRoot(root, absPath) {
+  const rel = path.relative(root, absPath);
+  return rel === '' || (!!rel && !rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+/**
+ * 歌单链接/ID 解析：纯数字为歌单 ID，否则视为库内相对路径（目录或 .m3u 文件）
+ */
+function parsePlaylistInput(input) {
+  if (!input) return null;
+  const str = String(input).trim();
+  if (!str) return null;
+  if (/^\d+$/.test(str)) return str.length <= 20 ? str : null;
+
+  const rel = str.replace(/\\/g, '/').replace(/^\.?\/+/, '').replace(/\/+$/, '') || '.';
+  if (rel.split('/').includes('..')) return null;
+  return toPlaylistId(isPlaylistFile(rel) ? 'm3u' : 'dir', rel);
+}
+
+/**
+ * 解析 .m3u / .m3u8 文本，返回条目（相对路径按 baseDir 解析为绝对路径）
+ */
+function parseM3u(text, baseDir) {
+  const entries = [];
+  let pending = null;
+
+  for (const rawLine of String(text || '').replace(/^﻿/, '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith('#EXTINF:')) {
+      const m = line.match(/^#EXTINF:(-?[\d.]+)[^,]*,(.*)$/);
+      pending = m
+        ? { duration: Math.max(0, Math.round(parseFloat(m[1]) || 0)), title: m[2].trim() }
+        : null;
+      continue;
+    }
+    if (line.startsWith('#')) continue;
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(line) && !/^file:\/\//i.test(line)) {
+      pending = null;
+      continue;
+    }
+
+    let file;
+    try {
+      file = /^file:\/\//i.test(line) ? fileURLToPath(line) : path.resolve(baseDir, line);
+    } catch (_) {
+      pending = null;
+      continue;
+    }
+
+    entries.push({ file, title: pending ? pending.title : '', duration: pending ? pending.duration : 0 });
+    pending = null;
+  }
+
+  return entries;
+}
+
+function pickTag(tags, key) {
+  if (!tags || typeof tags !== 'object') return '';
+  for (const k of Object.keys(tags)) {
+    if (k.toLowerCase() === key) return String(tags[k] || '').trim();
+  }
+  return '';
+}
+
+// 文件名 "歌手 - 歌名.mp3" 回退
+function parseTitleFromFilename(filePath) {
+  const base = path.basename(String(filePath || ''), path.extname(String(filePath || '')));
+  const idx = base.indexOf(' - ');
+  if (idx > 0) {
+    return { artist: base.slice(0, idx).trim(), name: base.slice(idx + 3).trim() || base };
+  }
+  return { artist: '', name: base };
+}
+
+/**
+ * ffprobe JSON（-show_format -show_streams）→ { name, artist, album, duration }
+ */
+function normalizeProbeResult(probe) {
+  const format = (probe && probe.format) || {};
+  const streams = Array.isArray(probe && probe.streams) ? probe.streams : [];
+  const audio = streams.find((s) => s && s.codec_type === 'audio') || {};
+  const tags = { ...(audio.tags || {}), ...(format.tags || {}) };
+
+  const duration = parseFloat(format.duration || audio.duration);
+  return {
+    name: pickTag(tags, 'title'),
+    artist: pickTag(tags, 'artist') || pickTag(tags, 'album_artist'),
+    album: pickTag(tags, 'album'),
+    duration: Number.isFinite(duration) && duration > 0 ? Math.round(duration) : 0
+  };
+}
+
+const probeCache = new Map();
+
+function probeFile(absPath, stat) {
+  const cacheKey = `${absPath}:${stat.size}:${stat.mtimeMs}`;
+  if (probeCache.has(cacheKey)) return Promise.resolve(probeCache.get(cacheKey));
+
+  const ffprobe = process.env.FFPROBE_PATH || 'ffprobe';
+  const args = ['-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', absPath];
+
+  return new Promise((resolve) => {
+    execFile(ffprobe, args, { timeout: PROBE_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024 }, (err, stdout) => {
+      let result = null;
+      if (!err) {
+        try {
+          result = normalizeProbeResult(JSON.parse(stdout));
+        } catch (_) {}
+      }
+
+      if (probeCache.size >= PROBE_CACHE_MAX) probeCache.clear();
+      probeCache.set(cacheKey, result);
+      resolve(result);
+    });
+  });
+}
+
+async function readDirSafe(dir) {
+  try {
+    return await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * 扫描音乐库，返回 { root, playlists: Map<id, playlist>, songs: Map<songId, song> }
+ * playlist: { id, kind: 'dir'|'m3u', relPath, name, files: [{ songId, absPath, title, duration }] }
+ */
+async function scanLibrary(root) {
+  const playlists = new Map();
+  const songs = new Map();
+  const m3uFiles = [];
+
+  let realRoot;
+  try {
+    realRoot = await fs.promises.realpath(root);
+  } catch (_) {
+    return { root, playlists, songs };
+  }
+
+  function addSong(absPath) {
+    const relPath = toPosixRel(path.relative(realRoot, absPath));
+    const songId = toSongId(relPath);
+    if (!songs.has(songId)) songs.set(songId, { songId, absPath, relPath });
+    return songId;
+  }
+
+  async function walk(dir, depth) {
+    const entries = await readDirSafe(dir);
+    entries.sort((a, b) => a.name.localeCompare(b.name, 'zh-Hans-CN', { numeric: true }));
+
+    const files = [];
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const abs = path.join(dir, entry.name);
+
+      // 不跟随符号链接，避免逃出音乐库目录
+      if (entry.isDirectory()) {
+        if (depth < MAX_SCAN_DEPTH) await walk(abs, depth + 1);
+      } else if (entry.isFile()) {
+        if (isAudioFile(entry.name)) {
+          files.push({ songId: addSong(abs), absPath: abs, title: '', duration: 0 });
+        } else if (isPlaylistFile(entry.name)) {
+          m3uFiles.push(abs);
+        }
+      }
+    }
+
+    if (files.length > 0) {
+      const relPath = toPosixRel(path.relative(realRoot, dir));
+      const id = toPlaylistId('dir', relPath);
+      playlists.set(id, {
+        id,
+        kind: 'dir',
+        relPath,
+        name: relPath === '.' ? path.basename(realRoot) : relPath,
+        files
+      });
+    }
+  }
+
+  await walk(realRoot, 0);
+
+  for (const m3uPath of m3uFiles) {
+    let text;
+    try {
+      text = await fs.promises.readFile(m3uPath, 'utf8');
+    } catch (_) {
+      continue;
+    }
+
+    const files = [];
+    for (const item of parseM3u(text, path.dirname(m3uPath))) {
+      if (!isAudioFile(item.file) || !isInsideRoot(realRoot, item.file)) continue;
+
+      let real;
+      try {
+        real = await fs.promises.realpath(item.file);
+      } catch (_) {
+        continue;
+      }
+      if (!isInsideRoot(realRoot, real)) continue;
+
+      files.push({ songId: addSong(real), absPath: real, title: item.title, duration: item.duration });
+    }
+
+    const relPath = toPosixRel(path.relative(realRoot, m3uPath));
+    const id = toPlaylistId('m3u', relPath);
+    playlists.set(id, {
+      id,
+      kind: 'm3u',
+      relPath,
+      name: path.basename(m3uPath, path.extname(m3uPath)),
+      files
+    });
+  }
+
+  return { root: realRoot, playlists, songs };
+}
+
+let libraryCache = null;
+let libraryPromise = null;
+
+async function getLibrary({ force = false } = {}) {
+  const root = getLibraryRoot();
+  if (!root) throw new Error('未配置本地音乐目录');
+
+  const fresh = libraryCache &&
+    libraryCache.configuredRoot === root &&
+    Date.now() - libraryCache.scannedAt < getRescanIntervalMs();
+  if (!force && fresh) return libraryCache.library;
+
+  if (!libraryPromise) {
+    libraryPromise = scanLibrary(root)
+      .then((library) => {
+        libraryCache = { configuredRoot: root, scannedAt: Date.now(), library };
+        return library;
+      })
+      .finally(() => {
+        libraryPromise = null;
+      });
+  }
+  return libraryPromise;
+}
+
+async function buildTrack(file) {
+  let stat = null;
+  try {
+    stat = await fs.promises.stat(file.absPath);
+  } catch (_) {}
+
+  const probed = stat ? await probeFile(file.absPath, stat) : null;
+  const fallback = parseTitleFromFilename(file.absPath);
+
+  return {
+    id: file.songId,
+    name: (probed && probed.name) || file.title || fallback.name,
+    artist: (probed && probed.artist) || fallback.artist,
+    album: (probed && probed.album) || '',
+    duration: (probed && probed.duration) || file.duration || 0,
+    cover: ''
+  };
+}
+
+async function getPlaylistDetail(playlistId) {
+  const library = await getLibrary();
+  const playlist = library.playlists.get(String(playlistId));
+  if (!playlist) throw new Error('本地歌单不存在');
+
+  const tracks = [];
+  for (const file of playlist.files) {
+    tracks.push(await buildTrack(file));
+  }
+
+  return {
+    id: playlist.id,
+    name: playlist.name,
+    cover: '',
+    songCount: tracks.length,
+    tracks
+  };
+}
+
+async function getSongDetail(songId) {
+  const library = await getLibrary();
+  const song = library.songs.get(String(songId));
+  if (!song) throw new Error('本地歌曲不存在');
+  return buildTrack({ songId: song.songId, absPath: song.absPath, title: '', duration: 0 });
+}
+
+async function listPlaylists() {
+  const library = await getLibrary();
+  const playlists = Array.from(library.playlists.values())
+    .sort((a, b) => a.relPath.localeCompare(b.relPath, 'zh-Hans-CN', { numeric: true }))
+    .map((p) => ({
+      id: p.id,
+      name: p.name,
+      cover: '',
+      trackCount: p.files.length
+    }));
+  return { playlists, hasMore: false, count: playlists.length };
+}
+
+// 返回 file:// URL，由 HLS / MP4 / 单曲路由通过 resolveLocalAudioPath 识别为本地文件
+async function getSongUrl(songId) {
+  const library = await getLibrary();
+  const song = library.songs.get(String(songId));
+  if (!song) return null;
+  return pathToFileURL(song.absPath).href;
+}
+
+// 与音频文件同名的 .lrc 歌词（双语 LRC 的翻译行与原文同一时间戳，由 lib/lyrics.js 识别）
+async function getLyrics(songId) {
+  const library = await getLibrary();
+  const song = library.songs.get(String(songId));
+  if (!song) throw new Error('本地歌曲不存在');
+
+  const lrcPath = path.join(path.dirname(song.absPath), `${path.basename(song.absPath, path.extname(song.absPath))}.lrc`);
+  try {
+    return { lrc: await fs.promises.readFile(lrcPath, 'utf8'), tlrc: '' };
+  } catch (_) {
+    return { lrc: '', tlrc: '' };
+  }
+}
+
+/**
+ * file:// URL → 音乐库内的音频文件绝对路径；不是本地 URL 或不在音乐库内时返回 null
+ */
+function resolveLocalAudioPath(url) {
+  const root = getLibraryRoot();
+  if (!root || !/^file:\/\//i.test(String(url || ''))) return null;
+
+  try {
+    const realRoot = fs.realpathSync(root);
+    const real = fs.realpathSync(fileURLToPath(String(url)));
+    if (!isInsideRoot(realRoot, real) || !isAudioFile(real)) return null;
+    return fs.statSync(real).isFile() ? real : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function __resetForTests() {
+  libraryCache = null;
+  libraryPromise = null;
+  probeCache.clear();
+}
+
+module.exports = {
+  AUDIO_EXTS,
+  getLibraryRoot,
+  isValidSongId,
+  toPlaylistId,
+  toSongId,
+  parsePlaylistInput,
+  parseM3u,
+  parseTitleFromFilename,
+  normalizeProbeResult,
+  scanLibrary,
+  getLibrary,
+  getPlaylistDetail,
+  getSongDetail,
+  listPlaylists,
+  getSongUrl,
+  getLyrics,
+  resolveLocalAudioPath,
+  __resetForTests
+};
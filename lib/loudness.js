@@ -0,0 +1,159 @@
+/**
+ * 响度标准化（EBU R128 / FFmpeg loudnorm 双遍处理）
+ *   LOUDNORM=1              开启（默认关闭）
+ *   LOUDNORM_I=-16          目标综合响度（LUFS，-70 ~ -5）
+ *   LOUDNORM_TP=-1.5        真峰值上限（dBTP，-9 ~ 0）
+ *   LOUDNORM_LRA=11         目标响度范围（LU，1 ~ 20）
+ * 第一遍只测量，结果按「音乐源:歌曲ID」保存在 song_loudness 表，同一首歌的各档位、分片封装与 MP4 共用；
+ * 第二遍带上测量值转码，整首歌按同一增益处理。测量结果同时用于轻量 M3U8 的 ReplayGain 标签。
+ */
+
+const { loudnessOps } = require('./db');
+
+// ReplayGain 2.0 的参考响度
+const REPLAYGAIN_REFERENCE_LUFS = -18;
+
+const MEASURED_FIELDS = ['input_i', 'input_tp', 'input_lra', 'input_thresh', 'target_offset'];
+
+function readNumber(raw, fallback, min, max) {
+  if (raw == null || raw === '') return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= min && n <= max ? n : fallback;
+}
+
+// 未开启时返回 null
+function getLoudnormConfig(env = process.env) {
+  const flag = String(env.LOUDNORM || '').trim().toLowerCase();
+  if (flag !== '1' && flag !== 'true') return null;
+  return {
+    i: readNumber(env.LOUDNORM_I, -16, -70, -5),
+    tp: readNumber(env.LOUDNORM_TP, -1.5, -9, 0),
+    lra: readNumber(env.LOUDNORM_LRA, 11, 1, 20)
+  };
+}
+
+// 缓存中记录的目标与当前配置一致（均未开启也视为一致）时，已有分片 / MP4 才可复用
+function isSameLoudnormTarget(a, b) {
+  if (!a || !b) return !a && !b;
+  return a.i === b.i && a.tp === b.tp && a.lra === b.lra;
+}
+
+function getLoudnessKey(source, songId) {
+  return `${source}:${String(songId || '').trim()}`;
+}
+
+function formatTarget(config) {
+  return `I=${config.i}:TP=${config.tp}:LRA=${config.lra}`;
+}
+
+// 第一遍：只解码并测量，结果以 JSON 打印在 stderr 末尾
+function buildLoudnessMeasureArgs(inputPath, config) {
+  return [
+    '-hide_banner',
+    '-nostats',
+    '-i', inputPath,
+    '-vn',
+    '-af', `loudnorm=${formatTarget(config)}:print_format=json`,
+    '-f', 'null',
+    '-'
+  ];
+}
+
+// 解析第一遍的输出；静音等无法测量（-inf）时返回 null
+function parseLoudnormOutput(log) {
+  const text = String(log || '');
+  const start = text.lastIndexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) return null;
+
+  let raw;
+  try {
+    raw = JSON.parse(text.slice(start, end + 1));
+  } catch (_) {
+    return null;
+  }
+
+  const measured = {};
+  for (const field of MEASURED_FIELDS) {
+    const n = Number(raw[field]);
+    if (!Number.isFinite(n)) return null;
+    measured[field] = n;
+  }
+  return measured;
+}
+
+// 第二遍的 -af 滤镜；没有测量值时退化为单遍（动态）处理
+function buildLoudnormFilter(config, measured) {
+  if (!measured) return `loudnorm=${formatTarget(config)}`;
+  return [
+    `loudnorm=${formatTarget(config)}`,
+    `measured_I=${measured.input_i}`,
+    `measured_TP=${measured.input_tp}`,
+    `measured_LRA=${measured.input_lra}`,
+    `measured_thresh=${measured.input_thresh}`,
+    `offset=${measured.target_offset}`,
+    'linear=true'
+  ].join(':');
+}
+
+// ReplayGain 风格的曲目增益（dB，相对 -18 LUFS）与峰值（线性）
+function getReplayGain(measured) {
+  if (!measured) return null;
+  return {
+    gain: Math.round((REPLAYGAIN_REFERENCE_LUFS - measured.input_i) * 100) / 100,
+    peak: Math.round(Math.pow(10, measured.input_tp / 20) * 1e6) / 1e6
+  };
+}
+
+function getStoredLoudness(loudnessKey) {
+  try {
+    const row = loudnessOps.get.get(loudnessKey);
+    if (!row) return null;
+    return Object.fromEntries(MEASURED_FIELDS.map((field) => [field, row[field]]));
+  } catch (e) {
+    console.error('[响度] 读取测量结果失败:', e.message);
+    return null;
+  }
+}
+
+function saveLoudness(loudnessKey, measured) {
+  try {
+    loudnessOps.set.run({ song_key: loudnessKey, ...measured });
+  } catch (e) {
+    console.error('[响度] 保存测量结果失败:', e.message);
+  }
+}
+
+/**
+ * 转码前调用：未开启时返回 null，否则返回 { target, measured, filter }。
+ * 该歌曲尚未测量时用 run(args) 运行第一遍（run 返回 FFmpeg 的 stderr），测量失败时退化为单遍处理
+ */
+async function resolveLoudnorm(loudnessKey, audioPath, run) {
+  const target = getLoudnormConfig();
+  if (!target) return null;
+
+  let measured = getStoredLoudness(loudnessKey);
+  if (!measured) {
+    try {
+      measured = parseLoudnormOutput(await run(buildLoudnessMeasureArgs(audioPath, target)));
+      if (measured) saveLoudness(loudnessKey, measured);
+    } catch (e) {
+      console.error(`[响度] 测量失败 ${loudnessKey}:`, e.message);
+    }
+  }
+
+  return { target, measured, filter: buildLoudnormFilter(target, measured) };
+}
+
+module.exports = {
+  getLoudnormConfig,
+  isSameLoudnormTarget,
+  getLoudnessKey,
+  buildLoudnessMeasureArgs,
+  parseLoudnormOutput,
+  buildLoudnormFilter,
+  getReplayGain,
+  getStoredLoudness,
+  saveLoudness,
+  resolveLoudnorm
+};
@@ -0,0 +1,182 @@
+/**
+ * 同步歌词
+ * 音乐源 adapter 可选提供 getLyrics(songId, cookie) → { lrc, tlrc }（原文与翻译的 LRC 文本，没有时为空字符串），
+ * 结果按「音乐源:歌曲ID」缓存在 song_lyrics 表，无歌词的歌曲也会缓存（较短时间后重新获取）。
+ * 解析后的歌词行输出为 LRC（翻译与原文同一时间戳）或 WebVTT（HLS 字幕轨、网页播放器）。
+ */
+
+const { lyricsOps } = require('./db');
+
+const LYRICS_TTL = '+7 days';
+const EMPTY_LYRICS_TTL = '+1 day';
+// 最后一行没有下一行作为结束时间，且歌曲时长未知时显示的秒数
+const LAST_CUE_SECONDS = 5;
+
+const TIME_TAG_RE = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+const LINE_RE = /^((?:\[\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?\])+)(.*)$/;
+
+function parseTimeTag(min, sec, frac) {
+  const fraction = frac ? Number(frac) / Math.pow(10, frac.length) : 0;
+  return Number(min) * 60 + Number(sec) + fraction;
+}
+
+// 返回按时间排序的 [{ time, text }]；一行多个时间标签时展开，[offset:毫秒] 为正表示歌词提前
+function parseLrc(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const offsetMatch = String(text || '').match(/\[offset:\s*([+-]?\d+)\s*\]/i);
+  const offset = offsetMatch ? Number(offsetMatch[1]) / 1000 : 0;
+
+  const entries = [];
+  for (const raw of lines) {
+    const m = raw.trim().match(LINE_RE);
+    if (!m) continue;
+    const content = m[2].trim();
+    for (const tag of m[1].matchAll(TIME_TAG_RE)) {
+      const time = Math.max(0, parseTimeTag(tag[1], tag[2], tag[3]) - offset);
+      entries.push({ time, text: content });
+    }
+  }
+  return entries
+    .map((entry, index) => ({ ...entry, index }))
+    .sort((a, b) => a.time - b.time || a.index - b.index)
+    .map(({ time, text: content }) => ({ time, text: content }));
+}
+
+function toTimeKey(seconds) {
+  return Math.round(seconds * 1000);
+}
+
+// 网易云的翻译中以 "//" 表示该行无翻译
+function isBlankTranslation(text) {
+  return !text || text === '//';
+}
+
+/**
+ * 合并原文与翻译为字幕行 [{ start, end, text, translation }]（秒）。
+ * 翻译按相同时间戳对应；原文中同一时间戳出现两行（双语 LRC）时第二行视为翻译。
+ * 空行只作为上一行的结束时间；最后一行持续到歌曲结束（duration 未知时显示 LAST_CUE_SECONDS 秒）
+ */
+function mergeLyrics(lrc, tlrc, { duration = 0 } = {}) {
+  const translations = new Map();
+  for (const { time, text } of parseLrc(tlrc)) {
+    if (!isBlankTranslation(text)) translations.set(toTimeKey(time), text);
+  }
+
+  const lines = [];
+  for (const { time, text } of parseLrc(lrc)) {
+    const last = lines[lines.length - 1];
+    if (last && toTimeKey(last.start) === toTimeKey(time)) {
+      if (text && !last.text) last.text = text;
+      else if (text && !last.translation && text !== last.text) last.translation = text;
+      continue;
+    }
+    lines.push({ start: time, text, translation: translations.get(toTimeKey(time)) || '' });
+  }
+
+  const cues = [];
+  lines.forEach((line, i) => {
+    if (!line.text) return;
+    const next = lines[i + 1];
+    const end = next
+      ? next.start
+      : (duration > line.start ? duration : line.start + LAST_CUE_SECONDS);
+    if (end > line.start) cues.push({ ...line, end });
+  });
+  return cues;
+}
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+function formatLrcTime(seconds) {
+  const centis = Math.round(seconds * 100);
+  return `${pad(Math.floor(centis / 6000))}:${pad(Math.floor(centis / 100) % 60)}.${pad(centis % 100)}`;
+}
+
+function formatVttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+function buildLrc(cues) {
+  let out = '';
+  for (const cue of cues) {
+    const tag = `[${formatLrcTime(cue.start)}]`;
+    out += `${tag}${cue.text}\n`;
+    if (cue.translation) out += `${tag}${cue.translation}\n`;
+  }
+  return out;
+}
+
+function escapeVttText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// timestampMap 为 HLS 字幕分片的 X-TIMESTAMP-MAP 取值（媒体时间与字幕时间的对应），网页直接使用时省略
+function buildWebVtt(cues, { timestampMap } = {}) {
+  let out = 'WEBVTT\n';
+  if (timestampMap) out += `X-TIMESTAMP-MAP=${timestampMap}\n`;
+  cues.forEach((cue, i) => {
+    out += `\n${i + 1}\n${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}\n${escapeVttText(cue.text)}\n`;
+    if (cue.translation) out += `${escapeVttText(cue.translation)}\n`;
+  });
+  return out;
+}
+
+function getLyricsKey(source, songId) {
+  return `${source}:${String(songId || '').trim()}`;
+}
+
+// 同一首歌同时被多个请求获取时只请求一次上游
+const pending = new Map();
+
+async function fetchAndStoreLyrics(adapter, songId, cookie, key) {
+  const result = await adapter.getLyrics(String(songId), cookie);
+  const lyrics = { lrc: String((result && result.lrc) || ''), tlrc: String((result && result.tlrc) || '') };
+  try {
+    lyricsOps.set.run({ song_key: key, ...lyrics, ttl: lyrics.lrc ? LYRICS_TTL : EMPTY_LYRICS_TTL });
+  } catch (e) {
+    console.error('[歌词] 保存缓存失败:', e.message);
+  }
+  return lyrics;
+}
+
+/**
+ * 读取歌词 { lrc, tlrc }：优先使用缓存，过期后向音乐源重新获取，获取失败时退回过期的缓存。
+ * adapter 未提供 getLyrics 时返回 null
+ */
+async function getSongLyrics(adapter, songId, cookie = '') {
+  if (typeof adapter.getLyrics !== 'function') return null;
+
+  const key = getLyricsKey(adapter.name, songId);
+  const cached = lyricsOps.get.get(key);
+  if (cached && cached.fresh) return { lrc: cached.lrc, tlrc: cached.tlrc };
+
+  let promise = pending.get(key);
+  if (!promise) {
+    promise = fetchAndStoreLyrics(adapter, songId, cookie, key).finally(() => pending.delete(key));
+    pending.set(key, promise);
+  }
+
+  try {
+    return await promise;
+  } catch (e) {
+    if (cached) {
+      console.warn(`[歌词] 获取失败，使用过期缓存 ${key}:`, e.message);
+      return { lrc: cached.lrc, tlrc: cached.tlrc };
+    }
+    throw e;
+  }
+}
+
+module.exports = {
+  parseLrc,
+  mergeLyrics,
+  formatLrcTime,
+  formatVttTime,
+  buildLrc,
+  buildWebVtt,
+  getLyricsKey,
+  getSongLyrics
+};
@@ -9,7 +9,12 @@ const {
   user_playlist,
   user_subcount,
   playlist_detail,
-  song_url
+  song_detail,
+  song_url,
+  album,
+  artist_top_song,
+  recommend_songs,
+  lyric
 } = require('NeteaseCloudMusicApi');
 
 async function withRetry(fn, { maxAttempts = 3, delayMs = 500 } = {}) {
@@ -54,6 +59,33 @@ function getTrackCoverUrl(track) {
   return url ? String(url) : '';
 }
 
+// privilege.st < 0 为下架，pl 为当前账号可播放的最高码率（0 即无版权或需要 VIP）
+function isPrivilegePlayable(privilege) {
+  if (!privilege) return null;
+  return Number(privilege.st) >= 0 && Number(privilege.pl) > 0;
+}
+
+function toTrackInfo(t, privilege = t?.privilege) {
+  const info = {
+    id: t.id,
+    name: t.name,
+    artist: getArtists(t),
+    duration: getDurationSeconds(t),
+    cover: getTrackCoverUrl(t)
+  };
+  const playable = isPrivilegePlayable(privilege);
+  if (playable !== null) info.available = playable;
+  return info;
+}
+
+function indexPrivileges(privileges) {
+  const map = new Map();
+  for (const p of Array.isArray(privileges) ? privileges : []) {
+    if (p && p.id != null) map.set(String(p.id), p);
+  }
+  return map;
+}
+
 async function createQRCode() {
   const keyRes = await login_qr_key({ timestamp: Date.now() });
   if (keyRes?.body?.code !== 200 || !keyRes?.body?.data?.unikey) {
@@ -187,13 +219,8 @@ async function getPlaylistDetail(playlistId, cookie = '') {
   }
 
   const p = res.body.playlist;
-  const tracks = (p.tracks || []).map(t => ({
-    id: t.id,
-    name: t.name,
-    artist: getArtists(t),
-    duration: getDurationSeconds(t),
-    cover: getTrackCoverUrl(t)
-  }));
+  const privileges = indexPrivileges(res.body.privileges);
+  const tracks = (p.tracks || []).map(t => toTrackInfo(t, privileges.get(String(t.id)) || t.privilege));
 
   return {
     id: p.id,
@@ -204,6 +231,94 @@ async function getPlaylistDetail(playlistId, cookie = '') {
   };
 }
 
+async function getSongDetail(songId, cookie = '') {
+  const res = await withRetry(() => song_detail({
+    ids: String(songId),
+    cookie: normalizeCookie(cookie),
+    timestamp: Date.now()
+  }));
+
+  const t = res?.body?.songs?.[0];
+  if (res?.body?.code !== 200 || !t) {
+    throw new Error(res?.body?.message || '获取歌曲详情失败');
+  }
+
+  return toTrackInfo(t, res.body.privileges?.[0] || t.privilege);
+}
+
+async function getAlbumDetail(albumId, cookie = '') {
+  const res = await withRetry(() => album({
+    id: String(albumId),
+    cookie: normalizeCookie(cookie),
+    timestamp: Date.now()
+  }));
+
+  if (res?.body?.code !== 200 || !res?.body?.album) {
+    throw new Error(res?.body?.message || '获取专辑失败');
+  }
+
+  const a = res.body.album;
+  const tracks = (res.body.songs || []).map(t => toTrackInfo(t));
+  const artist = getArtists(a);
+
+  return {
+    id: a.id,
+    name: artist ? `${artist} - ${a.name}` : a.name,
+    cover: a.picUrl || '',
+    songCount: a.size || tracks.length,
+    tracks
+  };
+}
+
+async function getArtistTopTracks(artistId, cookie = '') {
+  const res = await withRetry(() => artist_top_song({
+    id: String(artistId),
+    cookie: normalizeCookie(cookie),
+    timestamp: Date.now()
+  }));
+
+  if (res?.body?.code !== 200 || !Array.isArray(res?.body?.songs)) {
+    throw new Error(res?.body?.message || '获取歌手热门歌曲失败');
+  }
+
+  const songs = res.body.songs;
+  const tracks = songs.map(t => toTrackInfo(t));
+  // 接口不返回歌手信息，从歌曲的演唱者中取出该歌手
+  const artist = songs
+    .flatMap(s => s?.ar || [])
+    .find(a => String(a?.id) === String(artistId));
+
+  return {
+    id: artistId,
+    name: `${artist?.name || artistId} 热门歌曲`,
+    cover: artist?.picUrl || tracks[0]?.cover || '',
+    songCount: tracks.length,
+    tracks
+  };
+}
+
+// 每日推荐需要登录 cookie，内容随账号与日期变化
+async function getDailyRecommend(cookie = '') {
+  const res = await withRetry(() => recommend_songs({
+    cookie: normalizeCookie(cookie),
+    timestamp: Date.now()
+  }));
+
+  const songs = res?.body?.data?.dailySongs;
+  if (res?.body?.code !== 200 || !Array.isArray(songs)) {
+    throw new Error(res?.body?.message || '获取每日推荐失败');
+  }
+
+  const tracks = songs.map(t => toTrackInfo(t));
+  return {
+    id: 'daily',
+    name: '每日推荐',
+    cover: tracks[0]?.cover || '',
+    songCount: tracks.length,
+    tracks
+  };
+}
+
 const QUALITY_LEVELS = {
   low: 128000,
   medium: 192000,
@@ -230,6 +345,24 @@ async function getSongUrl(songId, cookie = '', bitrate) {
   return url ? String(url) : null;
 }
 
+// 原文与翻译歌词（LRC），纯音乐或无歌词时为空字符串
+async function getLyrics(songId, cookie = '') {
+  const res = await withRetry(() => lyric({
+    id: String(songId),
+    cookie: normalizeCookie(cookie),
+    timestamp: Date.now()
+  }));
+
+  if (res?.body?.code !== 200) {
+    throw new Error(res?.body?.message || '获取歌词失败');
+  }
+
+  return {
+    lrc: String(res.body.lrc?.lyric || ''),
+    tlrc: String(res.body.tlyric?.lyric || '')
+  };
+}
+
 module.exports = {
   createQRCode,
   checkQRCode,
@@ -239,6 +372,11 @@ module.exports = {
   loginWithPassword,
   getUserPlaylists,
   getPlaylistDetail,
+  getSongDetail,
+  getAlbumDetail,
+  getArtistTopTracks,
+  getDailyRecommend,
   getSongUrl,
+  getLyrics,
   QUALITY_LEVELS
 };
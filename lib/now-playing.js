@@ -0,0 +1,164 @@
+/**
+ * 封面视频上的文字叠加
+ * 正在播放信息（生成链接时的 np=1，token 的 p 声明）：画面底部绘制歌名、歌手、歌单名（drawbox 底板 + drawtext）与进度条，
+ * 文字取自歌单缓存（playlists.songs）中的曲目信息；画面包含歌单名，开启后分片 / MP4 按歌单单独缓存。
+ * 歌词（lrc=1，y 声明，仅 HLS）：按时间逐行显示同步歌词与翻译（见 lib/lyrics.js）。
+ *   NOW_PLAYING_FONT   字体：绝对路径按字体文件（fontfile），否则按 fontconfig 字体名，默认 Noto Sans CJK SC
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FONT = 'Noto Sans CJK SC';
+const MAX_LINE_CHARS = 40;
+
+// 从上到下绘制的三行：字号与颜色按画面高度的比例
+const LINE_STYLES = [
+  { key: 'title', size: 0.06, color: 'white' },
+  { key: 'artist', size: 0.042, color: 'white@0.85' },
+  { key: 'playlistName', size: 0.034, color: 'white@0.6' }
+];
+
+function normalizeNowPlaying(value) {
+  const flag = String(value == null ? '' : value).trim().toLowerCase();
+  return flag === '1' || flag === 'true';
+}
+
+function getNowPlayingFont(env = process.env) {
+  const raw = String(env.NOW_PLAYING_FONT || '').trim();
+  if (!raw) return { font: DEFAULT_FONT };
+  return path.isAbsolute(raw) ? { fontfile: raw } : { font: raw };
+}
+
+// 按字符截断（CJK / emoji 各算一个），超出以省略号结尾
+function truncateLine(text, maxChars = MAX_LINE_CHARS) {
+  const chars = Array.from(String(text || '').replace(/\s+/g, ' ').trim());
+  return chars.length > maxChars ? `${chars.slice(0, maxChars - 1).join('')}…` : chars.join('');
+}
+
+// song 为歌单缓存中的曲目（可能缺失），时长未知时不绘制进度条
+function getNowPlayingInfo({ song, songId, playlistName }) {
+  return {
+    title: truncateLine((song && song.name) || songId),
+    artist: truncateLine(song && song.artist),
+    playlistName: truncateLine(playlistName),
+    duration: Number(song && song.duration) > 0 ? Number(song.duration) : 0
+  };
+}
+
+/**
+ * 文字写入临时文件交给 drawtext 的 textfile，歌名中的引号、冒号等无需转义；
+ * 返回 { title, artist, playlistName } 中非空行的文件路径，调用方负责删除
+ */
+function writeNowPlayingTextFiles(pathPrefix, info) {
+  const textFiles = {};
+  for (const { key } of LINE_STYLES) {
+    if (!info[key]) continue;
+    const filePath = `${pathPrefix}_np_${key}.txt`;
+    fs.writeFileSync(filePath, info[key]);
+    textFiles[key] = filePath;
+  }
+  return textFiles;
+}
+
+// 滤镜参数值的两级转义：先按选项值，再按滤镜图
+function escapeFilterValue(value) {
+  return String(value)
+    .replace(/[\\':]/g, '\\$&')
+    .replace(/[\\'[\],;]/g, '\\$&');
+}
+
+function getFontArg(font) {
+  return font.fontfile ? `fontfile=${escapeFilterValue(font.fontfile)}` : `font=${escapeFilterValue(font.font)}`;
+}
+
+// 每行歌词一个 drawtext，只在 [start, end) 内显示；歌词行数多，文字直接写入滤镜参数而非临时文件
+function buildLyricsFilters(cues, { height, bottom, font }) {
+  const fontArg = getFontArg(font);
+  const textSize = Math.round(height * 0.055);
+  const translationSize = Math.round(height * 0.04);
+  const translationY = bottom - translationSize;
+  const textY = translationY - Math.round(textSize * 1.3);
+
+  const drawLine = (text, size, y, enable) => [
+    `drawtext=${fontArg}`,
+    `text=${escapeFilterValue(text)}`,
+    'expansion=none',
+    `fontsize=${size}`,
+    'fontcolor=white',
+    'borderw=2',
+    'bordercolor=black@0.8',
+    'x=(w-text_w)/2',
+    `y=${y}`,
+    `enable=${escapeFilterValue(enable)}`
+  ].join(':');
+
+  const filters = [];
+  for (const cue of cues) {
+    const enable = `gte(t,${cue.start.toFixed(3)})*lt(t,${cue.end.toFixed(3)})`;
+    filters.push(drawLine(cue.text, textSize, cue.translation ? textY : translationY - Math.round(textSize * 0.3), enable));
+    if (cue.translation) filters.push(drawLine(cue.translation, translationSize, translationY, enable));
+  }
+  return filters;
+}
+
+/**
+ * 生成 -filter_complex：input（默认 [0:v]）先经过 baseFilter（缩放 / 填充，可省略），再叠加文字，输出 [v]。
+ * nowPlaying 为 { textFiles, duration }：底板、各行文字与进度条。进度条为一条与画面等宽的色块，
+ * 随时间从左侧滑入（overlay 的 x 按帧求值），duration 为 0 时省略。
+ * lyrics 为歌词行（mergeLyrics 的结果），显示在底板上方（未开启正在播放信息时靠近画面底部）
+ */
+function buildOverlayFilterGraph({ input = '[0:v]', baseFilter, width, height, fps, nowPlaying, lyrics, font }) {
+  const padding = Math.round(height * 0.04);
+  const panelHeight = nowPlaying ? Math.round(height * 0.24) : 0;
+  const filters = baseFilter ? [baseFilter] : [];
+
+  if (lyrics && lyrics.length) {
+    filters.push(...buildLyricsFilters(lyrics, { height, bottom: height - panelHeight - padding, font }));
+  }
+  if (!nowPlaying) {
+    return `${input}${filters.join(',') || 'null'}[v]`;
+  }
+
+  const { textFiles, duration } = nowPlaying;
+  const barHeight = Math.max(4, Math.round(height / 100));
+  const fontArg = getFontArg(font);
+
+  filters.push(`drawbox=x=0:y=ih-${panelHeight}:w=iw:h=${panelHeight}:color=black@0.55:t=fill`);
+  let y = height - panelHeight + padding;
+  for (const { key, size, color } of LINE_STYLES) {
+    if (!textFiles[key]) continue;
+    const fontSize = Math.round(height * size);
+    filters.push([
+      `drawtext=${fontArg}`,
+      `textfile=${escapeFilterValue(textFiles[key])}`,
+      'expansion=none',
+      `fontsize=${fontSize}`,
+      `fontcolor=${color}`,
+      `x=${padding}`,
+      `y=${y}`
+    ].join(':'));
+    y += Math.round(fontSize * 1.35);
+  }
+
+  if (!(duration > 0)) {
+    return `${input}${filters.join(',')}[v]`;
+  }
+
+  filters.push(`drawbox=x=0:y=ih-${barHeight}:w=iw:h=${barHeight}:color=white@0.25:t=fill`);
+  return [
+    `${input}${filters.join(',')}[np]`,
+    `color=c=white:s=${width}x${barHeight}:r=${fps}[bar]`,
+    `[np][bar]overlay=x=-w+w*t/${duration}:y=H-h:shortest=1[v]`
+  ].join(';');
+}
+
+module.exports = {
+  normalizeNowPlaying,
+  getNowPlayingFont,
+  truncateLine,
+  getNowPlayingInfo,
+  writeNowPlayingTextFiles,
+  escapeFilterValue,
+  buildOverlayFilterGraph
+};
@@ -1,5 +1,21 @@
+/**
+ * 播放 token 格式
+ *   v1（旧）：base64url(JSON {u, p, e[, o]}) + "." + HMAC-SHA256
+ *   v2：     "2~<用户ID>~<歌单ID>~<过期时间>[~<声明>...]" + "." + HMAC-SHA256 前 16 字节
+ * v2 中数字均为 36 进制，声明为 "<键><值>"：
+ *   s 音乐源  m 输出模式  q 音质  j 令牌ID（用于撤销）
+ *   c 分片封装（fmp4）  d 交叉淡化秒数  p 叠加正在播放信息  y 叠加歌词  v 多码率档位
+ *   x 随机种子  f 偏移  l 数量  r 倒序  n 循环次数  k 跳过不可播放
+ * 字符全部为 URL 安全字符，比 v1 短一半以上（VRChat 的 URL 输入框有长度限制）。
+ * 两种格式均可校验，新签发的 token 一律为 v2。
+ */
 const crypto = require('crypto');
 const { getKey } = require('./crypto');
+const { isVirtualPlaylistId } = require('./virtual-playlist');
+const { toTokenOptions, fromTokenOptions } = require('./playlist-options');
+const { HLS_MODES } = require('./hls-mode');
+const { isFmp4Format, normalizeSegmentFormat } = require('./hls-container');
+const { MAX_CROSSFADE_SECONDS, normalizeCrossfade } = require('./hls-crossfade');
 
 const LEGACY_TOKEN_RE = /^[a-f0-9]{32}$/i;
 const MAX_PLAYBACK_TOKEN_TTL_SECONDS = 48 * 60 * 60;
@@ -12,6 +28,32 @@ function getPlaybackTokenTtlSeconds() {
   return raw;
 }
 
+// 歌单 ID 为纯数字，或虚拟歌单 ID（song-/album-/artist-/daily-）
+function isValidTokenPlaylistId(pid) {
+  return /^\d+$/.test(pid) || isVirtualPlaylistId(pid);
+}
+
+const TOKEN_V2_PREFIX = '2~';
+const TOKEN_V2_SIG_BYTES = 16;
+
+const CLAIM_VALUE_RE = /^[a-z0-9_]{1,32}$/;
+const TOKEN_ID_RE = /^[0-9a-z]{4,16}$/;
+const QUALITY_CLAIMS = ['low', 'medium', 'high', 'lossless'];
+const MODE_CLAIMS = HLS_MODES;
+
+// v2 声明键 → 播放选项紧凑形式（见 playlist-options.js）的键；flag 表示无值
+const OPTION_CLAIM_KEYS = {
+  x: { key: 's' },
+  f: { key: 'f' },
+  l: { key: 'l' },
+  r: { key: 'r', flag: true },
+  n: { key: 'n' },
+  k: { key: 'k', flag: true }
+};
+const OPTION_KEY_TO_CLAIM = Object.fromEntries(
+  Object.entries(OPTION_CLAIM_KEYS).map(([claim, def]) => [def.key, claim])
+);
+
 function toBase64Url(input) {
   return Buffer.from(input).toString('base64url');
 }
@@ -20,18 +62,162 @@ function fromBase64Url(input) {
   return Buffer.from(String(input), 'base64url').toString('utf8');
 }
 
-function signPayload(payloadB64) {
-  return crypto.createHmac('sha256', getKey()).update(payloadB64).digest('base64url');
+function signPayload(payload) {
+  return crypto.createHmac('sha256', getKey()).update(payload).digest('base64url');
+}
+
+function signPayloadV2(payload) {
+  return crypto.createHmac('sha256', getKey()).update(payload).digest().subarray(0, TOKEN_V2_SIG_BYTES).toString('base64url');
+}
+
+// 令牌 ID（jti）：48 位随机数的 36 进制，约 10 个字符
+function generateTokenId() {
+  return crypto.randomInt(0, 2 ** 48 - 1).toString(36).padStart(4, '0');
+}
+
+function isValidTokenId(value) {
+  return TOKEN_ID_RE.test(String(value || ''));
+}
+
+function normalizeClaim(value, allowed, label) {
+  if (value == null || value === '') return null;
+  const str = String(value).trim().toLowerCase();
+  if (!CLAIM_VALUE_RE.test(str) || (allowed && !allowed.includes(str))) {
+    throw new Error(`Invalid ${label}`);
+  }
+  return str;
+}
+
+function isValidQualityClaim(value) {
+  return QUALITY_CLAIMS.includes(String(value || ''));
 }
 
-function createPlaybackToken({ userId, playlistId, ttlSeconds, nowMs }) {
+function isValidModeClaim(value) {
+  return MODE_CLAIMS.includes(String(value || ''));
+}
+
+function encodeV2Payload({ uid, pid, exp, source, mode, quality, jti, options, format, crossfade, nowPlaying, lyrics, rendition }) {
+  const fields = ['2', uid.toString(36), pid, exp.toString(36)];
+  if (source) fields.push(`s${source}`);
+  if (mode) fields.push(`m${mode}`);
+  if (quality) fields.push(`q${quality}`);
+  if (jti) fields.push(`j${jti}`);
+  if (isFmp4Format(format)) fields.push(`c${format}`);
+  if (crossfade) fields.push(`d${crossfade.toString(36)}`);
+  if (nowPlaying) fields.push('p');
+  if (lyrics) fields.push('y');
+  if (rendition) fields.push(`v${rendition}`);
+
+  const compact = toTokenOptions(options);
+  if (compact) {
+    for (const [key, value] of Object.entries(compact)) {
+      const claim = OPTION_KEY_TO_CLAIM[key];
+      fields.push(OPTION_CLAIM_KEYS[claim].flag ? claim : `${claim}${Number(value).toString(36)}`);
+    }
+  }
+  return fields.join('~');
+}
+
+function decodeV2Payload(payload) {
+  const fields = payload.split('~');
+  if (fields.length < 4 || fields[0] !== '2') return null;
+
+  const [, uid36, pid, exp36, ...claims] = fields;
+  if (!/^[0-9a-z]{1,12}$/.test(uid36) || !/^[0-9a-z]{1,12}$/.test(exp36)) return null;
+
+  const out = {
+    u: parseInt(uid36, 36),
+    p: pid,
+    e: parseInt(exp36, 36),
+    source: null,
+    mode: null,
+    quality: null,
+    jti: null,
+    o: null,
+    format: null,
+    crossfade: 0,
+    nowPlaying: false,
+    lyrics: false,
+    rendition: null
+  };
+
+  for (const claim of claims) {
+    const key = claim.charAt(0);
+    const value = claim.slice(1);
+    if (key === 's' || key === 'm' || key === 'q') {
+      if (!CLAIM_VALUE_RE.test(value)) return null;
+      out[{ s: 'source', m: 'mode', q: 'quality' }[key]] = value;
+      continue;
+    }
+    if (key === 'j') {
+      if (!isValidTokenId(value)) return null;
+      out.jti = value;
+      continue;
+    }
+    if (key === 'c') {
+      if (!isFmp4Format(value)) return null;
+      out.format = value;
+      continue;
+    }
+    if (key === 'v') {
+      if (!CLAIM_VALUE_RE.test(value)) return null;
+      out.rendition = value;
+      continue;
+    }
+    if (key === 'd') {
+      const crossfade = /^[0-9a-z]{1,2}$/.test(value) ? normalizeCrossfade(parseInt(value, 36)) : 0;
+      if (!crossfade) return null;
+      out.crossfade = crossfade;
+      continue;
+    }
+    if (key === 'p' || key === 'y') {
+      if (value) return null;
+      out[key === 'p' ? 'nowPlaying' : 'lyrics'] = true;
+      continue;
+    }
+
+    const def = OPTION_CLAIM_KEYS[key];
+    if (!def) return null;
+    out.o = out.o || {};
+    if (def.flag) {
+      if (value) return null;
+      out.o[def.key] = 1;
+    } else {
+      if (!/^[0-9a-z]{1,8}$/.test(value)) return null;
+      out.o[def.key] = parseInt(value, 36);
+    }
+  }
+  return out;
+}
+
+// 输出相关声明：分片封装、交叉淡化、画面叠加与多码率档位，每种组合都是一份独立的转码缓存，
+// 只能由签发方写入 token，播放请求的查询参数不能覆盖
+function normalizeOutputClaims({ format, crossfade, nowPlaying, lyrics, rendition }) {
+  const formatValue = String(format == null ? '' : format).trim().toLowerCase();
+  if (formatValue && !['ts', 'fmp4', 'cmaf'].includes(formatValue)) {
+    throw new Error('Invalid format');
+  }
+  const fade = crossfade == null || crossfade === '' || Number(crossfade) === 0 ? 0 : normalizeCrossfade(crossfade);
+  if (crossfade && !fade) {
+    throw new Error(`Invalid crossfade (1~${MAX_CROSSFADE_SECONDS})`);
+  }
+  return {
+    format: isFmp4Format(normalizeSegmentFormat(formatValue)) ? 'fmp4' : null,
+    crossfade: fade,
+    nowPlaying: !!nowPlaying,
+    lyrics: !!lyrics,
+    rendition: normalizeClaim(rendition, null, 'rendition')
+  };
+}
+
+function createPlaybackToken({ userId, playlistId, ttlSeconds, nowMs, options, source, mode, quality, jti, format, crossfade, nowPlaying, lyrics, rendition }) {
   const uid = Number(userId);
   if (!Number.isInteger(uid) || uid <= 0) {
     throw new Error('Invalid userId');
   }
 
   const pid = String(playlistId || '').trim();
-  if (!pid || !/^\d+$/.test(pid)) {
+  if (!pid || !isValidTokenPlaylistId(pid)) {
     throw new Error('Invalid playlistId');
   }
 
@@ -41,53 +227,82 @@ function createPlaybackToken({ userId, playlistId, ttlSeconds, nowMs }) {
   const minTtl = hasCustomTtl ? 1 : 30;
   const safeTtl = Math.max(minTtl, Math.min(MAX_PLAYBACK_TOKEN_TTL_SECONDS, ttl));
 
-  const payload = {
-    u: uid,
-    p: pid,
-    e: Math.floor(now / 1000) + safeTtl
-  };
+  if (jti != null && !isValidTokenId(jti)) {
+    throw new Error('Invalid jti');
+  }
 
-  const payloadB64 = toBase64Url(JSON.stringify(payload));
-  const signatureB64 = signPayload(payloadB64);
-  return `${payloadB64}.${signatureB64}`;
+  // 音乐源、输出模式、音质、输出选项与播放选项随 token 一起签名，客户端无法篡改，播放器丢弃查询参数也不受影响
+  const payload = encodeV2Payload({
+    uid,
+    pid,
+    exp: Math.floor(now / 1000) + safeTtl,
+    source: normalizeClaim(source, null, 'source'),
+    mode: normalizeClaim(mode, MODE_CLAIMS, 'mode'),
+    quality: normalizeClaim(quality, QUALITY_CLAIMS, 'quality'),
+    jti: jti || null,
+    options,
+    ...normalizeOutputClaims({ format, crossfade, nowPlaying, lyrics, rendition })
+  });
+  return `${payload}.${signPayloadV2(payload)}`;
 }
 
 function isLegacyToken(token) {
   return LEGACY_TOKEN_RE.test(String(token || ''));
 }
 
-function verifyPlaybackToken(token, { playlistId, nowMs } = {}) {
-  const raw = String(token || '').trim();
-  if (!raw || raw.length > 1024) {
-    return { ok: false, reason: 'bad-token' };
-  }
+function safeEqual(a, b) {
+  const provided = Buffer.from(String(a));
+  const expected = Buffer.from(String(b));
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
 
+function readTokenPayload(raw) {
   const parts = raw.split('.');
   if (parts.length !== 2 || !parts[0] || !parts[1]) {
-    return { ok: false, reason: 'bad-format' };
+    return { error: 'bad-format' };
   }
 
-  const [payloadB64, sigB64] = parts;
+  const [payloadPart, sigPart] = parts;
+  const isV2 = payloadPart.startsWith(TOKEN_V2_PREFIX);
 
   let expectedSig;
   try {
-    expectedSig = signPayload(payloadB64);
+    expectedSig = isV2 ? signPayloadV2(payloadPart) : signPayload(payloadPart);
   } catch (_) {
-    return { ok: false, reason: 'sign-failed' };
+    return { error: 'sign-failed' };
+  }
+  if (!safeEqual(sigPart, expectedSig)) {
+    return { error: 'bad-signature' };
   }
 
-  const provided = Buffer.from(sigB64);
-  const expected = Buffer.from(expectedSig);
-  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
-    return { ok: false, reason: 'bad-signature' };
+  if (isV2) {
+    const payload = decodeV2Payload(payloadPart);
+    return payload ? { version: 2, payload } : { error: 'bad-payload' };
   }
 
-  let payload;
   try {
-    payload = JSON.parse(fromBase64Url(payloadB64));
+    const payload = JSON.parse(fromBase64Url(payloadPart));
+    return {
+      version: 1,
+      payload: { ...payload, source: null, mode: null, quality: null, jti: null, format: null, crossfade: 0, nowPlaying: false, lyrics: false, rendition: null }
+    };
   } catch (_) {
-    return { ok: false, reason: 'bad-payload' };
+    return { error: 'bad-payload' };
   }
+}
+
+// allowExpired：仅校验签名与格式，返回结果附带 expired（短链续签 token 时使用）
+function verifyPlaybackToken(token, { playlistId, nowMs, allowExpired = false } = {}) {
+  const raw = String(token || '').trim();
+  if (!raw || raw.length > 1024) {
+    return { ok: false, reason: 'bad-token' };
+  }
+
+  const read = readTokenPayload(raw);
+  if (read.error) {
+    return { ok: false, reason: read.error };
+  }
+  const { version, payload } = read;
 
   const uid = Number(payload && payload.u);
   const pid = String(payload && payload.p ? payload.p : '');
@@ -96,15 +311,26 @@ function verifyPlaybackToken(token, { playlistId, nowMs } = {}) {
   if (!Number.isInteger(uid) || uid <= 0) {
     return { ok: false, reason: 'bad-user' };
   }
-  if (!pid || !/^\d+$/.test(pid)) {
+  if (!pid || !isValidTokenPlaylistId(pid)) {
     return { ok: false, reason: 'bad-playlist' };
   }
   if (!Number.isFinite(exp) || exp <= 0) {
     return { ok: false, reason: 'bad-expiry' };
   }
+  if ((payload.mode && !isValidModeClaim(payload.mode)) || (payload.quality && !isValidQualityClaim(payload.quality))) {
+    return { ok: false, reason: 'bad-claims' };
+  }
+
+  let options;
+  try {
+    options = fromTokenOptions(payload.o);
+  } catch (_) {
+    return { ok: false, reason: 'bad-options' };
+  }
 
   const nowSec = Math.floor((Number.isFinite(nowMs) ? nowMs : Date.now()) / 1000);
-  if (exp <= nowSec) {
+  const expired = exp <= nowSec;
+  if (expired && !allowExpired) {
     return { ok: false, reason: 'expired' };
   }
 
@@ -115,15 +341,66 @@ function verifyPlaybackToken(token, { playlistId, nowMs } = {}) {
 
   return {
     ok: true,
+    version,
     userId: uid,
     playlistId: pid,
-    expiresAt: exp
+    expiresAt: exp,
+    ...(allowExpired ? { expired } : {}),
+    source: payload.source,
+    mode: payload.mode,
+    quality: payload.quality,
+    jti: payload.jti,
+    format: payload.format,
+    crossfade: payload.crossfade,
+    nowPlaying: payload.nowPlaying,
+    lyrics: payload.lyrics,
+    rendition: payload.rendition,
+    options
   };
 }
 
+// 在签名有效的 v2 token 上修改部分声明后重新签名，其余声明原样保留：
+// rendition 为多码率档位（master.m3u8 / DASH 为每个档位签发），expiresAt（秒）为新的过期时间，未指定时沿用原值。
+// 不校验是否过期，调用方需先用 verifyPlaybackToken 校验；旧格式 token 或签名无效时返回 null
+function derivePlaybackToken(token, { rendition, expiresAt } = {}) {
+  const raw = String(token || '').trim();
+  if (!raw.startsWith(TOKEN_V2_PREFIX) || raw.length > 1024) return null;
+  const read = readTokenPayload(raw);
+  if (read.error) return null;
+  const { payload } = read;
+
+  let options;
+  try {
+    options = fromTokenOptions(payload.o);
+  } catch (_) {
+    return null;
+  }
+  const derived = encodeV2Payload({
+    uid: payload.u,
+    pid: payload.p,
+    exp: Number.isFinite(expiresAt) ? Math.floor(expiresAt) : payload.e,
+    source: payload.source,
+    mode: payload.mode,
+    quality: payload.quality,
+    jti: payload.jti,
+    options,
+    format: payload.format,
+    crossfade: payload.crossfade,
+    nowPlaying: payload.nowPlaying,
+    lyrics: payload.lyrics,
+    rendition: rendition === undefined ? payload.rendition : normalizeClaim(rendition, null, 'rendition')
+  });
+  return `${derived}.${signPayloadV2(derived)}`;
+}
+
 module.exports = {
+  QUALITY_CLAIMS,
+  MODE_CLAIMS,
   createPlaybackToken,
   verifyPlaybackToken,
+  derivePlaybackToken,
+  generateTokenId,
+  isValidTokenId,
   isLegacyToken,
   getPlaybackTokenTtlSeconds
 };
@@ -0,0 +1,163 @@
+/**
+ * 播放选项：随机（带种子）、截取（offset / limit）、倒序、循环次数、跳过不可播放歌曲
+ * 由 /playlist/url 根据查询参数生成并写入签名 token，lite / HLS / 预加载按同一规则排列曲目，
+ * 同一个 token 在任何客户端上得到的顺序都相同。
+ *
+ * token 中的紧凑形式：{ s: 种子, f: 偏移, l: 数量, r: 1 倒序, n: 循环次数, k: 1 跳过不可播放 }
+ */
+
+const MAX_SEED = 0xffffffff;
+const MAX_OFFSET = 100000;
+const MAX_LIMIT = 1000;
+const MAX_LOOP = 10;
+
+const DEFAULT_OPTIONS = Object.freeze({
+  seed: null,
+  offset: 0,
+  limit: 0,
+  reverse: false,
+  loop: 1,
+  skipUnavailable: false
+});
+
+// 查询参数中的开关：1 / true / yes / on
+function isTruthyFlag(value) {
+  const str = String(value == null ? '' : value).trim().toLowerCase();
+  return str === '1' || str === 'true' || str === 'yes' || str === 'on';
+}
+
+function parseIntInRange(value, min, max, label) {
+  const str = String(value).trim();
+  const n = /^\d+$/.test(str) ? Number(str) : NaN;
+  if (!Number.isSafeInteger(n) || n < min || n > max) {
+    throw new Error(`无效的${label}`);
+  }
+  return n;
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * MAX_SEED) + 1;
+}
+
+// 解析 /playlist/url 的查询参数；shuffle=1 未指定 seed 时随机生成一个，保证同一链接顺序固定
+function parsePlaylistOptionsQuery(query = {}) {
+  const options = { ...DEFAULT_OPTIONS };
+
+  if (hasValue(query.seed)) {
+    options.seed = parseIntInRange(query.seed, 1, MAX_SEED, '随机种子');
+  } else if (isTruthyFlag(query.shuffle)) {
+    options.seed = randomSeed();
+  }
+  if (hasValue(query.offset)) options.offset = parseIntInRange(query.offset, 0, MAX_OFFSET, '起始位置');
+  if (hasValue(query.limit)) options.limit = parseIntInRange(query.limit, 1, MAX_LIMIT, '歌曲数量');
+  if (hasValue(query.loop)) options.loop = parseIntInRange(query.loop, 1, MAX_LOOP, '循环次数');
+  options.reverse = isTruthyFlag(query.reverse);
+  options.skipUnavailable = isTruthyFlag(query.skip_unavailable);
+
+  return options;
+}
+
+function isDefaultOptions(options) {
+  return Object.keys(DEFAULT_OPTIONS).every((key) => options[key] === DEFAULT_OPTIONS[key]);
+}
+
+// 转为 token 中的紧凑形式；全部为默认值时返回 null（不写入 token）
+function toTokenOptions(options) {
+  if (!options || isDefaultOptions({ ...DEFAULT_OPTIONS, ...options })) return null;
+
+  const out = {};
+  if (options.seed) out.s = options.seed;
+  if (options.offset) out.f = options.offset;
+  if (options.limit) out.l = options.limit;
+  if (options.reverse) out.r = 1;
+  if (options.loop > 1) out.n = options.loop;
+  if (options.skipUnavailable) out.k = 1;
+  return out;
+}
+
+// 从 token 中还原；格式不合法时抛出异常
+function fromTokenOptions(raw) {
+  if (raw == null) return { ...DEFAULT_OPTIONS };
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Invalid options');
+  }
+
+  const check = (value, min, max) => {
+    if (!Number.isSafeInteger(value) || value < min || value > max) {
+      throw new Error('Invalid options');
+    }
+    return value;
+  };
+
+  return {
+    seed: raw.s == null ? null : check(raw.s, 1, MAX_SEED),
+    offset: raw.f == null ? 0 : check(raw.f, 0, MAX_OFFSET),
+    limit: raw.l == null ? 0 : check(raw.l, 1, MAX_LIMIT),
+    reverse: raw.r === 1,
+    loop: raw.n == null ? 1 : check(raw.n, 1, MAX_LOOP),
+    skipUnavailable: raw.k === 1
+  };
+}
+
+// mulberry32：种子相同则序列相同，与运行环境无关
+function createSeededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function seededShuffle(list, seed) {
+  const out = list.slice();
+  const random = createSeededRandom(seed);
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// 曲目的 available === false 表示上游标记为无版权 / 需要 VIP
+function isTrackAvailable(track) {
+  return !(track && track.available === false);
+}
+
+// 顺序：跳过不可播放 → 倒序 → 随机 → 截取 → 循环
+function applyPlaylistOptions(tracks, options) {
+  const opts = { ...DEFAULT_OPTIONS, ...(options || {}) };
+  let list = Array.isArray(tracks) ? tracks.slice() : [];
+
+  if (opts.skipUnavailable) list = list.filter(isTrackAvailable);
+  if (opts.reverse) list.reverse();
+  if (opts.seed) list = seededShuffle(list, opts.seed);
+  if (opts.offset || opts.limit) {
+    list = list.slice(opts.offset, opts.limit ? opts.offset + opts.limit : undefined);
+  }
+  if (opts.loop > 1 && list.length > 0) {
+    const once = list;
+    list = [];
+    for (let i = 0; i < opts.loop; i++) list.push(...once);
+  }
+
+  return list;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  MAX_LOOP,
+  isTruthyFlag,
+  parsePlaylistOptionsQuery,
+  toTokenOptions,
+  fromTokenOptions,
+  seededShuffle,
+  isTrackAvailable,
+  applyPlaylistOptions
+};
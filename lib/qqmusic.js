@@ -86,6 +86,20 @@ function getCoverUrl(album) {
   return '';
 }
 
+// 歌曲列表不含账号权限信息，只能按 pay 标记识别需要付费/VIP 的歌曲；未知时返回 null
+function isQQTrackFree(t) {
+  const pay = t?.pay;
+  if (!pay || typeof pay !== 'object') return null;
+  const payPlay = Number(pay.payplay ?? pay.pay_play ?? 0);
+  return payPlay !== 1;
+}
+
+function withAvailability(track, raw) {
+  const free = isQQTrackFree(raw);
+  if (free !== null) track.available = free;
+  return track;
+}
+
 function getSetCookieList(headers) {
   if (!headers || typeof headers.getSetCookie !== 'function') return [];
   return headers.getSetCookie();
@@ -543,7 +557,7 @@ async function getPlaylistDetail(disstid, cookie = '') {
   }
 
   const cd = data.cdlist[0];
-  const tracks = (cd.songlist || []).map(t => ({
+  const tracks = (cd.songlist || []).map(t => withAvailability({
     id: String(t.songmid || t.mid || t.songid),
     songId: t.songid,
     name: t.songname || t.name || '',
@@ -552,7 +566,7 @@ async function getPlaylistDetail(disstid, cookie = '') {
     cover: getCoverUrl(t.album || { mid: t.albummid }),
     mid: t.songmid || t.mid || '',
     mediaMid: t.strMediaMid || t.songmid || t.mid || '',
-  }));
+  }, t));
 
   return {
     id: String(disstid),
@@ -563,6 +577,110 @@ async function getPlaylistDetail(disstid, cookie = '') {
   };
 }
 
+// ─── 歌曲详情 ─────────────────────────────────────────────
+
+async function getSongDetail(songMid, cookie = '') {
+  const result = await musicuRequest({
+    songinfo: {
+      module: 'music.pf_song_detail_svr',
+      method: 'get_song_detail_yqq',
+      param: { song_type: 0, song_mid: String(songMid) },
+    },
+  }, cookie);
+
+  const t = result?.songinfo?.data?.track_info;
+  if (!t || !t.mid) {
+    throw new Error(pickQQApiMessage(result?.songinfo) || 'QQ音乐歌曲不存在');
+  }
+
+  return toTrackFromSongInfo(t);
+}
+
+// musicu 接口返回的 songInfo / track_info 结构
+function toTrackFromSongInfo(t) {
+  return withAvailability({
+    id: String(t.mid),
+    songId: t.id,
+    name: t.name || t.title || '',
+    artist: getArtists(t.singer),
+    duration: getDurationSeconds(t.interval || 0),
+    cover: getCoverUrl(t.album),
+    mid: t.mid,
+    mediaMid: t.file?.media_mid || t.mid,
+  }, t);
+}
+
+function pickSongInfoList(songList) {
+  return (Array.isArray(songList) ? songList : [])
+    .map(item => item?.songInfo || item)
+    .filter(t => t && t.mid)
+    .map(toTrackFromSongInfo);
+}
+
+// ─── 专辑 / 歌手热门 ─────────────────────────────────────────
+
+const QQ_ALBUM_SONG_LIMIT = 500;
+const QQ_ARTIST_TOP_LIMIT = 50;
+
+async function getAlbumDetail(albumMid, cookie = '') {
+  const result = await musicuRequest({
+    info: {
+      module: 'music.musichallAlbum.AlbumInfoServer',
+      method: 'GetAlbumDetail',
+      param: { albumMid: String(albumMid) },
+    },
+    songs: {
+      module: 'music.musichallAlbum.AlbumSongList',
+      method: 'GetAlbumSongList',
+      param: { albumMid: String(albumMid), begin: 0, num: QQ_ALBUM_SONG_LIMIT, order: 2 },
+    },
+  }, cookie);
+
+  const basic = result?.info?.data?.basicInfo;
+  const songList = result?.songs?.data?.songList;
+  if (!basic || !Array.isArray(songList)) {
+    throw new Error(pickQQApiMessage(result?.info) || pickQQApiMessage(result?.songs) || 'QQ音乐专辑不存在');
+  }
+
+  const tracks = pickSongInfoList(songList);
+  const artist = getArtists(result?.info?.data?.singer?.singerList);
+  const name = basic.albumName || String(albumMid);
+
+  return {
+    id: String(albumMid),
+    name: artist ? `${artist} - ${name}` : name,
+    cover: getCoverUrl({ mid: basic.albumMid || albumMid }),
+    songCount: result?.songs?.data?.totalNum || tracks.length,
+    tracks,
+  };
+}
+
+async function getArtistTopTracks(singerMid, cookie = '') {
+  const result = await musicuRequest({
+    songs: {
+      module: 'musichall.song_list_server',
+      method: 'GetSingerSongList',
+      param: { singerMid: String(singerMid), begin: 0, num: QQ_ARTIST_TOP_LIMIT, order: 1 },
+    },
+  }, cookie);
+
+  const data = result?.songs?.data;
+  if (!data || !Array.isArray(data.songList)) {
+    throw new Error(pickQQApiMessage(result?.songs) || 'QQ音乐歌手不存在');
+  }
+
+  const tracks = pickSongInfoList(data.songList);
+  const singer = data.singerInfo || {};
+
+  return {
+    id: String(singerMid),
+    name: `${singer.name || String(singerMid)} 热门歌曲`,
+    cover: `https://y.gtimg.cn/music/photo_new/T001R300x300M000${String(singerMid)}.jpg`,
+    songCount: tracks.length,
+    tracks,
+  };
+}
+
 // ─── 歌曲 URL ─────────────────────────────────────────────
 
 const QQ_QUALITY_MAP = {
@@ -572,11 +690,11 @@ const QQ_QUALITY_MAP = {
   lossless: { s: 'F000', e: '.flac' },
 };
 
-async function getSongUrl(songMid, cookie = '') {
+async function getSongUrl(songMid, cookie = '', qualityName) {
   const uin = extractUin(cookie) || '0';
   const musicKey = extractMusicKey(cookie);
 
-  const envQuality = (process.env.MUSIC_QUALITY || '').toLowerCase().trim();
+  const envQuality = (qualityName || process.env.MUSIC_QUALITY || '').toLowerCase().trim();
   const quality = QQ_QUALITY_MAP[envQuality] || QQ_QUALITY_MAP.low;
 
   const mediaMid = songMid;
@@ -657,6 +775,33 @@ async function getSongUrl(songMid, cookie = '') {
   return `${domain}${purl}`;
 }
 
+// ─── 歌词 ─────────────────────────────────────────────────
+
+function decodeBase64Text(value) {
+  return value ? Buffer.from(String(value), 'base64').toString('utf8') : '';
+}
+
+// 原文与翻译歌词（LRC），接口以 base64 返回
+async function getLyrics(songMid, cookie = '') {
+  const result = await musicuRequest({
+    lyric: {
+      module: 'music.musichallSong.PlayLyricInfo',
+      method: 'GetPlayLyricInfo',
+      param: { songMID: String(songMid), songID: 0 },
+    },
+  }, cookie);
+
+  const data = result?.lyric?.data;
+  if (!data) {
+    throw new Error(pickQQApiMessage(result?.lyric) || '获取QQ音乐歌词失败');
+  }
+
+  return {
+    lrc: decodeBase64Text(data.lyric),
+    tlrc: decodeBase64Text(data.trans),
+  };
+}
+
 // ─── 导出 ─────────────────────────────────────────────────
 
 module.exports = {
@@ -665,7 +810,11 @@ module.exports = {
   checkLoginStatus,
   getUserPlaylists,
   getPlaylistDetail,
+  getSongDetail,
+  getAlbumDetail,
+  getArtistTopTracks,
   getSongUrl,
+  getLyrics,
   extractUin,
   extractUinFromRedirectUrl,
   extractMusicKey,
@@ -0,0 +1,60 @@
+/**
+ * 短链
+ * 播放 token 让链接长达上百字符，在 VRChat 等游戏内输入框中很难手动输入。
+ * 短链 /s/<code> 保存 token 与链接类型，访问时重定向到对应的 lite / HLS / MP4 / DASH 地址。
+ */
+
+const crypto = require('crypto');
+
+const SHORT_LINK_TYPES = ['lite', 'hls', 'mp4', 'dash', 'live'];
+const SHORT_CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SHORT_CODE_LENGTH = 7;
+const SHORT_CODE_RE = /^[A-Za-z0-9]{4,16}$/;
+const MAX_EXPIRES_HOURS = 24 * 365;
+
+// 去掉易混淆字符（0/O、1/l/I），方便手动输入
+function generateShortCode(length = SHORT_CODE_LENGTH) {
+  const bytes = crypto.randomBytes(length);
+  let out = '';
+  for (let i = 0; i < length; i++) {
+    out += SHORT_CODE_ALPHABET[bytes[i] % SHORT_CODE_ALPHABET.length];
+  }
+  return out;
+}
+
+function isValidShortCode(code) {
+  return SHORT_CODE_RE.test(String(code || ''));
+}
+
+function isValidShortLinkType(type) {
+  return SHORT_LINK_TYPES.includes(String(type || ''));
+}
+
+// 有效期（小时）：空值表示永久；非法值返回 NaN
+function parseExpiresInHours(value) {
+  if (value === undefined || value === null || String(value).trim() === '' || Number(value) === 0) return null;
+  const hours = Number(value);
+  if (!Number.isInteger(hours) || hours < 0 || hours > MAX_EXPIRES_HOURS) return NaN;
+  return hours;
+}
+
+// 与 /playlist/url 生成的地址一致（apiBase 为音乐源的路由前缀）
+function buildPlaybackPath({ apiBase, type, token, playlistId, songId }) {
+  const t = encodeURIComponent(token);
+  const pid = encodeURIComponent(playlistId);
+  if (type === 'lite') return `${apiBase}/playlist/m3u8/${t}/${pid}/stream.m3u8`;
+  if (type === 'hls') return `${apiBase}/hls/${t}/${pid}/master.m3u8`;
+  if (type === 'dash') return `${apiBase}/hls/${t}/${pid}/manifest.mpd`;
+  if (type === 'live') return `${apiBase}/hls/${t}/${pid}/live.m3u8`;
+  if (type === 'mp4') return `${apiBase}/mp4/${t}/${pid}/${encodeURIComponent(songId)}.mp4`;
+  throw new Error(`Invalid link type: ${type}`);
+}
+
+module.exports = {
+  SHORT_LINK_TYPES,
+  generateShortCode,
+  isValidShortCode,
+  isValidShortLinkType,
+  parseExpiresInHours,
+  buildPlaybackPath
+};
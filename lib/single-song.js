@@ -0,0 +1,40 @@
+/**
+ * 单曲播放链接
+ * 使用虚拟歌单 ID "song-<歌曲ID>"（见 virtual-playlist.js）复用按歌单组织的播放路由（lite / HLS / MP4）
+ * 与签名 token，该 token 只能播放这一首歌。
+ */
+
+const { parseVirtualPlaylistId, toVirtualPlaylistId } = require('./virtual-playlist');
+
+const SINGLE_SONG_PREFIX = 'song-';
+
+function getSingleSongId(playlistId) {
+  const parsed = parseVirtualPlaylistId(playlistId);
+  return parsed && parsed.kind === 'song' ? parsed.id : null;
+}
+
+function isSingleSongPlaylistId(playlistId) {
+  return getSingleSongId(playlistId) !== null;
+}
+
+function toSingleSongPlaylistId(songId) {
+  try {
+    return toVirtualPlaylistId('song', songId);
+  } catch (_) {
+    throw new Error('Invalid songId');
+  }
+}
+
+// 单曲 token 只允许访问对应歌曲；普通歌单不做限制
+function isSongInScope(playlistId, songId) {
+  const scoped = getSingleSongId(playlistId);
+  return !scoped || scoped === String(songId || '');
+}
+
+module.exports = {
+  SINGLE_SONG_PREFIX,
+  isSingleSongPlaylistId,
+  getSingleSongId,
+  toSingleSongPlaylistId,
+  isSongInScope
+};
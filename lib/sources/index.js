@@ -0,0 +1,255 @@
+/**
+ * 音乐源注册表
+ * 每个音乐源以 adapter 形式注册，路由层（playlist / song / hls / mp4）只通过 adapter 访问上游，
+ * 新增音乐源时只需在此注册，无需改动各路由文件。
+ *
+ * adapter 必须提供：
+ *   name                         源名称（同时作为 /api/:source 路由前缀）
+ *   userStore                    { getByToken, getById }（与 better-sqlite3 prepared statement 同形）
+ *   auth                         登录校验中间件
+ *   getPlaylistDetail(id, cookie)
+ *   getSongUrl(songId, cookie, { quality })  quality 为 token 中声明的音质（low/medium/high/lossless），未声明时按环境变量
+ *   getUserPlaylists(user, cookie)
+ *   isValidPlaylistId(id) / isValidSongId(id)
+ *   getSongIdForTrack(track)
+ * 可选（未提供时使用默认实现）：
+ *   label / apiBase / login / getRequestUser / parsePlaylistId
+ *   getPlaylistCacheKey / toPlayLogPlaylistId / toPlayLogSongId
+ *   getSongDetail(songId, cookie)  单曲链接的歌名/歌手/时长/封面，未提供时以歌曲 ID 作为标题
+ *   getAlbumDetail(albumId, cookie) / getArtistTopTracks(artistId, cookie) / getDailyRecommend(cookie)
+ *                                  专辑 / 歌手热门 / 每日推荐，返回与 getPlaylistDetail 相同结构
+ *   getLyrics(songId, cookie)      { lrc, tlrc } 原文与翻译歌词（LRC 文本），未提供时该源没有歌词（见 lib/lyrics.js）
+ *
+ * 注册后的 isValidPlaylistId / getPlaylistDetail / getPlaylistCacheKey 同时接受虚拟歌单 ID
+ * （song- / album- / artist- / daily-，见 lib/virtual-playlist.js），未实现对应方法的类型视为无效。
+ */
+
+const { verifyPlaybackToken, isLegacyToken } = require('../playback-token');
+const { toSingleSongPlaylistId } = require('../single-song');
+const { parseVirtualPlaylistId, toVirtualCacheId } = require('../virtual-playlist');
+const { DEFAULT_OPTIONS } = require('../playlist-options');
+const { playbackTokenOps } = require('../db');
+
+const REQUIRED_FIELDS = [
+  'getPlaylistDetail',
+  'getSongUrl',
+  'getUserPlaylists',
+  'isValidPlaylistId',
+  'isValidSongId',
+  'getSongIdForTrack',
+  'auth'
+];
+
+// 虚拟歌单类型对应的 adapter 方法（song 由注册表统一处理）
+const VIRTUAL_LOADERS = {
+  album: 'getAlbumDetail',
+  artist: 'getArtistTopTracks',
+  daily: 'getDailyRecommend'
+};
+
+const SOURCE_NAME_RE = /^[a-z][a-z0-9_-]{0,31}$/;
+
+// 不携带输出声明的 token（旧版 32 位 token、v1 token）：TS 分片、硬切、无画面叠加、默认档位
+const DEFAULT_OUTPUT = Object.freeze({ format: null, crossfade: 0, nowPlaying: false, lyrics: false, rendition: null });
+
+const sources = new Map();
+
+function defaultParsePlaylistId(input) {
+  if (!input) return null;
+  const str = String(input).trim();
+  if (!str) return null;
+  if (/^\d+$/.test(str)) return str;
+
+  const m = str.match(/(?:\?|&)id=(\d{1,20})/);
+  return m ? m[1] : null;
+}
+
+function defineSource(def) {
+  if (!def || typeof def !== 'object') {
+    throw new Error('Invalid source definition');
+  }
+
+  const name = String(def.name || '').trim();
+  if (!SOURCE_NAME_RE.test(name)) {
+    throw new Error(`Invalid source name: ${name}`);
+  }
+
+  for (const field of REQUIRED_FIELDS) {
+    if (typeof def[field] !== 'function') {
+      throw new Error(`Source ${name} is missing ${field}()`);
+    }
+  }
+  if (!def.userStore || !def.userStore.getByToken || !def.userStore.getById) {
+    throw new Error(`Source ${name} is missing userStore`);
+  }
+
+  const scoped = (id) => `${name}:${String(id)}`;
+
+  const source = {
+    label: name,
+    apiBase: `/api/${name}`,
+    login: { flows: [] },
+    getRequestUser: (req) => req.user,
+    parsePlaylistId: defaultParsePlaylistId,
+    getPlaylistCacheKey: scoped,
+    toPlayLogPlaylistId: scoped,
+    toPlayLogSongId: scoped,
+    ...def,
+    name
+  };
+
+  const getBaseCacheKey = source.getPlaylistCacheKey;
+
+  source.isValidPlaylistId = (id) => {
+    const virtual = parseVirtualPlaylistId(id);
+    if (!virtual) return def.isValidPlaylistId(id);
+    if (virtual.kind === 'song') return def.isValidSongId(virtual.id);
+    return supportsVirtualKind(source, virtual.kind);
+  };
+  source.getPlaylistDetail = (playlistId, cookie) => {
+    const virtual = parseVirtualPlaylistId(playlistId);
+    return virtual
+      ? getVirtualPlaylistDetail(source, virtual, playlistId, cookie)
+      : def.getPlaylistDetail(playlistId, cookie);
+  };
+  source.getPlaylistCacheKey = (playlistId) => getBaseCacheKey(toVirtualCacheId(playlistId));
+
+  return source;
+}
+
+function supportsVirtualKind(source, kind) {
+  if (kind === 'song') return true;
+  return typeof source[VIRTUAL_LOADERS[kind]] === 'function';
+}
+
+async function getVirtualPlaylistDetail(source, virtual, playlistId, cookie) {
+  if (virtual.kind === 'song') {
+    return getSingleSongPlaylist(source, virtual.id, cookie);
+  }
+  if (!supportsVirtualKind(source, virtual.kind)) {
+    throw new Error(`${source.label}不支持该类型的歌单`);
+  }
+
+  const detail = virtual.kind === 'daily'
+    ? await source.getDailyRecommend(cookie)
+    : await source[VIRTUAL_LOADERS[virtual.kind]](virtual.id, cookie);
+  return { ...detail, id: playlistId };
+}
+
+async function getSingleSongPlaylist(source, songId, cookie) {
+  let track = null;
+  if (typeof source.getSongDetail === 'function') {
+    try {
+      track = await source.getSongDetail(songId, cookie);
+    } catch (e) {
+      console.warn(`[单曲] 获取${source.label}歌曲详情失败 ${songId}:`, e.message);
+    }
+  }
+  if (!track) {
+    track = { id: songId, name: songId, artist: '', duration: 0, cover: '' };
+  }
+
+  return {
+    id: toSingleSongPlaylistId(songId),
+    name: track.name || songId,
+    cover: track.cover || '',
+    songCount: 1,
+    tracks: [track]
+  };
+}
+
+function registerSource(def) {
+  const source = defineSource(def);
+  if (sources.has(source.name)) {
+    throw new Error(`Source already registered: ${source.name}`);
+  }
+  sources.set(source.name, source);
+  return source;
+}
+
+function unregisterSource(name) {
+  return sources.delete(String(name || ''));
+}
+
+function getSource(name) {
+  return sources.get(String(name || '')) || null;
+}
+
+function listSources() {
+  return Array.from(sources.values());
+}
+
+// 挂载在 /api/:source/* 上时按路径参数解析，挂载在固定前缀上时传入源名称。
+// 需作为子 router 的第一个中间件使用：未知源时跳出该 router，交给后续路由（最终为 /api 404）
+function bindSource(name) {
+  return (req, res, next) => {
+    const source = getSource(name || (req.params && req.params.source));
+    if (!source) {
+      return next('router');
+    }
+    req.musicSource = source;
+    next();
+  };
+}
+
+// 校验播放 token，返回 { user, options, mode, quality, tokenId, output }；旧版 32 位 token 不携带任何声明。
+// output 为 token 中签名的输出声明 { format, crossfade, nowPlaying, lyrics, rendition }，播放请求的查询参数不能覆盖。
+// token 声明了音乐源时必须与当前源一致（各源用户表的 ID 互不相通）；带 jti 的 token 被撤销后拒绝
+function isPlaybackTokenRevoked(jti) {
+  return Boolean(jti && playbackTokenOps.isRevoked.get(jti));
+}
+
+function resolvePlaybackAccess(source, token, playlistId) {
+  const raw = String(token || '');
+  if (isLegacyToken(raw)) {
+    const user = source.userStore.getByToken.get(raw) || null;
+    return user ? { user, options: { ...DEFAULT_OPTIONS }, mode: null, quality: null, tokenId: null, output: DEFAULT_OUTPUT } : null;
+  }
+
+  const verified = verifyPlaybackToken(raw, { playlistId: playlistId == null ? '' : String(playlistId) });
+  if (!verified.ok) return null;
+  if (verified.source && verified.source !== source.name) return null;
+  if (isPlaybackTokenRevoked(verified.jti)) return null;
+
+  const user = source.userStore.getById.get(verified.userId) || null;
+  if (!user) return null;
+  return {
+    user,
+    options: verified.options,
+    mode: verified.mode,
+    quality: verified.quality,
+    tokenId: verified.jti,
+    output: {
+      format: verified.format,
+      crossfade: verified.crossfade,
+      nowPlaying: verified.nowPlaying,
+      lyrics: verified.lyrics,
+      rendition: verified.rendition
+    }
+  };
+}
+
+function resolveUserFromAccessToken(source, token, playlistId) {
+  const access = resolvePlaybackAccess(source, token, playlistId);
+  return access ? access.user : null;
+}
+
+registerSource(require('./netease'));
+registerSource(require('./qq'));
+// 本地音乐库仅在配置了 LOCAL_MUSIC_DIR 时启用
+if (process.env.LOCAL_MUSIC_DIR) {
+  registerSource(require('./local'));
+}
+
+module.exports = {
+  defineSource,
+  supportsVirtualKind,
+  registerSource,
+  unregisterSource,
+  getSource,
+  listSources,
+  bindSource,
+  resolvePlaybackAccess,
+  resolveUserFromAccessToken,
+  isPlaybackTokenRevoked
+};
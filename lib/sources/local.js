@@ -0,0 +1,25 @@
+const library = require('../local-library');
+const { userOps } = require('../db');
+const { auth } = require('../auth');
+
+function isValidPlaylistId(id) {
+  return typeof id === 'string' && /^\d+$/.test(id) && id.length <= 20;
+}
+
+// 本地音乐库没有独立账号体系，沿用网易云登录用户
+module.exports = {
+  name: 'local',
+  label: '本地音乐',
+  userStore: userOps,
+  auth,
+  getRequestUser: (req) => req.user,
+  getPlaylistDetail: (playlistId) => library.getPlaylistDetail(String(playlistId)),
+  getSongDetail: (songId) => library.getSongDetail(String(songId)),
+  getSongUrl: (songId) => library.getSongUrl(String(songId)),
+  getLyrics: (songId) => library.getLyrics(String(songId)),
+  getUserPlaylists: () => library.listPlaylists(),
+  parsePlaylistId: library.parsePlaylistInput,
+  isValidPlaylistId,
+  isValidSongId: library.isValidSongId,
+  getSongIdForTrack: (track) => String((track && track.id) || '').trim()
+};
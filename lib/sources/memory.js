@@ -0,0 +1,144 @@
+/**
+ * 内存音乐源：不访问任何上游，数据全部保存在进程内。
+ * 供测试使用，也可作为实现新音乐源 adapter 的参考。
+ */
+
+function isValidNumericId(id) {
+  return typeof id === 'string' && /^\d+$/.test(id) && id.length <= 20;
+}
+
+function isValidSongId(id) {
+  return typeof id === 'string' && /^[A-Za-z0-9_-]+$/.test(id) && id.length <= 64;
+}
+
+function createMemorySource({ name = 'memory', label = '内存' } = {}) {
+  const users = new Map();
+  const playlists = new Map();
+  const songUrls = new Map();
+  const albums = new Map();
+  const lyrics = new Map();
+  let dailyTracks = [];
+
+  const userStore = {
+    getByToken: {
+      get: (token) => {
+        for (const user of users.values()) {
+          if (user.token && user.token === String(token || '')) return user;
+        }
+        return undefined;
+      }
+    },
+    getById: {
+      get: (id) => users.get(Number(id))
+    }
+  };
+
+  function auth(req, res, next) {
+    const token = req.headers['x-token'] || req.query.token;
+    if (!token) {
+      return res.status(401).json({ success: false, message: '请先登录' });
+    }
+
+    const user = userStore.getByToken.get(token);
+    if (!user) {
+      return res.status(401).json({ success: false, message: '登录已过期' });
+    }
+
+    req.user = user;
+    req.token = token;
+    next();
+  }
+
+  function addUser({ id, token = '', cookie = '', nickname = '' }) {
+    const user = { id: Number(id), token: String(token), cookie: String(cookie), nickname };
+    users.set(user.id, user);
+    return user;
+  }
+
+  function toPlaylist({ id, name: playlistName = '', cover = '', tracks = [] }) {
+    return {
+      id: String(id),
+      name: playlistName,
+      cover,
+      songCount: tracks.length,
+      tracks: tracks.map((t) => ({ ...t, id: String(t.id) }))
+    };
+  }
+
+  function clonePlaylist(playlist) {
+    return { ...playlist, tracks: playlist.tracks.map((t) => ({ ...t })) };
+  }
+
+  function addPlaylist(def) {
+    const playlist = toPlaylist(def);
+    playlists.set(playlist.id, playlist);
+    return playlist;
+  }
+
+  function addAlbum(def) {
+    const album = toPlaylist(def);
+    albums.set(album.id, album);
+    return album;
+  }
+
+  function setDailyRecommend(tracks) {
+    dailyTracks = toPlaylist({ id: 'daily', tracks }).tracks;
+  }
+
+  function setSongUrl(songId, url) {
+    songUrls.set(String(songId), url);
+  }
+
+  function setLyrics(songId, { lrc = '', tlrc = '' } = {}) {
+    lyrics.set(String(songId), { lrc, tlrc });
+  }
+
+  return {
+    name,
+    label,
+    userStore,
+    auth,
+    addUser,
+    addPlaylist,
+    setSongUrl,
+    setLyrics,
+    addAlbum,
+    setDailyRecommend,
+    getPlaylistDetail: async (playlistId) => {
+      const playlist = playlists.get(String(playlistId));
+      if (!playlist) throw new Error('歌单不存在');
+      return clonePlaylist(playlist);
+    },
+    getAlbumDetail: async (albumId) => {
+      const album = albums.get(String(albumId));
+      if (!album) throw new Error('专辑不存在');
+      return clonePlaylist(album);
+    },
+    getDailyRecommend: async () => clonePlaylist(toPlaylist({ id: 'daily', name: '每日推荐', tracks: dailyTracks })),
+    getSongDetail: async (songId) => {
+      for (const playlist of playlists.values()) {
+        const track = playlist.tracks.find((t) => t.id === String(songId));
+        if (track) return { ...track };
+      }
+      throw new Error('歌曲不存在');
+    },
+    getSongUrl: async (songId) => songUrls.get(String(songId)) || null,
+    getLyrics: async (songId) => lyrics.get(String(songId)) || { lrc: '', tlrc: '' },
+    getUserPlaylists: async () => {
+      const list = Array.from(playlists.values()).map((p) => ({
+        id: p.id,
+        name: p.name,
+        cover: p.cover,
+        trackCount: p.songCount
+      }));
+      return { playlists: list, hasMore: false, count: list.length };
+    },
+    isValidPlaylistId: isValidNumericId,
+    isValidSongId,
+    getSongIdForTrack: (track) => String((track && track.id) || '').trim()
+  };
+}
+
+module.exports = {
+  createMemorySource
+};
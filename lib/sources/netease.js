@@ -0,0 +1,61 @@
+const netease = require('../netease');
+const { userOps } = require('../db');
+const { auth } = require('../auth');
+const { isValidNumericId } = require('../qq-center');
+const { DAILY_INPUT } = require('../virtual-playlist');
+
+function parsePlaylistId(input) {
+  if (!input) return null;
+  const str = String(input).trim();
+  if (!str) return null;
+  if (/^\d+$/.test(str)) return isValidNumericId(str) ? str : null;
+  if (/^(?:daily|每日推荐)$/i.test(str) || /\/discover\/recommend\/taste/.test(str)) return DAILY_INPUT;
+
+  // https://music.163.com/#/album?id=123 / https://music.163.com/album/123
+  const album = str.match(/\/album(?:\?(?:.*&)?id=|\/)(\d{1,20})/);
+  if (album) return `album-${album[1]}`;
+
+  // https://music.163.com/#/artist?id=123 / https://music.163.com/artist/123
+  const artist = str.match(/\/artist(?:\?(?:.*&)?id=|\/)(\d{1,20})/);
+  if (artist) return `artist-${artist[1]}`;
+
+  const m1 = str.match(/(?:\?|&)id=(\d{1,20})/);
+  if (m1) return m1[1];
+
+  const m2 = str.match(/\/playlist\/(\d{1,20})/);
+  if (m2) return m2[1];
+
+  return null;
+}
+
+module.exports = {
+  name: 'netease',
+  label: '网易云',
+  // 网易云沿用历史路径（/api/hls、/api/playlist ...），同时可通过 /api/netease/* 访问
+  apiBase: '/api',
+  userStore: userOps,
+  auth,
+  login: {
+    flows: ['qrcode', 'captcha', 'password', 'cookie'],
+    createQRCode: netease.createQRCode,
+    checkQRCode: netease.checkQRCode,
+    checkLoginStatus: netease.checkLoginStatus
+  },
+  getRequestUser: (req) => req.user,
+  getPlaylistDetail: (playlistId, cookie) => netease.getPlaylistDetail(String(playlistId), cookie),
+  getSongDetail: (songId, cookie) => netease.getSongDetail(String(songId), cookie),
+  getAlbumDetail: (albumId, cookie) => netease.getAlbumDetail(String(albumId), cookie),
+  getArtistTopTracks: (artistId, cookie) => netease.getArtistTopTracks(String(artistId), cookie),
+  getDailyRecommend: (cookie) => netease.getDailyRecommend(cookie),
+  getSongUrl: (songId, cookie, opts = {}) =>
+    netease.getSongUrl(String(songId), cookie, netease.QUALITY_LEVELS[opts.quality]),
+  getLyrics: (songId, cookie) => netease.getLyrics(String(songId), cookie),
+  getUserPlaylists: (user, cookie) => netease.getUserPlaylists(user.netease_id, cookie, 0, 1000),
+  parsePlaylistId,
+  isValidPlaylistId: isValidNumericId,
+  isValidSongId: isValidNumericId,
+  getSongIdForTrack: (track) => String((track && track.id) || '').trim(),
+  getPlaylistCacheKey: (playlistId) => String(playlistId),
+  toPlayLogPlaylistId: (playlistId) => String(playlistId),
+  toPlayLogSongId: (songId) => String(songId)
+};
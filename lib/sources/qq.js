@@ -0,0 +1,62 @@
+const qqmusic = require('../qqmusic');
+const { qqUserOps } = require('../db');
+const { qqAuth } = require('../qq-auth-middleware');
+
+function isValidPlaylistId(id) {
+  return typeof id === 'string' && /^\d+$/.test(id) && id.length <= 20;
+}
+
+function isValidSongId(id) {
+  return typeof id === 'string' && /^[A-Za-z0-9]+$/.test(id) && id.length <= 64;
+}
+
+function parsePlaylistId(input) {
+  if (!input) return null;
+  const str = String(input).trim();
+  if (!str) return null;
+  if (isValidPlaylistId(str)) return str;
+
+  // https://y.qq.com/n/ryqq/albumDetail/<albumMid>
+  const album = str.match(/\/albumDetail\/([A-Za-z0-9]{1,64})/);
+  if (album) return `album-${album[1]}`;
+
+  // https://y.qq.com/n/ryqq/singer/<singerMid>
+  const singer = str.match(/\/singer\/([A-Za-z0-9]{1,64})/);
+  if (singer) return `artist-${singer[1]}`;
+
+  // https://y.qq.com/n/ryqq/playlist/1234567890
+  const m1 = str.match(/\/playlist\/(\d{1,20})/);
+  if (m1) return m1[1];
+
+  // https://i.y.qq.com/n2/m/share/details/taoge.html?id=1234567890
+  const m2 = str.match(/[?&]id=(\d{1,20})/);
+  if (m2) return m2[1];
+
+  return null;
+}
+
+module.exports = {
+  name: 'qq',
+  label: 'QQ音乐',
+  userStore: qqUserOps,
+  auth: qqAuth,
+  login: {
+    flows: ['qrcode', 'cookie'],
+    createQRCode: qqmusic.createQRCode,
+    checkQRCode: qqmusic.checkQRCode,
+    checkLoginStatus: qqmusic.checkLoginStatus
+  },
+  getRequestUser: (req) => req.qqUser,
+  getPlaylistDetail: (playlistId, cookie) => qqmusic.getPlaylistDetail(String(playlistId), cookie),
+  getSongDetail: (songId, cookie) => qqmusic.getSongDetail(String(songId), cookie),
+  getAlbumDetail: (albumMid, cookie) => qqmusic.getAlbumDetail(String(albumMid), cookie),
+  getArtistTopTracks: (singerMid, cookie) => qqmusic.getArtistTopTracks(String(singerMid), cookie),
+  getSongUrl: (songId, cookie, opts = {}) => qqmusic.getSongUrl(String(songId), cookie, opts.quality),
+  getLyrics: (songId, cookie) => qqmusic.getLyrics(String(songId), cookie),
+  getUserPlaylists: (user, cookie) => qqmusic.getUserPlaylists(user.qq_uin, cookie),
+  parsePlaylistId,
+  isValidPlaylistId,
+  isValidSongId,
+  // QQ 音乐使用 mid 作为标识
+  getSongIdForTrack: (track) => String((track && (track.mid || track.id)) || '').trim()
+};
@@ -0,0 +1,138 @@
+/**
+ * 缓存文件响应（HLS 分片与 MP4 共用）
+ * 支持 HEAD、单段 Range（含 bytes=-N 后缀范围，超出文件大小返回 416）、If-Range，
+ * 以及 If-None-Match / If-Modified-Since 条件请求（304）；多段 Range 按整个文件返回 200。
+ * 缓存文件写入后不再修改，ETag 由大小与修改时间生成，作为强校验器可用于 If-Range
+ */
+
+const fs = require('fs');
+const { finished } = require('stream');
+
+// parseRange 的返回值：范围无法满足
+const RANGE_UNSATISFIABLE = -1;
+
+function makeEtag(stat) {
+  return `"${stat.size}-${Math.floor(stat.mtimeMs)}"`;
+}
+
+// HTTP 日期只精确到秒
+function toHttpSeconds(ms) {
+  return Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * 解析 Range 请求头，返回 { start, end }（含 end）；
+ * 格式无效或多段时返回 null（忽略 Range），范围无法满足时返回 RANGE_UNSATISFIABLE
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match) return null;
+  const [, first, last] = match;
+  if (first === '' && last === '') return null;
+
+  let start;
+  let end = size - 1;
+  if (first === '') {
+    const suffix = Number(last);
+    if (suffix === 0) return RANGE_UNSATISFIABLE;
+    start = Math.max(0, size - suffix);
+  } else {
+    start = Number(first);
+    if (last !== '') {
+      if (Number(last) < start) return null;
+      end = Math.min(Number(last), size - 1);
+    }
+  }
+  if (start >= size) return RANGE_UNSATISFIABLE;
+  return { start, end };
+}
+
+// Range 不从文件开头开始（续传 / 拖动进度），调用方据此避免重复记录播放
+function isRangeContinuation(req) {
+  const match = /^bytes=(\d*)-/.exec(String(req.headers.range || '').trim());
+  return !!match && (match[1] === '' || Number(match[1]) > 0);
+}
+
+// If-None-Match 使用弱比较，优先于 If-Modified-Since
+function isNotModified(headers, etag, mtimeMs) {
+  const inm = headers['if-none-match'];
+  if (inm) {
+    const value = String(inm).trim();
+    if (value === '*') return true;
+    const opaque = etag.replace(/^W\//, '');
+    return value.split(',').some((tag) => tag.trim().replace(/^W\//, '') === opaque);
+  }
+  const since = Date.parse(headers['if-modified-since'] || '');
+  return Number.isFinite(since) && toHttpSeconds(mtimeMs) <= since;
+}
+
+// If-Range 与当前文件不一致（强比较）时忽略 Range，返回整个文件
+function isRangeCurrent(headers, etag, mtimeMs) {
+  const ifRange = headers['if-range'];
+  if (!ifRange) return true;
+  const value = String(ifRange).trim();
+  if (value.startsWith('"') || value.startsWith('W/')) return value === etag;
+  const date = Date.parse(value);
+  return Number.isFinite(date) && toHttpSeconds(mtimeMs) === date;
+}
+
+/**
+ * 发送 stat 对应的文件，Content-Type / Cache-Control 等由调用方先设置。
+ * 返回的 Promise 在响应结束或客户端断开后完成（不会 reject），调用方可据此释放文件占用
+ */
+function sendStaticFile(req, res, filePath, stat) {
+  return new Promise((resolve) => {
+    finished(res, () => resolve());
+
+    const etag = makeEtag(stat);
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', new Date(stat.mtimeMs).toUTCString());
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    if (isNotModified(req.headers, etag, stat.mtimeMs)) {
+      res.status(304).end();
+      return;
+    }
+
+    const range = req.headers.range && isRangeCurrent(req.headers, etag, stat.mtimeMs)
+      ? parseRange(req.headers.range, stat.size)
+      : null;
+    if (range === RANGE_UNSATISFIABLE) {
+      res.status(416);
+      res.setHeader('Content-Range', `bytes */${stat.size}`);
+      res.end();
+      return;
+    }
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${stat.size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+      res.setHeader('Content-Length', stat.size);
+    }
+
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+
+    const stream = fs.createReadStream(filePath, range || undefined);
+    stream.on('error', (e) => {
+      console.error(`[文件响应] 读取失败 ${filePath}:`, e.message);
+      res.destroy(e);
+    });
+    // 客户端断开时及时关闭文件
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+  });
+}
+
+module.exports = {
+  RANGE_UNSATISFIABLE,
+  makeEtag,
+  parseRange,
+  isRangeContinuation,
+  isNotModified,
+  isRangeCurrent,
+  sendStaticFile
+};
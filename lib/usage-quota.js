@@ -0,0 +1,250 @@
+/**
+ * 播放用量与配额
+ * 按播放 token（jti）与用户（音乐源 + 用户ID）分别记录每日请求数、转码秒数与输出字节数，
+ * 持久化在 usage_daily 表，按北京时间自然日统计（与每日推荐的日期一致）。
+ *
+ * 配额由环境变量配置，未配置或为 0 表示不限制：
+ *   QUOTA_TOKEN_REQUESTS_PER_DAY   QUOTA_TOKEN_TRANSCODE_SECONDS_PER_DAY   QUOTA_TOKEN_BYTES_PER_DAY
+ *   QUOTA_USER_REQUESTS_PER_DAY    QUOTA_USER_TRANSCODE_SECONDS_PER_DAY    QUOTA_USER_BYTES_PER_DAY
+ * 请求数只统计入口请求（播放列表、清单与 MP4），分片、字幕与单曲等下级请求只计入字节数；
+ * 转码秒数为实际转码的音频时长；字节数为本服务输出的响应体大小（跳转到 CDN 的请求不计）。
+ */
+
+const crypto = require('crypto');
+const { usageOps } = require('./db');
+const { getDailyDateKey } = require('./virtual-playlist');
+
+const USAGE_METRICS = ['requests', 'transcodeSeconds', 'bytes'];
+const METRIC_ENV_NAMES = {
+  requests: 'REQUESTS_PER_DAY',
+  transcodeSeconds: 'TRANSCODE_SECONDS_PER_DAY',
+  bytes: 'BYTES_PER_DAY'
+};
+const METRIC_LABELS = {
+  requests: '请求次数',
+  transcodeSeconds: '转码时长',
+  bytes: '流量'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAILY_TZ_OFFSET_MS = 8 * 60 * 60 * 1000;
+const USAGE_RETENTION_DAYS = 90;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+let lastPruneAt = 0;
+
+function parseLimit(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function getQuotaLimits(env = process.env) {
+  const read = (scope) => Object.fromEntries(
+    USAGE_METRICS.map((metric) => [metric, parseLimit(env[`QUOTA_${scope}_${METRIC_ENV_NAMES[metric]}`])])
+  );
+  return { token: read('TOKEN'), user: read('USER') };
+}
+
+function emptyUsage() {
+  return { requests: 0, transcodeSeconds: 0, bytes: 0 };
+}
+
+// 第一个已用尽的配额：{ scope, metric, limit, used }；均未超出时返回 null
+function findExceededQuota(usage, limits) {
+  for (const scope of ['token', 'user']) {
+    if (!usage[scope]) continue;
+    for (const metric of USAGE_METRICS) {
+      const limit = limits[scope][metric];
+      const used = usage[scope][metric] || 0;
+      if (limit && used >= limit) return { scope, metric, limit, used };
+    }
+  }
+  return null;
+}
+
+// 距离下一个北京时间零点的秒数，作为 429 的 Retry-After
+function getSecondsUntilReset(nowMs) {
+  const now = Number.isFinite(nowMs) ? nowMs : Date.now();
+  const local = now + DAILY_TZ_OFFSET_MS;
+  return Math.max(1, Math.ceil((DAY_MS - (local % DAY_MS)) / 1000));
+}
+
+// 统计对象：token 有 jti 时按 jti，旧 token 按 token 摘要；用户按 "<音乐源>:<用户ID>"
+function getUsageSubject(source, access, token) {
+  const tokenKey = access.tokenId
+    || `h${crypto.createHash('sha256').update(String(token || '')).digest('hex').slice(0, 16)}`;
+  return { token: tokenKey, user: `${source.name}:${access.user.id}` };
+}
+
+// 统计对象中的用户ID（不含音乐源前缀），供服务重启后恢复的转码任务重新查找用户
+function getUsageUserId(subject) {
+  const user = String((subject && subject.user) || '');
+  const sep = user.indexOf(':');
+  return sep === -1 ? null : user.slice(sep + 1);
+}
+
+function readUsage(scope, scopeId, day) {
+  const row = usageOps.get.get(scope, scopeId, day);
+  if (!row) return emptyUsage();
+  return {
+    requests: row.requests || 0,
+    transcodeSeconds: row.transcode_seconds || 0,
+    bytes: row.bytes || 0
+  };
+}
+
+// 个人中心展示用：某个 token（jti）或用户（"<音乐源>:<用户ID>"）当天的用量
+function getScopeUsage(scope, scopeId, nowMs) {
+  return readUsage(scope, scopeId, getDailyDateKey(nowMs));
+}
+
+function getUsage(subject, nowMs) {
+  const day = getDailyDateKey(nowMs);
+  return {
+    day,
+    token: subject.token ? readUsage('token', subject.token, day) : null,
+    user: readUsage('user', subject.user, day)
+  };
+}
+
+function pruneOldUsage(nowMs) {
+  const now = Number.isFinite(nowMs) ? nowMs : Date.now();
+  if (now - lastPruneAt < PRUNE_INTERVAL_MS) return;
+  lastPruneAt = now;
+  try {
+    usageOps.clearBefore.run(getDailyDateKey(now - USAGE_RETENTION_DAYS * DAY_MS));
+  } catch (e) {
+    console.error('[用量] 清理旧记录失败:', e.message);
+  }
+}
+
+function recordUsage(subject, { requests = 0, transcodeSeconds = 0, bytes = 0 }, nowMs) {
+  if (!subject || (!requests && !transcodeSeconds && !bytes)) return;
+
+  const day = getDailyDateKey(nowMs);
+  const values = { day, requests, transcode_seconds: transcodeSeconds, bytes };
+  try {
+    if (subject.token) usageOps.add.run({ ...values, scope: 'token', scope_id: subject.token });
+    usageOps.add.run({ ...values, scope: 'user', scope_id: subject.user });
+  } catch (e) {
+    console.error('[用量] 记录失败:', e.message);
+  }
+}
+
+// 已超出时返回超出的配额，否则记一次请求并返回 null
+function consumePlaybackRequest(subject, nowMs) {
+  pruneOldUsage(nowMs);
+  const exceeded = findExceededQuota(getUsage(subject, nowMs), getQuotaLimits());
+  if (exceeded) return exceeded;
+  recordUsage(subject, { requests: 1 }, nowMs);
+  return null;
+}
+
+function formatQuotaMessage(exceeded) {
+  const who = exceeded.scope === 'token' ? '该播放链接' : '该用户';
+  return `${who}今日${METRIC_LABELS[exceeded.metric]}已达上限`;
+}
+
+// format: m3u8 返回 #EXT-X-ERROR，json 返回 { error }，其余为纯文本
+function sendQuotaExceeded(res, exceeded, format) {
+  res.status(429);
+  res.setHeader('Retry-After', String(getSecondsUntilReset()));
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (format === 'm3u8') {
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    return res.send('#EXTM3U\n#EXT-X-ERROR:Quota exceeded\n');
+  }
+  if (format === 'json') {
+    return res.json({ error: formatQuotaMessage(exceeded), quota: exceeded });
+  }
+  return res.type('text/plain').send('Quota exceeded');
+}
+
+// 播放路由入口：校验配额并记一次请求，同时统计本次响应输出的字节数。
+// countRequest 为 false 时（分片等下级请求）只检查流量配额、不计请求，请求配额用尽不影响正在播放的内容。
+// 超出配额时已返回 429，结果为 null
+function enforcePlaybackQuota(req, res, { source, access, token, format, countRequest = true }) {
+  const subject = getUsageSubject(source, access, token);
+  const exceeded = countRequest ? consumePlaybackRequest(subject) : findExceededMetricQuota(subject, 'bytes');
+  if (exceeded) {
+    console.warn(`[用量] 超出配额 ${source.name} 用户=${access.user.id} ${exceeded.scope}.${exceeded.metric}=${exceeded.used}/${exceeded.limit}`);
+    sendQuotaExceeded(res, exceeded, format);
+    return null;
+  }
+
+  trackResponseBytes(res, subject);
+  return subject;
+}
+
+function chunkLength(chunk, encoding) {
+  if (!chunk || typeof chunk === 'function') return 0;
+  return Buffer.isBuffer(chunk) || chunk instanceof Uint8Array
+    ? chunk.length
+    : Buffer.byteLength(String(chunk), typeof encoding === 'string' ? encoding : undefined);
+}
+
+function trackResponseBytes(res, subject) {
+  let bytes = 0;
+  let recorded = false;
+  const write = res.write;
+  const end = res.end;
+
+  res.write = function (chunk, encoding, ...rest) {
+    bytes += chunkLength(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    bytes += chunkLength(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  const done = () => {
+    if (recorded) return;
+    recorded = true;
+    recordUsage(subject, { bytes });
+  };
+  res.once('finish', done);
+  res.once('close', done);
+}
+
+function recordTranscodeSeconds(subject, seconds) {
+  const value = Number(seconds);
+  if (!subject || !Number.isFinite(value) || value <= 0) return;
+  recordUsage(subject, { transcodeSeconds: value });
+}
+
+// 只检查一项用量，已用尽时返回超出的配额
+function findExceededMetricQuota(subject, metric) {
+  const { token, user } = getUsage(subject);
+  return findExceededQuota(
+    {
+      token: token && { [metric]: token[metric] },
+      user: { [metric]: user[metric] }
+    },
+    getQuotaLimits()
+  );
+}
+
+// 开始转码（含后台预加载）前调用：只检查转码时长，已用尽时返回超出的配额
+function findExceededTranscodeQuota(subject) {
+  if (!subject) return null;
+  return findExceededMetricQuota(subject, 'transcodeSeconds');
+}
+
+module.exports = {
+  USAGE_METRICS,
+  getQuotaLimits,
+  findExceededQuota,
+  getSecondsUntilReset,
+  getUsageSubject,
+  getUsageUserId,
+  getScopeUsage,
+  getUsage,
+  recordUsage,
+  consumePlaybackRequest,
+  enforcePlaybackQuota,
+  sendQuotaExceeded,
+  recordTranscodeSeconds,
+  findExceededTranscodeQuota
+};
@@ -0,0 +1,74 @@
+/**
+ * 虚拟歌单
+ * 单曲、专辑、歌手热门歌曲、每日推荐等不是真正歌单的内容，使用 "<类型>-<ID>" 形式的歌单 ID
+ * 复用按歌单组织的播放路由、签名 token 与 playlists 缓存表。
+ *
+ *   song-<歌曲ID>     单曲
+ *   album-<专辑ID>    专辑
+ *   artist-<歌手ID>   歌手热门歌曲
+ *   daily-<用户ID>    每日推荐（按本站用户区分，缓存按天失效）
+ */
+
+const VIRTUAL_PLAYLIST_KINDS = ['song', 'album', 'artist', 'daily'];
+const VIRTUAL_PLAYLIST_ID_RE = /^(song|album|artist|daily)-([A-Za-z0-9_-]{1,64})$/;
+
+// 各音乐源 parsePlaylistId 识别到每日推荐时返回该值，由路由层绑定到当前用户
+const DAILY_INPUT = 'daily';
+
+// 每日推荐在北京时间 6 点刷新，缓存按 UTC+8 的自然日区分即可
+const DAILY_TZ_OFFSET_MS = 8 * 60 * 60 * 1000;
+
+function parseVirtualPlaylistId(playlistId) {
+  const m = String(playlistId || '').match(VIRTUAL_PLAYLIST_ID_RE);
+  if (!m) return null;
+  if (m[1] === 'daily' && !/^\d+$/.test(m[2])) return null;
+  return { kind: m[1], id: m[2] };
+}
+
+function isVirtualPlaylistId(playlistId) {
+  return parseVirtualPlaylistId(playlistId) !== null;
+}
+
+function toVirtualPlaylistId(kind, id) {
+  const playlistId = `${kind}-${String(id == null ? '' : id).trim()}`;
+  if (!isVirtualPlaylistId(playlistId)) {
+    throw new Error(`Invalid ${kind} id`);
+  }
+  return playlistId;
+}
+
+// 输入 "daily" 换成当前用户的每日推荐歌单；他人的 daily-<用户ID> 视为无效（返回 null），
+// 避免用自己的 cookie 写入别人的每日推荐缓存
+function bindDailyPlaylistId(playlistId, userId) {
+  const str = String(playlistId || '');
+  if (str === DAILY_INPUT) return toVirtualPlaylistId('daily', userId);
+
+  const parsed = parseVirtualPlaylistId(str);
+  if (parsed && parsed.kind === 'daily' && parsed.id !== String(userId)) return null;
+  return str;
+}
+
+function getDailyDateKey(nowMs) {
+  const now = Number.isFinite(nowMs) ? nowMs : Date.now();
+  return new Date(now + DAILY_TZ_OFFSET_MS).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// playlists 表中的缓存键：每日推荐附加日期，跨天自动换新
+function toVirtualCacheId(playlistId, nowMs) {
+  const parsed = parseVirtualPlaylistId(playlistId);
+  if (parsed && parsed.kind === 'daily') {
+    return `${playlistId}@${getDailyDateKey(nowMs)}`;
+  }
+  return String(playlistId);
+}
+
+module.exports = {
+  VIRTUAL_PLAYLIST_KINDS,
+  DAILY_INPUT,
+  parseVirtualPlaylistId,
+  isVirtualPlaylistId,
+  toVirtualPlaylistId,
+  bindDailyPlaylistId,
+  getDailyDateKey,
+  toVirtualCacheId
+};
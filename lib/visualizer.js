@@ -0,0 +1,77 @@
+/**
+ * 音频可视化视频（mode=visualizer）
+ * 封面放大铺满并模糊作为背景，中间叠加随音乐变化的波形 / 频谱 / 矢量示波器（FFmpeg showwaves / showspectrum / avectorscope）。
+ * 帧率远高于静态封面，转码开销大：分片按模式单独缓存，HLS / MP4 另设并发上限，不占用普通转码的名额。
+ *   VISUALIZER_STYLE              waves（默认）/ spectrum / vectorscope，修改后按新样式重新生成
+ *   VISUALIZER_FPS                帧率（5~30，默认 25）
+ *   VISUALIZER_MAX_CONCURRENT_JOBS  同时进行的可视化转码数（默认 1）
+ */
+
+const VISUALIZER_STYLES = ['waves', 'spectrum', 'vectorscope'];
+
+function readInt(raw, fallback, min, max) {
+  if (raw == null || raw === '') return fallback;
+  const n = parseInt(raw, 10);
+  return Number.isFinite(n) && n >= min && n <= max ? n : fallback;
+}
+
+function normalizeVisualizerStyle(value) {
+  const style = String(value || '').trim().toLowerCase();
+  return VISUALIZER_STYLES.includes(style) ? style : VISUALIZER_STYLES[0];
+}
+
+function getVisualizerConfig(env = process.env) {
+  return {
+    style: normalizeVisualizerStyle(env.VISUALIZER_STYLE),
+    fps: readInt(env.VISUALIZER_FPS, 25, 5, 30),
+    maxConcurrentJobs: readInt(env.VISUALIZER_MAX_CONCURRENT_JOBS, 1, 1, 16)
+  };
+}
+
+function even(n) {
+  return Math.max(2, Math.round(n / 2) * 2);
+}
+
+// 可视化图层（RGBA，背景透明），返回 { filter, y }：滤镜链与图层在画面中的纵向位置
+function buildScopeFilter(style, { width, height, fps }) {
+  if (style === 'spectrum') {
+    const h = even(height * 0.4);
+    return {
+      filter: `showspectrum=s=${width}x${h}:mode=combined:slide=scroll:color=intensity:scale=log,fps=${fps},format=rgba,colorkey=black:0.1:0.1`,
+      y: `H-h-${even(height * 0.08)}`
+    };
+  }
+  if (style === 'vectorscope') {
+    const side = even(height * 0.6);
+    return {
+      filter: `avectorscope=s=${side}x${side}:r=${fps}:zoom=1.5:draw=line:scale=sqrt:rc=255:gc=255:bc=255:rf=8:gf=8:bf=8,format=rgba,colorkey=black:0.1:0.1`,
+      y: '(H-h)/2'
+    };
+  }
+  const h = even(height / 3);
+  return {
+    filter: `showwaves=s=${width}x${h}:mode=cline:r=${fps}:colors=white,format=rgba`,
+    y: '(H-h)/2'
+  };
+}
+
+/**
+ * 生成 -filter_complex，画面输出到 output 标签（还要叠加文字时交给 buildOverlayFilterGraph 继续处理）。
+ * [0:v] 为封面（按 1 帧/秒输入即可，模糊只需每秒算一次，再由 fps 复制到目标帧率），[1:a] 为音频
+ */
+function buildVisualizerFilterGraph({ width, height, fps, style, output = '[v]' }) {
+  const blur = Math.max(2, Math.round(height / 40));
+  const scope = buildScopeFilter(style, { width, height, fps });
+  return [
+    `[0:v]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},boxblur=${blur}:2,drawbox=color=black@0.35:t=fill,setsar=1,fps=${fps}[bg]`,
+    `[1:a]${scope.filter}[scope]`,
+    `[bg][scope]overlay=x=(W-w)/2:y=${scope.y}:shortest=1,format=yuv420p${output}`
+  ].join(';');
+}
+
+module.exports = {
+  VISUALIZER_STYLES,
+  normalizeVisualizerStyle,
+  getVisualizerConfig,
+  buildVisualizerFilterGraph
+};
@@ -50,6 +50,15 @@ let lastAutoPlayId = null;
 let lastGeneratedUrl = '';
 let lastGeneratedUrls = [];
 let selectedGeneratedUrlType = 'hls';
+let lastGeneratedMeta = null;
+const shortLinkState = {
+  netease: { items: [], page: 1, total: 0, loading: false },
+  qq: { items: [], page: 1, total: 0, loading: false }
+};
+const playbackTokenState = {
+  netease: { items: [], page: 1, total: 0, loading: false },
+  qq: { items: [], page: 1, total: 0, loading: false }
+};
 const MFU_ERROR = (typeof window !== 'undefined' && window.MfuError) ? window.MfuError : null;
 
 function hasSpaContainer() {
@@ -409,7 +418,7 @@ function renderPersonalCenter() {
     qqAuthState.innerHTML = renderPlatformStatusCard('qq');
     qqContent.style.display = '';
     if (personalPlatform === 'qq') {
-      if (qqCenterTab !== 'playlists' && qqCenterTab !== 'favorites' && qqCenterTab !== 'history') {
+      if (!['playlists', 'favorites', 'history', 'links', 'tokens'].includes(qqCenterTab)) {
         qqCenterTab = 'playlists';
       }
       switchQQPersonalTab(qqCenterTab);
@@ -537,8 +546,16 @@ function switchPersonalTab(tab) {
   document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
   document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
   
-  const tabBtn = document.getElementById(tab === 'playlists' ? 'tabPlaylists' : tab === 'favorites' ? 'tabFavorites' : 'tabHistory');
-  const tabContent = document.getElementById(tab === 'playlists' ? 'playlistsContent' : tab === 'favorites' ? 'favoritesContent' : 'historyContent');
+  const tabIds = {
+    playlists: ['tabPlaylists', 'playlistsContent'],
+    favorites: ['tabFavorites', 'favoritesContent'],
+    history: ['tabHistory', 'historyContent'],
+    links: ['tabShortLinks', 'shortLinksContent'],
+    tokens: ['tabPlaybackTokens', 'playbackTokensContent']
+  };
+  const [tabBtnId, tabContentId] = tabIds[tab] || tabIds.history;
+  const tabBtn = document.getElementById(tabBtnId);
+  const tabContent = document.getElementById(tabContentId);
 
   if (tabBtn) tabBtn.classList.add('active');
   if (tabContent) tabContent.classList.add('active');
@@ -557,6 +574,14 @@ function switchPersonalTab(tab) {
       renderFavorites();
       renderPagination('favoritesPagination', favoriteTotal, favoritePage, PAGE_SIZE, 'loadFavorites');
     }
+  } else if (tab === 'links') {
+    if (shortLinkState.netease.items.length === 0) {
+      loadShortLinks(1);
+    } else {
+      renderShortLinks('netease');
+    }
+  } else if (tab === 'tokens') {
+    loadPlaybackTokens(1);
   } else {
     if (userHistory.length === 0) {
       loadHistory(1);
@@ -608,6 +633,22 @@ function switchQQPersonalTab(tab) {
           renderPagination('qqHistoryPagination', qqHistoryTotal, qqHistoryPage, PAGE_SIZE, 'loadQQHistory');
         }
       }
+    },
+    links: {
+      buttonId: 'tabQQShortLinks',
+      contentId: 'qqShortLinksContent',
+      load: () => {
+        if (shortLinkState.qq.items.length === 0) {
+          loadQQShortLinks(1);
+        } else {
+          renderShortLinks('qq');
+        }
+      }
+    },
+    tokens: {
+      buttonId: 'tabQQPlaybackTokens',
+      contentId: 'qqPlaybackTokensContent',
+      load: () => loadQQPlaybackTokens(1)
     }
   };
 
@@ -1269,7 +1310,8 @@ async function generatePlaylist() {
     currentPlaylist = parseRes.data;
     currentPlaylist._platform = currentPlatform;
 
-    const urlRes = await callApi('/playlist/url?id=' + currentPlaylist.id, {}, urlScope);
+    const urlQuery = `?id=${encodeURIComponent(currentPlaylist.id)}&label=${encodeURIComponent(currentPlaylist.name || '')}`;
+    const urlRes = await callApi('/playlist/url' + urlQuery, {}, urlScope);
     if (!urlRes.success) {
       showActionError(urlRes, '生成链接失败');
       return;
@@ -1284,7 +1326,15 @@ async function generatePlaylist() {
     }
     selectedGeneratedUrlType = (urlRes.data && urlRes.data.default) ? String(urlRes.data.default) : (lastGeneratedUrls[0]?.type || 'hls');
     lastGeneratedUrl = getSelectedGeneratedUrl();
+    lastGeneratedMeta = {
+      platform: currentPlatform,
+      token: urlRes.data?.token || '',
+      playlistId: urlRes.data?.playlistId || currentPlaylist.id,
+      song: urlRes.data?.song || '',
+      label: currentPlaylist.name || ''
+    };
     renderGeneratedUrlOptions();
+    renderShortLinkResult(null);
     document.getElementById('resultSection').classList.add('show');
     
     updateFavoriteBtn();
@@ -1298,7 +1348,10 @@ async function generatePlaylist() {
 }
 
 function copyUrl() {
-  const url = getSelectedGeneratedUrl();
+  copyText(getSelectedGeneratedUrl());
+}
+
+function copyText(url) {
   if (!url) return;
 
   // 优先使用 Clipboard API（需要安全上下文：HTTPS 或 localhost）
@@ -1330,6 +1383,289 @@ function fallbackCopyText(text) {
   }
 }
 
+// ─── 短链 ───
+
+function platformApi(platform) {
+  return platform === 'qq' ? qqApi : api;
+}
+
+function renderShortLinkResult(link) {
+  const box = document.getElementById('shortLinkResult');
+  if (!box) return;
+  if (!link) {
+    box.innerHTML = '';
+    return;
+  }
+
+  const safeUrl = escapeHtml(link.url);
+  const expiry = link.expiresAt ? `有效期至 ${escapeHtml(link.expiresAt)}` : '永久有效';
+  box.innerHTML = `
+    <div class="short-link-result">
+      <div class="url-option-url">${safeUrl}</div>
+      <div class="url-option-note">${expiry}，可在个人中心撤销</div>
+      <button class="btn btn-ghost" onclick="copyText('${safeUrl}')">复制短链</button>
+    </div>
+  `;
+}
+
+async function createShortLink() {
+  if (!lastGeneratedMeta || !lastGeneratedMeta.token) return showToast('请先生成链接', 'error');
+
+  const meta = lastGeneratedMeta;
+  const expirySelect = document.getElementById('shortLinkExpiry');
+  const scope = meta.platform === 'qq' ? 'QQ_SHORT_LINK_CREATE' : 'SHORT_LINK_CREATE';
+  const res = await platformApi(meta.platform)('/links', {
+    method: 'POST',
+    body: JSON.stringify({
+      token: meta.token,
+      playlistId: meta.playlistId,
+      type: selectedGeneratedUrlType,
+      song: meta.song,
+      label: meta.label,
+      expiresInHours: expirySelect ? expirySelect.value : ''
+    })
+  }, scope);
+
+  if (!res.success) {
+    showActionError(res, '生成短链失败');
+    return;
+  }
+
+  renderShortLinkResult(res.data);
+  copyText(res.data.url);
+  shortLinkState[meta.platform].items = [];
+}
+
+function getShortLinkElements(platform) {
+  const prefix = platform === 'qq' ? 'qqShortLinks' : 'shortLinks';
+  return {
+    list: document.getElementById(`${prefix}List`),
+    pagination: document.getElementById(`${prefix}Pagination`),
+    paginationId: `${prefix}Pagination`,
+    callbackName: platform === 'qq' ? 'loadQQShortLinks' : 'loadShortLinks'
+  };
+}
+
+async function loadShortLinksFor(platform, page = 1) {
+  const state = shortLinkState[platform];
+  const { list, pagination } = getShortLinkElements(platform);
+  if (!list || state.loading) return;
+
+  state.loading = true;
+  state.page = page;
+  list.innerHTML = '<div style="text-align:center; padding: 2rem;"><span class="loading"></span></div>';
+  if (pagination) pagination.innerHTML = '';
+
+  const offset = (page - 1) * PAGE_SIZE;
+  const scope = platform === 'qq' ? 'QQ_SHORT_LINK_LIST' : 'SHORT_LINK_LIST';
+  const res = await platformApi(platform)(`/links?offset=${offset}&limit=${PAGE_SIZE}`, {}, scope);
+  state.loading = false;
+
+  if (!res.success) {
+    renderInlineError(list, res, '获取短链失败');
+    return;
+  }
+
+  state.items = Array.isArray(res.data) ? res.data : [];
+  state.total = Number.isFinite(res.total) ? res.total : state.items.length;
+  renderShortLinks(platform);
+}
+
+function loadShortLinks(page = 1) {
+  return loadShortLinksFor('netease', page);
+}
+
+function loadQQShortLinks(page = 1) {
+  return loadShortLinksFor('qq', page);
+}
+
+function renderShortLinks(platform) {
+  const state = shortLinkState[platform];
+  const { list, paginationId, callbackName } = getShortLinkElements(platform);
+  if (!list) return;
+
+  if (state.items.length === 0) {
+    list.innerHTML = '<div class="empty">暂无短链，生成播放链接后可创建</div>';
+    renderPagination(paginationId, 0, 1, PAGE_SIZE, callbackName);
+    return;
+  }
+
+  const typeLabels = { lite: '轻量 M3U8', hls: 'HLS', mp4: 'MP4', dash: 'DASH', live: '直播电台' };
+  list.innerHTML = state.items.map((link) => {
+    const safeCode = escapeHtml(link.code);
+    const safeUrl = escapeHtml(link.url);
+    const safeName = escapeHtml(link.label || link.playlistId);
+    const typeLabel = escapeHtml(typeLabels[link.type] || link.type);
+    const expiry = link.expiresAt ? `到期 ${escapeHtml(link.expiresAt)}` : '永久';
+    return `
+      <div class="list-item">
+        <div class="item-info">
+          <div class="item-name">${safeName}</div>
+          <div class="item-meta">${typeLabel} · ${safeUrl} · 访问 ${Number(link.hits || 0)} 次 · ${expiry}</div>
+        </div>
+        <div class="item-actions">
+          <button class="btn btn-primary" style="padding: 0.4rem 0.8rem; font-size: 0.8rem;" onclick="copyText('${safeUrl}')">复制</button>
+          <button class="btn btn-ghost" style="padding: 0.4rem;" onclick="revokeShortLink('${safeCode}', '${platform}')">撤销</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  renderPagination(paginationId, state.total, state.page, PAGE_SIZE, callbackName);
+}
+
+async function revokeShortLink(code, platform) {
+  if (!confirm('撤销后该短链将无法访问，确定撤销？')) return;
+
+  const scope = platform === 'qq' ? 'QQ_SHORT_LINK_REVOKE' : 'SHORT_LINK_REVOKE';
+  const res = await platformApi(platform)('/links/' + encodeURIComponent(code), { method: 'DELETE' }, scope);
+  if (!res.success) {
+    showActionError(res, '撤销短链失败');
+    return;
+  }
+
+  showToast('短链已撤销');
+  loadShortLinksFor(platform, shortLinkState[platform].page);
+}
+
+// ─── 已签发的播放链接 ───
+
+function getPlaybackTokenElements(platform) {
+  const prefix = platform === 'qq' ? 'qqPlaybackTokens' : 'playbackTokens';
+  return {
+    usage: document.getElementById(`${prefix}Usage`),
+    list: document.getElementById(`${prefix}List`),
+    pagination: document.getElementById(`${prefix}Pagination`),
+    paginationId: `${prefix}Pagination`,
+    callbackName: platform === 'qq' ? 'loadQQPlaybackTokens' : 'loadPlaybackTokens'
+  };
+}
+
+async function loadPlaybackTokensFor(platform, page = 1) {
+  const state = playbackTokenState[platform];
+  const { list, pagination } = getPlaybackTokenElements(platform);
+  if (!list || state.loading) return;
+
+  state.loading = true;
+  state.page = page;
+  list.innerHTML = '<div style="text-align:center; padding: 2rem;"><span class="loading"></span></div>';
+  if (pagination) pagination.innerHTML = '';
+
+  const offset = (page - 1) * PAGE_SIZE;
+  const scope = platform === 'qq' ? 'QQ_PLAYBACK_TOKEN_LIST' : 'PLAYBACK_TOKEN_LIST';
+  const usageScope = platform === 'qq' ? 'QQ_USAGE' : 'USAGE';
+  const [res, usageRes] = await Promise.all([
+    platformApi(platform)(`/tokens?offset=${offset}&limit=${PAGE_SIZE}`, {}, scope),
+    platformApi(platform)('/usage', {}, usageScope)
+  ]);
+  state.loading = false;
+  renderUsageSummary(platform, usageRes.success ? usageRes.data : null);
+
+  if (!res.success) {
+    renderInlineError(list, res, '获取播放链接失败');
+    return;
+  }
+
+  state.items = Array.isArray(res.data) ? res.data : [];
+  state.total = Number.isFinite(res.total) ? res.total : state.items.length;
+  renderPlaybackTokens(platform);
+}
+
+function loadPlaybackTokens(page = 1) {
+  return loadPlaybackTokensFor('netease', page);
+}
+
+function loadQQPlaybackTokens(page = 1) {
+  return loadPlaybackTokensFor('qq', page);
+}
+
+function renderUsageSummary(platform, data) {
+  const { usage } = getPlaybackTokenElements(platform);
+  if (!usage) return;
+  if (!data) {
+    usage.innerHTML = '';
+    return;
+  }
+
+  const limits = data.limits && data.limits.user ? data.limits.user : {};
+  const parts = [];
+  if (limits.requests) parts.push(`请求 ${limits.requests} 次`);
+  if (limits.transcodeSeconds) parts.push(`转码 ${Math.round(limits.transcodeSeconds / 60)} 分钟`);
+  if (limits.bytes) parts.push(`流量 ${formatBytes(limits.bytes)}`);
+  const limitText = parts.length ? `每日上限：${parts.join(' · ')}` : '每日不限量';
+
+  usage.innerHTML = `<div class="item-meta">${escapeHtml(formatUsage(data.usage))}（${escapeHtml(limitText)}）</div>`;
+}
+
+function renderPlaybackTokens(platform) {
+  const state = playbackTokenState[platform];
+  const { list, paginationId, callbackName } = getPlaybackTokenElements(platform);
+  if (!list) return;
+
+  if (state.items.length === 0) {
+    list.innerHTML = '<div class="empty">暂无播放链接</div>';
+    renderPagination(paginationId, 0, 1, PAGE_SIZE, callbackName);
+    return;
+  }
+
+  const statusLabels = { active: '有效', expired: '已过期', revoked: '已撤销' };
+  list.innerHTML = state.items.map((item) => {
+    const safeId = escapeHtml(item.id);
+    const safeName = escapeHtml(item.label);
+    const status = escapeHtml(statusLabels[item.status] || item.status);
+    const revokeBtn = item.status === 'revoked'
+      ? ''
+      : `<button class="btn btn-ghost" style="padding: 0.4rem;" onclick="revokePlaybackToken('${safeId}', '${platform}')">撤销</button>`;
+    return `
+      <div class="list-item">
+        <div class="item-info">
+          <div class="item-name">${safeName}</div>
+          <div class="item-meta">${status} · 歌单 ${escapeHtml(item.playlistId)} · 创建于 ${escapeHtml(item.createdAt)} · 到期 ${escapeHtml(item.expiresAt)}</div>
+          <div class="item-meta">${escapeHtml(formatUsage(item.usage))}</div>
+        </div>
+        <div class="item-actions">
+          <button class="btn btn-ghost" style="padding: 0.4rem;" onclick="renamePlaybackToken('${safeId}', '${platform}')">重命名</button>
+          ${revokeBtn}
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  renderPagination(paginationId, state.total, state.page, PAGE_SIZE, callbackName);
+}
+
+async function renamePlaybackToken(id, platform) {
+  const current = playbackTokenState[platform].items.find((item) => item.id === id);
+  const label = prompt('新的名称', current ? current.label : '');
+  if (label === null || !label.trim()) return;
+
+  const scope = platform === 'qq' ? 'QQ_PLAYBACK_TOKEN_RENAME' : 'PLAYBACK_TOKEN_RENAME';
+  const res = await platformApi(platform)('/tokens/' + encodeURIComponent(id), {
+    method: 'PATCH',
+    body: JSON.stringify({ label: label.trim() })
+  }, scope);
+  if (!res.success) {
+    showActionError(res, '重命名失败');
+    return;
+  }
+
+  loadPlaybackTokensFor(platform, playbackTokenState[platform].page);
+}
+
+async function revokePlaybackToken(id, platform) {
+  if (!confirm('撤销后该播放链接及其短链将立即失效，确定撤销？')) return;
+
+  const scope = platform === 'qq' ? 'QQ_PLAYBACK_TOKEN_REVOKE' : 'PLAYBACK_TOKEN_REVOKE';
+  const res = await platformApi(platform)('/tokens/' + encodeURIComponent(id), { method: 'DELETE' }, scope);
+  if (!res.success) {
+    showActionError(res, '撤销失败');
+    return;
+  }
+
+  showToast('播放链接已撤销');
+  loadPlaybackTokensFor(platform, playbackTokenState[platform].page);
+}
+
 function renderPagination(containerId, total, page, pageSize, callbackName) {
   const container = document.getElementById(containerId);
   if (!container) return;
@@ -1801,6 +2137,20 @@ async function playFavorite(playlistId, platform) {
   await generatePlaylist();
 }
 
+function formatBytes(bytes) {
+  const n = Number(bytes) || 0;
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  if (n < 1024 * 1024 * 1024) return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  return `${(n / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+function formatUsage(usage) {
+  if (!usage) return '';
+  const minutes = Math.round((Number(usage.transcodeSeconds) || 0) / 60);
+  return `今日 ${Number(usage.requests) || 0} 次请求 · 转码 ${minutes} 分钟 · ${formatBytes(usage.bytes)}`;
+}
+
 function formatTime(dateStr) {
   const date = new Date(dateStr);
   const now = new Date();
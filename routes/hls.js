@@ -1,108 +1,154 @@
 const express = require('express');
 const router = express.Router();
-const { spawn, execSync } = require('child_process');
+const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
-const os = require('os');
-const https = require('https');
-const http = require('http');
-const netease = require('../lib/netease');
-const qqmusic = require('../lib/qqmusic');
+const { EventEmitter } = require('events');
 const { decrypt } = require('../lib/crypto');
-const { userOps, qqUserOps, playlistOps, playLogOps } = require('../lib/db');
-const { verifyPlaybackToken, isLegacyToken } = require('../lib/playback-token');
+const { derivePlaybackToken } = require('../lib/playback-token');
+const { playlistOps, playLogOps } = require('../lib/db');
+const { resolvePlaybackAccess, getSource } = require('../lib/sources');
+const { applyPlaylistOptions } = require('../lib/playlist-options');
 const { getOrBindBg } = require('../lib/lite-video-bg');
-
-function isValidNumericId(id) {
-  return typeof id === 'string' && /^\d+$/.test(id) && id.length <= 20;
-}
+const { resolveLocalAudioPath } = require('../lib/local-library');
+const { isSongInScope } = require('../lib/single-song');
+const {
+  normalizeHlsMode,
+  isLiteVideoMode,
+  isAudioMode,
+  isVisualizerMode,
+  getModeCacheKey
+} = require('../lib/hls-mode');
+const {
+  AUDIO_CODEC,
+  DEFAULT_AUDIO_KBPS,
+  parseVideoRenditions,
+  parseAudioRenditions,
+  resolveRendition,
+  parseX264Codec,
+  measureBandwidth,
+  getNominalBandwidth,
+  getNominalCodecs,
+  buildStreamInf
+} = require('../lib/hls-renditions');
+const {
+  INIT_SEGMENT_NAME,
+  normalizeSegmentFormat,
+  isFmp4Format,
+  getSegmentExtension,
+  getSegmentFileName,
+  getMediaPlaylistVersion,
+  getSegmentContentType
+} = require('../lib/hls-container');
+const { buildDashManifest } = require('../lib/dash-manifest');
+const { DEFAULT_WINDOW_SEGMENTS, buildLiveSchedule, getLiveWindow } = require('../lib/live-radio');
+const { normalizeCrossfade, getCrossfadePlan, planPlaylistCrossfades } = require('../lib/hls-crossfade');
+const { getLoudnormConfig, isSameLoudnormTarget, getLoudnessKey, resolveLoudnorm } = require('../lib/loudness');
+const {
+  getNowPlayingFont,
+  getNowPlayingInfo,
+  writeNowPlayingTextFiles,
+  buildOverlayFilterGraph
+} = require('../lib/now-playing');
+const { getSongLyrics, mergeLyrics, buildWebVtt } = require('../lib/lyrics');
+const { getVisualizerConfig, buildVisualizerFilterGraph } = require('../lib/visualizer');
+const { downloadCache, getAudioDownloadKey, getCoverDownloadKey } = require('../lib/download-cache');
+const { createDownloader } = require('../lib/downloader');
+const { findFFmpeg } = require('../lib/ffmpeg');
+const { cacheIndex } = require('../lib/cache-index');
+const { sendStaticFile, isRangeContinuation } = require('../lib/static-file');
+const { createSegmentListWatcher } = require('../lib/hls-segment-list');
+const {
+  JobQueue,
+  QUEUE_FULL_MESSAGE,
+  parseFFmpegProgress,
+  getJobQueues,
+  cancelJob,
+  listFinishedJobs
+} = require('../lib/job-queue');
+const {
+  getUsageUserId,
+  enforcePlaybackQuota,
+  sendQuotaExceeded,
+  recordTranscodeSeconds,
+  findExceededTranscodeQuota
+} = require('../lib/usage-quota');
 
 function isLikelyToken(token) {
   return typeof token === 'string' && token.length > 0 && token.length <= 1024;
 }
 
-function resolveUserFromAccessToken(token, playlistId, source = 'netease') {
-  const raw = String(token || '');
-  const sourceName = source === 'qq' ? 'qq' : 'netease';
-  const tokenStore = sourceName === 'qq' ? qqUserOps : userOps;
-  if (isLegacyToken(raw)) {
-    return tokenStore.getByToken.get(raw) || null;
-  }
-
-  const verified = verifyPlaybackToken(raw, { playlistId: String(playlistId || '') });
-  if (!verified.ok) return null;
-  return tokenStore.getById.get(verified.userId) || null;
-}
-
-function getSourceFromReq(req) {
-  const base = String(req.baseUrl || '');
-  if (base.startsWith('/api/qq/hls')) return 'qq';
-  return 'netease';
+// 输出模式与下列输出选项只来自 token 中签名的声明（见 lib/playback-token.js），不接受查询参数覆盖：
+// 每种组合都是一份独立的转码缓存，持有链接的人不能借此成倍增加转码开销
+function getPlaybackMode(access) {
+  return normalizeHlsMode(access && access.mode);
 }
 
-function getModeFromReq(req) {
-  const mode = String(req.query.mode || '').trim().toLowerCase();
-  if (mode === 'lite_video') return 'lite_video';
-  return '';
+function getSegmentFormat(access) {
+  return normalizeSegmentFormat(access.output.format);
 }
 
-function isLiteVideoMode(mode) {
-  return mode === 'lite_video';
+// 相邻歌曲之间的交叉淡化秒数（见 lib/hls-crossfade.js），0 为硬切
+function getCrossfade(access) {
+  return normalizeCrossfade(access.output.crossfade);
 }
 
-function getPlaylistCacheKey(playlistId, source) {
-  if (source === 'qq') return `qq:${String(playlistId || '')}`;
-  return String(playlistId || '');
+// 视频画面叠加（见 lib/now-playing.js）：正在播放信息与同步歌词；纯音频模式没有画面，忽略。
+// 均未开启时返回 null
+function getOverlay(access, mode) {
+  if (isAudioMode(mode)) return null;
+  const { nowPlaying, lyrics } = access.output;
+  return nowPlaying || lyrics ? { nowPlaying, lyrics } : null;
 }
 
-function getSongIdForTrack(song, source) {
-  if (source === 'qq') {
-    return String((song && (song.mid || song.id)) || '').trim();
-  }
-  return String((song && song.id) || '').trim();
+// 缓存键中的叠加部分：正在播放信息含歌单名，按歌单区分
+function getOverlayVariant(overlay, playlistId) {
+  if (!overlay) return '';
+  return `${overlay.nowPlaying ? `!np=${playlistId}` : ''}${overlay.lyrics ? '!lrc' : ''}`;
 }
 
-function isValidSongIdForSource(songId, source) {
+function isValidSongIdForSource(songId, adapter) {
   const raw = String(songId || '').trim();
   if (!raw) return false;
-  if (source === 'qq') {
-    return /^[A-Za-z0-9]+$/.test(raw) && raw.length <= 64;
-  }
-  return isValidNumericId(raw);
+  return adapter.isValidSongId(raw);
 }
 
-function getScopedSongCacheKey(songId, source, mode) {
+// token 声明了音质、使用了多码率档位或 fMP4 封装时单独缓存，均未指定时沿用原有缓存键；
+// 画面有叠加时按 overlayVariant（见 getOverlayVariant，未开启时为空）单独缓存
+function getScopedSongCacheKey(songId, source, mode, quality, renditionId, format, overlayVariant = '') {
   const sid = String(songId || '').trim();
-  const src = source === 'qq' ? 'qq' : 'netease';
-  const modeKey = isLiteVideoMode(mode) ? 'lite_video' : 'default';
-  return `${src}:${modeKey}:${sid}`;
+  // 可视化样式不同画面不同，样式写入模式部分
+  const modeKey = isVisualizerMode(mode) ? `${getModeCacheKey(mode)}-${VISUALIZER.style}` : getModeCacheKey(mode);
+  const variant = `${quality ? `@${quality}` : ''}${renditionId ? `~${renditionId}` : ''}${isFmp4Format(format) ? '+fmp4' : ''}` +
+    overlayVariant;
+  return `${source}:${modeKey}${variant}:${sid}`;
 }
 
-function getSegmentBasePathForReq(req, token, playlistId) {
-  const source = getSourceFromReq(req);
-  if (source === 'qq') {
-    return `/api/qq/hls/${encodeURIComponent(token)}/${encodeURIComponent(playlistId)}`;
-  }
-  return `/api/hls/${encodeURIComponent(token)}/${encodeURIComponent(playlistId)}`;
+// 过渡段按「前一首 > 后一首」与淡化秒数缓存，其余维度与歌曲分片相同
+function getTransitionCacheKey(fromSongId, toSongId, crossfade, source, mode, quality, renditionId, format, overlayVariant) {
+  return getScopedSongCacheKey(`xf${crossfade}:${fromSongId}>${toSongId}`, source, mode, quality, renditionId, format, overlayVariant);
 }
 
-function getSourceAdapter(source) {
-  if (source === 'qq') {
-    return {
-      source: 'qq',
-      getSongUrl: (songId, cookie) => qqmusic.getSongUrl(String(songId), cookie),
-      getPlaylistDetail: (playlistId, cookie) => qqmusic.getPlaylistDetail(String(playlistId), cookie),
-      toPlayLogPlaylistId: (playlistId) => `qq:${String(playlistId)}`,
-      toPlayLogSongId: (songId) => `qq:${String(songId)}`
-    };
+// 叠加所需的曲目信息与歌单名均取自歌单缓存
+function getNowPlayingForSong(adapter, playlistId, song, songId) {
+  const cached = playlistOps.get.get(adapter.getPlaylistCacheKey(playlistId));
+  return getNowPlayingInfo({ song, songId, playlistName: cached && cached.name });
+}
+
+// 烧录歌词用的字幕行；获取失败或没有歌词时画面不显示歌词
+async function getOverlayLyrics(adapter, songId, cookie, duration) {
+  try {
+    const lyrics = await getSongLyrics(adapter, songId, cookie);
+    return lyrics ? mergeLyrics(lyrics.lrc, lyrics.tlrc, { duration: Number(duration) || 0 }) : [];
+  } catch (e) {
+    console.error(`[歌词] 获取失败 ${adapter.name}:${songId}:`, e.message);
+    return [];
   }
-  return {
-    source: 'netease',
-    getSongUrl: (songId, cookie) => netease.getSongUrl(String(songId), cookie),
-    getPlaylistDetail: (playlistId, cookie) => netease.getPlaylistDetail(String(playlistId), cookie),
-    toPlayLogPlaylistId: (playlistId) => String(playlistId),
-    toPlayLogSongId: (songId) => String(songId)
-  };
+}
+
+// 分片 URL 跟随当前挂载点（/api/hls、/api/qq/hls、/api/:source/hls）
+function getSegmentBasePathForReq(req, token, playlistId) {
+  return `${req.baseUrl}/${encodeURIComponent(token)}/${encodeURIComponent(playlistId)}`;
 }
 
 function isValidSegmentIndex(index) {
@@ -149,19 +195,6 @@ if (!fs.existsSync(CACHE_DIR)) {
   fs.mkdirSync(CACHE_DIR, { recursive: true });
 }
 
-function envNumber(key) {
-  const raw = process.env[key];
-  if (raw == null || raw === '') return NaN;
-  const num = Number(raw);
-  return Number.isFinite(num) ? num : NaN;
-}
-
-const maxSizeBytesFromEnv = envNumber('HLS_CACHE_MAX_SIZE');
-const maxSizeGBFromEnv = envNumber('HLS_CACHE_MAX_SIZE_GB');
-const maxAgeHoursFromEnv = envNumber('HLS_CACHE_MAX_AGE_HOURS');
-const cleanupIntervalMinutesFromEnv = envNumber('HLS_CACHE_CLEANUP_INTERVAL_MINUTES');
-const cleanupTargetRatioFromEnv = envNumber('HLS_CACHE_CLEANUP_TARGET_RATIO');
-
 function parseSegmentDuration() {
   const raw = process.env.HLS_SEGMENT_DURATION;
   if (raw == null || raw === '') return 10;
@@ -172,23 +205,14 @@ function parseSegmentDuration() {
   return n;
 }
 
+// 缓存容量与保留时长见 lib/cache-index.js
 const CACHE_CONFIG = {
-  maxAge: (Number.isFinite(maxAgeHoursFromEnv) && maxAgeHoursFromEnv > 0)
-    ? Math.floor(maxAgeHoursFromEnv * 60 * 60 * 1000)
-    : 24 * 60 * 60 * 1000,
-  maxSize: (Number.isFinite(maxSizeBytesFromEnv) && maxSizeBytesFromEnv > 0)
-    ? Math.floor(maxSizeBytesFromEnv)
-    : ((Number.isFinite(maxSizeGBFromEnv) && maxSizeGBFromEnv > 0)
-      ? Math.floor(maxSizeGBFromEnv * 1024 * 1024 * 1024)
-      : 5 * 1024 * 1024 * 1024),
-  cleanupInterval: (Number.isFinite(cleanupIntervalMinutesFromEnv) && cleanupIntervalMinutesFromEnv > 0)
-    ? Math.floor(cleanupIntervalMinutesFromEnv * 60 * 1000)
-    : 60 * 60 * 1000,
-  cleanupToRatio: (Number.isFinite(cleanupTargetRatioFromEnv) && cleanupTargetRatioFromEnv > 0 && cleanupTargetRatioFromEnv < 1)
-    ? cleanupTargetRatioFromEnv
-    : 0.8,
   autoPreloadCount: parseInt(process.env.HLS_AUTO_PRELOAD_COUNT, 10) || 1,
+  // 纯音频转码开销远小于封面视频，默认多预加载几首
+  audioAutoPreloadCount: parseInt(process.env.HLS_AUDIO_AUTO_PRELOAD_COUNT, 10) || 3,
   segmentDuration: parseSegmentDuration(),
+  // 直播电台滑动窗口中的分片数
+  liveWindowSegments: Math.max(3, parseInt(process.env.HLS_LIVE_WINDOW_SEGMENTS, 10) || DEFAULT_WINDOW_SEGMENTS),
 };
 
 const LOG_VERBOSE = process.env.LOG_HLS_VERBOSE === '1' || process.env.LOG_HLS_VERBOSE === 'true';
@@ -204,6 +228,32 @@ const COVER_OUTPUT = {
   height: parseInt(process.env.COVER_HEIGHT) || 1080
 };
 
+const HLS_RENDITIONS = {
+  video: parseVideoRenditions(process.env.HLS_VIDEO_RENDITIONS, COVER_OUTPUT),
+  audio: parseAudioRenditions(process.env.HLS_AUDIO_RENDITIONS)
+};
+
+function getRenditionsForMode(mode) {
+  return isAudioMode(mode) ? HLS_RENDITIONS.audio : HLS_RENDITIONS.video;
+}
+
+// token 声明的档位，未声明时为默认档；未知档位（如已从配置中移除）返回 null
+function getRendition(access, mode) {
+  return resolveRendition(getRenditionsForMode(mode), access.output.rendition);
+}
+
+// master.m3u8 / DASH 的每个档位使用带档位声明的 token（见 derivePlaybackToken），其余声明与原 token 相同；
+// token 已声明档位时只提供该档，旧格式 token 无法派生，只提供默认档
+function getRenditionTokens(token, access, mode) {
+  const renditions = getRenditionsForMode(mode);
+  if (access.output.rendition || renditions.length === 1) {
+    const rendition = getRendition(access, mode);
+    return rendition ? [{ rendition, token }] : [];
+  }
+  const derived = renditions.map((rendition) => ({ rendition, token: derivePlaybackToken(token, { rendition: rendition.id }) }));
+  return derived.every((item) => item.token) ? derived : [{ rendition: renditions[0], token }];
+}
+
 const COVER_FPS = (() => {
   const raw = process.env.COVER_FPS;
   if (raw == null || raw === '') return 5;
@@ -212,6 +262,8 @@ const COVER_FPS = (() => {
   return 5;
 })();
 
+const VISUALIZER = getVisualizerConfig();
+
 const HLS_FFMPEG_THREADS = (() => {
   const raw = process.env.HLS_FFMPEG_THREADS;
   if (raw == null || raw === '') return 0;
@@ -233,12 +285,27 @@ function optimizeNeteaseCoverUrl(rawUrl, size = 1080) {
   }
 }
 
+function getAutoPreloadCount(mode) {
+  return isAudioMode(mode) ? CACHE_CONFIG.audioAutoPreloadCount : CACHE_CONFIG.autoPreloadCount;
+}
+
+// 边播边缓存：当前歌曲之后预加载的首数
+function getNextPreloadCount(mode) {
+  return isAudioMode(mode) ? 4 : 2;
+}
+
 function pickCoverUrlForSong(song, playlistCoverUrl) {
   const songCover = song && song.cover ? String(song.cover) : '';
   const base = songCover || playlistCoverUrl || DEFAULT_COVER_URL;
   return optimizeNeteaseCoverUrl(base, 1080) || DEFAULT_COVER_URL;
 }
 
+// 分片所用封面；纯音频模式返回 null（不下载封面、不输出视频轨）
+function getSegmentCoverUrl(mode, song, coverUrl) {
+  if (isAudioMode(mode)) return null;
+  return isLiteVideoMode(mode) ? coverUrl : pickCoverUrlForSong(song, coverUrl);
+}
+
 const JOB_LIMITS = {
   maxConcurrentJobs: parseInt(process.env.HLS_MAX_CONCURRENT_JOBS) || 4,
   maxQueueSize: parseInt(process.env.HLS_MAX_QUEUE) || 20,
@@ -248,101 +315,22 @@ const JOB_LIMITS = {
   ffmpegTimeout: parseInt(process.env.HLS_FFMPEG_TIMEOUT) || 180000,
 };
 
-const DEFAULT_DOWNLOAD_ALLOW_PATTERNS = [
-  /^m\d+[a-z]*\.music\.126\.net$/i,
-  /^p\d+\.music\.126\.net$/i,
-  /^music\.126\.net$/i,
-  // QQ 音乐域名
-  /^[a-z0-9]+\.y\.qq\.com$/i,
-  /^y\.gtimg\.cn$/i,
-  /^[a-z0-9]+\.stream\.qqmusic\.qq\.com$/i,
-  /^dl\.stream\.qqmusic\.qq\.com$/i,
-  /^isure\.stream\.qqmusic\.qq\.com$/i,
-  /^ws\.stream\.qqmusic\.qq\.com$/i,
-  /^[a-z0-9-]+\.mcobj\.com$/i,
-];
-
-function parseExtraAllowPatterns() {
-  const extra = process.env.HLS_DOWNLOAD_ALLOW_HOSTS;
-  if (!extra) return [];
-  return extra.split(',').map(s => s.trim()).filter(Boolean).map(pattern => {
-    try {
-      return new RegExp(pattern, 'i');
-    } catch (e) {
-      console.warn(`[HLS] 无效的 HLS_DOWNLOAD_ALLOW_HOSTS 模式: ${pattern}`);
-      return null;
-    }
-  }).filter(Boolean);
-}
-
-const DOWNLOAD_ALLOW_PATTERNS = [...DEFAULT_DOWNLOAD_ALLOW_PATTERNS, ...parseExtraAllowPatterns()];
-
-const HTTP_AGENT = new http.Agent({ keepAlive: true, maxSockets: 50 });
-const HTTPS_AGENT = new https.Agent({ keepAlive: true, maxSockets: 50 });
+// 源音频与封面的下载限制（见 lib/downloader.js）
+const { isDownloadUrlAllowed, downloadFile } = createDownloader({
+  allowHosts: process.env.HLS_DOWNLOAD_ALLOW_HOSTS,
+  timeout: JOB_LIMITS.downloadTimeout,
+  maxSize: JOB_LIMITS.downloadMaxSize,
+  maxRedirects: JOB_LIMITS.downloadMaxRedirects
+});
 
-function isDownloadUrlAllowed(urlStr) {
-  let u;
-  try {
-    u = new URL(urlStr);
-  } catch (e) {
-    return { allowed: false, reason: 'Invalid URL' };
-  }
-  
-  if (u.protocol !== 'http:' && u.protocol !== 'https:') {
-    return { allowed: false, reason: `Protocol not allowed: ${u.protocol}` };
-  }
-  
-  const hostname = u.hostname.toLowerCase();
-  const matched = DOWNLOAD_ALLOW_PATTERNS.some(pattern => pattern.test(hostname));
-  if (!matched) {
-    return { allowed: false, reason: `Host not allowed: ${hostname}` };
-  }
-  
-  return { allowed: true };
-}
+// 转码任务队列（见 lib/job-queue.js）；可视化模式每秒要编码几十帧，单独一个队列限制并发，不挤占普通转码
+const hlsJobs = new JobQueue({ name: 'hls', concurrency: JOB_LIMITS.maxConcurrentJobs, maxQueueSize: JOB_LIMITS.maxQueueSize });
+const visualizerJobs = new JobQueue({ name: 'hls-visualizer', concurrency: VISUALIZER.maxConcurrentJobs, maxQueueSize: JOB_LIMITS.maxQueueSize });
 
-class Semaphore {
-  constructor(max) {
-    this.max = max;
-    this.current = 0;
-    this.queue = [];
-  }
-  
-  async acquire() {
-    if (this.current < this.max) {
-      this.current++;
-      return true;
-    }
-  
-    if (this.queue.length >= JOB_LIMITS.maxQueueSize) {
-      return false;
-    }
-    
-    return new Promise((resolve) => {
-      this.queue.push(resolve);
-    });
-  }
-  
-  release() {
-    this.current--;
-    if (this.queue.length > 0 && this.current < this.max) {
-      this.current++;
-      const next = this.queue.shift();
-      next(true);
-    }
-  }
-  
-  get waiting() {
-    return this.queue.length;
-  }
-  
-  get running() {
-    return this.current;
-  }
+function getJobQueue(visualizer) {
+  return visualizer ? visualizerJobs : hlsJobs;
 }
 
-const jobSemaphore = new Semaphore(JOB_LIMITS.maxConcurrentJobs);
-
 const generatingLocks = new Map();
 
 const preloadingPlaylists = new Set();
@@ -350,6 +338,34 @@ const preloadingPlaylists = new Set();
 const songSegmentInfo = new Map();
 const SEGMENT_INFO_MAX = 1000;
 
+// 正在转码的歌曲 / 过渡段：缓存键 -> 分片列表监视器（见 lib/hls-segment-list.js），
+// 已完成的分片在转码过程中就移入缓存目录，请求不必等整首转码完成
+const segmentWatchers = new Map();
+const segmentEvents = new EventEmitter();
+segmentEvents.setMaxListeners(0);
+
+// 等待第 segIndex 个分片发布（init 段随第一个分片发布，排队或重试时一直等待）；
+// 转码先结束（完成或失败）时也返回，由调用方检查分片文件并处理错误
+function waitForSegment(songCacheKey, segIndex, generation) {
+  const index = Math.max(segIndex, 0);
+  return new Promise((resolve) => {
+    const finish = () => {
+      segmentEvents.off('start', onStart);
+      resolve();
+    };
+    const attach = (watcher) => watcher.waitFor(index).then((published) => {
+      if (published) finish();
+    });
+    const onStart = (key, watcher) => {
+      if (key === songCacheKey) attach(watcher);
+    };
+    segmentEvents.on('start', onStart);
+    const current = segmentWatchers.get(songCacheKey);
+    if (current) attach(current);
+    generation.then(finish, finish);
+  });
+}
+
 setInterval(() => {
   const now = Date.now();
   for (const [key, promise] of generatingLocks.entries()) {
@@ -374,51 +390,6 @@ setInterval(() => {
   }
 }, 10 * 60 * 1000);
 
-function findFFmpeg() {
-  try {
-    execSync('ffmpeg -version', { stdio: 'ignore' });
-    return 'ffmpeg';
-  } catch (e) {}
-  
-  if (os.platform() === 'win32') {
-    const wingetPath = path.join(
-      process.env.LOCALAPPDATA || '',
-      'Microsoft', 'WinGet', 'Packages'
-    );
-    if (fs.existsSync(wingetPath)) {
-      const searchFFmpeg = (dir) => {
-        try {
-          const items = fs.readdirSync(dir);
-          for (const item of items) {
-            const fullPath = path.join(dir, item);
-            const stat = fs.statSync(fullPath);
-            if (stat.isDirectory()) {
-              const result = searchFFmpeg(fullPath);
-              if (result) return result;
-            } else if (item === 'ffmpeg.exe') {
-              return fullPath;
-            }
-          }
-        } catch (e) {}
-        return null;
-      };
-      const found = searchFFmpeg(wingetPath);
-      if (found) return found;
-    }
-    
-    const commonPaths = [
-      'C:\\ffmpeg\\bin\\ffmpeg.exe',
-      'C:\\Program Files\\ffmpeg\\bin\\ffmpeg.exe',
-      path.join(process.env.ChocolateyInstall || 'C:\\ProgramData\\chocolatey', 'bin', 'ffmpeg.exe')
-    ];
-    for (const p of commonPaths) {
-      if (fs.existsSync(p)) return p;
-    }
-  }
-  
-  return 'ffmpeg';
-}
-
 const FFMPEG_PATH = findFFmpeg();
 console.log('FFmpeg路径:', FFMPEG_PATH);
 
@@ -443,24 +414,37 @@ function getSongCacheDir(songCacheKey) {
   return path.join(CACHE_DIR, toFsCacheKey(songCacheKey));
 }
 
-function getSegmentPath(songCacheKey, segmentIndex) {
-  return path.join(getSongCacheDir(songCacheKey), `seg_${String(segmentIndex).padStart(4, '0')}.ts`);
+function getSegmentPath(songCacheKey, segmentIndex, format) {
+  return path.join(getSongCacheDir(songCacheKey), getSegmentFileName(format, segmentIndex));
+}
+
+function getInitSegmentPath(songCacheKey) {
+  return path.join(getSongCacheDir(songCacheKey), INIT_SEGMENT_NAME);
 }
 
 function getSegmentInfoPath(songCacheKey) {
   return path.join(getSongCacheDir(songCacheKey), 'info.json');
 }
 
-function isSongCached(songCacheKey) { 
+// 档位参数变化（如调整 COVER_WIDTH / COVER_HEIGHT）后旧缓存失效
+function isInfoForRendition(info, rendition) {
+  if (rendition.audioOnly) {
+    return !!info.audioOnly && (info.audioBitrate || DEFAULT_AUDIO_KBPS) === rendition.audioKbps;
+  }
+  return !info.audioOnly && !!info.video
+    && info.video.width === rendition.width && info.video.height === rendition.height;
+}
+
+function isSongCached(songCacheKey, rendition) { 
   try { 
     const infoPath = getSegmentInfoPath(songCacheKey); 
     if (!fs.existsSync(infoPath)) return false; 
      
     const info = JSON.parse(fs.readFileSync(infoPath, 'utf8')); 
     if (info.version !== CACHE_VERSION) return false; 
-    if (!info.video || info.video.width !== COVER_OUTPUT.width || info.video.height !== COVER_OUTPUT.height) return false; 
-    const age = Date.now() - info.timestamp; 
-    if (age > CACHE_CONFIG.maxAge) return false; 
+    if (!isInfoForRendition(info, rendition)) return false; 
+    // 开启 / 关闭响度标准化或调整目标后需重新转码
+    if (!isSameLoudnormTarget(info.loudnorm, getLoudnormConfig())) return false;
 
     const count = parseInt(info.segmentCount, 10) || 0;
     return count > 0;
@@ -485,29 +469,24 @@ function getSongSegmentInfo(songId) {
   }
 }
 
-async function statIfValidSegment(filePath) {
+// fMP4 的 init 段本身只有几百字节，调用方可放宽下限
+async function statIfValidSegment(filePath, minBytes = 1024) {
   try {
     const stat = await fs.promises.stat(filePath);
     if (!stat.isFile()) return null;
-    if (stat.size <= 1024) return null;
+    if (stat.size <= minBytes) return null;
     return stat;
   } catch (e) {
     return null;
   }
 }
 
-function formatHttpDate(ms) {
-  try {
-    return new Date(ms).toUTCString();
-  } catch (_) {
-    return new Date().toUTCString();
-  }
-}
-
-function makeWeakEtag(stat) {
-  const size = stat?.size || 0;
-  const mtimeMs = Math.floor(stat?.mtimeMs || Date.now());
-  return `W/\"${size}-${mtimeMs}\"`;
+// 只有整首已缓存且为当前版本（info.json 完整），或正在转码的任务已发布第 segIndex 个分片（init 段随第 0 个）时
+// 才算命中；缓存目录里其他的分片文件可能是旧版本或中断转码的残留
+async function statPublishedSegment(songCacheKey, segIndex, rendition, segmentPath, minBytes) {
+  const watcher = segmentWatchers.get(String(songCacheKey));
+  const published = (watcher && watcher.segments.length > Math.max(segIndex, 0)) || isSongCached(songCacheKey, rendition);
+  return published ? statIfValidSegment(segmentPath, minBytes) : null;
 }
 
 function yieldToEventLoop() {
@@ -540,156 +519,146 @@ async function getSongDirSizeBytes(songDir) {
   }
 }
  
-let cacheCleanupRunning = false; 
-let cacheCleanupScheduled = false; 
- 
-async function cleanupCache(reason = 'interval') { 
-  if (cacheCleanupRunning) return; 
-  cacheCleanupRunning = true; 
-  try { 
-    const dirents = await fs.promises.readdir(CACHE_DIR, { withFileTypes: true }); 
-    const songInfos = []; 
-
-    for (let i = 0; i < dirents.length; i++) { 
-      const entry = dirents[i]; 
-      if (!entry.isDirectory()) continue; 
-      const songId = fromFsCacheKey(entry.name);
-      if (generatingLocks.has(songId)) continue;
-
-      // 跳过最近 30 秒内生成的缓存，避免刚生成就被清理的竞态
-      const RECENTLY_GENERATED_GRACE_MS = 30 * 1000;
-
-      const songDir = path.join(CACHE_DIR, entry.name); 
-      const infoPath = path.join(songDir, 'info.json'); 
-
-      let timestamp = 0; 
-      let sizeBytes = 0; 
-
-      const info = await safeReadJson(infoPath); 
-      if (info) { 
-        timestamp = Number(info.timestamp) || 0; 
-        sizeBytes = Number(info.cacheBytes) || 0; 
-      } 
+// 分片目录登记在统一缓存索引（见 lib/cache-index.js），生成中的不淘汰，淘汰后清掉内存中的分片信息
+cacheIndex.addBusyCheck((entry) => entry.kind === 'hls'
+  && (generatingLocks.has(entry.key) || hlsJobs.has(entry.key) || visualizerJobs.has(entry.key)));
+cacheIndex.onEvict((entry) => {
+  if (entry.kind === 'hls') songSegmentInfo.delete(entry.key);
+});
 
-      if (!timestamp) {
-        try {
-          const stat = await fs.promises.stat(songDir);
-          timestamp = stat.mtimeMs || 0;
-        } catch (_) {
-          continue;
-        }
+/**
+ * 服务启动时调用：登记索引建立前已存在的缓存目录（HLS 与 MP4 共用 data/cache，按 info.json 区分），
+ * 最近访问时间取生成时间；再删除磁盘上已不存在的记录和未登记的下载文件，最后按索引清理一次
+ */
+async function reconcileCacheIndex() {
+  let adopted = 0;
+  const dirents = await fs.promises.readdir(CACHE_DIR, { withFileTypes: true });
+  for (let i = 0; i < dirents.length; i++) {
+    const entry = dirents[i];
+    if (!entry.isDirectory()) continue;
+    const key = fromFsCacheKey(entry.name);
+    if (generatingLocks.has(key) || cacheIndex.get(key)) continue;
+
+    const songDir = path.join(CACHE_DIR, entry.name);
+    const info = await safeReadJson(path.join(songDir, 'info.json'));
+    let lastAccess = info ? Number(info.timestamp || info.createdAt) || 0 : 0;
+    if (!lastAccess) {
+      try {
+        lastAccess = (await fs.promises.stat(songDir)).mtimeMs;
+      } catch (_) {
+        continue;
       }
+    }
+    const bytes = (info && Number(info.cacheBytes || info.size)) || await getSongDirSizeBytes(songDir);
+    const kind = info && info.cacheKey ? 'mp4' : 'hls';
+    if (cacheIndex.adopt({ key, kind, path: songDir, bytes, lastAccess })) adopted++;
 
-      // 跳过刚生成的缓存目录，防止 after-generate cleanup 竞态删除
-      if (Date.now() - timestamp < RECENTLY_GENERATED_GRACE_MS) continue;
-
-      songInfos.push({ songId, path: songDir, timestamp, sizeBytes }); 
+    if (i > 0 && i % 25 === 0) await yieldToEventLoop();
+  }
 
-      if (i > 0 && i % 25 === 0) { 
-        await yieldToEventLoop(); 
-      } 
-    } 
+  const dropped = await cacheIndex.dropMissing();
+  await downloadCache.reconcile();
+  if (adopted || dropped) console.log(`[缓存] 索引已同步：登记 ${adopted} 项，移除 ${dropped} 条失效记录`);
+  await cacheIndex.evict('startup');
+}
 
-    const now = Date.now(); 
-    let deleted = 0; 
-    let freedSize = 0; 
+setTimeout(() => {
+  reconcileCacheIndex().catch((e) => {
+    console.error('缓存索引同步失败:', e?.message || e);
+  });
+}, 5000);
 
-    async function deleteSongDir(info) { 
-      try { 
-        if (!info.sizeBytes) {
-          info.sizeBytes = await getSongDirSizeBytes(info.path);
-        }
-        await fs.promises.rm(info.path, { recursive: true, force: true }); 
-        songSegmentInfo.delete(info.songId); 
-        deleted++; 
-        const freed = Number(info.sizeBytes) || 0; 
-        freedSize += freed; 
-        return freed; 
-      } catch (e) { 
-        console.error(`删除过期缓存失败 ${info.songId}:`, e?.message || e); 
-        return 0; 
-      } 
-    } 
+const TRANSCODE_QUOTA_MESSAGE = '今日转码配额已用尽';
+const SONG_JOB_KIND = 'hls-song';
+const TRANSITION_JOB_KIND = 'hls-transition';
 
-    const remaining = []; 
-    for (let i = 0; i < songInfos.length; i++) { 
-      const info = songInfos[i]; 
-      if (now - info.timestamp > CACHE_CONFIG.maxAge) { 
-        await deleteSongDir(info); 
-      } else { 
-        remaining.push(info); 
-      } 
-      if (i > 0 && i % 20 === 0) await yieldToEventLoop(); 
-    } 
+// 配额用尽时重试也不会成功
+function createQuotaError() {
+  return Object.assign(new Error(TRANSCODE_QUOTA_MESSAGE), { retryable: false });
+}
 
-    // 计算总大小：优先使用 info.json 里的 cacheBytes，否则才扫描目录
-    let totalSize = 0; 
-    for (let i = 0; i < remaining.length; i++) { 
-      const info = remaining[i]; 
-      if (!info.sizeBytes) { 
-        info.sizeBytes = await getSongDirSizeBytes(info.path); 
-      } 
-      totalSize += info.sizeBytes; 
-      if (i > 0 && i % 10 === 0) await yieldToEventLoop(); 
-    } 
+// usage 为发起转码的 token / 用户（见 lib/usage-quota.js），转码完成后按实际时长计入用量；
+// output 为 { rendition, format, loudnessKey, nowPlaying, lyrics, visualizer }：输出档位（见 lib/hls-renditions.js）、分片封装（见 lib/hls-container.js）、
+// 响度测量结果的保存键（见 lib/loudness.js）、画面叠加的正在播放信息与歌词行（见 lib/now-playing.js，未开启时为空）
+// 以及是否渲染音频可视化（见 lib/visualizer.js）；
+// task 为 { priority, source, songId, mode, quality }：队列优先级（见 lib/job-queue.js）与服务重启后重新获取音频地址所需的信息
+async function generateSongSegments(songCacheKey, audioUrl, coverUrl, songDuration, usage, output, task) {
+  if (findExceededTranscodeQuota(usage)) {
+    throw createQuotaError();
+  }
 
-    if (totalSize > CACHE_CONFIG.maxSize) { 
-      const targetSize = CACHE_CONFIG.maxSize * CACHE_CONFIG.cleanupToRatio; 
-      remaining.sort((a, b) => a.timestamp - b.timestamp); 
-
-      for (let i = 0; i < remaining.length; i++) { 
-        if (totalSize <= targetSize) break; 
-        const info = remaining[i]; 
-        if (generatingLocks.has(info.songId)) continue; 
-        const freed = await deleteSongDir(info); 
-        totalSize -= freed || 0; 
-        if (i > 0 && i % 10 === 0) await yieldToEventLoop(); 
-      } 
-    } 
+  const { priority, source, songId, mode, quality } = task;
+  return getJobQueue(output.visualizer).run({
+    key: songCacheKey,
+    kind: SONG_JOB_KIND,
+    priority,
+    payload: {
+      source,
+      songId,
+      mode,
+      quality,
+      songCacheKey,
+      coverUrl,
+      songDuration,
+      usage,
+      output: { ...output, rendition: output.rendition.id }
+    }
+  }, (job) => transcodeSongSegments(job, songCacheKey, audioUrl, coverUrl, songDuration, usage, output));
+}
 
-    if (deleted > 0) { 
-      console.log(`缓存清理完成(${reason})，删除了 ${deleted} 首歌曲缓存，释放 ${(freedSize / 1024 / 1024).toFixed(2)} MB`); 
-    } 
-  } catch (e) { 
-    console.error('缓存清理失败:', e?.message || e); 
-  } finally { 
-    cacheCleanupRunning = false; 
-  } 
-} 
+// 服务重启后恢复的歌曲任务：音频地址可能已过期，按保存的用户重新获取
+async function restoreSongJob(payload, job) {
+  const { source, songId, mode, quality, songCacheKey, coverUrl, songDuration, usage, output } = payload;
+  const adapter = getSource(source);
+  const user = adapter && adapter.userStore.getById.get(getUsageUserId(usage));
+  const rendition = resolveRendition(getRenditionsForMode(mode), output.rendition);
+  if (!user || !rendition) {
+    throw Object.assign(new Error('无法恢复转码任务'), { retryable: false });
+  }
+  if (isSongCached(songCacheKey, rendition)) return getSongSegmentInfo(songCacheKey);
+
+  const pending = (async () => {
+    const audioUrl = await adapter.getSongUrl(songId, decrypt(user.cookie), { quality });
+    if (!audioUrl) throw new Error('Cannot get song URL');
+    return transcodeSongSegments(job, songCacheKey, audioUrl, coverUrl, songDuration, usage, { ...output, rendition });
+  })();
+  // 与请求触发的转码一样占用锁，避免缓存清理删除生成中的目录
+  pending._createdAt = Date.now();
+  generatingLocks.set(songCacheKey, pending);
+  try {
+    return await pending;
+  } finally {
+    generatingLocks.delete(songCacheKey);
+  }
+}
 
-function scheduleCacheCleanup(reason = 'scheduled') { 
-  if (cacheCleanupScheduled) return; 
-  cacheCleanupScheduled = true; 
-  setTimeout(() => { 
-    cacheCleanupScheduled = false; 
-    cleanupCache(reason).catch((e) => {
-      console.error('缓存清理失败:', e?.message || e);
-    }); 
-  }, 1000); 
-} 
- 
-setInterval(() => {
-  cleanupCache('interval').catch(() => {});
-}, CACHE_CONFIG.cleanupInterval); 
-setTimeout(() => scheduleCacheCleanup('startup'), 5000); 
+hlsJobs.registerHandler(SONG_JOB_KIND, restoreSongJob);
+visualizerJobs.registerHandler(SONG_JOB_KIND, restoreSongJob);
 
-async function generateSongSegments(songCacheKey, audioUrl, coverUrl, songDuration) {
-  const acquired = await jobSemaphore.acquire();
-  if (!acquired) {
-    throw new Error('服务繁忙，请稍后重试');
+// job 为队列中的任务：job.signal 取消时终止 FFmpeg，转码进度写入 job.reportProgress
+async function transcodeSongSegments(job, songCacheKey, audioUrl, coverUrl, songDuration, usage, output) {
+  const { rendition, format, loudnessKey, nowPlaying, lyrics, visualizer } = output;
+  if (findExceededTranscodeQuota(usage)) {
+    throw createQuotaError();
   }
-  
+  const queue = getJobQueue(visualizer);
+
   const timestamp = Date.now();
   const safeTempKey = toFsCacheKey(songCacheKey);
-  const tempAudio = path.join(TEMP_DIR, `${safeTempKey}_${timestamp}.mp3`);
-  const tempCover = path.join(TEMP_DIR, `${safeTempKey}_${timestamp}.jpg`);
+  // 本地音乐库文件直接作为 FFmpeg 输入，不经过下载
+  const localAudio = resolveLocalAudioPath(audioUrl);
+  const { source, songId, quality } = job.payload;
+  let downloads = [];
   const songCacheDir = getSongCacheDir(songCacheKey);
   const tempM3u8 = path.join(TEMP_DIR, `${safeTempKey}_${timestamp}.m3u8`);
-  const tempSegmentPattern = path.join(TEMP_DIR, `${safeTempKey}_${timestamp}_seg_%04d.ts`);
+  const tempSegmentPattern = path.join(TEMP_DIR, `${safeTempKey}_${timestamp}_seg_%04d.${getSegmentExtension(format)}`);
+  // 与分片同前缀，失败时由 cleanup 一并删除；FFmpeg 将其写在 m3u8 所在目录
+  const tempInitName = `${safeTempKey}_${timestamp}_seg_init.mp4`;
   
   const cleanup = () => {
-    fs.unlink(tempAudio, () => {});
-    fs.unlink(tempCover, () => {});
+    for (const download of downloads) {
+      if (download) download.release();
+    }
     fs.unlink(tempM3u8, () => {});
     try {
       const tempFiles = fs.readdirSync(TEMP_DIR);
@@ -701,21 +670,20 @@ async function generateSongSegments(songCacheKey, audioUrl, coverUrl, songDurati
     } catch (e) {}
   };
   
-  const releaseAndCleanup = () => {
-    cleanup();
-    jobSemaphore.release();
-  };
-  
   try {
     if (!fs.existsSync(songCacheDir)) {
       fs.mkdirSync(songCacheDir, { recursive: true });
     }
     
-    if (LOG_VERBOSE) console.log(`[分片缓存] 正在下载: ${songCacheKey} (并发: ${jobSemaphore.running}/${JOB_LIMITS.maxConcurrentJobs}, 等待: ${jobSemaphore.waiting})`);
-    await Promise.all([
-      downloadFile(audioUrl, tempAudio),
-      downloadFile(coverUrl, tempCover)
+    if (LOG_VERBOSE) console.log(`[分片缓存] 正在下载: ${songCacheKey} (并发: ${queue.running}/${queue.concurrency}, 等待: ${queue.waiting})`);
+    downloads = await acquireDownloads([
+      localAudio ? null : { key: getAudioDownloadKey(source, songId, quality), url: audioUrl, ext: '.audio' },
+      coverUrl ? { key: getCoverDownloadKey(coverUrl), url: coverUrl, ext: '.jpg' } : null
     ]);
+    const tempAudio = localAudio || downloads[0].filePath;
+    const tempCover = downloads[1] ? downloads[1].filePath : null;
+    
+    const loudnorm = await resolveLoudnorm(loudnessKey, tempAudio, (args) => spawnFFmpeg(args, songCacheKey, { signal: job.signal }));
     
     if (LOG_VERBOSE) console.log(`[分片缓存] 正在转码并分片: ${songCacheKey}`);
     
@@ -727,24 +695,227 @@ async function generateSongSegments(songCacheKey, audioUrl, coverUrl, songDurati
       tempCover,
       tempM3u8,
       tempSegmentPattern,
-      songCacheDir
+      tempInitName,
+      songCacheDir,
+      rendition,
+      format,
+      loudnorm,
+      nowPlaying,
+      lyrics,
+      visualizer,
+      signal: job.signal,
+      onProgress: (seconds) => job.reportProgress(seconds, songDuration)
     });
     
-    scheduleCacheCleanup('after-generate');
-    
-    releaseAndCleanup();
+    cacheIndex.scheduleEvict('after-generate');
+    recordTranscodeSeconds(usage, info.totalDuration);
     return info;
-    
-  } catch (e) {
-    releaseAndCleanup();
-    throw e;
+  } finally {
+    cleanup();
+  }
+}
+
+// 过渡段：前一首从 plan.tailStart 起的结尾与后一首的前 plan.headDuration 秒先混音为 WAV（最后 crossfade 秒重叠），
+// 再按普通歌曲的流程转码分片，封面使用后一首的；开启响度标准化时两首歌在混音前按各自的测量值处理；
+// 叠加正在播放信息时显示后一首，过渡段不绘制进度条，也不烧录歌词。
+// 过渡段只在播放时按需生成，服务重启后不恢复
+async function generateTransitionSegments(transitionKey, sources, coverUrl, usage, output) {
+  if (findExceededTranscodeQuota(usage)) {
+    throw createQuotaError();
+  }
+  return getJobQueue(output.visualizer).run({
+    key: transitionKey,
+    kind: TRANSITION_JOB_KIND,
+    priority: 'on_demand'
+  }, (job) => transcodeTransitionSegments(job, transitionKey, sources, coverUrl, usage, output));
+}
+
+async function transcodeTransitionSegments(job, transitionKey, { fromUrl, toUrl, fromAudioKey, toAudioKey, fromLoudnessKey, toLoudnessKey, plan, crossfade }, coverUrl, usage, output) {
+  const { rendition, format, nowPlaying, visualizer } = output;
+  if (findExceededTranscodeQuota(usage)) {
+    throw createQuotaError();
+  }
+
+  const timestamp = Date.now();
+  const safeTempKey = toFsCacheKey(transitionKey);
+  const localFrom = resolveLocalAudioPath(fromUrl);
+  const localTo = resolveLocalAudioPath(toUrl);
+  const tempAudio = path.join(TEMP_DIR, `${safeTempKey}_${timestamp}.wav`);
+  let downloads = [];
+  const songCacheDir = getSongCacheDir(transitionKey);
+  const tempM3u8 = path.join(TEMP_DIR, `${safeTempKey}_${timestamp}.m3u8`);
+  const tempSegmentPattern = path.join(TEMP_DIR, `${safeTempKey}_${timestamp}_seg_%04d.${getSegmentExtension(format)}`);
+  const tempInitName = `${safeTempKey}_${timestamp}_seg_init.mp4`;
+
+  try {
+    if (!fs.existsSync(songCacheDir)) {
+      fs.mkdirSync(songCacheDir, { recursive: true });
+    }
+
+    downloads = await acquireDownloads([
+      localFrom ? null : { key: fromAudioKey, url: fromUrl, ext: '.audio' },
+      localTo ? null : { key: toAudioKey, url: toUrl, ext: '.audio' },
+      coverUrl ? { key: getCoverDownloadKey(coverUrl), url: coverUrl, ext: '.jpg' } : null
+    ]);
+    const tempFrom = localFrom || downloads[0].filePath;
+    const tempTo = localTo || downloads[1].filePath;
+    const tempCover = downloads[2] ? downloads[2].filePath : null;
+
+    const runMeasure = (args) => spawnFFmpeg(args, transitionKey, { signal: job.signal });
+    const fromLoudnorm = await resolveLoudnorm(fromLoudnessKey, tempFrom, runMeasure);
+    const toLoudnorm = await resolveLoudnorm(toLoudnessKey, tempTo, runMeasure);
+    const prepare = (loudnorm) => [loudnorm && loudnorm.filter, 'aformat=sample_fmts=s16:sample_rates=44100:channel_layouts=stereo']
+      .filter(Boolean)
+      .join(',');
+    await spawnFFmpeg([
+      '-ss', String(plan.tailStart),
+      '-i', tempFrom,
+      '-t', String(plan.headDuration),
+      '-i', tempTo,
+      '-filter_complex', `[0:a]${prepare(fromLoudnorm)}[a0];[1:a]${prepare(toLoudnorm)}[a1];[a0][a1]acrossfade=d=${crossfade}:c1=tri:c2=tri[a]`,
+      '-map', '[a]',
+      '-c:a', 'pcm_s16le',
+      '-y',
+      tempAudio
+    ], transitionKey, { signal: job.signal });
+
+    const info = await runFFmpegTranscode({
+      songCacheKey: transitionKey,
+      safeTempKey,
+      timestamp,
+      tempAudio,
+      tempCover,
+      tempM3u8,
+      tempSegmentPattern,
+      tempInitName,
+      songCacheDir,
+      rendition,
+      format,
+      // 两首歌已在混音时处理，这里只记录目标，供缓存校验
+      loudnorm: fromLoudnorm && { target: fromLoudnorm.target, measured: null, filter: null },
+      nowPlaying: nowPlaying && { ...nowPlaying, duration: 0 },
+      visualizer,
+      signal: job.signal,
+      onProgress: (seconds) => job.reportProgress(seconds, plan.duration)
+    });
+
+    cacheIndex.scheduleEvict('after-generate');
+    recordTranscodeSeconds(usage, info.totalDuration);
+    return info;
+  } finally {
+    for (const download of downloads) {
+      if (download) download.release();
+    }
+    for (const f of [tempAudio, tempM3u8]) {
+      fs.unlink(f, () => {});
+    }
+    try {
+      for (const f of fs.readdirSync(TEMP_DIR)) {
+        if (f.startsWith(`${safeTempKey}_${timestamp}_seg_`)) {
+          fs.unlinkSync(path.join(TEMP_DIR, f));
+        }
+      }
+    } catch (e) {}
+  }
+}
+
+// tempCover 为空时只输出 AAC 音频（纯音频模式），否则将封面按档位分辨率渲染为 H.264 视频轨；
+// nowPlaying 为 { textFiles, duration } 时在画面上叠加正在播放信息，lyrics 非空时烧录歌词；
+// visualizer 为真时画面为模糊封面上的音频可视化，帧率改用 VISUALIZER_FPS
+function buildTranscodeArgs({ tempAudio, tempCover, tempM3u8, tempSegmentPattern, tempInitName, rendition, format, audioFilter, nowPlaying, lyrics, visualizer }) {
+  const segmentDuration = CACHE_CONFIG.segmentDuration;
+  const segmentTypeArgs = isFmp4Format(format)
+    ? ['-hls_segment_type', 'fmp4', '-hls_fmp4_init_filename', tempInitName]
+    : ['-hls_segment_type', 'mpegts'];
+  const hlsArgs = [
+    '-f', 'hls',
+    '-hls_time', String(segmentDuration),
+    '-hls_list_size', '0',
+    ...segmentTypeArgs,
+    '-hls_segment_filename', tempSegmentPattern,
+    '-y',
+    tempM3u8
+  ];
+  const threadArgs = HLS_FFMPEG_THREADS > 0 ? ['-threads', String(HLS_FFMPEG_THREADS)] : [];
+  // loudnorm 内部会升采样到 192kHz，-ar 将输出固定回 44.1kHz
+  const audioArgs = [...(audioFilter ? ['-af', audioFilter] : []), '-c:a', 'aac', '-b:a', `${rendition.audioKbps}k`, '-ar', '44100'];
+
+  if (!tempCover) {
+    return [
+      '-i', tempAudio,
+      ...threadArgs,
+      '-vn',
+      ...audioArgs,
+      ...hlsArgs
+    ];
   }
+
+  const fps = visualizer ? VISUALIZER.fps : COVER_FPS;
+  const gop = Math.max(1, Math.round(fps * segmentDuration));
+  const { width, height, videoKbps } = rendition;
+  const vf = [
+    `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+    'setsar=1'
+  ].join(',');
+  // 多码率档位限制视频峰值码率，保证低档确实更省带宽
+  const rateArgs = videoKbps ? ['-maxrate', `${videoKbps}k`, '-bufsize', `${videoKbps * 2}k`] : [];
+  const hasText = nowPlaying || (lyrics && lyrics.length);
+  const textGraph = (input, baseFilter) => buildOverlayFilterGraph({
+    input,
+    baseFilter,
+    width,
+    height,
+    fps,
+    nowPlaying,
+    lyrics,
+    font: getNowPlayingFont()
+  });
+  let graph = null;
+  if (visualizer) {
+    graph = buildVisualizerFilterGraph({ width, height, fps, style: VISUALIZER.style, output: hasText ? '[vis]' : '[v]' });
+    if (hasText) graph += `;${textGraph('[vis]')}`;
+  } else if (hasText) {
+    graph = textGraph('[0:v]', vf);
+  }
+  const filterArgs = graph
+    ? ['-filter_complex', graph, '-map', '[v]', '-map', '1:a']
+    : ['-vf', vf];
+
+  return [
+    '-loop', '1',
+    // 可视化模式的封面只作背景，按 1 帧/秒输入，由滤镜补足帧率
+    '-framerate', String(visualizer ? 1 : COVER_FPS),
+    '-i', tempCover,
+    '-i', tempAudio,
+    ...threadArgs,
+    '-c:v', 'libx264',
+    '-preset', 'ultrafast',
+    ...(visualizer ? [] : ['-tune', 'stillimage']),
+    '-crf', '28',
+    ...rateArgs,
+    '-r', String(fps),
+    '-g', String(gop),
+    '-keyint_min', String(gop),
+    '-sc_threshold', '0',
+    '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`,
+    ...audioArgs,
+    '-pix_fmt', 'yuv420p',
+    ...filterArgs,
+    '-shortest',
+    ...hlsArgs
+  ];
 }
 
-function runFFmpegTranscode({ songCacheKey, safeTempKey, timestamp, tempAudio, tempCover, tempM3u8, tempSegmentPattern, songCacheDir }) {
+// 运行 FFmpeg，成功时返回其 stderr 输出（其中包含编码器信息）；label 用于日志。
+// signal 中止时终止进程（任务被取消），onProgress 接收已处理的媒体时长（秒）
+function spawnFFmpeg(ffmpegArgs, label, { signal, onProgress } = {}) {
   return new Promise((resolve, reject) => {
-    const segmentDuration = CACHE_CONFIG.segmentDuration;
-    const gop = Math.max(1, Math.round(COVER_FPS * segmentDuration));
+    if (signal && signal.aborted) {
+      reject(new Error('任务已取消'));
+      return;
+    }
+
     let stallTimer = null;
     let ffmpegKilled = false;
     let ffmpegError = '';
@@ -753,54 +924,21 @@ function runFFmpegTranscode({ songCacheKey, safeTempKey, timestamp, tempAudio, t
     function markActivity() {
       lastActivityAt = Date.now();
     }
-    
-    const vf = [
-      `scale=${COVER_OUTPUT.width}:${COVER_OUTPUT.height}:force_original_aspect_ratio=decrease`,
-      `pad=${COVER_OUTPUT.width}:${COVER_OUTPUT.height}:(ow-iw)/2:(oh-ih)/2`,
-      'setsar=1'
-    ].join(',');
-
-    const ffmpegArgs = [
-      '-loop', '1',
-      '-framerate', String(COVER_FPS),
-      '-i', tempCover,
-      '-i', tempAudio,
-    ];
-
-    if (HLS_FFMPEG_THREADS > 0) {
-      ffmpegArgs.push('-threads', String(HLS_FFMPEG_THREADS));
-    }
-
-    ffmpegArgs.push(
-      '-c:v', 'libx264',
-      '-preset', 'ultrafast',
-      '-tune', 'stillimage',
-      '-crf', '28',
-      '-r', String(COVER_FPS),
-      '-g', String(gop),
-      '-keyint_min', String(gop),
-      '-sc_threshold', '0',
-      '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`,
-      '-c:a', 'aac',
-      '-b:a', '128k',
-      '-ar', '44100',
-      '-pix_fmt', 'yuv420p',
-      '-vf', vf,
-      '-shortest',
-      '-f', 'hls',
-      '-hls_time', String(segmentDuration),
-      '-hls_list_size', '0',
-      '-hls_segment_type', 'mpegts',
-      '-hls_segment_filename', tempSegmentPattern,
-      '-y',
-      tempM3u8
-    );
 
     const ffmpegProcess = spawn(FFMPEG_PATH, ffmpegArgs);
+    const onAbort = () => {
+      try { ffmpegProcess.kill('SIGKILL'); } catch (_) {}
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
     
     ffmpegProcess.stderr.on('data', (data) => {
-      ffmpegError += data.toString();
+      const text = data.toString();
+      ffmpegError += text;
       markActivity();
+      if (onProgress) {
+        const seconds = parseFFmpegProgress(text);
+        if (seconds != null) onProgress(seconds);
+      }
     });
     
     // 用“无输出/无进展超时”替代固定总时长超时：弱机器或长歌转码可能超过固定阈值，但只要持续输出进度就不应被杀。
@@ -810,17 +948,23 @@ function runFFmpegTranscode({ songCacheKey, safeTempKey, timestamp, tempAudio, t
       if (Date.now() - lastActivityAt <= JOB_LIMITS.ffmpegTimeout) return;
       ffmpegKilled = true;
       try { ffmpegProcess.kill('SIGKILL'); } catch (_) {}
-      console.error(`[分片缓存] FFmpeg无输出超时被终止: ${songCacheKey}`);
+      console.error(`[分片缓存] FFmpeg无输出超时被终止: ${label}`);
     }, 1000);
     
     ffmpegProcess.on('error', (err) => {
       clearInterval(stallTimer);
+      if (signal) signal.removeEventListener('abort', onAbort);
       reject(err);
     });
     
     ffmpegProcess.on('close', (code) => {
       clearInterval(stallTimer);
+      if (signal) signal.removeEventListener('abort', onAbort);
       
+      if (signal && signal.aborted) {
+        reject(new Error('任务已取消'));
+        return;
+      }
       if (ffmpegKilled) {
         reject(new Error('FFmpeg无输出超时'));
         return;
@@ -830,95 +974,149 @@ function runFFmpegTranscode({ songCacheKey, safeTempKey, timestamp, tempAudio, t
         reject(new Error(`FFmpeg退出码: ${code}, 错误: ${ffmpegError.substring(0, 300)}`));
         return;
       }
-      
-      try {
-        const m3u8Content = fs.readFileSync(tempM3u8, 'utf8');
-        const segmentDurations = [];
-        const lines = m3u8Content.split('\n');
-        
-        for (let i = 0; i < lines.length; i++) {
-          if (lines[i].startsWith('#EXTINF:')) {
-            const duration = parseFloat(lines[i].replace('#EXTINF:', '').split(',')[0]);
-            segmentDurations.push(duration);
-          }
-        }
-        
-        const tempFiles = fs.readdirSync(TEMP_DIR); 
-        const segmentFiles = tempFiles 
-          .filter(f => f.startsWith(`${safeTempKey}_${timestamp}_seg_`) && f.endsWith('.ts')) 
-          .sort(); 
-
-        let cacheBytes = 0;
-        for (let i = 0; i < segmentFiles.length; i++) { 
-          const srcPath = path.join(TEMP_DIR, segmentFiles[i]); 
-          const destPath = getSegmentPath(songCacheKey, i); 
-          try { 
-            const stat = fs.statSync(srcPath); 
-            cacheBytes += stat.size || 0; 
-          } catch (_) {} 
-          fs.renameSync(srcPath, destPath); 
-        } 
-         
-        const info = { 
-          version: CACHE_VERSION, 
-          songId: songCacheKey, 
-          segmentCount: segmentFiles.length, 
-          segmentDurations: segmentDurations, 
-          totalDuration: segmentDurations.reduce((a, b) => a + b, 0), 
-          cacheBytes,
-          video: { width: COVER_OUTPUT.width, height: COVER_OUTPUT.height }, 
-          timestamp: Date.now() 
-        }; 
-        fs.writeFileSync(getSegmentInfoPath(songCacheKey), JSON.stringify(info));
-        
-        songSegmentInfo.set(String(songCacheKey), info);
-        
-        if (LOG_VERBOSE) console.log(`[分片缓存] 完成: ${songCacheKey}, ${segmentFiles.length}个分片`);
-        resolve(info);
-      } catch (e) {
-        reject(e);
-      }
+
+      resolve(ffmpegError);
     });
   });
 }
 
-async function autoPreloadInBackground({ songs, cookie, coverUrl, playlistId, source, mode }) {
-  const adapter = getSourceAdapter(source);
-  const firstSongId = getSongIdForTrack(Array.isArray(songs) ? songs[0] : null, source);
-  const preloadKey = `${source}:${mode}:${playlistId}_${firstSongId}`;
-  if (preloadingPlaylists.has(preloadKey)) {
-    return;
-  }
-  preloadingPlaylists.add(preloadKey);
-  
-  const list = Array.isArray(songs) ? songs : [];
-  const toPreload = list.slice(0, CACHE_CONFIG.autoPreloadCount);
-  console.log(`[自动预加载] 开始预加载 ${toPreload.length} 首歌`);
-  
-  for (const song of toPreload) {
-    const rawSongId = getSongIdForTrack(song, source);
-    if (!isValidSongIdForSource(rawSongId, source)) {
-      continue;
+// loudnorm 为 resolveLoudnorm 的结果：filter 用于本次转码，目标与测量值写入 info.json；
+// nowPlaying 的文字文件与分片同前缀，由调用方的 cleanup 一并删除；signal / onProgress 见 spawnFFmpeg
+async function runFFmpegTranscode({ songCacheKey, safeTempKey, timestamp, tempAudio, tempCover, tempM3u8, tempSegmentPattern, tempInitName, songCacheDir, rendition, format, loudnorm, nowPlaying, lyrics, visualizer, signal, onProgress }) {
+  const audioFilter = loudnorm ? loudnorm.filter : null;
+  const nowPlayingText = nowPlaying && tempCover
+    ? {
+      textFiles: writeNowPlayingTextFiles(path.join(TEMP_DIR, `${safeTempKey}_${timestamp}_seg`), nowPlaying),
+      duration: nowPlaying.duration
     }
-    const songCacheKey = getScopedSongCacheKey(rawSongId, source, mode);
-
-    if (isSongCached(songCacheKey)) {
-      continue;
+    : null;
+  const ffmpegArgs = buildTranscodeArgs({
+    tempAudio, tempCover, tempM3u8, tempSegmentPattern, tempInitName, rendition, format, audioFilter,
+    nowPlaying: nowPlayingText,
+    lyrics: tempCover ? lyrics : null,
+    visualizer: !!(visualizer && tempCover)
+  });
+  // 分片写完即移入缓存目录，转码中的请求可以先拿到已完成的分片；失败时删除已发布的分片
+  let cacheBytes = 0;
+  const segmentBytes = [];
+  const publishedPaths = [];
+  const watcher = createSegmentListWatcher({
+    listPath: tempM3u8,
+    onSegment: async (segment, index) => {
+      // fMP4 的 init 段在第一个分片完成前已写出
+      if (index === 0 && isFmp4Format(format)) {
+        const initSrc = path.join(TEMP_DIR, tempInitName);
+        const initDest = getInitSegmentPath(songCacheKey);
+        cacheBytes += (await fs.promises.stat(initSrc)).size || 0;
+        await fs.promises.rename(initSrc, initDest);
+        publishedPaths.push(initDest);
+      }
+      const srcPath = path.join(TEMP_DIR, path.basename(segment.uri));
+      const destPath = getSegmentPath(songCacheKey, index, format);
+      const size = (await fs.promises.stat(srcPath)).size || 0;
+      await fs.promises.rename(srcPath, destPath);
+      publishedPaths.push(destPath);
+      cacheBytes += size;
+      segmentBytes.push(size);
     }
-    
+  });
+  segmentWatchers.set(String(songCacheKey), watcher);
+  segmentEvents.emit('start', String(songCacheKey), watcher);
+
+  let ffmpegLog;
+  let failure = null;
+  try {
+    ffmpegLog = await spawnFFmpeg(ffmpegArgs, songCacheKey, { signal, onProgress });
+    await watcher.poll();
+  } catch (e) {
+    failure = e;
+  }
+  // 等进行中的发布结束后再清理，失败时才不会漏删刚发布的分片
+  await watcher.stop();
+  if (segmentWatchers.get(String(songCacheKey)) === watcher) segmentWatchers.delete(String(songCacheKey));
+  if (failure) {
+    for (const filePath of publishedPaths) {
+      fs.unlink(filePath, () => {});
+    }
+    throw failure;
+  }
+
+  const segmentDurations = watcher.segments.map((segment) => segment.duration);
+
+  // 实测码率与编码信息，供 master.m3u8 的 BANDWIDTH / CODECS 使用
+  const videoCodec = tempCover ? parseX264Codec(ffmpegLog) : null;
+  const info = { 
+    version: CACHE_VERSION, 
+    songId: songCacheKey, 
+    segmentCount: segmentDurations.length, 
+    segmentDurations: segmentDurations, 
+    totalDuration: segmentDurations.reduce((a, b) => a + b, 0), 
+    cacheBytes,
+    video: tempCover ? { width: rendition.width, height: rendition.height } : null, 
+    audioOnly: !tempCover,
+    audioBitrate: rendition.audioKbps,
+    rendition: rendition.id,
+    format,
+    codecs: tempCover ? (videoCodec && `${videoCodec},${AUDIO_CODEC}`) : AUDIO_CODEC,
+    bandwidth: measureBandwidth(segmentBytes, segmentDurations),
+    loudnorm: loudnorm ? loudnorm.target : null,
+    loudness: loudnorm ? loudnorm.measured : null,
+    timestamp: Date.now() 
+  }; 
+  fs.writeFileSync(getSegmentInfoPath(songCacheKey), JSON.stringify(info));
+  
+  songSegmentInfo.set(String(songCacheKey), info);
+  cacheIndex.record({ key: String(songCacheKey), kind: 'hls', path: getSongCacheDir(songCacheKey), bytes: cacheBytes });
+  
+  if (LOG_VERBOSE) console.log(`[分片缓存] 完成: ${songCacheKey}, ${segmentDurations.length}个分片`);
+  return info;
+}
+
+// 只预加载客户端当前选择的档位，其余档位在被请求时才转码
+async function autoPreloadInBackground({ songs, cookie, coverUrl, playlistId, adapter, mode, quality, rendition, format, overlay, usage }) {
+  const source = adapter.name;
+  const firstSongId = adapter.getSongIdForTrack(Array.isArray(songs) ? songs[0] : null);
+  const preloadKey = `${source}:${mode}~${rendition.id}+${format}${getOverlayVariant(overlay, playlistId)}:${playlistId}_${firstSongId}`;
+  if (preloadingPlaylists.has(preloadKey)) {
+    return;
+  }
+  preloadingPlaylists.add(preloadKey);
+  
+  const list = Array.isArray(songs) ? songs : [];
+  const toPreload = list.slice(0, getAutoPreloadCount(mode));
+  console.log(`[自动预加载] 开始预加载 ${toPreload.length} 首歌`);
+  
+  for (const song of toPreload) {
+    const rawSongId = adapter.getSongIdForTrack(song);
+    if (!isValidSongIdForSource(rawSongId, adapter)) {
+      continue;
+    }
+    const songCacheKey = getScopedSongCacheKey(rawSongId, source, mode, quality, rendition.id, format, getOverlayVariant(overlay, playlistId));
+
+    if (isSongCached(songCacheKey, rendition)) {
+      continue;
+    }
+    
     if (generatingLocks.has(songCacheKey)) {
       continue;
     }
     
     try {
-      const audioUrl = await adapter.getSongUrl(rawSongId, cookie);
+      const audioUrl = await adapter.getSongUrl(rawSongId, cookie, { quality });
       if (!audioUrl) {
         console.log(`[自动预加载] 跳过 ${rawSongId}：无法获取URL`);
         continue;
       }
       
-      const perSongCover = isLiteVideoMode(mode) ? coverUrl : pickCoverUrlForSong(song, coverUrl);
-      const generatePromise = generateSongSegments(songCacheKey, audioUrl, perSongCover, song.duration);
+      const perSongCover = getSegmentCoverUrl(mode, song, coverUrl);
+      const generatePromise = generateSongSegments(songCacheKey, audioUrl, perSongCover, song.duration, usage, {
+        rendition,
+        format,
+        visualizer: isVisualizerMode(mode),
+        loudnessKey: getLoudnessKey(source, rawSongId),
+        nowPlaying: overlay && overlay.nowPlaying ? getNowPlayingForSong(adapter, playlistId, song, rawSongId) : null,
+        lyrics: overlay && overlay.lyrics ? await getOverlayLyrics(adapter, rawSongId, cookie, song.duration) : null
+      }, { priority: 'preload', source, songId: rawSongId, mode, quality });
       generatePromise._createdAt = Date.now();
       generatingLocks.set(songCacheKey, generatePromise);
       
@@ -929,6 +1127,7 @@ async function autoPreloadInBackground({ songs, cookie, coverUrl, playlistId, so
     } catch (e) {
       generatingLocks.delete(songCacheKey);
       console.error(`[自动预加载] 失败 ${rawSongId}:`, e.message);
+      if (e.message === TRANSCODE_QUOTA_MESSAGE) break;
     }
   }
   
@@ -936,9 +1135,9 @@ async function autoPreloadInBackground({ songs, cookie, coverUrl, playlistId, so
   console.log(`[自动预加载] 全部完成`);
 }
 
-async function preloadNextSongs({ playlistId, currentSongId, cookie, source, mode }) {
-  const adapter = getSourceAdapter(source);
-  const playlistCacheKey = getPlaylistCacheKey(playlistId, source);
+async function preloadNextSongs({ playlistId, currentSongId, cookie, adapter, mode, quality, rendition, format, overlay, options, usage }) {
+  const source = adapter.name;
+  const playlistCacheKey = adapter.getPlaylistCacheKey(playlistId);
   try {
     const cached = playlistOps.get.get(playlistCacheKey);
     if (!cached) return;
@@ -952,35 +1151,44 @@ async function preloadNextSongs({ playlistId, currentSongId, cookie, source, mod
       return;
     }
     if (!Array.isArray(songs)) return;
+    // 按 token 的播放选项排列，预加载的才是客户端接下来真正要播的歌
+    songs = applyPlaylistOptions(songs, options);
     
     const coverUrl = cached.cover || DEFAULT_COVER_URL;
     
-    const currentIndex = songs.findIndex(s => getSongIdForTrack(s, source) === String(currentSongId));
+    const currentIndex = songs.findIndex(s => adapter.getSongIdForTrack(s) === String(currentSongId));
     if (currentIndex === -1) return;
     
-    const nextSongs = songs.slice(currentIndex + 1, currentIndex + 3);
+    const nextSongs = songs.slice(currentIndex + 1, currentIndex + 1 + getNextPreloadCount(mode));
     if (nextSongs.length === 0) return;
     
-    const preloadKey = `next:${source}:${mode}:${currentSongId}`;
+    const preloadKey = `next:${source}:${mode}~${rendition.id}+${format}${getOverlayVariant(overlay, playlistId)}:${currentSongId}`;
     if (preloadingPlaylists.has(preloadKey)) return;
     preloadingPlaylists.add(preloadKey);
     
     if (LOG_VERBOSE) console.log(`[边播边缓存] 预加载接下来 ${nextSongs.length} 首`);
     
     for (const song of nextSongs) {
-      const rawSongId = getSongIdForTrack(song, source);
-      if (!isValidSongIdForSource(rawSongId, source)) continue;
-      const songCacheKey = getScopedSongCacheKey(rawSongId, source, mode);
-      if (isSongCached(songCacheKey) || generatingLocks.has(songCacheKey)) {
+      const rawSongId = adapter.getSongIdForTrack(song);
+      if (!isValidSongIdForSource(rawSongId, adapter)) continue;
+      const songCacheKey = getScopedSongCacheKey(rawSongId, source, mode, quality, rendition.id, format, getOverlayVariant(overlay, playlistId));
+      if (isSongCached(songCacheKey, rendition) || generatingLocks.has(songCacheKey)) {
         continue;
       }
       
       try {
-        const audioUrl = await adapter.getSongUrl(rawSongId, cookie);
+        const audioUrl = await adapter.getSongUrl(rawSongId, cookie, { quality });
         if (!audioUrl) continue;
         
-        const perSongCover = isLiteVideoMode(mode) ? coverUrl : pickCoverUrlForSong(song, coverUrl);
-        const generatePromise = generateSongSegments(songCacheKey, audioUrl, perSongCover, song.duration);
+        const perSongCover = getSegmentCoverUrl(mode, song, coverUrl);
+        const generatePromise = generateSongSegments(songCacheKey, audioUrl, perSongCover, song.duration, usage, {
+          rendition,
+          format,
+          visualizer: isVisualizerMode(mode),
+          loudnessKey: getLoudnessKey(source, rawSongId),
+          nowPlaying: overlay && overlay.nowPlaying ? getNowPlayingInfo({ song, songId: rawSongId, playlistName: cached.name }) : null,
+          lyrics: overlay && overlay.lyrics ? await getOverlayLyrics(adapter, rawSongId, cookie, song.duration) : null
+        }, { priority: 'next', source, songId: rawSongId, mode, quality });
         generatePromise._createdAt = Date.now();
         generatingLocks.set(songCacheKey, generatePromise);
         
@@ -990,6 +1198,7 @@ async function preloadNextSongs({ playlistId, currentSongId, cookie, source, mod
         if (LOG_VERBOSE) console.log(`[边播边缓存] 完成: ${song.name}`);
       } catch (e) {
         generatingLocks.delete(songCacheKey);
+        if (e.message === TRANSCODE_QUOTA_MESSAGE) break;
       }
     }
     
@@ -999,105 +1208,10 @@ async function preloadNextSongs({ playlistId, currentSongId, cookie, source, mod
   }
 }
 
-function downloadFile(url, filePath, redirectCount = 0) {
-  return new Promise((resolve, reject) => {
-    if (redirectCount >= JOB_LIMITS.downloadMaxRedirects) {
-      return reject(new Error('Too many redirects'));
-    }
-    
-    const urlCheck = isDownloadUrlAllowed(url);
-    if (!urlCheck.allowed) {
-      return reject(new Error(`Download blocked: ${urlCheck.reason}`));
-    }
-    
-    const isHttps = /^https:/i.test(url);
-    const protocol = isHttps ? https : http; 
-    const options = { 
-      headers: { 
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36', 
-        'Referer': 'https://music.163.com/' 
-      }, 
-      agent: isHttps ? HTTPS_AGENT : HTTP_AGENT,
-      timeout: JOB_LIMITS.downloadTimeout 
-    }; 
-    
-    const file = fs.createWriteStream(filePath);
-    let downloadedSize = 0;
-    let aborted = false;
-    
-    const req = protocol.get(url, options, (response) => {
-      if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
-        response.resume();
-        file.close();
-        fs.unlink(filePath, () => {});
-        
-        const redirectLocation = response.headers.location;
-        if (!redirectLocation) {
-          return reject(new Error('Redirect without location'));
-        }
-
-        let redirectUrl = '';
-        try {
-          redirectUrl = new URL(redirectLocation, url).toString();
-        } catch (_) {
-          return reject(new Error('Redirect with invalid location'));
-        }
-
-        const redirectCheck = isDownloadUrlAllowed(redirectUrl);
-        if (!redirectCheck.allowed) {
-          return reject(new Error(`Redirect blocked: ${redirectCheck.reason}`));
-        }
-        
-        return downloadFile(redirectUrl, filePath, redirectCount + 1).then(resolve).catch(reject);
-      }
-      
-      if (response.statusCode !== 200) {
-        file.close();
-        fs.unlink(filePath, () => {});
-        return reject(new Error(`HTTP ${response.statusCode}`));
-      }
-      
-      const contentLength = parseInt(response.headers['content-length']);
-      if (contentLength && contentLength > JOB_LIMITS.downloadMaxSize) {
-        req.destroy();
-        file.close();
-        fs.unlink(filePath, () => {});
-        return reject(new Error(`File too large: ${contentLength} bytes`));
-      }
-      
-      response.on('data', (chunk) => {
-        downloadedSize += chunk.length;
-        if (downloadedSize > JOB_LIMITS.downloadMaxSize) {
-          aborted = true;
-          req.destroy();
-          file.close();
-          fs.unlink(filePath, () => {});
-          reject(new Error(`Download exceeded max size: ${downloadedSize} bytes`));
-        }
-      });
-      
-      response.pipe(file);
-      file.on('finish', () => {
-        if (!aborted) {
-          file.close();
-          resolve(filePath);
-        }
-      });
-    });
-    
-    req.on('timeout', () => {
-      req.destroy();
-      file.close();
-      fs.unlink(filePath, () => {});
-      reject(new Error('Download timeout'));
-    });
-    
-    req.on('error', (err) => {
-      file.close();
-      fs.unlink(filePath, () => {});
-      reject(err);
-    });
-  });
+// 源音频 / 封面经共享下载缓存获取（见 lib/download-cache.js），同一首歌的各档位、封装与 MP4 只下载一次；
+// 每项为 { key, url, ext } 或 null，用完后调用各项的 release()
+function acquireDownloads(requests) {
+  return downloadCache.acquireAll(requests.map((request) => request && { ...request, download: downloadFile }));
 }
 
 function getBaseUrl(req) {
@@ -1108,56 +1222,89 @@ function getBaseUrl(req) {
   return `${req.protocol}://${req.get('host')}`;
 }
 
-// master playlist：为 yt-dlp / VRChat 提供 STREAM-INF 元信息
+// 歌单前 50 首中已缓存的该档位分片信息，供 master 输出实测码率与编码
+function getCachedRenditionInfos({ adapter, playlistId, options, mode, quality, rendition, format, overlay }) {
+  const cached = playlistOps.get.get(adapter.getPlaylistCacheKey(playlistId));
+  if (!cached) return [];
+
+  let songs;
+  try {
+    songs = JSON.parse(cached.songs);
+  } catch (_) {
+    return [];
+  }
+  if (!Array.isArray(songs)) return [];
+
+  const infos = [];
+  for (const song of applyPlaylistOptions(songs, options).slice(0, 50)) {
+    const songId = adapter.getSongIdForTrack(song);
+    if (!isValidSongIdForSource(songId, adapter)) continue;
+    const songCacheKey = getScopedSongCacheKey(songId, adapter.name, mode, quality, rendition.id, format, getOverlayVariant(overlay, playlistId));
+    if (!isSongCached(songCacheKey, rendition)) continue;
+    const info = getSongSegmentInfo(songCacheKey);
+    if (info) infos.push(info);
+  }
+  return infos;
+}
+
+// master playlist：为 yt-dlp / VRChat 提供 STREAM-INF 元信息，每个档位一条，弱网播放器可自行降档
 router.get('/:token/:playlistId/master.m3u8', async (req, res) => {
   const { token, playlistId } = req.params;
-  const source = getSourceFromReq(req);
+  const adapter = req.musicSource;
 
   if (!isLikelyToken(token)) {
     return res.status(400).send('#EXTM3U\n#EXT-X-ERROR:Invalid token format');
   }
-  if (!isValidNumericId(playlistId)) {
+  if (!adapter.isValidPlaylistId(playlistId)) {
     return res.status(400).send('#EXTM3U\n#EXT-X-ERROR:Invalid playlist ID');
   }
 
-  const user = resolveUserFromAccessToken(token, playlistId, source);
-  if (!user) {
+  const access = resolvePlaybackAccess(adapter, token, playlistId);
+  if (!access) {
     return res.status(401).send('#EXTM3U\n#EXT-X-ERROR:Invalid token');
   }
+  if (!enforcePlaybackQuota(req, res, { source: adapter, access, token, format: 'm3u8' })) return;
+
+  const mode = getPlaybackMode(access);
+  const format = getSegmentFormat(access);
+  const crossfade = getCrossfade(access);
+  const overlay = getOverlay(access, mode);
+  const renditionTokens = getRenditionTokens(token, access, mode);
+  if (renditionTokens.length === 0) {
+    return res.status(400).send('#EXTM3U\n#EXT-X-ERROR:Invalid rendition');
+  }
+  // 字幕轨按整首歌切分，与交叉淡化后的分片时间轴对不上，开启淡化时不提供
+  const hasSubtitles = !crossfade && typeof adapter.getLyrics === 'function';
+  let m3u8 = '#EXTM3U\n#EXT-X-VERSION:3\n';
+  if (hasSubtitles) {
+    m3u8 += '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="lyrics",NAME="歌词",LANGUAGE="zh",DEFAULT=NO,AUTOSELECT=YES,FORCED=NO,' +
+      'URI="subs.m3u8"\n';
+  }
+  const baseUrl = getBaseUrl(req);
+  for (const { rendition, token: renditionToken } of renditionTokens) {
+    const infos = getCachedRenditionInfos({
+      adapter,
+      playlistId,
+      options: access.options,
+      mode,
+      quality: access.quality,
+      rendition,
+      format,
+      overlay
+    });
+    m3u8 += `#EXT-X-STREAM-INF:${buildStreamInf(rendition, infos)}${hasSubtitles ? ',SUBTITLES="lyrics"' : ''}\n`;
+    m3u8 += `${baseUrl}${getSegmentBasePathForReq(req, renditionToken, playlistId)}/stream.m3u8\n`;
+  }
 
   res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Cache-Control', 'no-cache');
-  res.send(
-    '#EXTM3U\n' +
-    '#EXT-X-VERSION:3\n' +
-    '#EXT-X-STREAM-INF:BANDWIDTH=2000000,RESOLUTION=1920x1080,CODECS="avc1.640028,mp4a.40.2"\n' +
-    'stream.m3u8'
-  );
+  res.send(m3u8);
 });
 
-router.get('/:token/:playlistId/stream.m3u8', async (req, res) => {
-  const { token, playlistId } = req.params;
-  const source = getSourceFromReq(req);
-  const mode = getModeFromReq(req);
-  const adapter = getSourceAdapter(source);
-  const startIndex = parseInt(req.query.start, 10) || 0;
-  const playlistCacheKey = getPlaylistCacheKey(playlistId, source);
-  
-  if (!isLikelyToken(token)) {
-    return res.status(400).send('#EXTM3U\n#EXT-X-ERROR:Invalid token format');
-  }
-  if (!isValidNumericId(playlistId)) {
-    return res.status(400).send('#EXTM3U\n#EXT-X-ERROR:Invalid playlist ID');
-  }
-  
-  const user = resolveUserFromAccessToken(token, playlistId, source);
-  if (!user) {
-    return res.status(401).send('#EXTM3U\n#EXT-X-ERROR:Invalid token');
-  }
-  
-  const cookie = decrypt(user.cookie);
-  
+// 读取歌单曲目与封面：优先用缓存，缓存损坏或缺少歌曲封面时向音乐源刷新；失败时抛出的 message 直接作为错误信息返回
+async function loadPlaylistTracks(adapter, playlistId, cookie) {
+  const playlistCacheKey = adapter.getPlaylistCacheKey(playlistId);
   let songs, playlistCover;
   const cached = playlistOps.get.get(playlistCacheKey);
   
@@ -1179,7 +1326,7 @@ router.get('/:token/:playlistId/stream.m3u8', async (req, res) => {
         songs = playlist.tracks;
         playlistCover = playlist.cover;
       } catch (refreshErr) {
-        return res.status(500).send('#EXTM3U\n#EXT-X-ERROR:Cache corrupted and refresh failed');
+        throw new Error('Cache corrupted and refresh failed');
       }
     } else {
       playlistCover = cached.cover;
@@ -1199,11 +1346,83 @@ router.get('/:token/:playlistId/stream.m3u8', async (req, res) => {
       songs = playlist.tracks;
       playlistCover = playlist.cover;
     } catch (e) {
-      return res.status(500).send('#EXTM3U\n#EXT-X-ERROR:Failed to get playlist');
+      throw new Error('Failed to get playlist');
     }
   }
+
+  return { songs, playlistCover };
+}
+
+// 已转码的歌曲使用实际分片时长，否则按歌曲时长估算
+function getSongSegmentDurations(segmentInfo, songDuration) {
+  const segmentDuration = CACHE_CONFIG.segmentDuration;
+  if (segmentInfo && segmentInfo.segmentDurations) {
+    return Array.from({ length: segmentInfo.segmentCount }, (_, i) => segmentInfo.segmentDurations[i] || segmentDuration);
+  }
+  const estimatedSegments = Math.ceil(songDuration / segmentDuration);
+  return Array.from({ length: estimatedSegments }, (_, i) => (
+    i === estimatedSegments - 1 ? (songDuration % segmentDuration) || segmentDuration : segmentDuration
+  ));
+}
+
+// 播放列表返回后在后台预加载前几首（lite_video 模式先绑定背景图）
+async function schedulePlaylistPreload({ token, playlistId, songs, cookie, playlistCover, adapter, mode, quality, rendition, format, overlay, usage }) {
+  let coverUrl = playlistCover || DEFAULT_COVER_URL;
+  if (isLiteVideoMode(mode)) {
+    const picked = await getOrBindBg({
+      token,
+      playlistId,
+      source: adapter.name,
+      fallbackUrl: coverUrl
+    });
+    const allowed = isDownloadUrlAllowed(picked);
+    coverUrl = allowed.allowed ? picked : coverUrl;
+  }
+
+  setImmediate(() => {
+    autoPreloadInBackground({ songs, cookie, coverUrl, playlistId, adapter, mode, quality, rendition, format, overlay, usage }).catch(e => {
+      console.error('[自动预加载] 错误:', e.message);
+    });
+  });
+}
+
+router.get('/:token/:playlistId/stream.m3u8', async (req, res) => {
+  const { token, playlistId } = req.params;
+  const adapter = req.musicSource;
+  const source = adapter.name;
+  const startIndex = parseInt(req.query.start, 10) || 0;
+  
+  if (!isLikelyToken(token)) {
+    return res.status(400).send('#EXTM3U\n#EXT-X-ERROR:Invalid token format');
+  }
+  if (!adapter.isValidPlaylistId(playlistId)) {
+    return res.status(400).send('#EXTM3U\n#EXT-X-ERROR:Invalid playlist ID');
+  }
+  
+  const access = resolvePlaybackAccess(adapter, token, playlistId);
+  if (!access) {
+    return res.status(401).send('#EXTM3U\n#EXT-X-ERROR:Invalid token');
+  }
+  const { user, options, quality } = access;
+  const mode = getPlaybackMode(access);
+  const rendition = getRendition(access, mode);
+  if (!rendition) {
+    return res.status(400).send('#EXTM3U\n#EXT-X-ERROR:Invalid rendition');
+  }
+  const format = getSegmentFormat(access);
+  const usage = enforcePlaybackQuota(req, res, { source: adapter, access, token, format: 'm3u8' });
+  if (!usage) return;
+  
+  const cookie = decrypt(user.cookie);
+  
+  let songs, playlistCover;
+  try {
+    ({ songs, playlistCover } = await loadPlaylistTracks(adapter, playlistId, cookie));
+  } catch (e) {
+    return res.status(500).send(`#EXTM3U\n#EXT-X-ERROR:${e.message}`);
+  }
   
-  songs = Array.isArray(songs) ? songs.slice(startIndex) : [];
+  songs = applyPlaylistOptions(songs, options).slice(startIndex);
   
   if (songs.length === 0) {
     return res.status(404).send('#EXTM3U\n#EXT-X-ERROR:Empty playlist');
@@ -1211,53 +1430,72 @@ router.get('/:token/:playlistId/stream.m3u8', async (req, res) => {
   
   const baseUrl = getBaseUrl(req);
   const segmentBasePath = getSegmentBasePathForReq(req, token, playlistId);
-  const modeSuffix = isLiteVideoMode(mode) ? '?mode=lite_video' : '';
+  const segmentExt = getSegmentExtension(format);
   const segmentDuration = CACHE_CONFIG.segmentDuration;
+  const crossfade = getCrossfade(access);
+  const overlay = getOverlay(access, mode);
+  // 交叉淡化时每首歌只输出过渡段之外的分片；时长未知的歌曲与前后保持硬切
+  const layout = planPlaylistCrossfades(
+    songs.map((song) => (isValidSongIdForSource(adapter.getSongIdForTrack(song), adapter) ? Number(song.duration) || 0 : 0)),
+    crossfade,
+    segmentDuration
+  );
   
   let m3u8 = '#EXTM3U\n';
-  m3u8 += '#EXT-X-VERSION:3\n';
+  m3u8 += `#EXT-X-VERSION:${getMediaPlaylistVersion(format)}\n`;
   m3u8 += `#EXT-X-TARGETDURATION:${segmentDuration + 1}\n`;
   m3u8 += '#EXT-X-PLAYLIST-TYPE:VOD\n';
   m3u8 += '#EXT-X-MEDIA-SEQUENCE:0\n';
   m3u8 += '#EXT-X-ALLOW-CACHE:YES\n';
+
+  // fMP4：每首歌（及每段过渡）有自己的 init 段，DISCONTINUITY 之后重新声明 EXT-X-MAP
+  const getInitMapTag = (songBase) => (isFmp4Format(format)
+    ? `#EXT-X-MAP:URI="${songBase}/${INIT_SEGMENT_NAME}"\n`
+    : '');
   
   for (let songIndex = 0; songIndex < songs.length; songIndex++) {
     const song = songs[songIndex];
-    const songId = getSongIdForTrack(song, source);
-    if (!isValidSongIdForSource(songId, source)) {
+    const songId = adapter.getSongIdForTrack(song);
+    if (!isValidSongIdForSource(songId, adapter)) {
       continue;
     }
-    const songCacheKey = getScopedSongCacheKey(songId, source, mode);
-    const songDuration = song.duration || 240;
+    const songCacheKey = getScopedSongCacheKey(songId, source, mode, quality, rendition.id, format, getOverlayVariant(overlay, playlistId));
+    const segmentInfo = getSongSegmentInfo(songCacheKey);
     
-    let segmentInfo = getSongSegmentInfo(songCacheKey);
+    const songBase = `${baseUrl}${segmentBasePath}/seg/${encodeURIComponent(songId)}`;
+    const { startIndex, endIndex, transition } = layout[songIndex];
     
-    if (segmentInfo && segmentInfo.segmentDurations) {
-      if (songIndex > 0) {
-        m3u8 += '#EXT-X-DISCONTINUITY\n';
-      }
-      m3u8 += `#EXT-X-PROGRAM-DATE-TIME:${new Date().toISOString()}\n`;
-      
-      for (let segIndex = 0; segIndex < segmentInfo.segmentCount; segIndex++) {
-        const segDuration = segmentInfo.segmentDurations[segIndex] || segmentDuration;
-        m3u8 += `#EXTINF:${segDuration.toFixed(6)},\n`;
-        m3u8 += `${baseUrl}${segmentBasePath}/seg/${encodeURIComponent(songId)}/${segIndex}.ts${modeSuffix}\n`;
-      }
-    } else {
+    // 很短的歌曲可能整首都在前后两段过渡中
+    const ownSegments = getSongSegmentDurations(segmentInfo, song.duration || 240)
+      .map((segDuration, segIndex) => ({ segDuration, segIndex }))
+      .filter(({ segIndex }) => segIndex >= startIndex && (endIndex === null || segIndex < endIndex));
+    
+    if (ownSegments.length > 0) {
       if (songIndex > 0) {
         m3u8 += '#EXT-X-DISCONTINUITY\n';
       }
-      
-      const estimatedSegments = Math.ceil(songDuration / segmentDuration);
-      for (let segIndex = 0; segIndex < estimatedSegments; segIndex++) {
-        const isLastSeg = segIndex === estimatedSegments - 1;
-        const segDur = isLastSeg 
-          ? (songDuration % segmentDuration) || segmentDuration 
-          : segmentDuration;
-        m3u8 += `#EXTINF:${segDur.toFixed(6)},\n`;
-        m3u8 += `${baseUrl}${segmentBasePath}/seg/${encodeURIComponent(songId)}/${segIndex}.ts${modeSuffix}\n`;
+      m3u8 += getInitMapTag(songBase);
+      if (segmentInfo && segmentInfo.segmentDurations) {
+        m3u8 += `#EXT-X-PROGRAM-DATE-TIME:${new Date().toISOString()}\n`;
       }
     }
+    
+    ownSegments.forEach(({ segDuration, segIndex }) => {
+      m3u8 += `#EXTINF:${segDuration.toFixed(6)},\n`;
+      m3u8 += `${songBase}/${segIndex}.${segmentExt}\n`;
+    });
+
+    if (transition) {
+      const nextSongId = adapter.getSongIdForTrack(songs[songIndex + 1]);
+      const transitionBase = `${baseUrl}${segmentBasePath}/xf/${encodeURIComponent(songId)}/${encodeURIComponent(nextSongId)}`;
+      const transitionInfo = getSongSegmentInfo(getTransitionCacheKey(songId, nextSongId, crossfade, source, mode, quality, rendition.id, format, getOverlayVariant(overlay, playlistId)));
+      m3u8 += '#EXT-X-DISCONTINUITY\n';
+      m3u8 += getInitMapTag(transitionBase);
+      getSongSegmentDurations(transitionInfo, transition.duration).forEach((segDuration, segIndex) => {
+        m3u8 += `#EXTINF:${segDuration.toFixed(6)},\n`;
+        m3u8 += `${transitionBase}/${segIndex}.${segmentExt}\n`;
+      });
+    }
   }
   
   m3u8 += '#EXT-X-ENDLIST\n';
@@ -1267,256 +1505,719 @@ router.get('/:token/:playlistId/stream.m3u8', async (req, res) => {
   res.setHeader('Cache-Control', 'no-cache');
   res.send(m3u8);
   
-  let coverUrl = playlistCover || DEFAULT_COVER_URL;
-  if (isLiteVideoMode(mode)) {
-    const picked = await getOrBindBg({
-      token,
-      playlistId,
-      source,
-      fallbackUrl: coverUrl
-    });
-    const allowed = isDownloadUrlAllowed(picked);
-    coverUrl = allowed.allowed ? picked : coverUrl;
+  await schedulePlaylistPreload({ token, playlistId, songs, cookie, playlistCover, adapter, mode, quality, rendition, format, overlay, usage });
+});
+
+// 歌词字幕轨（master.m3u8 的 SUBTITLES 分组）：每首歌一个 WebVTT 分片，时长与 stream.m3u8 中该歌曲的分片合计一致
+router.get('/:token/:playlistId/subs.m3u8', async (req, res) => {
+  const { token, playlistId } = req.params;
+  const adapter = req.musicSource;
+
+  if (!isLikelyToken(token)) {
+    return res.status(400).send('#EXTM3U\n#EXT-X-ERROR:Invalid token format');
+  }
+  if (!adapter.isValidPlaylistId(playlistId)) {
+    return res.status(400).send('#EXTM3U\n#EXT-X-ERROR:Invalid playlist ID');
   }
 
-  setImmediate(() => {
-    autoPreloadInBackground({ songs, cookie, coverUrl, playlistId, source, mode }).catch(e => {
-      console.error('[自动预加载] 错误:', e.message);
-    });
+  const access = resolvePlaybackAccess(adapter, token, playlistId);
+  if (!access) {
+    return res.status(401).send('#EXTM3U\n#EXT-X-ERROR:Invalid token');
+  }
+  const { user, options, quality } = access;
+  const mode = getPlaybackMode(access);
+  const rendition = getRendition(access, mode);
+  if (!rendition) {
+    return res.status(400).send('#EXTM3U\n#EXT-X-ERROR:Invalid rendition');
+  }
+  const format = getSegmentFormat(access);
+  if (!enforcePlaybackQuota(req, res, { source: adapter, access, token, format: 'm3u8' })) return;
+
+  let songs;
+  try {
+    ({ songs } = await loadPlaylistTracks(adapter, playlistId, decrypt(user.cookie)));
+  } catch (e) {
+    return res.status(500).send(`#EXTM3U\n#EXT-X-ERROR:${e.message}`);
+  }
+  songs = applyPlaylistOptions(songs, options);
+  if (songs.length === 0) {
+    return res.status(404).send('#EXTM3U\n#EXT-X-ERROR:Empty playlist');
+  }
+
+  const overlay = getOverlay(access, mode);
+  const subsBase = `${getBaseUrl(req)}${getSegmentBasePathForReq(req, token, playlistId)}/subs`;
+  const entries = [];
+  for (const song of songs) {
+    const songId = adapter.getSongIdForTrack(song);
+    if (!isValidSongIdForSource(songId, adapter)) continue;
+    const segmentInfo = getSongSegmentInfo(getScopedSongCacheKey(songId, adapter.name, mode, quality, rendition.id, format, getOverlayVariant(overlay, playlistId)));
+    const duration = getSongSegmentDurations(segmentInfo, song.duration || 240).reduce((sum, d) => sum + d, 0);
+    entries.push({ songId, duration });
+  }
+
+  let m3u8 = '#EXTM3U\n#EXT-X-VERSION:3\n';
+  m3u8 += `#EXT-X-TARGETDURATION:${Math.ceil(Math.max(1, ...entries.map((e) => e.duration)))}\n`;
+  m3u8 += '#EXT-X-PLAYLIST-TYPE:VOD\n';
+  m3u8 += '#EXT-X-MEDIA-SEQUENCE:0\n';
+  entries.forEach(({ songId, duration }, i) => {
+    if (i > 0) m3u8 += '#EXT-X-DISCONTINUITY\n';
+    m3u8 += `#EXTINF:${duration.toFixed(6)},\n`;
+    m3u8 += `${subsBase}/${encodeURIComponent(songId)}.vtt\n`;
   });
+  m3u8 += '#EXT-X-ENDLIST\n';
+
+  res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.send(m3u8);
 });
 
-router.get('/:token/:playlistId/seg/:songId/:segmentIndex.ts', async (req, res) => {
-  const { token, playlistId, songId, segmentIndex } = req.params;
-  const source = getSourceFromReq(req);
-  const mode = getModeFromReq(req);
-  const adapter = getSourceAdapter(source);
-  const playlistCacheKey = getPlaylistCacheKey(playlistId, source);
-  const songCacheKey = getScopedSongCacheKey(songId, source, mode);
-  const segIndex = parseInt(segmentIndex);
-  
+// MPEG-TS 分片的时间戳从 1.4 秒（FFmpeg 默认的起始偏移）开始，fMP4 从 0 开始
+const SUBTITLE_TIMESTAMP_MAPS = {
+  ts: 'MPEGTS:126000,LOCAL:00:00:00.000',
+  fmp4: 'MPEGTS:0,LOCAL:00:00:00.000'
+};
+
+// 单首歌的 WebVTT 字幕；没有歌词或获取失败时返回空字幕，避免播放器反复重试
+router.get('/:token/:playlistId/subs/:songId.vtt', async (req, res) => {
+  const { token, playlistId, songId } = req.params;
+  const adapter = req.musicSource;
+
   if (!isLikelyToken(token)) {
     return res.status(400).json({ error: 'Invalid token format' });
   }
-  if (!isValidNumericId(playlistId)) {
+  if (!adapter.isValidPlaylistId(playlistId)) {
     return res.status(400).json({ error: 'Invalid playlist ID' });
   }
-  if (!isValidSongIdForSource(songId, source)) {
+  if (!isValidSongIdForSource(songId, adapter)) {
     return res.status(400).json({ error: 'Invalid song ID' });
   }
-  if (!isValidSegmentIndex(segmentIndex)) {
-    return res.status(400).json({ error: 'Invalid segment index' });
+  if (!isSongInScope(playlistId, songId)) {
+    return res.status(403).json({ error: 'Song not in scope' });
   }
-  
-  const user = resolveUserFromAccessToken(token, playlistId, source);
-  if (!user) {
+
+  const access = resolvePlaybackAccess(adapter, token, playlistId);
+  if (!access) {
     return res.status(401).json({ error: 'Invalid token' });
   }
-  
+  if (!enforcePlaybackQuota(req, res, { source: adapter, access, token, format: 'json', countRequest: false })) return;
+
+  const format = getSegmentFormat(access);
+  const timestampMap = SUBTITLE_TIMESTAMP_MAPS[isFmp4Format(format) ? 'fmp4' : 'ts'];
+  let cues = [];
+  try {
+    const lyrics = await getSongLyrics(adapter, songId, decrypt(access.user.cookie));
+    if (lyrics) {
+      const cached = playlistOps.get.get(adapter.getPlaylistCacheKey(playlistId));
+      const songs = cached ? JSON.parse(cached.songs) : [];
+      const song = Array.isArray(songs) ? songs.find(s => adapter.getSongIdForTrack(s) === String(songId)) : null;
+      cues = mergeLyrics(lyrics.lrc, lyrics.tlrc, { duration: Number(song && song.duration) || 0 });
+    }
+  } catch (e) {
+    console.error(`[歌词] 字幕生成失败 ${adapter.name}:${songId}:`, e.message);
+  }
+
+  res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.send(buildWebVtt(cues, { timestampMap }));
+});
+
+// 直播电台：按服务器时钟循环播放歌单的滑动窗口（无 ENDLIST），所有听众听到同一位置；
+// 分片沿用 stream.m3u8 的 URL 与缓存，正在播出的歌曲之后几首由 preloadNextSongs 提前转码
+router.get('/:token/:playlistId/live.m3u8', async (req, res) => {
+  const { token, playlistId } = req.params;
+  const adapter = req.musicSource;
+
+  if (!isLikelyToken(token)) {
+    return res.status(400).send('#EXTM3U\n#EXT-X-ERROR:Invalid token format');
+  }
+  if (!adapter.isValidPlaylistId(playlistId)) {
+    return res.status(400).send('#EXTM3U\n#EXT-X-ERROR:Invalid playlist ID');
+  }
+
+  const access = resolvePlaybackAccess(adapter, token, playlistId);
+  if (!access) {
+    return res.status(401).send('#EXTM3U\n#EXT-X-ERROR:Invalid token');
+  }
+  const { user, options, quality } = access;
+  const mode = getPlaybackMode(access);
+  const rendition = getRendition(access, mode);
+  if (!rendition) {
+    return res.status(400).send('#EXTM3U\n#EXT-X-ERROR:Invalid rendition');
+  }
+  const format = getSegmentFormat(access);
+  const usage = enforcePlaybackQuota(req, res, { source: adapter, access, token, format: 'm3u8' });
+  if (!usage) return;
+
   const cookie = decrypt(user.cookie);
 
-  if (segIndex === 0) {
-    try {
-      let songName = '未知';
-      let artist = '未知';
+  let songs;
+  try {
+    ({ songs } = await loadPlaylistTracks(adapter, playlistId, cookie));
+  } catch (e) {
+    return res.status(500).send(`#EXTM3U\n#EXT-X-ERROR:${e.message}`);
+  }
 
-      const cached = playlistOps.get.get(playlistCacheKey);
-      if (cached && cached.songs) {
-        try {
-          const songs = JSON.parse(cached.songs);
-          const song = Array.isArray(songs) ? songs.find(s => getSongIdForTrack(s, source) === String(songId)) : null;
-          if (song) {
-            if (song.name) songName = String(song.name);
-            if (song.artist) artist = String(song.artist);
-          }
-        } catch (_) {}
-      }
+  // 已缓存的歌曲按实际分片时长排入时间表，元数据时长不准时也不会引用不存在的分片
+  const overlay = getOverlay(access, mode);
+  const overlayVariant = getOverlayVariant(overlay, playlistId);
+  const tracks = applyPlaylistOptions(songs, options)
+    .map((song) => ({ id: adapter.getSongIdForTrack(song), duration: song.duration }))
+    .filter((track) => isValidSongIdForSource(track.id, adapter))
+    .map((track) => {
+      const info = getSongSegmentInfo(getScopedSongCacheKey(track.id, adapter.name, mode, quality, rendition.id, format, overlayVariant));
+      return info ? { ...track, segmentDurations: info.segmentDurations, segmentCount: info.segmentCount } : track;
+    });
+  const segmentDuration = CACHE_CONFIG.segmentDuration;
+  const live = getLiveWindow(buildLiveSchedule(tracks, segmentDuration), Date.now(), {
+    windowSize: CACHE_CONFIG.liveWindowSegments
+  });
+  if (!live) {
+    return res.status(404).send('#EXTM3U\n#EXT-X-ERROR:Empty playlist');
+  }
 
-      playLogOps.log.run({
-        user_id: user.id,
-        playlist_id: adapter.toPlayLogPlaylistId(playlistId),
-        song_id: adapter.toPlayLogSongId(songId),
-        song_name: songName,
-        artist
-      });
-    } catch (e) {
-      console.error('记录播放失败:', e?.message || e);
+  const baseUrl = getBaseUrl(req);
+  const segmentBasePath = getSegmentBasePathForReq(req, token, playlistId);
+  const segmentExt = getSegmentExtension(format);
+  const getSongBase = (songId) => `${baseUrl}${segmentBasePath}/seg/${encodeURIComponent(songId)}`;
+
+  let m3u8 = '#EXTM3U\n';
+  m3u8 += `#EXT-X-VERSION:${getMediaPlaylistVersion(format)}\n`;
+  m3u8 += `#EXT-X-TARGETDURATION:${segmentDuration + 1}\n`;
+  m3u8 += `#EXT-X-MEDIA-SEQUENCE:${live.mediaSequence}\n`;
+  m3u8 += `#EXT-X-DISCONTINUITY-SEQUENCE:${live.discontinuitySequence}\n`;
+
+  live.segments.forEach((segment, i) => {
+    if (segment.discontinuity) {
+      m3u8 += '#EXT-X-DISCONTINUITY\n';
+    }
+    if (i === 0 || segment.discontinuity) {
+      if (isFmp4Format(format)) {
+        m3u8 += `#EXT-X-MAP:URI="${getSongBase(segment.songId)}/${INIT_SEGMENT_NAME}"\n`;
+      }
+      m3u8 += `#EXT-X-PROGRAM-DATE-TIME:${new Date(segment.programDateTime).toISOString()}\n`;
     }
+    m3u8 += `#EXTINF:${(segment.durationMs / 1000).toFixed(6)},\n`;
+    m3u8 += `${getSongBase(segment.songId)}/${segment.segmentIndex}.${segmentExt}\n`;
+  });
+
+  res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'no-cache, no-store');
+  res.send(m3u8);
+
+  const airing = live.segments[live.segments.length - 1];
+  setImmediate(() => preloadNextSongs({ playlistId, currentSongId: airing.songId, cookie, adapter, mode, quality, rendition, format, overlay, options, usage }));
+});
+
+// DASH：每首歌一个 Period，复用 fMP4 分片缓存（与声明 fMP4 封装的 HLS 链接共用），
+// 供 dash.js 等无法可靠处理 HLS 不连续段的网页播放器使用；只接受声明了 fMP4 封装的 token
+router.get('/:token/:playlistId/manifest.mpd', async (req, res) => {
+  const { token, playlistId } = req.params;
+  const adapter = req.musicSource;
+  const source = adapter.name;
+
+  if (!isLikelyToken(token)) {
+    return res.status(400).type('text/plain').send('Invalid token format');
   }
-  
-  res.setHeader('Content-Type', 'video/mp2t');
+  if (!adapter.isValidPlaylistId(playlistId)) {
+    return res.status(400).type('text/plain').send('Invalid playlist ID');
+  }
+
+  const access = resolvePlaybackAccess(adapter, token, playlistId);
+  if (!access) {
+    return res.status(401).type('text/plain').send('Invalid token');
+  }
+  const format = getSegmentFormat(access);
+  if (!isFmp4Format(format)) {
+    return res.status(400).type('text/plain').send('DASH requires a link generated with fmt=fmp4');
+  }
+  const usage = enforcePlaybackQuota(req, res, { source: adapter, access, token, format: 'text' });
+  if (!usage) return;
+  const { user, options, quality } = access;
+  const mode = getPlaybackMode(access);
+  const renditionTokens = getRenditionTokens(token, access, mode);
+  if (renditionTokens.length === 0) {
+    return res.status(400).type('text/plain').send('Invalid rendition');
+  }
+
+  const cookie = decrypt(user.cookie);
+
+  let songs, playlistCover;
+  try {
+    ({ songs, playlistCover } = await loadPlaylistTracks(adapter, playlistId, cookie));
+  } catch (e) {
+    return res.status(500).type('text/plain').send(e.message);
+  }
+
+  songs = applyPlaylistOptions(songs, options);
+  if (songs.length === 0) {
+    return res.status(404).type('text/plain').send('Empty playlist');
+  }
+
+  const baseUrl = getBaseUrl(req);
+  const overlay = getOverlay(access, mode);
+  const periods = [];
+
+  for (const song of songs) {
+    const songId = adapter.getSongIdForTrack(song);
+    if (!isValidSongIdForSource(songId, adapter)) continue;
+
+    let duration = 0;
+    const representations = renditionTokens.map(({ rendition, token: renditionToken }) => {
+      const songBase = `${baseUrl}${getSegmentBasePathForReq(req, renditionToken, playlistId)}/seg/${encodeURIComponent(songId)}`;
+      const info = getSongSegmentInfo(getScopedSongCacheKey(songId, source, mode, quality, rendition.id, format, getOverlayVariant(overlay, playlistId)));
+      const segmentDurations = getSongSegmentDurations(info, song.duration || 240);
+      if (!duration) duration = segmentDurations.reduce((a, b) => a + b, 0);
+      return {
+        id: rendition.id || 'default',
+        audioOnly: rendition.audioOnly,
+        width: rendition.width,
+        height: rendition.height,
+        bandwidth: (info && info.bandwidth) ? info.bandwidth.peak : getNominalBandwidth(rendition),
+        codecs: (info && info.codecs) || getNominalCodecs(rendition),
+        initialization: `${songBase}/${INIT_SEGMENT_NAME}`,
+        media: `${songBase}/$Number$.${getSegmentExtension(format)}`,
+        segmentDurations
+      };
+    });
+    periods.push({ duration, representations });
+  }
+
+  res.setHeader('Content-Type', 'application/dash+xml');
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Cache-Control', 'public, max-age=86400');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.send(buildDashManifest({ periods }));
+
+  await schedulePlaylistPreload({ token, playlistId, songs, cookie, playlistCover, adapter, mode, quality, rendition: renditionTokens[0].rendition, format, overlay, usage });
+});
+
+// .ts / .m4s 分片与 fMP4 的 init 段共用鉴权、缓存命中、ETag/304 与按需转码逻辑；init 段请求没有 segmentIndex
+function handleSegmentRequest(urlFormat) {
+  return async (req, res) => {
+    const { token, playlistId, songId, segmentIndex } = req.params;
+    const adapter = req.musicSource;
+    const source = adapter.name;
+    const playlistCacheKey = adapter.getPlaylistCacheKey(playlistId);
+    const isInit = segmentIndex === undefined;
+    const segIndex = isInit ? -1 : parseInt(segmentIndex);
+  
+    if (!isLikelyToken(token)) {
+      return res.status(400).json({ error: 'Invalid token format' });
+    }
+    if (!adapter.isValidPlaylistId(playlistId)) {
+      return res.status(400).json({ error: 'Invalid playlist ID' });
+    }
+    if (!isValidSongIdForSource(songId, adapter)) {
+      return res.status(400).json({ error: 'Invalid song ID' });
+    }
+    if (!isSongInScope(playlistId, songId)) {
+      return res.status(403).json({ error: 'Song not in scope' });
+    }
+    if (!isInit && !isValidSegmentIndex(segmentIndex)) {
+      return res.status(400).json({ error: 'Invalid segment index' });
+    }
+  
+    const access = resolvePlaybackAccess(adapter, token, playlistId);
+    if (!access) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    // 分片封装只由 token 声明，扩展名与之不符的请求不转码
+    const format = getSegmentFormat(access);
+    if (format !== urlFormat) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    const { user, options, quality } = access;
+    const mode = getPlaybackMode(access);
+    const rendition = getRendition(access, mode);
+    if (!rendition) {
+      return res.status(400).json({ error: 'Invalid rendition' });
+    }
+    const usage = enforcePlaybackQuota(req, res, { source: adapter, access, token, format: 'json', countRequest: false });
+    if (!usage) return;
+    const overlay = getOverlay(access, mode);
+    const songCacheKey = getScopedSongCacheKey(songId, source, mode, quality, rendition.id, format, getOverlayVariant(overlay, playlistId));
   
-  const segmentPath = getSegmentPath(songCacheKey, segIndex); 
+    const cookie = decrypt(user.cookie);
 
-  const hitStat = await statIfValidSegment(segmentPath);
-  if (hitStat) { 
-    if (LOG_VERBOSE) console.log(`[分片命中] ${songCacheKey}/${segIndex}`); 
+    // HEAD 与分段续传不重复记录播放
+    if (segIndex === 0 && req.method !== 'HEAD' && !isRangeContinuation(req)) {
+      try {
+        let songName = '未知';
+        let artist = '未知';
 
-    const etag = makeWeakEtag(hitStat);
-    res.setHeader('ETag', etag);
-    res.setHeader('Last-Modified', formatHttpDate(hitStat.mtimeMs));
+        const cached = playlistOps.get.get(playlistCacheKey);
+        if (cached && cached.songs) {
+          try {
+            const songs = JSON.parse(cached.songs);
+            const song = Array.isArray(songs) ? songs.find(s => adapter.getSongIdForTrack(s) === String(songId)) : null;
+            if (song) {
+              if (song.name) songName = String(song.name);
+              if (song.artist) artist = String(song.artist);
+            }
+          } catch (_) {}
+        }
 
-    const inm = req.headers['if-none-match'];
-    if (inm && String(inm).trim() === etag) {
-      return res.status(304).end();
+        playLogOps.log.run({
+          user_id: user.id,
+          playlist_id: adapter.toPlayLogPlaylistId(playlistId),
+          song_id: adapter.toPlayLogSongId(songId),
+          song_name: songName,
+          artist
+        });
+      } catch (e) {
+        console.error('记录播放失败:', e?.message || e);
+      }
     }
+  
+    res.setHeader('Content-Type', getSegmentContentType(format, rendition.audioOnly));
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+  
+    const segmentPath = isInit ? getInitSegmentPath(songCacheKey) : getSegmentPath(songCacheKey, segIndex, format); 
+    const minBytes = isInit ? 0 : undefined;
+    const segmentLabel = isInit ? INIT_SEGMENT_NAME : segIndex;
+
+    const hitStat = await statPublishedSegment(songCacheKey, segIndex, rendition, segmentPath, minBytes);
+    if (hitStat) { 
+      if (LOG_VERBOSE) console.log(`[分片命中] ${songCacheKey}/${segmentLabel}`); 
+      cacheIndex.touch(songCacheKey);
 
-    res.setHeader('Content-Length', hitStat.size); 
-    const stream = fs.createReadStream(segmentPath); 
-    stream.pipe(res); 
+      sendStaticFile(req, res, segmentPath, hitStat);
      
-    if (segIndex === 0) { 
-      setImmediate(() => preloadNextSongs({ playlistId, currentSongId: songId, cookie, source, mode })); 
+      if (segIndex === 0) { 
+        setImmediate(() => preloadNextSongs({ playlistId, currentSongId: songId, cookie, adapter, mode, quality, rendition, format, overlay, options, usage })); 
+      } 
+      return; 
     } 
-    return; 
-  } 
   
-  const lockKey = songCacheKey;
-  if (generatingLocks.has(lockKey)) {
-    console.log(`[等待分片生成] ${songCacheKey}`);
-    try { 
-      await generatingLocks.get(lockKey); 
-      const generatedStat = await statIfValidSegment(segmentPath);
-      if (generatedStat) { 
-        const etag = makeWeakEtag(generatedStat);
-        res.setHeader('ETag', etag);
-        res.setHeader('Last-Modified', formatHttpDate(generatedStat.mtimeMs));
-        res.setHeader('Content-Length', generatedStat.size); 
-        const stream = fs.createReadStream(segmentPath); 
-        stream.pipe(res); 
+    const lockKey = songCacheKey;
+    if (generatingLocks.has(lockKey)) {
+      console.log(`[等待分片生成] ${songCacheKey}`);
+      // 正在排队的预加载任务被点播，提到最前
+      getJobQueue(isVisualizerMode(mode)).promote(lockKey, 'on_demand');
+      const pending = generatingLocks.get(lockKey);
+      try { 
+        await waitForSegment(lockKey, segIndex, pending);
+        let generatedStat = await statPublishedSegment(songCacheKey, segIndex, rendition, segmentPath, minBytes);
+        if (!generatedStat) {
+          await pending;
+          generatedStat = await statPublishedSegment(songCacheKey, segIndex, rendition, segmentPath, minBytes);
+        }
+        if (generatedStat) { 
+          sendStaticFile(req, res, segmentPath, generatedStat);
  
-        if (segIndex === 0) { 
-          setImmediate(() => preloadNextSongs({ playlistId, currentSongId: songId, cookie, source, mode }));
+          if (segIndex === 0) { 
+            setImmediate(() => preloadNextSongs({ playlistId, currentSongId: songId, cookie, adapter, mode, quality, rendition, format, overlay, options, usage }));
+          }
+          return;
         }
-        return;
+      } catch (e) {
+        // 另一次生成失败，下面重新生成
+        console.error(`[等待分片生成] ${songCacheKey}/${segmentLabel} 失败:`, e.message);
       }
-    } catch (e) {
     }
-  }
   
-  try {
-    const audioUrl = await adapter.getSongUrl(songId, cookie);
-    if (!audioUrl) {
-      return res.status(404).json({ error: 'Cannot get song URL' });
-    }
+    try {
+      const audioUrl = await adapter.getSongUrl(songId, cookie, { quality });
+      if (!audioUrl) {
+        return res.status(404).json({ error: 'Cannot get song URL' });
+      }
     
-    let coverUrl = DEFAULT_COVER_URL;
-    const cached = playlistOps.get.get(playlistCacheKey);
-    let matchedSong = null;
-    if (cached) {
-      if (cached.cover) coverUrl = cached.cover;
-      try {
-        const songs = JSON.parse(cached.songs || '[]');
-        matchedSong = Array.isArray(songs) ? songs.find(s => getSongIdForTrack(s, source) === String(songId)) : null;
-        if (matchedSong && matchedSong.cover) coverUrl = matchedSong.cover;
-      } catch (_) {}
-    }
+      let coverUrl = DEFAULT_COVER_URL;
+      const cached = playlistOps.get.get(playlistCacheKey);
+      let matchedSong = null;
+      if (cached) {
+        if (cached.cover) coverUrl = cached.cover;
+        try {
+          const songs = JSON.parse(cached.songs || '[]');
+          matchedSong = Array.isArray(songs) ? songs.find(s => adapter.getSongIdForTrack(s) === String(songId)) : null;
+          if (matchedSong && matchedSong.cover) coverUrl = matchedSong.cover;
+        } catch (_) {}
+      }
 
-    if (isLiteVideoMode(mode)) {
-      const picked = await getOrBindBg({
-        token,
-        playlistId,
-        source,
-        fallbackUrl: coverUrl
-      });
-      const allowed = isDownloadUrlAllowed(picked);
-      if (allowed.allowed) {
-        coverUrl = picked;
+      if (isLiteVideoMode(mode)) {
+        const picked = await getOrBindBg({
+          token,
+          playlistId,
+          source,
+          fallbackUrl: coverUrl
+        });
+        const allowed = isDownloadUrlAllowed(picked);
+        if (allowed.allowed) {
+          coverUrl = picked;
+        }
       }
-    }
     
-    if (LOG_VERBOSE) console.log(`[分片未命中] 生成歌曲所有分片: ${songCacheKey}`);
+      if (LOG_VERBOSE) console.log(`[分片未命中] 生成歌曲所有分片: ${songCacheKey}`);
     
-    const perSongCover = isLiteVideoMode(mode)
-      ? coverUrl
-      : pickCoverUrlForSong(matchedSong || { id: songId, cover: coverUrl }, coverUrl);
-    const generatePromise = generateSongSegments(songCacheKey, audioUrl, perSongCover);
-    generatePromise._createdAt = Date.now();
-    generatingLocks.set(lockKey, generatePromise);
+      const perSongCover = getSegmentCoverUrl(mode, matchedSong || { id: songId, cover: coverUrl }, coverUrl);
+      const generatePromise = generateSongSegments(songCacheKey, audioUrl, perSongCover, matchedSong ? matchedSong.duration : undefined, usage, {
+        rendition,
+        format,
+        visualizer: isVisualizerMode(mode),
+        loudnessKey: getLoudnessKey(source, songId),
+        nowPlaying: overlay && overlay.nowPlaying ? getNowPlayingInfo({ song: matchedSong, songId, playlistName: cached && cached.name }) : null,
+        lyrics: overlay && overlay.lyrics ? await getOverlayLyrics(adapter, songId, cookie, matchedSong && matchedSong.duration) : null
+      }, { priority: 'on_demand', source, songId, mode, quality });
+      generatePromise._createdAt = Date.now();
+      generatingLocks.set(lockKey, generatePromise);
+    
+      // 转码结束且本次响应结束后才释放 lock，防止 cleanup 竞态删除正在读取的 segment
+      let markResponded;
+      const responded = new Promise((resolve) => { markResponded = resolve; });
+      Promise.all([generatePromise.catch(() => {}), responded]).then(() => generatingLocks.delete(lockKey));
+    
+      try {
+        // 请求的分片一写完就返回，不等整首歌转码完成
+        await waitForSegment(lockKey, segIndex, generatePromise);
+        let generatedStat = await statPublishedSegment(songCacheKey, segIndex, rendition, segmentPath, minBytes);
+        if (!generatedStat) {
+          await generatePromise;
+          generatedStat = await statPublishedSegment(songCacheKey, segIndex, rendition, segmentPath, minBytes);
+        }
+        if (!generatedStat) {
+          throw new Error(`Segment ${segmentLabel} not found after generation`);
+        }
+        sendStaticFile(req, res, segmentPath, generatedStat).then(markResponded);
+
+        if (segIndex === 0) {
+          setImmediate(() => preloadNextSongs({ playlistId, currentSongId: songId, cookie, adapter, mode, quality, rendition, format, overlay, options, usage }));
+        }
+      } catch (e) {
+        markResponded();
+        throw e;
+      }
     
+    } catch (e) {
+      console.error('Segment error:', e);
+      if (!res.headersSent) {
+        if (e.message === QUEUE_FULL_MESSAGE) {
+          const queue = getJobQueue(isVisualizerMode(mode));
+          res.status(503).json({ 
+            error: e.message, 
+            retryAfter: 10,
+            queueInfo: {
+              running: queue.running,
+              waiting: queue.waiting,
+              maxConcurrent: queue.concurrency
+            }
+          });
+        } else if (e.message === TRANSCODE_QUOTA_MESSAGE) {
+          sendQuotaExceeded(res, findExceededTranscodeQuota(usage), 'json');
+        } else {
+          res.status(500).json({ error: e.message });
+        }
+      }
+    }
+  };
+}
+
+router.get('/:token/:playlistId/seg/:songId/:segmentIndex.ts', handleSegmentRequest('ts'));
+router.get('/:token/:playlistId/seg/:songId/:segmentIndex.m4s', handleSegmentRequest('fmp4'));
+router.get(`/:token/:playlistId/seg/:songId/${INIT_SEGMENT_NAME}`, handleSegmentRequest('fmp4'));
+
+// 交叉淡化过渡段：/xf/<前一首>/<后一首>/<序号>.ts|.m4s 与 init.mp4，淡化秒数由 token 声明；
+// 过渡段范围由歌单缓存中的歌曲时长确定，首次请求时转码整段，之后与歌曲分片一样走缓存
+function handleTransitionRequest(urlFormat) {
+  return async (req, res) => {
+    const { token, playlistId, fromSongId, toSongId, segmentIndex } = req.params;
+    const adapter = req.musicSource;
+    const isInit = segmentIndex === undefined;
+
+    if (!isLikelyToken(token)) {
+      return res.status(400).json({ error: 'Invalid token format' });
+    }
+    if (!adapter.isValidPlaylistId(playlistId)) {
+      return res.status(400).json({ error: 'Invalid playlist ID' });
+    }
+    if (!isValidSongIdForSource(fromSongId, adapter) || !isValidSongIdForSource(toSongId, adapter)) {
+      return res.status(400).json({ error: 'Invalid song ID' });
+    }
+    if (!isSongInScope(playlistId, fromSongId) || !isSongInScope(playlistId, toSongId)) {
+      return res.status(403).json({ error: 'Song not in scope' });
+    }
+    if (!isInit && !isValidSegmentIndex(segmentIndex)) {
+      return res.status(400).json({ error: 'Invalid segment index' });
+    }
+
+    const access = resolvePlaybackAccess(adapter, token, playlistId);
+    if (!access) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    // 分片封装只由 token 声明，扩展名与之不符的请求不转码
+    const format = getSegmentFormat(access);
+    if (format !== urlFormat) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    const crossfade = getCrossfade(access);
+    if (!crossfade) {
+      return res.status(400).json({ error: 'Invalid crossfade' });
+    }
+    const { user, quality } = access;
+    const mode = getPlaybackMode(access);
+    const rendition = getRendition(access, mode);
+    if (!rendition) {
+      return res.status(400).json({ error: 'Invalid rendition' });
+    }
+    const usage = enforcePlaybackQuota(req, res, { source: adapter, access, token, format: 'json', countRequest: false });
+    if (!usage) return;
+
+    const cached = playlistOps.get.get(adapter.getPlaylistCacheKey(playlistId));
+    let songs = [];
     try {
-      await generatePromise;
+      songs = JSON.parse((cached && cached.songs) || '[]');
+    } catch (_) {}
+    const findSong = (songId) => (Array.isArray(songs) ? songs.find(s => adapter.getSongIdForTrack(s) === String(songId)) : null);
+    const fromSong = findSong(fromSongId);
+    const toSong = findSong(toSongId);
+    const plan = fromSong && toSong
+      ? getCrossfadePlan({
+        fromDuration: Number(fromSong.duration) || 0,
+        toDuration: Number(toSong.duration) || 0,
+        crossfade,
+        segmentDuration: CACHE_CONFIG.segmentDuration
+      })
+      : null;
+    if (!plan) {
+      return res.status(404).json({ error: 'Transition not available' });
+    }
 
-      const generatedStat = await statIfValidSegment(segmentPath);
-      if (generatedStat) {
-        const etag = makeWeakEtag(generatedStat);
-        res.setHeader('ETag', etag);
-        res.setHeader('Last-Modified', formatHttpDate(generatedStat.mtimeMs));
-        res.setHeader('Content-Length', generatedStat.size);
-        const stream = fs.createReadStream(segmentPath);
+    const overlay = getOverlay(access, mode);
+    const transitionKey = getTransitionCacheKey(fromSongId, toSongId, crossfade, adapter.name, mode, quality, rendition.id, format, getOverlayVariant(overlay, playlistId));
+    const segIndex = isInit ? -1 : parseInt(segmentIndex);
+    const segmentPath = isInit ? getInitSegmentPath(transitionKey) : getSegmentPath(transitionKey, segIndex, format);
+    const minBytes = isInit ? 0 : undefined;
 
-        // 在 stream 完成或出错后才释放 lock，防止 cleanup 竞态删除正在读取的 segment
-        stream.on('close', () => generatingLocks.delete(lockKey));
-        stream.on('error', () => generatingLocks.delete(lockKey));
-        stream.pipe(res);
+    res.setHeader('Content-Type', getSegmentContentType(format, rendition.audioOnly));
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Cache-Control', 'public, max-age=86400');
 
-        if (segIndex === 0) {
-          setImmediate(() => preloadNextSongs({ playlistId, currentSongId: songId, cookie, source, mode }));
+    try {
+      if (!isSongCached(transitionKey, rendition)) {
+        let pending = generatingLocks.get(transitionKey);
+        if (!pending) {
+          pending = (async () => {
+            const cookie = decrypt(user.cookie);
+            const [fromUrl, toUrl] = await Promise.all([
+              adapter.getSongUrl(fromSongId, cookie, { quality }),
+              adapter.getSongUrl(toSongId, cookie, { quality })
+            ]);
+            if (!fromUrl || !toUrl) {
+              throw new Error('Cannot get song URL');
+            }
+
+            let coverUrl = (cached && cached.cover) || DEFAULT_COVER_URL;
+            if (isLiteVideoMode(mode)) {
+              const picked = await getOrBindBg({ token, playlistId, source: adapter.name, fallbackUrl: coverUrl });
+              if (isDownloadUrlAllowed(picked).allowed) coverUrl = picked;
+            }
+
+            if (LOG_VERBOSE) console.log(`[过渡段] 生成: ${transitionKey}`);
+            return generateTransitionSegments(
+              transitionKey,
+              {
+                fromUrl,
+                toUrl,
+                fromAudioKey: getAudioDownloadKey(adapter.name, fromSongId, quality),
+                toAudioKey: getAudioDownloadKey(adapter.name, toSongId, quality),
+                fromLoudnessKey: getLoudnessKey(adapter.name, fromSongId),
+                toLoudnessKey: getLoudnessKey(adapter.name, toSongId),
+                plan,
+                crossfade
+              },
+              getSegmentCoverUrl(mode, toSong, coverUrl),
+              usage,
+              {
+                rendition,
+                format,
+                visualizer: isVisualizerMode(mode),
+                nowPlaying: overlay && overlay.nowPlaying ? getNowPlayingInfo({ song: toSong, songId: toSongId, playlistName: cached && cached.name }) : null
+              }
+            );
+          })();
+          pending._createdAt = Date.now();
+          generatingLocks.set(transitionKey, pending);
+          pending.then(
+            () => generatingLocks.delete(transitionKey),
+            () => generatingLocks.delete(transitionKey)
+          );
         }
-      } else {
-        generatingLocks.delete(lockKey);
-        throw new Error(`Segment ${segIndex} not found after generation`);
+        await waitForSegment(transitionKey, segIndex, pending);
+        if (!(await statPublishedSegment(transitionKey, segIndex, rendition, segmentPath, minBytes))) {
+          await pending;
+        }
+      }
+
+      const stat = await statPublishedSegment(transitionKey, segIndex, rendition, segmentPath, minBytes);
+      if (!stat) {
+        return res.status(404).json({ error: 'Segment not found' });
       }
+      cacheIndex.touch(transitionKey);
+      sendStaticFile(req, res, segmentPath, stat);
     } catch (e) {
-      generatingLocks.delete(lockKey);
-      throw e;
-    }
-    
-  } catch (e) {
-    console.error('Segment error:', e);
-    if (!res.headersSent) {
-      if (e.message === '服务繁忙，请稍后重试') {
-        res.status(503).json({ 
-          error: e.message, 
-          retryAfter: 10,
-          queueInfo: {
-            running: jobSemaphore.running,
-            waiting: jobSemaphore.waiting,
-            maxConcurrent: JOB_LIMITS.maxConcurrentJobs
-          }
-        });
+      console.error('Transition error:', e);
+      if (res.headersSent) return;
+      if (e.message === QUEUE_FULL_MESSAGE) {
+        res.status(503).json({ error: e.message, retryAfter: 10 });
+      } else if (e.message === TRANSCODE_QUOTA_MESSAGE) {
+        sendQuotaExceeded(res, findExceededTranscodeQuota(usage), 'json');
+      } else if (e.message === 'Cannot get song URL') {
+        res.status(404).json({ error: e.message });
       } else {
         res.status(500).json({ error: e.message });
       }
     }
-  }
-});
+  };
+}
+
+router.get('/:token/:playlistId/xf/:fromSongId/:toSongId/:segmentIndex.ts', handleTransitionRequest('ts'));
+router.get('/:token/:playlistId/xf/:fromSongId/:toSongId/:segmentIndex.m4s', handleTransitionRequest('fmp4'));
+router.get(`/:token/:playlistId/xf/:fromSongId/:toSongId/${INIT_SEGMENT_NAME}`, handleTransitionRequest('fmp4'));
 
 router.get('/:token/:playlistId/song/:songId.ts', (req, res) => {
   const { token, playlistId, songId } = req.params;
-  const source = getSourceFromReq(req);
-  const mode = getModeFromReq(req);
-  const basePath = source === 'qq' ? '/api/qq/hls' : '/api/hls';
-  const modeSuffix = isLiteVideoMode(mode) ? '?mode=lite_video' : '';
+  const adapter = req.musicSource;
   
-  if (!isLikelyToken(token) || !isValidNumericId(playlistId) || !isValidSongIdForSource(songId, source)) {
+  if (!isLikelyToken(token) || !adapter.isValidPlaylistId(playlistId) || !isValidSongIdForSource(songId, adapter)) {
     return res.status(400).json({ error: 'Invalid parameters' });
   }
+  if (!isSongInScope(playlistId, songId)) {
+    return res.status(403).json({ error: 'Song not in scope' });
+  }
   
-  res.redirect(`${basePath}/${encodeURIComponent(token)}/${playlistId}/seg/${encodeURIComponent(songId)}/0.ts${modeSuffix}`);
+  res.redirect(`${req.baseUrl}/${encodeURIComponent(token)}/${playlistId}/seg/${encodeURIComponent(songId)}/0.ts`);
 });
 
 router.post('/:token/:playlistId/preload', async (req, res) => {
   const { token, playlistId } = req.params;
-  const source = getSourceFromReq(req);
-  const mode = getModeFromReq(req);
-  const adapter = getSourceAdapter(source);
-  const playlistCacheKey = getPlaylistCacheKey(playlistId, source);
+  const adapter = req.musicSource;
+  const source = adapter.name;
+  const playlistCacheKey = adapter.getPlaylistCacheKey(playlistId);
   const count = Math.min(parseInt(req.body.count) || 5, 20);
   
   if (!isLikelyToken(token)) {
     return res.status(400).json({ error: 'Invalid token format' });
   }
-  if (!isValidNumericId(playlistId)) {
+  if (!adapter.isValidPlaylistId(playlistId)) {
     return res.status(400).json({ error: 'Invalid playlist ID' });
   }
   
-  const user = resolveUserFromAccessToken(token, playlistId, source);
-  if (!user) {
+  const access = resolvePlaybackAccess(adapter, token, playlistId);
+  if (!access) {
     return res.status(401).json({ error: 'Invalid token' });
   }
+  const { user, options, quality } = access;
+  const mode = getPlaybackMode(access);
+  const rendition = getRendition(access, mode);
+  if (!rendition) {
+    return res.status(400).json({ error: 'Invalid rendition' });
+  }
+  const format = getSegmentFormat(access);
+  const overlay = getOverlay(access, mode);
+  const usage = enforcePlaybackQuota(req, res, { source: adapter, access, token, format: 'json' });
+  if (!usage) return;
   
   const cookie = decrypt(user.cookie);
   
@@ -1553,7 +2254,7 @@ router.post('/:token/:playlistId/preload', async (req, res) => {
       songs = playlist.tracks;
     }
     
-    const toPreload = Array.isArray(songs) ? songs.slice(0, count) : [];
+    const toPreload = applyPlaylistOptions(songs, options).slice(0, count);
     const results = [];
     
     let coverUrl = (cached && cached.cover) ? cached.cover : DEFAULT_COVER_URL;
@@ -1573,27 +2274,34 @@ router.post('/:token/:playlistId/preload', async (req, res) => {
     if (LOG_VERBOSE) console.log(`[预加载] 开始预加载 ${toPreload.length} 首歌`);
     
     for (const song of toPreload) {
-      const songId = getSongIdForTrack(song, source);
-      if (!isValidSongIdForSource(songId, source)) {
+      const songId = adapter.getSongIdForTrack(song);
+      if (!isValidSongIdForSource(songId, adapter)) {
         results.push({ id: songId, name: song.name, status: 'bad_song_id' });
         continue;
       }
-      const songCacheKey = getScopedSongCacheKey(songId, source, mode);
-      if (isSongCached(songCacheKey)) {
+      const songCacheKey = getScopedSongCacheKey(songId, source, mode, quality, rendition.id, format, getOverlayVariant(overlay, playlistId));
+      if (isSongCached(songCacheKey, rendition)) {
         const info = getSongSegmentInfo(songCacheKey);
         results.push({ id: songId, name: song.name, status: 'cached', segments: info?.segmentCount || 0 });
         continue;
       }
       
       try {
-        const audioUrl = await adapter.getSongUrl(songId, cookie);
+        const audioUrl = await adapter.getSongUrl(songId, cookie, { quality });
         if (!audioUrl) {
           results.push({ id: songId, name: song.name, status: 'no_url' });
           continue;
         }
         
-        const perSongCover = isLiteVideoMode(mode) ? coverUrl : pickCoverUrlForSong(song, coverUrl);
-        const info = await generateSongSegments(songCacheKey, audioUrl, perSongCover, song.duration);
+        const perSongCover = getSegmentCoverUrl(mode, song, coverUrl);
+        const info = await generateSongSegments(songCacheKey, audioUrl, perSongCover, song.duration, usage, {
+          rendition,
+          format,
+          visualizer: isVisualizerMode(mode),
+          loudnessKey: getLoudnessKey(adapter.name, songId),
+          nowPlaying: overlay && overlay.nowPlaying ? getNowPlayingForSong(adapter, playlistId, song, songId) : null,
+          lyrics: overlay && overlay.lyrics ? await getOverlayLyrics(adapter, songId, cookie, song.duration) : null
+        }, { priority: 'preload', source, songId, mode, quality });
         results.push({ id: songId, name: song.name, status: 'generated', segments: info.segmentCount });
       } catch (e) {
         results.push({ id: songId, name: song.name, status: 'error', error: e.message });
@@ -1609,108 +2317,123 @@ router.post('/:token/:playlistId/preload', async (req, res) => {
   }
 });
 
-router.get('/cache/status', adminAuth, async (req, res) => { 
+// 直接读缓存索引（见 lib/cache-index.js），不扫描缓存目录
+router.get('/cache/status', adminAuth, (req, res) => { 
   try { 
-    const dirents = await fs.promises.readdir(CACHE_DIR, { withFileTypes: true }); 
-    let totalSize = 0; 
-    let totalSongs = 0; 
-    const cachedSongs = []; 
-     
-    for (let i = 0; i < dirents.length; i++) { 
-      const entry = dirents[i]; 
-      if (!entry.isDirectory()) continue; 
-      totalSongs++; 
-
-      const songId = fromFsCacheKey(entry.name); 
-      const songDir = path.join(CACHE_DIR, entry.name); 
-      const infoPath = path.join(songDir, 'info.json'); 
-
-      let segmentCount = 0; 
-      let songSize = 0; 
-      let timestamp = 0; 
-
-      const info = await safeReadJson(infoPath); 
-      if (info) { 
-        segmentCount = info.segmentCount || 0; 
-        songSize = Number(info.cacheBytes) || 0; 
-        timestamp = Number(info.timestamp) || 0; 
-      } 
-
-      if (!timestamp) { 
-        try { 
-          const stat = await fs.promises.stat(songDir); 
-          timestamp = stat.mtimeMs || 0; 
-        } catch (_) {} 
-      } 
-
-      if (!songSize) { 
-        songSize = await getSongDirSizeBytes(songDir); 
-      } 
-
-      totalSize += songSize; 
-
-      if (cachedSongs.length < 50) { 
-        const ageMin = timestamp ? Math.round((Date.now() - timestamp) / 1000 / 60) : 0; 
-        cachedSongs.push({ 
-          songId: info && info.songId ? String(info.songId) : songId, 
-          segments: segmentCount, 
-          size: (songSize / 1024 / 1024).toFixed(2) + ' MB', 
-          age: ageMin + ' minutes' 
-        }); 
-      } 
-
-      if (i > 0 && i % 25 === 0) await yieldToEventLoop(); 
-    } 
+    const stats = cacheIndex.getStats();
+    const toMB = (bytes) => (bytes / 1024 / 1024).toFixed(2) + ' MB';
+    const now = Date.now();
+    const kinds = {};
+    for (const [kind, item] of Object.entries(stats.kinds)) {
+      kinds[kind] = { entries: item.entries, size: toMB(item.bytes), hits: item.hits };
+    }
      
     res.json({ 
       cache: { 
-        totalSongs, 
-        totalSize: (totalSize / 1024 / 1024).toFixed(2) + ' MB', 
-        maxSize: (CACHE_CONFIG.maxSize / 1024 / 1024 / 1024).toFixed(2) + ' GB', 
+        totalSongs: ((stats.kinds.hls && stats.kinds.hls.entries) || 0) + ((stats.kinds.mp4 && stats.kinds.mp4.entries) || 0), 
+        totalEntries: stats.entries,
+        totalSize: toMB(stats.totalBytes), 
+        maxSize: (stats.maxSize / 1024 / 1024 / 1024).toFixed(2) + ' GB', 
+        maxAge: Math.round(stats.maxAge / 1000 / 60 / 60) + ' hours',
+        kinds
       }, 
       jobs: { 
-        running: jobSemaphore.running, 
-        waiting: jobSemaphore.waiting, 
+        running: hlsJobs.running, 
+        waiting: hlsJobs.waiting, 
         maxConcurrent: JOB_LIMITS.maxConcurrentJobs, 
         maxQueue: JOB_LIMITS.maxQueueSize 
       }, 
+      visualizerJobs: {
+        running: visualizerJobs.running,
+        waiting: visualizerJobs.waiting,
+        maxConcurrent: VISUALIZER.maxConcurrentJobs,
+        style: VISUALIZER.style,
+        fps: VISUALIZER.fps
+      },
       config: { 
         downloadTimeout: JOB_LIMITS.downloadTimeout + 'ms', 
         downloadMaxSize: (JOB_LIMITS.downloadMaxSize / 1024 / 1024).toFixed(2) + ' MB', 
         ffmpegTimeout: JOB_LIMITS.ffmpegTimeout + 'ms' 
       }, 
-      songs: cachedSongs 
+      entries: cacheIndex.listRecent(50).map((entry) => ({
+        key: entry.key,
+        kind: entry.kind,
+        size: toMB(entry.bytes),
+        hits: entry.hit_count,
+        age: Math.round((now - entry.created_at) / 1000 / 60) + ' minutes',
+        idle: Math.round((now - entry.last_access) / 1000 / 60) + ' minutes'
+      }))
     }); 
   } catch (e) { 
     res.status(500).json({ error: e?.message || String(e) }); 
   } 
 }); 
 
+// 转码任务：各队列（含 MP4）排队 / 进行中的任务及进度，以及最近结束的任务
+router.get('/jobs', adminAuth, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+  res.json({
+    success: true,
+    data: {
+      queues: getJobQueues().map((queue) => ({
+        name: queue.name,
+        running: queue.running,
+        waiting: queue.waiting,
+        maxConcurrent: queue.concurrency,
+        maxQueue: queue.maxQueueSize
+      })),
+      jobs: getJobQueues().flatMap((queue) => queue.list()),
+      finished: listFinishedJobs(limit)
+    }
+  });
+});
+
+router.delete('/jobs/:id', adminAuth, (req, res) => {
+  if (!cancelJob(req.params.id)) {
+    return res.status(404).json({ success: false, message: '任务不存在或已结束' });
+  }
+  res.json({ success: true });
+});
+
 router.delete('/cache', adminAuth, async (req, res) => { 
   try { 
     const dirents = await fs.promises.readdir(CACHE_DIR, { withFileTypes: true }); 
     let deleted = 0; 
+    let skipped = 0;
      
     for (let i = 0; i < dirents.length; i++) { 
       const entry = dirents[i]; 
       if (!entry.isDirectory()) continue; 
 
-      const songId = fromFsCacheKey(entry.name); 
+      const key = fromFsCacheKey(entry.name); 
       const songDir = path.join(CACHE_DIR, entry.name); 
+      // 与淘汰共用使用中检查（生成中、排队中的任务与正在读取的下载），跳过使用中的缓存；
+      // 尚未登记索引的目录（如正在生成）按 HLS 与 MP4 两种类型检查
+      const indexed = cacheIndex.get(key);
+      const candidates = indexed ? [indexed] : ['hls', 'mp4'].map((kind) => ({ key, kind, path: songDir }));
+      if (generatingLocks.has(key) || candidates.some((candidate) => cacheIndex.isBusy(candidate))) {
+        skipped++;
+        continue;
+      }
       try { 
-        await fs.promises.rm(songDir, { recursive: true, force: true }); 
+        // 删除索引记录，并通过 onEvict 清掉该键在内存中的分片信息
+        await cacheIndex.remove(candidates[0]);
         deleted++; 
       } catch (_) {} 
 
       if (i > 0 && i % 10 === 0) await yieldToEventLoop(); 
     } 
      
-    songSegmentInfo.clear(); 
-     
-    res.json({ success: true, deletedSongs: deleted }); 
+    res.json({ success: true, deletedSongs: deleted, skippedBusy: skipped }); 
   } catch (e) { 
     res.status(500).json({ error: e?.message || String(e) }); 
   } 
 }); 
 
+// 服务启动后调用：恢复上次未完成的转码任务
+router.restoreJobs = () => {
+  hlsJobs.restore();
+  visualizerJobs.restore();
+};
+
 module.exports = router;
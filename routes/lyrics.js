@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const { bindSource } = require('../lib/sources');
+const { getSongLyrics, mergeLyrics, buildLrc, buildWebVtt } = require('../lib/lyrics');
+
+const LYRICS_FORMATS = new Set(['json', 'lrc', 'vtt']);
+
+// /api/lyrics/:source/:songId?format=lrc|vtt|json（默认 json，同时返回两种格式）
+// 歌词不需要登录即可获取，供卡拉 OK 世界等播放器直接拉取；duration（秒）用于最后一行的结束时间
+router.get('/:source/:songId', bindSource(), async (req, res) => {
+  const adapter = req.musicSource;
+  const { songId } = req.params;
+  const format = String(req.query.format || 'json').toLowerCase();
+
+  if (!adapter.isValidSongId(songId)) {
+    return res.status(400).json({ success: false, message: '无效的歌曲ID' });
+  }
+  if (!LYRICS_FORMATS.has(format)) {
+    return res.status(400).json({ success: false, message: '不支持的歌词格式' });
+  }
+
+  let lyrics;
+  try {
+    lyrics = await getSongLyrics(adapter, songId);
+  } catch (e) {
+    console.error(`[歌词] 获取失败 ${adapter.name}:${songId}:`, e.message);
+    return res.status(502).json({ success: false, message: '获取歌词失败' });
+  }
+  if (!lyrics) {
+    return res.status(404).json({ success: false, message: `${adapter.label}暂不支持歌词` });
+  }
+
+  const cues = mergeLyrics(lyrics.lrc, lyrics.tlrc, { duration: Number(req.query.duration) || 0 });
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+
+  if (format === 'lrc') {
+    return res.type('text/plain; charset=utf-8').send(buildLrc(cues));
+  }
+  if (format === 'vtt') {
+    return res.type('text/vtt; charset=utf-8').send(buildWebVtt(cues));
+  }
+  res.json({
+    success: true,
+    data: {
+      source: adapter.name,
+      songId: String(songId),
+      hasLyrics: cues.length > 0,
+      hasTranslation: cues.some((cue) => cue.translation),
+      lrc: buildLrc(cues),
+      vtt: buildWebVtt(cues)
+    }
+  });
+});
+
+module.exports = router;
@@ -1,82 +1,48 @@
 const express = require('express');
 const router = express.Router();
-const { spawn, execSync } = require('child_process');
+const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
-const os = require('os');
-const https = require('https');
-const http = require('http');
-const netease = require('../lib/netease');
-const qqmusic = require('../lib/qqmusic');
+const { finished, pipeline } = require('stream');
 const { decrypt } = require('../lib/crypto');
-const { userOps, qqUserOps, playlistOps, playLogOps } = require('../lib/db');
-const { verifyPlaybackToken, isLegacyToken } = require('../lib/playback-token');
+const { playlistOps, playLogOps } = require('../lib/db');
+const { resolvePlaybackAccess, getSource } = require('../lib/sources');
+const { resolveLocalAudioPath } = require('../lib/local-library');
+const { isSongInScope } = require('../lib/single-song');
+const {
+  getUsageUserId,
+  enforcePlaybackQuota,
+  sendQuotaExceeded,
+  recordTranscodeSeconds,
+  findExceededTranscodeQuota
+} = require('../lib/usage-quota');
+const { getLoudnormConfig, isSameLoudnormTarget, getLoudnessKey, resolveLoudnorm } = require('../lib/loudness');
+const {
+  getNowPlayingFont,
+  getNowPlayingInfo,
+  writeNowPlayingTextFiles,
+  buildOverlayFilterGraph
+} = require('../lib/now-playing');
+const { isVisualizerMode } = require('../lib/hls-mode');
+const { getVisualizerConfig, buildVisualizerFilterGraph } = require('../lib/visualizer');
+const { JobQueue, parseFFmpegProgress } = require('../lib/job-queue');
+const { downloadCache, getAudioDownloadKey, getCoverDownloadKey } = require('../lib/download-cache');
+const { createDownloader } = require('../lib/downloader');
+const { findFFmpeg } = require('../lib/ffmpeg');
+const { cacheIndex } = require('../lib/cache-index');
+const { sendStaticFile, isRangeContinuation } = require('../lib/static-file');
+const { createGrowingFile, createGrowingFileRegistry, canStreamGrowingFile } = require('../lib/growing-file');
 
 // ─── 工具函数 ──────────────────────────────────────────────
 
-function isValidNumericId(id) {
-  return typeof id === 'string' && /^\d+$/.test(id) && id.length <= 20;
-}
-
 function isLikelyToken(token) {
   return typeof token === 'string' && token.length > 0 && token.length <= 1024;
 }
 
-function resolveUserFromAccessToken(token, playlistId, source = 'netease') {
-  const raw = String(token || '');
-  const tokenStore = source === 'qq' ? qqUserOps : userOps;
-  if (isLegacyToken(raw)) {
-    return tokenStore.getByToken.get(raw) || null;
-  }
-  const verified = verifyPlaybackToken(raw, { playlistId: String(playlistId || '') });
-  if (!verified.ok) return null;
-  return tokenStore.getById.get(verified.userId) || null;
-}
-
-function getSourceFromReq(req) {
-  const base = String(req.baseUrl || '');
-  if (base.startsWith('/api/qq/mp4')) return 'qq';
-  return 'netease';
-}
-
-function getSourceAdapter(source) {
-  if (source === 'qq') {
-    return {
-      source: 'qq',
-      getSongUrl: (songId, cookie) => qqmusic.getSongUrl(String(songId), cookie),
-      getPlaylistDetail: (playlistId, cookie) => qqmusic.getPlaylistDetail(String(playlistId), cookie),
-      toPlayLogPlaylistId: (playlistId) => `qq:${String(playlistId)}`,
-      toPlayLogSongId: (songId) => `qq:${String(songId)}`
-    };
-  }
-  return {
-    source: 'netease',
-    getSongUrl: (songId, cookie) => netease.getSongUrl(String(songId), cookie),
-    getPlaylistDetail: (playlistId, cookie) => netease.getPlaylistDetail(String(playlistId), cookie),
-    toPlayLogPlaylistId: (playlistId) => String(playlistId),
-    toPlayLogSongId: (songId) => String(songId)
-  };
-}
-
-function getPlaylistCacheKey(playlistId, source) {
-  if (source === 'qq') return `qq:${String(playlistId || '')}`;
-  return String(playlistId || '');
-}
-
-function getSongIdForTrack(song, source) {
-  if (source === 'qq') {
-    return String((song && (song.mid || song.id)) || '').trim();
-  }
-  return String((song && song.id) || '').trim();
-}
-
-function isValidSongIdForSource(songId, source) {
+function isValidSongIdForSource(songId, adapter) {
   const raw = String(songId || '').trim();
   if (!raw) return false;
-  if (source === 'qq') {
-    return /^[A-Za-z0-9]+$/.test(raw) && raw.length <= 64;
-  }
-  return isValidNumericId(raw);
+  return adapter.isValidSongId(raw);
 }
 
 function getBaseUrl(req) {
@@ -130,9 +96,12 @@ if (!fs.existsSync(TEMP_DIR)) {
 
 const MP4_CACHE_VERSION = 1;
 
-function getMp4CacheKey(songId, source) {
-  const src = source === 'qq' ? 'qq' : 'netease';
-  return `${src}:mp4:${String(songId || '').trim()}`;
+// token 声明了音质时单独缓存，未声明时沿用原有缓存键
+// token 声明叠加正在播放信息时画面含歌单名，按歌单单独缓存；可视化模式按样式单独缓存
+function getMp4CacheKey(songId, source, quality, nowPlayingPlaylistId, visualizerStyle) {
+  const variant = `${quality ? `@${quality}` : ''}${visualizerStyle ? `~viz-${visualizerStyle}` : ''}` +
+    `${nowPlayingPlaylistId ? `!np=${nowPlayingPlaylistId}` : ''}`;
+  return `${source}:mp4${variant}:${String(songId || '').trim()}`;
 }
 
 function toFsCacheKey(songCacheKey) {
@@ -151,6 +120,15 @@ function getMp4InfoPath(mp4CacheKey) {
   return path.join(getMp4CacheDir(mp4CacheKey), 'info.json');
 }
 
+// 开启 / 关闭响度标准化或调整目标后，已生成的 MP4 需重新生成
+function isMp4CacheCurrent(mp4CacheKey) {
+  let info = null;
+  try {
+    info = JSON.parse(fs.readFileSync(getMp4InfoPath(mp4CacheKey), 'utf8'));
+  } catch (_) {}
+  return isSameLoudnormTarget(info && info.loudnorm, getLoudnormConfig());
+}
+
 // ─── 并发控制 ──────────────────────────────────────────────
 
 const JOB_LIMITS = {
@@ -162,287 +140,115 @@ const JOB_LIMITS = {
   ffmpegTimeout: parseInt(process.env.MP4_FFMPEG_TIMEOUT) || 180000,
 };
 
-class Semaphore {
-  constructor(max) {
-    this.max = max;
-    this.current = 0;
-    this.queue = [];
-  }
-
-  async acquire() {
-    if (this.current < this.max) {
-      this.current++;
-      return true;
-    }
-    if (this.queue.length >= JOB_LIMITS.maxQueueSize) {
-      return false;
-    }
-    return new Promise((resolve) => {
-      this.queue.push(resolve);
-    });
-  }
-
-  release() {
-    this.current--;
-    if (this.queue.length > 0 && this.current < this.max) {
-      this.current++;
-      const next = this.queue.shift();
-      next(true);
-    }
-  }
+// 转码任务队列（见 lib/job-queue.js），可视化 MP4 逐帧编码，单独一个队列限制并发（见 lib/visualizer.js）
+const VISUALIZER = getVisualizerConfig();
+const mp4Jobs = new JobQueue({ name: 'mp4', concurrency: JOB_LIMITS.maxConcurrentJobs, maxQueueSize: JOB_LIMITS.maxQueueSize });
+const visualizerJobs = new JobQueue({ name: 'mp4-visualizer', concurrency: VISUALIZER.maxConcurrentJobs, maxQueueSize: JOB_LIMITS.maxQueueSize });
+const MP4_JOB_KIND = 'mp4';
 
-  get waiting() { return this.queue.length; }
-  get running() { return this.current; }
+function getJobQueue(visualizer) {
+  return visualizer ? visualizerJobs : mp4Jobs;
 }
 
-const jobSemaphore = new Semaphore(JOB_LIMITS.maxConcurrentJobs);
-const generatingLocks = new Map();
-
-// ─── 下载安全 ──────────────────────────────────────────────
-
-const DEFAULT_DOWNLOAD_ALLOW_PATTERNS = [
-  /^m\d+[a-z]*\.music\.126\.net$/i,
-  /^p\d+\.music\.126\.net$/i,
-  /^music\.126\.net$/i,
-  /^[a-z0-9]+\.y\.qq\.com$/i,
-  /^y\.gtimg\.cn$/i,
-  /^[a-z0-9]+\.stream\.qqmusic\.qq\.com$/i,
-  /^dl\.stream\.qqmusic\.qq\.com$/i,
-  /^isure\.stream\.qqmusic\.qq\.com$/i,
-  /^ws\.stream\.qqmusic\.qq\.com$/i,
-  /^[a-z0-9-]+\.mcobj\.com$/i,
-];
-
-function parseExtraAllowPatterns() {
-  const extra = process.env.MP4_DOWNLOAD_ALLOW_HOSTS || process.env.HLS_DOWNLOAD_ALLOW_HOSTS;
-  if (!extra) return [];
-  return extra.split(',').map(s => s.trim()).filter(Boolean).map(pattern => {
-    try {
-      return new RegExp(pattern, 'i');
-    } catch (_) {
-      return null;
-    }
-  }).filter(Boolean);
-}
+// ─── 边转码边播放 ──────────────────────────────────────────
 
-const DOWNLOAD_ALLOW_PATTERNS = [...DEFAULT_DOWNLOAD_ALLOW_PATTERNS, ...parseExtraAllowPatterns()];
+// MP4_PROGRESSIVE=1 时输出分片 MP4（FFmpeg 写到 stdout，边写入临时文件边供请求读取），请求不必等转码完成；
+// 转码完成后再无损重封装为带 faststart 的普通 MP4 存入缓存，之后的拖动与 Range 请求不受影响。默认关闭
+const PROGRESSIVE = process.env.MP4_PROGRESSIVE === '1' || process.env.MP4_PROGRESSIVE === 'true';
+// 正在转码的 MP4：缓存键 -> 边写边读的临时文件（见 lib/growing-file.js）
+const progressiveOutputs = createGrowingFileRegistry();
 
-const HTTP_AGENT = new http.Agent({ keepAlive: true, maxSockets: 50 });
-const HTTPS_AGENT = new https.Agent({ keepAlive: true, maxSockets: 50 });
-
-function isDownloadUrlAllowed(urlStr) {
-  let u;
-  try {
-    u = new URL(urlStr);
-  } catch (e) {
-    return { allowed: false, reason: 'Invalid URL' };
-  }
-  if (u.protocol !== 'http:' && u.protocol !== 'https:') {
-    return { allowed: false, reason: `Protocol not allowed: ${u.protocol}` };
-  }
-  const hostname = u.hostname.toLowerCase();
-  const matched = DOWNLOAD_ALLOW_PATTERNS.some(pattern => pattern.test(hostname));
-  if (!matched) {
-    return { allowed: false, reason: `Host not allowed: ${hostname}` };
-  }
-  return { allowed: true };
-}
+// MP4 与 HLS 分片共用缓存索引与容量上限（见 lib/cache-index.js），重新生成中的不淘汰
+cacheIndex.addBusyCheck((entry) => entry.kind === 'mp4' && (mp4Jobs.has(entry.key) || visualizerJobs.has(entry.key)));
 
 // ─── 文件下载 ──────────────────────────────────────────────
 
-function downloadFile(url, filePath, redirectCount = 0) {
-  return new Promise((resolve, reject) => {
-    if (redirectCount >= JOB_LIMITS.downloadMaxRedirects) {
-      return reject(new Error('Too many redirects'));
-    }
-
-    const urlCheck = isDownloadUrlAllowed(url);
-    if (!urlCheck.allowed) {
-      return reject(new Error(`Download blocked: ${urlCheck.reason}`));
-    }
-
-    const isHttps = /^https:/i.test(url);
-    const protocol = isHttps ? https : http;
-    const options = {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Referer': 'https://music.163.com/'
-      },
-      agent: isHttps ? HTTPS_AGENT : HTTP_AGENT,
-      timeout: JOB_LIMITS.downloadTimeout
-    };
-
-    const file = fs.createWriteStream(filePath);
-    let downloadedSize = 0;
-    let aborted = false;
-
-    const req = protocol.get(url, options, (response) => {
-      if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
-        response.resume();
-        file.close();
-        fs.unlink(filePath, () => {});
-
-        const redirectLocation = response.headers.location;
-        if (!redirectLocation) {
-          return reject(new Error('Redirect without location'));
-        }
-
-        let redirectUrl = '';
-        try {
-          redirectUrl = new URL(redirectLocation, url).toString();
-        } catch (_) {
-          return reject(new Error('Redirect with invalid location'));
-        }
-
-        const redirectCheck = isDownloadUrlAllowed(redirectUrl);
-        if (!redirectCheck.allowed) {
-          return reject(new Error(`Redirect blocked: ${redirectCheck.reason}`));
-        }
-
-        return downloadFile(redirectUrl, filePath, redirectCount + 1).then(resolve).catch(reject);
-      }
-
-      if (response.statusCode !== 200) {
-        file.close();
-        fs.unlink(filePath, () => {});
-        return reject(new Error(`HTTP ${response.statusCode}`));
-      }
-
-      const contentLength = parseInt(response.headers['content-length']);
-      if (contentLength && contentLength > JOB_LIMITS.downloadMaxSize) {
-        req.destroy();
-        file.close();
-        fs.unlink(filePath, () => {});
-        return reject(new Error(`File too large: ${contentLength} bytes`));
-      }
-
-      response.on('data', (chunk) => {
-        downloadedSize += chunk.length;
-        if (downloadedSize > JOB_LIMITS.downloadMaxSize) {
-          aborted = true;
-          req.destroy();
-          file.close();
-          fs.unlink(filePath, () => {});
-          reject(new Error(`Download exceeded max size: ${downloadedSize} bytes`));
-        }
-      });
-
-      response.pipe(file);
-      file.on('finish', () => {
-        if (!aborted) {
-          file.close();
-          resolve(filePath);
-        }
-      });
-    });
-
-    req.on('timeout', () => {
-      req.destroy();
-      file.close();
-      fs.unlink(filePath, () => {});
-      reject(new Error('Download timeout'));
-    });
-
-    req.on('error', (err) => {
-      file.close();
-      fs.unlink(filePath, () => {});
-      reject(err);
-    });
-  });
-}
+// 源音频与封面的下载限制（见 lib/downloader.js），未单独配置的沿用 HLS 的允许列表
+const { downloadFile } = createDownloader({
+  allowHosts: process.env.MP4_DOWNLOAD_ALLOW_HOSTS || process.env.HLS_DOWNLOAD_ALLOW_HOSTS,
+  timeout: JOB_LIMITS.downloadTimeout,
+  maxSize: JOB_LIMITS.downloadMaxSize,
+  maxRedirects: JOB_LIMITS.downloadMaxRedirects
+});
 
 // ─── FFmpeg ────────────────────────────────────────────────
 
-function findFFmpeg() {
-  try {
-    execSync('ffmpeg -version', { stdio: 'ignore' });
-    return 'ffmpeg';
-  } catch (e) {}
-
-  if (os.platform() === 'win32') {
-    const wingetPath = path.join(
-      process.env.LOCALAPPDATA || '',
-      'Microsoft', 'WinGet', 'Packages'
-    );
-    if (fs.existsSync(wingetPath)) {
-      const searchFFmpeg = (dir) => {
-        try {
-          const items = fs.readdirSync(dir);
-          for (const item of items) {
-            const fullPath = path.join(dir, item);
-            const stat = fs.statSync(fullPath);
-            if (stat.isDirectory()) {
-              const result = searchFFmpeg(fullPath);
-              if (result) return result;
-            } else if (item === 'ffmpeg.exe') {
-              return fullPath;
-            }
-          }
-        } catch (e) {}
-        return null;
-      };
-      const found = searchFFmpeg(wingetPath);
-      if (found) return found;
-    }
-
-    const commonPaths = [
-      'C:\\ffmpeg\\bin\\ffmpeg.exe',
-      'C:\\Program Files\\ffmpeg\\bin\\ffmpeg.exe',
-      path.join(process.env.ChocolateyInstall || 'C:\\ProgramData\\chocolatey', 'bin', 'ffmpeg.exe')
-    ];
-    for (const p of commonPaths) {
-      if (fs.existsSync(p)) return p;
-    }
-  }
-
-  return 'ffmpeg';
-}
-
 const FFMPEG_PATH = findFFmpeg();
 
 // ─── MP4 生成（封面 + 音频 copy）──────────────────────────
 
-async function generateMp4(mp4CacheKey, audioUrl, coverUrl, songDuration) {
-  // 检查是否已在生成中
-  if (generatingLocks.has(mp4CacheKey)) {
-    return generatingLocks.get(mp4CacheKey);
+// 本地音乐库中 MP4 容器无法直接复制的音频格式转为 AAC
+const MP4_COPYABLE_LOCAL_EXTS = new Set(['.mp3', '.m4a', '.aac']);
+
+function getMp4AudioCodecArgs(localAudio) {
+  if (localAudio && !MP4_COPYABLE_LOCAL_EXTS.has(path.extname(localAudio).toLowerCase())) {
+    return ['-c:a', 'aac', '-b:a', '192k'];
   }
+  return ['-c:a', 'copy'];
+}
 
-  const promise = _doGenerateMp4(mp4CacheKey, audioUrl, coverUrl, songDuration);
-  generatingLocks.set(mp4CacheKey, promise);
+// output 为 { loudnessKey, nowPlaying, visualizer }：响度测量结果的保存键、画面叠加的正在播放信息（未开启时为空）
+// 与是否渲染音频可视化；task 为 { source, songId, quality, usage }：服务重启后重新获取音频地址所需的信息。
+// 同一 MP4 已在生成中时等待同一个任务
+async function generateMp4(mp4CacheKey, audioUrl, coverUrl, songDuration, output, task) {
+  const { source, songId, quality, usage } = task;
+  return getJobQueue(output.visualizer).run({
+    key: mp4CacheKey,
+    kind: MP4_JOB_KIND,
+    priority: 'on_demand',
+    payload: { source, songId, quality, usage, mp4CacheKey, coverUrl, songDuration, output }
+  }, (job) => _doGenerateMp4(job, mp4CacheKey, audioUrl, coverUrl, songDuration, output));
+}
 
-  try {
-    const result = await promise;
-    return result;
-  } finally {
-    generatingLocks.delete(mp4CacheKey);
+// 服务重启后恢复的任务：音频地址可能已过期，按保存的用户重新获取
+async function restoreMp4Job({ source, songId, quality, usage, mp4CacheKey, coverUrl, songDuration, output }, job) {
+  const adapter = getSource(source);
+  const user = adapter && adapter.userStore.getById.get(getUsageUserId(usage));
+  if (!user) {
+    throw Object.assign(new Error('无法恢复转码任务'), { retryable: false });
   }
+  if (fs.existsSync(getMp4FilePath(mp4CacheKey)) && isMp4CacheCurrent(mp4CacheKey)) return null;
+
+  const audioUrl = await adapter.getSongUrl(songId, decrypt(user.cookie), { quality });
+  if (!audioUrl) throw new Error('Song not available');
+  const info = await _doGenerateMp4(job, mp4CacheKey, audioUrl, coverUrl, songDuration, output);
+  recordTranscodeSeconds(usage, songDuration);
+  return info;
 }
 
-async function _doGenerateMp4(mp4CacheKey, audioUrl, coverUrl, songDuration) {
-  const acquired = await jobSemaphore.acquire();
-  if (!acquired) {
-    throw new Error('服务繁忙，请稍后重试');
-  }
+mp4Jobs.registerHandler(MP4_JOB_KIND, restoreMp4Job);
+visualizerJobs.registerHandler(MP4_JOB_KIND, restoreMp4Job);
 
+// job 为队列中的任务：job.signal 取消时终止 FFmpeg，转码进度写入 job.reportProgress
+async function _doGenerateMp4(job, mp4CacheKey, audioUrl, coverUrl, songDuration, { loudnessKey, nowPlaying, visualizer }) {
+  const queue = getJobQueue(visualizer);
   const timestamp = Date.now();
   const safeTempKey = toFsCacheKey(mp4CacheKey);
-  const tempAudio = path.join(TEMP_DIR, `${safeTempKey}_${timestamp}.audio`);
-  const tempCover = path.join(TEMP_DIR, `${safeTempKey}_${timestamp}.jpg`);
+  // 本地音乐库文件直接作为 FFmpeg 输入，不经过下载
+  const localAudio = resolveLocalAudioPath(audioUrl);
+  const { source, songId, quality } = job.payload;
+  let downloads = [];
   const tempMp4 = path.join(TEMP_DIR, `${safeTempKey}_${timestamp}.mp4`);
+  const tempFaststart = path.join(TEMP_DIR, `${safeTempKey}_${timestamp}_faststart.mp4`);
   const cacheDir = getMp4CacheDir(mp4CacheKey);
   const destMp4 = getMp4FilePath(mp4CacheKey);
   const destInfo = getMp4InfoPath(mp4CacheKey);
 
+  let textFiles = {};
+  let growing = null;
+
   const cleanup = () => {
-    fs.unlink(tempAudio, () => {});
-    fs.unlink(tempCover, () => {});
+    for (const download of downloads) {
+      if (download) download.release();
+    }
+    // 转码失败：正在读取的请求随之中断
+    if (growing && !growing.ended) {
+      progressiveOutputs.remove(mp4CacheKey, growing);
+      growing.end(new Error('MP4 生成失败'));
+    }
     fs.unlink(tempMp4, () => {});
-  };
-
-  const releaseAndCleanup = () => {
-    cleanup();
-    jobSemaphore.release();
+    fs.unlink(tempFaststart, () => {});
+    for (const f of Object.values(textFiles)) fs.unlink(f, () => {});
   };
 
   try {
@@ -450,12 +256,21 @@ async function _doGenerateMp4(mp4CacheKey, audioUrl, coverUrl, songDuration) {
       fs.mkdirSync(cacheDir, { recursive: true });
     }
 
-    console.log(`[MP4] 正在下载: ${mp4CacheKey} (并发: ${jobSemaphore.running}/${JOB_LIMITS.maxConcurrentJobs}, 等待: ${jobSemaphore.waiting})`);
+    console.log(`[MP4] 正在下载: ${mp4CacheKey} (并发: ${queue.running}/${queue.concurrency}, 等待: ${queue.waiting})`);
 
-    await Promise.all([
-      downloadFile(audioUrl, tempAudio),
-      downloadFile(coverUrl, tempCover)
+    // 与 HLS 共用下载缓存（见 lib/download-cache.js）
+    downloads = await downloadCache.acquireAll([
+      localAudio ? null : { key: getAudioDownloadKey(source, songId, quality), url: audioUrl, ext: '.audio', download: downloadFile },
+      { key: getCoverDownloadKey(coverUrl), url: coverUrl, ext: '.jpg', download: downloadFile }
     ]);
+    const tempAudio = localAudio || downloads[0].filePath;
+    const tempCover = downloads[1].filePath;
+
+    // 响度标准化需要重新编码音频，不能直接复制
+    const loudnorm = await resolveLoudnorm(loudnessKey, tempAudio, (args) => runFFmpeg(args, mp4CacheKey, { signal: job.signal }));
+    const audioArgs = loudnorm
+      ? ['-af', loudnorm.filter, '-c:a', 'aac', '-b:a', '192k', '-ar', '44100']
+      : getMp4AudioCodecArgs(localAudio);
 
     console.log(`[MP4] 正在封装: ${mp4CacheKey}`);
 
@@ -464,8 +279,41 @@ async function _doGenerateMp4(mp4CacheKey, audioUrl, coverUrl, songDuration) {
       `pad=${COVER_OUTPUT.width}:${COVER_OUTPUT.height}:(ow-iw)/2:(oh-ih)/2`,
       'setsar=1'
     ].join(',');
+    const fps = visualizer ? VISUALIZER.fps : 1;
+    let graph = null;
+    if (visualizer) {
+      graph = buildVisualizerFilterGraph({
+        width: COVER_OUTPUT.width,
+        height: COVER_OUTPUT.height,
+        fps,
+        style: VISUALIZER.style,
+        output: nowPlaying ? '[vis]' : '[v]'
+      });
+    }
+    if (nowPlaying) {
+      textFiles = writeNowPlayingTextFiles(path.join(TEMP_DIR, `${safeTempKey}_${timestamp}`), nowPlaying);
+      const textGraph = buildOverlayFilterGraph({
+        input: visualizer ? '[vis]' : '[0:v]',
+        baseFilter: visualizer ? null : vf,
+        width: COVER_OUTPUT.width,
+        height: COVER_OUTPUT.height,
+        fps,
+        nowPlaying: { textFiles, duration: nowPlaying.duration },
+        font: getNowPlayingFont()
+      });
+      graph = graph ? `${graph};${textGraph}` : textGraph;
+    }
+    const filterArgs = graph
+      ? ['-filter_complex', graph, '-map', '[v]', '-map', '1:a']
+      : ['-vf', vf];
 
-    // MP4 copy：只编码封面静态图片，音频直接复制不重编码
+    // 分片 MP4 在关键帧处切分，缩短关键帧间隔以便尽快输出第一个分片
+    const outputArgs = PROGRESSIVE
+      ? ['-g', String(fps * 2), '-movflags', 'frag_keyframe+empty_moov+default_base_moof', '-f', 'mp4', 'pipe:1']
+      : ['-movflags', '+faststart', '-y', tempMp4];
+
+    // MP4 copy：只编码封面静态图片，音频直接复制不重编码（本地 FLAC/WAV 等除外）；
+    // 可视化模式的封面只作背景，同样按 1 帧/秒输入，由滤镜补足帧率
     const ffmpegArgs = [
       '-loop', '1',
       '-framerate', '1',
@@ -473,22 +321,38 @@ async function _doGenerateMp4(mp4CacheKey, audioUrl, coverUrl, songDuration) {
       '-i', tempAudio,
       '-c:v', 'libx264',
       '-preset', 'ultrafast',
-      '-tune', 'stillimage',
+      ...(visualizer ? [] : ['-tune', 'stillimage']),
       '-crf', '28',
       '-pix_fmt', 'yuv420p',
-      '-vf', vf,
-      '-r', '1',
-      '-c:a', 'copy',
-      '-movflags', '+faststart',
+      ...filterArgs,
+      '-r', String(fps),
+      ...audioArgs,
       '-shortest',
-      '-y',
-      tempMp4
+      ...outputArgs
     ];
 
-    await runFFmpeg(ffmpegArgs, mp4CacheKey);
+    if (PROGRESSIVE) {
+      growing = createGrowingFile(tempMp4);
+      progressiveOutputs.set(mp4CacheKey, growing);
+    }
+
+    await runFFmpeg(ffmpegArgs, mp4CacheKey, {
+      signal: job.signal,
+      onProgress: (seconds) => job.reportProgress(seconds, songDuration),
+      stdout: growing && growing.writable
+    });
+
+    // 先移出再重封装：之后的请求等缓存文件，已在读取的请求继续读临时文件到结束
+    let finishedMp4 = tempMp4;
+    if (growing) {
+      progressiveOutputs.remove(mp4CacheKey, growing);
+      growing.end();
+      await runFFmpeg(['-i', tempMp4, '-map', '0', '-c', 'copy', '-movflags', '+faststart', '-y', tempFaststart], mp4CacheKey, { signal: job.signal });
+      finishedMp4 = tempFaststart;
+    }
 
     // 移动到缓存
-    fs.renameSync(tempMp4, destMp4);
+    fs.renameSync(finishedMp4, destMp4);
 
     const stat = fs.statSync(destMp4);
     const info = {
@@ -497,23 +361,31 @@ async function _doGenerateMp4(mp4CacheKey, audioUrl, coverUrl, songDuration) {
       size: stat.size,
       duration: songDuration || 0,
       createdAt: Date.now(),
-      video: { width: COVER_OUTPUT.width, height: COVER_OUTPUT.height }
+      video: { width: COVER_OUTPUT.width, height: COVER_OUTPUT.height },
+      loudnorm: loudnorm ? loudnorm.target : null,
+      loudness: loudnorm ? loudnorm.measured : null
     };
     fs.writeFileSync(destInfo, JSON.stringify(info, null, 2), 'utf8');
+    cacheIndex.record({ key: mp4CacheKey, kind: 'mp4', path: cacheDir, bytes: stat.size });
+    cacheIndex.scheduleEvict('after-generate');
 
     console.log(`[MP4] 封装完成: ${mp4CacheKey} 大小=${(stat.size / 1024 / 1024).toFixed(1)}MB`);
-
-    releaseAndCleanup();
     return info;
-
-  } catch (e) {
-    releaseAndCleanup();
-    throw e;
+  } finally {
+    cleanup();
   }
 }
 
-function runFFmpeg(ffmpegArgs, mp4CacheKey) {
+// 成功时返回 FFmpeg 的 stderr 输出（响度测量结果在其中）；
+// signal 中止时终止进程（任务被取消），onProgress 接收已处理的媒体时长（秒），
+// stdout 为输出写入的流（输出到 pipe:1 时），等其写完才返回
+function runFFmpeg(ffmpegArgs, mp4CacheKey, { signal, onProgress, stdout } = {}) {
   return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new Error('任务已取消'));
+      return;
+    }
+
     let stallTimer = null;
     let ffmpegKilled = false;
     let ffmpegError = '';
@@ -524,10 +396,20 @@ function runFFmpeg(ffmpegArgs, mp4CacheKey) {
     }
 
     const ffmpegProcess = spawn(FFMPEG_PATH, ffmpegArgs);
+    if (stdout) ffmpegProcess.stdout.pipe(stdout);
+    const onAbort = () => {
+      try { ffmpegProcess.kill('SIGKILL'); } catch (_) {}
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
 
     ffmpegProcess.stderr.on('data', (data) => {
-      ffmpegError += data.toString();
+      const text = data.toString();
+      ffmpegError += text;
       markActivity();
+      if (onProgress) {
+        const seconds = parseFFmpegProgress(text);
+        if (seconds != null) onProgress(seconds);
+      }
     });
 
     stallTimer = setInterval(() => {
@@ -540,12 +422,18 @@ function runFFmpeg(ffmpegArgs, mp4CacheKey) {
 
     ffmpegProcess.on('error', (err) => {
       clearInterval(stallTimer);
+      if (signal) signal.removeEventListener('abort', onAbort);
       reject(err);
     });
 
     ffmpegProcess.on('close', (code) => {
       clearInterval(stallTimer);
+      if (signal) signal.removeEventListener('abort', onAbort);
 
+      if (signal && signal.aborted) {
+        reject(new Error('任务已取消'));
+        return;
+      }
       if (ffmpegKilled) {
         reject(new Error('FFmpeg无输出超时'));
         return;
@@ -556,7 +444,11 @@ function runFFmpeg(ffmpegArgs, mp4CacheKey) {
         return;
       }
 
-      resolve();
+      if (stdout) {
+        finished(stdout, (err) => (err ? reject(err) : resolve(ffmpegError)));
+        return;
+      }
+      resolve(ffmpegError);
     });
   });
 }
@@ -569,14 +461,13 @@ function logPlay(userId, songId, playlistId, adapter) {
     let artist = '未知';
 
     if (playlistId) {
-      const cacheKey = getPlaylistCacheKey(playlistId, adapter.source);
+      const cacheKey = adapter.getPlaylistCacheKey(playlistId);
       const cached = playlistOps.get.get(cacheKey);
       if (cached) {
         try {
           const songs = JSON.parse(cached.songs);
-          const idField = adapter.source === 'qq' ? 'mid' : 'id';
           const song = Array.isArray(songs) ? songs.find(s =>
-            String(s[idField] || s.id) === String(songId)
+            adapter.getSongIdForTrack(s) === String(songId)
           ) : null;
           if (song) {
             songName = song.name || songName;
@@ -602,54 +493,53 @@ function logPlay(userId, songId, playlistId, adapter) {
 
 router.get('/:token/:playlistId/:songId.mp4', async (req, res) => {
   const { token, playlistId, songId } = req.params;
-  const source = getSourceFromReq(req);
-  const adapter = getSourceAdapter(source);
+  const adapter = req.musicSource;
+  const source = adapter.name;
 
   if (!isLikelyToken(token)) {
     return res.status(400).type('text/plain').send('Invalid token');
   }
-  if (!isValidNumericId(playlistId)) {
+  if (!adapter.isValidPlaylistId(playlistId)) {
     return res.status(400).type('text/plain').send('Invalid playlist id');
   }
-  if (!isValidSongIdForSource(songId, source)) {
+  if (!isValidSongIdForSource(songId, adapter)) {
     return res.status(400).type('text/plain').send('Invalid song id');
   }
+  if (!isSongInScope(playlistId, songId)) {
+    return res.status(403).type('text/plain').send('Song not in scope');
+  }
 
-  const user = resolveUserFromAccessToken(token, playlistId, source);
-  if (!user) {
+  const access = resolvePlaybackAccess(adapter, token, playlistId);
+  if (!access) {
     return res.status(401).type('text/plain').send('Token expired');
   }
-
-  const mp4CacheKey = getMp4CacheKey(songId, source);
+  const usage = enforcePlaybackQuota(req, res, { source: adapter, access, token, format: 'text' });
+  if (!usage) return;
+  const { user, quality } = access;
+
+  // 只认 token 中签名的声明，不接受查询参数覆盖；其余模式对 MP4 无意义，只认可视化
+  const nowPlaying = access.output.nowPlaying;
+  const visualizer = isVisualizerMode(access.mode);
+  const mp4CacheKey = getMp4CacheKey(songId, source, quality, nowPlaying && playlistId, visualizer && VISUALIZER.style);
   const cachedMp4 = getMp4FilePath(mp4CacheKey);
 
-  // 缓存命中：直接流式返回
-  if (fs.existsSync(cachedMp4)) {
-    const stat = fs.statSync(cachedMp4);
-    logPlay(user.id, songId, playlistId, adapter);
+  // HEAD 与分段续传（播放器拖动进度时的 Range 请求）不重复记录播放
+  const countPlay = req.method !== 'HEAD' && !isRangeContinuation(req);
+
+  // 缓存命中：直接流式返回；文件可能刚被淘汰，stat 失败时按未命中走生成流程
+  let cachedStat = null;
+  try {
+    cachedStat = fs.statSync(cachedMp4);
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error('读取 MP4 缓存失败:', e.message);
+  }
+  if (cachedStat && isMp4CacheCurrent(mp4CacheKey)) {
+    cacheIndex.touch(mp4CacheKey);
+    if (countPlay) logPlay(user.id, songId, playlistId, adapter);
 
     res.setHeader('Content-Type', 'video/mp4');
-    res.setHeader('Content-Length', stat.size);
     res.setHeader('Cache-Control', 'public, max-age=86400');
-    res.setHeader('Accept-Ranges', 'bytes');
-
-    const range = req.headers.range;
-    if (range) {
-      const parts = range.replace(/bytes=/, '').split('-');
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : stat.size - 1;
-      const chunkSize = end - start + 1;
-
-      res.status(206);
-      res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
-      res.setHeader('Content-Length', chunkSize);
-
-      const stream = fs.createReadStream(cachedMp4, { start, end });
-      stream.pipe(res);
-    } else {
-      const stream = fs.createReadStream(cachedMp4);
-      stream.pipe(res);
-    }
+    sendStaticFile(req, res, cachedMp4, cachedStat);
     return;
   }
 
@@ -658,41 +548,71 @@ router.get('/:token/:playlistId/:songId.mp4', async (req, res) => {
     const cookie = decrypt(user.cookie);
 
     // 获取歌曲音频 URL
-    const audioUrl = await adapter.getSongUrl(songId, cookie);
+    const audioUrl = await adapter.getSongUrl(songId, cookie, { quality });
     if (!audioUrl) {
       return res.status(404).type('text/plain').send('Song not available');
     }
 
+    const exceeded = findExceededTranscodeQuota(usage);
+    if (exceeded) {
+      return sendQuotaExceeded(res, exceeded, 'text');
+    }
+
     // 从歌单缓存获取封面
     let coverUrl = DEFAULT_COVER_URL;
-    const playlistCacheKey = getPlaylistCacheKey(playlistId, source);
+    let songDuration = 0;
+    let matchedSong = null;
+    const playlistCacheKey = adapter.getPlaylistCacheKey(playlistId);
     const cached = playlistOps.get.get(playlistCacheKey);
     if (cached) {
       try {
         const songs = JSON.parse(cached.songs || '[]');
-        const idField = source === 'qq' ? 'mid' : 'id';
         const song = Array.isArray(songs) ? songs.find(s =>
-          String(s[idField] || s.id) === String(songId)
+          adapter.getSongIdForTrack(s) === String(songId)
         ) : null;
         if (song) {
+          matchedSong = song;
           coverUrl = pickCoverUrlForSong(song, cached.cover);
+          songDuration = Number(song.duration) || 0;
         } else if (cached.cover) {
           coverUrl = optimizeNeteaseCoverUrl(String(cached.cover), 1080) || DEFAULT_COVER_URL;
         }
       } catch (_) {}
     }
 
-    const info = await generateMp4(mp4CacheKey, audioUrl, coverUrl, 0);
-    logPlay(user.id, songId, playlistId, adapter);
+    const alreadyGenerating = getJobQueue(visualizer).has(mp4CacheKey);
+    const generation = generateMp4(mp4CacheKey, audioUrl, coverUrl, songDuration, {
+      loudnessKey: getLoudnessKey(source, songId),
+      nowPlaying: nowPlaying ? getNowPlayingInfo({ song: matchedSong, songId, playlistName: cached && cached.name }) : null,
+      visualizer
+    }, { source, songId, quality, usage }).then((info) => {
+      if (!alreadyGenerating) recordTranscodeSeconds(usage, songDuration);
+      return info;
+    });
+
+    // 边转码边播放：长度未知，不支持 Range；HEAD 与续传等转码完成后按缓存文件返回
+    const reader = PROGRESSIVE && canStreamGrowingFile(req) ? await progressiveOutputs.openReader(mp4CacheKey, generation) : null;
+    if (reader) {
+      generation.catch((e) => console.error('[MP4] 生成失败:', e));
+      if (countPlay) logPlay(user.id, songId, playlistId, adapter);
+      res.setHeader('Content-Type', 'video/mp4');
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('Accept-Ranges', 'none');
+      pipeline(reader, res, (err) => {
+        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          console.error(`[MP4] 边转码边播放中断: ${mp4CacheKey}`, err.message);
+        }
+      });
+      return;
+    }
+
+    await generation;
+    if (countPlay) logPlay(user.id, songId, playlistId, adapter);
 
     const stat = fs.statSync(cachedMp4);
     res.setHeader('Content-Type', 'video/mp4');
-    res.setHeader('Content-Length', stat.size);
     res.setHeader('Cache-Control', 'public, max-age=86400');
-    res.setHeader('Accept-Ranges', 'bytes');
-
-    const stream = fs.createReadStream(cachedMp4);
-    stream.pipe(res);
+    sendStaticFile(req, res, cachedMp4, stat);
 
   } catch (e) {
     console.error('[MP4] 生成失败:', e);
@@ -700,4 +620,10 @@ router.get('/:token/:playlistId/:songId.mp4', async (req, res) => {
   }
 });
 
+// 服务启动后调用：恢复上次未完成的转码任务
+router.restoreJobs = () => {
+  mp4Jobs.restore();
+  visualizerJobs.restore();
+};
+
 module.exports = router;
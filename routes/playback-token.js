@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const { playbackTokenOps } = require('../lib/db');
+const { isValidTokenId } = require('../lib/playback-token');
+const { getScopeUsage } = require('../lib/usage-quota');
+
+const MAX_LABEL_LENGTH = 100;
+
+function formatPlaybackToken(row) {
+  return {
+    id: row.jti,
+    label: row.label || row.playlist_id,
+    playlistId: row.playlist_id,
+    status: row.status,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at || null,
+    usage: getScopeUsage('token', row.jti)
+  };
+}
+
+function sourceAuth(req, res, next) {
+  return req.musicSource.auth(req, res, next);
+}
+
+// ─── 已签发的播放链接（按音乐源挂载：/api/tokens、/api/qq/tokens ...） ───
+
+router.get('/', sourceAuth, (req, res) => {
+  const source = req.musicSource;
+  const user = source.getRequestUser(req);
+  const rawLimit = parseInt(req.query.limit, 10);
+  const rawOffset = parseInt(req.query.offset, 10);
+  const limit = Number.isFinite(rawLimit) && rawLimit > 0 ? Math.min(rawLimit, 100) : 20;
+  const offset = Number.isFinite(rawOffset) && rawOffset >= 0 ? rawOffset : 0;
+
+  try {
+    const rows = playbackTokenOps.getByOwner.all(source.name, user.id, limit, offset);
+    const totalResult = playbackTokenOps.countByOwner.get(source.name, user.id);
+
+    res.json({
+      success: true,
+      data: rows.map(formatPlaybackToken),
+      total: totalResult ? totalResult.count : 0
+    });
+  } catch (e) {
+    console.error('获取播放链接失败:', e);
+    res.status(500).json({ success: false, message: '获取播放链接失败' });
+  }
+});
+
+router.patch('/:id', sourceAuth, (req, res) => {
+  const source = req.musicSource;
+  const user = source.getRequestUser(req);
+  const id = String(req.params.id || '');
+  const label = String((req.body && req.body.label) || '').trim();
+
+  if (!isValidTokenId(id)) {
+    return res.status(400).json({ success: false, message: '无效的播放链接' });
+  }
+  if (!label || label.length > MAX_LABEL_LENGTH) {
+    return res.status(400).json({ success: false, message: `名称不能为空且不超过 ${MAX_LABEL_LENGTH} 个字符` });
+  }
+
+  try {
+    const result = playbackTokenOps.rename.run(label, id, source.name, user.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, message: '播放链接不存在' });
+    }
+    res.json({ success: true, message: '已重命名' });
+  } catch (e) {
+    console.error('重命名播放链接失败:', e);
+    res.status(500).json({ success: false, message: '重命名失败' });
+  }
+});
+
+// 撤销后 lite / HLS / MP4 / 单曲跳转以及指向该链接的短链全部失效
+router.delete('/:id', sourceAuth, (req, res) => {
+  const source = req.musicSource;
+  const user = source.getRequestUser(req);
+  const id = String(req.params.id || '');
+
+  if (!isValidTokenId(id)) {
+    return res.status(400).json({ success: false, message: '无效的播放链接' });
+  }
+
+  try {
+    const result = playbackTokenOps.revoke.run(id, source.name, user.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, message: '播放链接不存在或已撤销' });
+    }
+    res.json({ success: true, message: '播放链接已撤销' });
+  } catch (e) {
+    console.error('撤销播放链接失败:', e);
+    res.status(500).json({ success: false, message: '撤销失败' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const netease = require('../lib/netease');
 const { decrypt } = require('../lib/crypto');
-const { playlistOps, userOps } = require('../lib/db');
+const { playlistOps, playbackTokenOps } = require('../lib/db');
 const {
   buildLiteM3u8,
   normalizeDurationSeconds,
@@ -11,78 +10,104 @@ const {
 const {
   createPlaybackToken,
   verifyPlaybackToken,
-  isLegacyToken
+  generateTokenId,
+  QUALITY_CLAIMS,
+  MODE_CLAIMS
 } = require('../lib/playback-token');
-const { auth } = require('../lib/auth');
-
-function isValidNumericId(id) {
-  return typeof id === 'string' && /^\d+$/.test(id) && id.length <= 20;
-}
+const { resolvePlaybackAccess } = require('../lib/sources');
+const { isTruthyFlag, parsePlaylistOptionsQuery, applyPlaylistOptions } = require('../lib/playlist-options');
+const { toSingleSongPlaylistId } = require('../lib/single-song');
+const { bindDailyPlaylistId } = require('../lib/virtual-playlist');
+const { buildPlaybackPath } = require('../lib/short-link');
+const { enforcePlaybackQuota } = require('../lib/usage-quota');
+const { getLoudnessKey, getStoredLoudness, getReplayGain } = require('../lib/loudness');
+const { normalizeNowPlaying } = require('../lib/now-playing');
+const { isFmp4Format, normalizeSegmentFormat } = require('../lib/hls-container');
 
 function isLikelyToken(token) {
   return typeof token === 'string' && token.length > 0 && token.length <= 1024;
 }
 
-function resolveUserFromAccessToken(token, playlistId) {
-  const raw = String(token || '');
-  if (isLegacyToken(raw)) {
-    return userOps.getByToken.get(raw) || null;
-  }
-
-  const verified = verifyPlaybackToken(raw, { playlistId: String(playlistId || '') });
-  if (!verified.ok) return null;
-  return userOps.getById.get(verified.userId) || null;
-}
-
 function getBaseUrl(req) {
   if (process.env.BASE_URL) {
     return process.env.BASE_URL.replace(/\/$/, '');
   }
-  
-  return `${req.protocol}://${req.get('host')}`;
-}
-
-function parsePlaylistId(input) {
-  if (!input) return null;
-  const str = String(input).trim();
-  if (!str) return null;
-  if (/^\d+$/.test(str)) return str;
-
-  const m1 = str.match(/(?:\?|&)id=(\d{1,20})/);
-  if (m1) return m1[1];
 
-  const m2 = str.match(/\/playlist\/(\d{1,20})/);
-  if (m2) return m2[1];
-
-  return null;
+  return `${req.protocol}://${req.get('host')}`;
 }
 
 function toSqliteDatetime(date) {
   return date.toISOString().slice(0, 19).replace('T', ' ');
 }
 
-function buildNeteaseLiteM3u8(baseUrl, token, playlistId, tracks) {
-  const list = Array.isArray(tracks) ? tracks : [];
+// 需要登录的路由：按当前音乐源的 auth 中间件校验
+function sourceAuth(req, res, next) {
+  return req.musicSource.auth(req, res, next);
+}
+
+function buildSourceLiteM3u8(source, baseUrl, token, playlistId, tracks, options) {
+  const list = applyPlaylistOptions(tracks, options);
   const segments = [];
   for (const track of list) {
-    const id = track && track.id != null ? String(track.id) : '';
-    if (!/^\d+$/.test(id)) continue;
+    const id = source.getSongIdForTrack(track);
+    if (!source.isValidSongId(id)) continue;
 
     const duration = normalizeDurationSeconds(track.duration);
     const title = sanitizeM3uTitle(`${track.artist ? track.artist + ' - ' : ''}${track.name || id}`);
     const url =
-      `${baseUrl}/api/song/${encodeURIComponent(token)}/${encodeURIComponent(id)}.mp3?playlist=${encodeURIComponent(playlistId)}`;
-    segments.push({ duration, title, url });
+      `${baseUrl}${source.apiBase}/song/${encodeURIComponent(token)}/${encodeURIComponent(id)}.mp3?playlist=${encodeURIComponent(playlistId)}`;
+    const replayGain = getReplayGain(getStoredLoudness(getLoudnessKey(source.name, id)));
+    segments.push({ duration, title, url, replayGain });
   }
   return buildLiteM3u8({ segments });
 }
 
-async function ensurePlaylistCached(playlistId, cookie) {
+function savePlaylistCache(source, playlistId, playlist) {
+  const ttlSec = parseInt(process.env.CACHE_TTL) || 86400;
+  const expiresAt = toSqliteDatetime(new Date(Date.now() + ttlSec * 1000));
+
+  playlistOps.set.run({
+    playlist_id: source.getPlaylistCacheKey(playlistId),
+    name: playlist.name || '',
+    cover: playlist.cover || '',
+    song_count: playlist.songCount || 0,
+    songs: JSON.stringify(playlist.tracks || []),
+    expires_at: expiresAt
+  });
+}
+
+const MAX_TOKEN_LABEL_LENGTH = 100;
+
+// 记录签发的播放 token，供个人中心列出、重命名与撤销；默认名称取缓存中的歌单名
+function recordPlaybackToken(source, { jti, userId, playlistId, token, label }) {
+  try {
+    playbackTokenOps.clearStale.run();
+  } catch (_) {}
+
+  let name = String(label || '').trim();
+  if (!name) {
+    const cached = playlistOps.get.get(source.getPlaylistCacheKey(playlistId));
+    name = (cached && cached.name) || playlistId;
+  }
+
+  const verified = verifyPlaybackToken(token);
+  playbackTokenOps.create.run({
+    jti,
+    source: source.name,
+    user_id: userId,
+    playlist_id: playlistId,
+    label: name.slice(0, MAX_TOKEN_LABEL_LENGTH),
+    expires_at: toSqliteDatetime(new Date(verified.expiresAt * 1000))
+  });
+}
+
+async function ensurePlaylistCached(source, playlistId, cookie) {
   try {
     playlistOps.clearExpired.run();
   } catch (_) {}
 
-  const cached = playlistOps.get.get(playlistId);
+  const cacheKey = source.getPlaylistCacheKey(playlistId);
+  const cached = playlistOps.get.get(cacheKey);
   if (cached) {
     try {
       const songs = JSON.parse(cached.songs || '[]');
@@ -92,49 +117,45 @@ async function ensurePlaylistCached(playlistId, cookie) {
     } catch (_) {}
   }
 
-  const playlist = await netease.getPlaylistDetail(playlistId, cookie);
-  const ttlSec = parseInt(process.env.CACHE_TTL) || 86400;
-  const expiresAt = toSqliteDatetime(new Date(Date.now() + ttlSec * 1000));
+  const playlist = await source.getPlaylistDetail(playlistId, cookie);
+  savePlaylistCache(source, playlistId, playlist);
 
-  playlistOps.set.run({
-    playlist_id: String(playlistId),
-    name: playlist.name || '',
-    cover: playlist.cover || '',
-    song_count: playlist.songCount || 0,
-    songs: JSON.stringify(playlist.tracks || []),
-    expires_at: expiresAt
-  });
-
-  return { playlist: { playlist_id: String(playlistId), name: playlist.name, cover: playlist.cover }, tracks: playlist.tracks || [] };
+  return {
+    playlist: { playlist_id: cacheKey, name: playlist.name, cover: playlist.cover },
+    tracks: playlist.tracks || []
+  };
 }
 
 router.get('/m3u8/:token/:playlistId/stream.m3u8', async (req, res) => {
+  const source = req.musicSource;
   const token = String(req.params.token || '');
   const playlistId = String(req.params.playlistId || '');
 
   if (!isLikelyToken(token)) {
     return res.status(400).type('text/plain').send('Invalid token');
   }
-  if (!isValidNumericId(playlistId)) {
+  if (!source.isValidPlaylistId(playlistId)) {
     return res.status(400).type('text/plain').send('Invalid playlist id');
   }
 
   const ua = req.headers['user-agent'] || '';
   const ip = req.ip || req.connection?.remoteAddress || '';
-  console.log(`[M3U8 请求] 网易歌单=${playlistId} IP=${ip} UA=${ua}`);
+  console.log(`[M3U8 请求] ${source.label} 歌单=${playlistId} IP=${ip} UA=${ua}`);
 
-  const user = resolveUserFromAccessToken(token, playlistId);
-  if (!user) {
+  const access = resolvePlaybackAccess(source, token, playlistId);
+  if (!access) {
     console.log(`[M3U8 请求] token 验证失败: ${token.slice(0, 20)}...`);
     return res.status(401).type('text/plain').send('Token expired');
   }
+  if (!enforcePlaybackQuota(req, res, { source, access, token, format: 'm3u8' })) return;
+  const { user, options } = access;
 
   try {
     const cookie = decrypt(user.cookie);
-    const { tracks } = await ensurePlaylistCached(playlistId, cookie);
+    const { tracks } = await ensurePlaylistCached(source, playlistId, cookie);
 
     const baseUrl = getBaseUrl(req);
-    const m3u8 = buildNeteaseLiteM3u8(baseUrl, token, playlistId, tracks);
+    const m3u8 = buildSourceLiteM3u8(source, baseUrl, token, playlistId, tracks, options);
 
     console.log(`[M3U8 响应] 歌单=${playlistId} 曲目数=${tracks.length} 大小=${m3u8.length}字节`);
 
@@ -143,41 +164,44 @@ router.get('/m3u8/:token/:playlistId/stream.m3u8', async (req, res) => {
     res.setHeader('Cache-Control', 'no-store');
     res.send(m3u8);
   } catch (e) {
-    console.error('生成 lite m3u8 失败:', e);
+    console.error(`生成${source.label} lite m3u8 失败:`, e);
     res.status(500).type('text/plain').send('Failed to build m3u8');
   }
 });
 
-router.get('/user', auth, async (req, res) => {
+router.get('/user', sourceAuth, async (req, res) => {
+  const source = req.musicSource;
   const rawLimit = parseInt(req.query.limit, 10);
   const rawOffset = parseInt(req.query.offset, 10);
   const limit = Number.isFinite(rawLimit) && rawLimit > 0 ? Math.min(rawLimit, 100) : 30;
   const offset = Number.isFinite(rawOffset) && rawOffset >= 0 ? rawOffset : 0;
-  
+
   try {
-    const cookie = decrypt(req.user.cookie);
-    const result = await netease.getUserPlaylists(req.user.netease_id, cookie, 0, 1000);
+    const user = source.getRequestUser(req);
+    const cookie = decrypt(user.cookie);
+    const result = await source.getUserPlaylists(user, cookie);
     const all = Array.isArray(result.playlists) ? result.playlists : [];
     const total = Number.isFinite(result.count) ? result.count : all.length;
     const pageData = all.slice(offset, offset + limit);
-    
+
     res.json({
       success: true,
       data: pageData,
       total
     });
   } catch (e) {
-    console.error('获取用户歌单失败:', e);
+    console.error(`获取${source.label}用户歌单失败:`, e);
     res.status(500).json({ success: false, message: e.message || '获取歌单失败' });
   }
 });
 
-router.get('/parse', auth, async (req, res) => {
+router.get('/parse', sourceAuth, async (req, res) => {
+  const source = req.musicSource;
   const input = req.query.url;
-  const playlistId = parsePlaylistId(input);
+  const playlistId = bindDailyPlaylistId(source.parsePlaylistId(input), source.getRequestUser(req).id);
 
-  if (!playlistId || !isValidNumericId(playlistId)) {
-    return res.status(400).json({ success: false, message: '无效的歌单链接或ID' });
+  if (!playlistId || !source.isValidPlaylistId(playlistId)) {
+    return res.status(400).json({ success: false, message: `无效的${source.label}歌单链接或ID` });
   }
 
   try {
@@ -185,12 +209,12 @@ router.get('/parse', auth, async (req, res) => {
       playlistOps.clearExpired.run();
     } catch (_) {}
 
-    const cached = playlistOps.get.get(playlistId);
+    const cached = playlistOps.get.get(source.getPlaylistCacheKey(playlistId));
     if (cached) {
       return res.json({
         success: true,
         data: {
-          id: cached.playlist_id,
+          id: playlistId,
           name: cached.name,
           cover: cached.cover,
           songCount: cached.song_count
@@ -198,71 +222,165 @@ router.get('/parse', auth, async (req, res) => {
       });
     }
 
-    const cookie = decrypt(req.user.cookie);
-    const playlist = await netease.getPlaylistDetail(playlistId, cookie);
-
-    const ttlSec = parseInt(process.env.CACHE_TTL) || 86400;
-    const expiresAt = toSqliteDatetime(new Date(Date.now() + ttlSec * 1000));
-
-    playlistOps.set.run({
-      playlist_id: String(playlistId),
-      name: playlist.name || '',
-      cover: playlist.cover || '',
-      song_count: playlist.songCount || 0,
-      songs: JSON.stringify(playlist.tracks || []),
-      expires_at: expiresAt
-    });
+    const cookie = decrypt(source.getRequestUser(req).cookie);
+    const playlist = await source.getPlaylistDetail(playlistId, cookie);
+    savePlaylistCache(source, playlistId, playlist);
 
     res.json({
       success: true,
       data: {
-        id: String(playlistId),
+        id: playlistId,
         name: playlist.name,
         cover: playlist.cover,
         songCount: playlist.songCount
       }
     });
   } catch (e) {
-    console.error('解析歌单失败:', e);
+    console.error(`解析${source.label}歌单失败:`, e);
     res.status(500).json({ success: false, message: e.message || '解析歌单失败' });
   }
 });
 
-router.get('/url', auth, (req, res) => {
-  const playlistId = String(req.query.id || '');
-
-  if (!isValidNumericId(playlistId)) {
+// 各输出模式的 HLS 链接说明，未列出的模式（lite_video）同默认
+const HLS_LINK_INFO = {
+  default: {
+    label: 'HLS 转码',
+    note: 'VRChat 兼容性最佳，带封面视频。首次播放需等待转码，后续自动缓存。'
+  },
+  audio: {
+    label: 'HLS 转码（纯音频）',
+    note: '仅 AAC 音频分片，不含视频轨，转码更快。首次播放需等待转码，后续自动缓存。'
+  },
+  visualizer: {
+    label: 'HLS 转码（音频可视化）',
+    note: '模糊封面上显示随音乐变化的波形 / 频谱，适合大屏幕。转码开销较大，首次播放需等待更久，后续自动缓存。'
+  }
+};
+
+// ?id=<歌单ID> 生成整张歌单的链接（id=daily 为当前用户的每日推荐）；?song=<歌曲ID> 生成只能播放这一首歌的链接
+// 播放选项：shuffle=1 / seed、offset、limit、reverse=1、loop、skip_unavailable=1（见 lib/playlist-options.js），
+// 以及 mode=lite_video|audio|visualizer、quality=low|medium|high|lossless，
+// 输出选项 fmt=fmp4、xf=<1~12 秒>、np=1、lrc=1、r=<档位>（见 lib/hls-container.js 等），全部写入签名 token，
+// 播放请求的查询参数不能覆盖；label 为个人中心中显示的链接名称
+router.get('/url', sourceAuth, (req, res) => {
+  const source = req.musicSource;
+  const songId = String(req.query.song || '').trim();
+  let playlistId = bindDailyPlaylistId(req.query.id, source.getRequestUser(req).id);
+
+  if (songId) {
+    if (!source.isValidSongId(songId)) {
+      return res.status(400).json({ success: false, message: '无效的歌曲ID' });
+    }
+    playlistId = toSingleSongPlaylistId(songId);
+  } else if (!playlistId || !source.isValidPlaylistId(playlistId)) {
     return res.status(400).json({ success: false, message: '无效的歌单ID' });
   }
 
-  const playbackToken = createPlaybackToken({
-    userId: req.user.id,
-    playlistId
-  });
+  let options;
+  try {
+    options = parsePlaylistOptionsQuery(req.query);
+  } catch (e) {
+    return res.status(400).json({ success: false, message: e.message });
+  }
+
+  const mode = String(req.query.mode || '').trim().toLowerCase();
+  if (mode && !MODE_CLAIMS.includes(mode)) {
+    return res.status(400).json({ success: false, message: '无效的输出模式' });
+  }
+  const quality = String(req.query.quality || '').trim().toLowerCase();
+  if (quality && !QUALITY_CLAIMS.includes(quality)) {
+    return res.status(400).json({ success: false, message: '无效的音质' });
+  }
+
+  const userId = source.getRequestUser(req).id;
+  const jti = generateTokenId();
+  let playbackToken;
+  try {
+    playbackToken = createPlaybackToken({
+      userId,
+      playlistId,
+      source: source.name,
+      mode,
+      quality,
+      jti,
+      options,
+      format: req.query.fmt,
+      crossfade: req.query.xf,
+      nowPlaying: normalizeNowPlaying(req.query.np),
+      lyrics: isTruthyFlag(req.query.lrc),
+      rendition: req.query.r
+    });
+  } catch (e) {
+    return res.status(400).json({ success: false, message: `无效的输出选项: ${e.message}` });
+  }
+
+  try {
+    recordPlaybackToken(source, { jti, userId, playlistId, token: playbackToken, label: req.query.label });
+  } catch (e) {
+    console.error('记录播放链接失败:', e);
+    return res.status(500).json({ success: false, message: '生成播放链接失败' });
+  }
 
   const baseUrl = getBaseUrl(req);
-  const hlsUrl = `${baseUrl}/api/hls/${encodeURIComponent(playbackToken)}/${playlistId}/master.m3u8`;
-  const liteUrl = `${baseUrl}/api/playlist/m3u8/${encodeURIComponent(playbackToken)}/${playlistId}/stream.m3u8`;
+  const linkFor = (type) => `${baseUrl}${buildPlaybackPath({
+    apiBase: source.apiBase,
+    type,
+    token: playbackToken,
+    playlistId,
+    songId
+  })}`;
+  const hlsUrl = linkFor('hls');
+  const liteUrl = linkFor('lite');
+
+  const hlsLink = HLS_LINK_INFO[mode] || HLS_LINK_INFO.default;
+  const urls = [
+    {
+      type: 'lite',
+      label: '轻量 M3U8（仅音频）',
+      url: liteUrl,
+      note: '无需转码，即时播放。VRChat 可能不支持，建议在支持 HLS 直播流的播放器中使用。'
+    },
+    { type: 'hls', label: hlsLink.label, url: hlsUrl, note: hlsLink.note }
+  ];
+
+  if (songId) {
+    urls.push({
+      type: 'mp4',
+      label: 'MP4 视频',
+      url: linkFor('mp4'),
+      note: '单个 MP4 文件，兼容大多数播放器。首次请求需等待封装完成。'
+    });
+  }
+
+  // DASH 只能使用 fMP4 分片，链接声明了 fmt=fmp4 时才提供
+  if (isFmp4Format(normalizeSegmentFormat(req.query.fmt))) {
+    urls.push({
+      type: 'dash',
+      label: 'DASH（网页播放器）',
+      url: linkFor('dash'),
+      note: '与 HLS 共用 fMP4 转码缓存，每首歌一个 Period，适合 dash.js 等网页播放器。'
+    });
+  }
+
+  urls.push({
+    type: 'live',
+    label: '直播电台（同步播放）',
+    url: linkFor('live'),
+    note: '服务器按歌单顺序循环播放，所有人打开同一链接会听到同一位置，无需同步脚本。'
+  });
 
   res.json({
     success: true,
     data: {
       url: liteUrl,
-      urls: [
-        {
-          type: 'lite',
-          label: '轻量 M3U8（仅音频）',
-          url: liteUrl,
-          note: '无需转码，即时播放。VRChat 可能不支持，建议在支持 HLS 直播流的播放器中使用。'
-        },
-        {
-          type: 'hls',
-          label: 'HLS 转码',
-          url: hlsUrl,
-          note: 'VRChat 兼容性最佳，带封面视频。首次播放需等待转码，后续自动缓存。'
-        }
-      ],
-      default: 'lite'
+      urls,
+      default: 'lite',
+      // 供生成短链（/links）使用
+      token: playbackToken,
+      tokenId: jti,
+      playlistId,
+      ...(songId ? { song: songId } : {}),
+      ...(options.seed ? { seed: options.seed } : {})
     }
   });
 
@@ -277,7 +395,7 @@ router.get('/url', auth, (req, res) => {
 
     setImmediate(() => {
       try {
-        fetch(`${preloadBase}/api/hls/${encodeURIComponent(token)}/${encodeURIComponent(playlistId)}/preload`, {
+        fetch(`${preloadBase}${source.apiBase}/hls/${encodeURIComponent(token)}/${encodeURIComponent(playlistId)}/preload`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ count: 1 })
@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router();
+const { shortLinkOps, playbackTokenOps } = require('../lib/db');
+const { resolvePlaybackAccess, isPlaybackTokenRevoked, getSource } = require('../lib/sources');
+const { createPlaybackToken, verifyPlaybackToken, getPlaybackTokenTtlSeconds, isLegacyToken } = require('../lib/playback-token');
+const { isSongInScope } = require('../lib/single-song');
+const { isFmp4Format } = require('../lib/hls-container');
+const {
+  generateShortCode,
+  isValidShortCode,
+  isValidShortLinkType,
+  parseExpiresInHours,
+  buildPlaybackPath
+} = require('../lib/short-link');
+
+const MAX_LABEL_LENGTH = 100;
+const MAX_CODE_ATTEMPTS = 5;
+
+function getBaseUrl(req) {
+  if (process.env.BASE_URL) {
+    return process.env.BASE_URL.replace(/\/$/, '');
+  }
+
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+function toSqliteDatetime(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// SQLite 的 datetime 文本（UTC）→ 毫秒时间戳，无法解析时为 NaN
+function fromSqliteDatetime(value) {
+  return Date.parse(`${String(value || '').replace(' ', 'T')}Z`);
+}
+
+function formatShortLink(req, row) {
+  return {
+    code: row.code,
+    url: `${getBaseUrl(req)}/s/${row.code}`,
+    type: row.type,
+    label: row.label || '',
+    playlistId: row.playlist_id,
+    song: row.song_id || null,
+    hits: row.hits || 0,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at || null,
+    lastHitAt: row.last_hit_at || null
+  };
+}
+
+function sourceAuth(req, res, next) {
+  return req.musicSource.auth(req, res, next);
+}
+
+// ─── 短链管理（按音乐源挂载：/api/links、/api/qq/links ...） ───
+
+router.get('/', sourceAuth, (req, res) => {
+  const source = req.musicSource;
+  const user = source.getRequestUser(req);
+  const rawLimit = parseInt(req.query.limit, 10);
+  const rawOffset = parseInt(req.query.offset, 10);
+  const limit = Number.isFinite(rawLimit) && rawLimit > 0 ? Math.min(rawLimit, 100) : 20;
+  const offset = Number.isFinite(rawOffset) && rawOffset >= 0 ? rawOffset : 0;
+
+  try {
+    const rows = shortLinkOps.getByOwner.all(source.name, user.id, limit, offset);
+    const totalResult = shortLinkOps.countByOwner.get(source.name, user.id);
+
+    res.json({
+      success: true,
+      data: rows.map((row) => formatShortLink(req, row)),
+      total: totalResult ? totalResult.count : 0
+    });
+  } catch (e) {
+    console.error('获取短链失败:', e);
+    res.status(500).json({ success: false, message: '获取短链失败' });
+  }
+});
+
+router.post('/', sourceAuth, (req, res) => {
+  const source = req.musicSource;
+  const user = source.getRequestUser(req);
+  const { token, playlistId, type, song, label, expiresInHours } = req.body || {};
+  const pid = String(playlistId || '').trim();
+  const songId = String(song || '').trim();
+
+  if (!isValidShortLinkType(type)) {
+    return res.status(400).json({ success: false, message: '无效的链接类型' });
+  }
+  if (!pid || !source.isValidPlaylistId(pid)) {
+    return res.status(400).json({ success: false, message: '无效的歌单ID' });
+  }
+  if (type === 'mp4' && (!songId || !source.isValidSongId(songId) || !isSongInScope(pid, songId))) {
+    return res.status(400).json({ success: false, message: 'MP4 短链需要有效的歌曲ID' });
+  }
+
+  const hours = parseExpiresInHours(expiresInHours);
+  if (Number.isNaN(hours)) {
+    return res.status(400).json({ success: false, message: '无效的有效期' });
+  }
+
+  // 只能为自己签发的 v2 播放 token 创建短链；旧版 32 位 token 即登录凭证，不能保存进短链
+  const rawToken = String(token || '');
+  if (isLegacyToken(rawToken)) {
+    return res.status(400).json({ success: false, message: '请使用新生成的播放链接创建短链' });
+  }
+  const access = resolvePlaybackAccess(source, rawToken, pid);
+  if (!access || access.user.id !== user.id) {
+    return res.status(403).json({ success: false, message: '播放链接无效或已过期，请重新生成' });
+  }
+  if (verifyPlaybackToken(rawToken).version !== 2) {
+    return res.status(400).json({ success: false, message: '请使用新生成的播放链接创建短链' });
+  }
+  if (type === 'dash' && !isFmp4Format(access.output.format)) {
+    return res.status(400).json({ success: false, message: 'DASH 短链需要以 fMP4 封装生成的播放链接' });
+  }
+
+  const expiresAt = hours ? toSqliteDatetime(new Date(Date.now() + hours * 3600 * 1000)) : null;
+
+  for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+    const code = generateShortCode();
+    try {
+      shortLinkOps.create.run({
+        code,
+        source: source.name,
+        user_id: user.id,
+        playlist_id: pid,
+        song_id: type === 'mp4' ? songId : null,
+        type,
+        token: rawToken,
+        label: String(label || '').trim().slice(0, MAX_LABEL_LENGTH),
+        expires_at: expiresAt
+      });
+      const row = shortLinkOps.getActive.get(code);
+      return res.json({ success: true, data: formatShortLink(req, row) });
+    } catch (e) {
+      if (e && e.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') continue;
+      console.error('创建短链失败:', e);
+      return res.status(500).json({ success: false, message: '创建短链失败' });
+    }
+  }
+
+  res.status(500).json({ success: false, message: '创建短链失败，请重试' });
+});
+
+router.delete('/:code', sourceAuth, (req, res) => {
+  const source = req.musicSource;
+  const user = source.getRequestUser(req);
+  const code = String(req.params.code || '');
+
+  if (!isValidShortCode(code)) {
+    return res.status(400).json({ success: false, message: '无效的短链' });
+  }
+
+  try {
+    const result = shortLinkOps.remove.run(code, source.name, user.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, message: '短链不存在' });
+    }
+    res.json({ success: true, message: '短链已撤销' });
+  } catch (e) {
+    console.error('撤销短链失败:', e);
+    res.status(500).json({ success: false, message: '撤销短链失败' });
+  }
+});
+
+// ─── 短链跳转（/s/:code，无需登录） ───
+
+// 保存的 token 过期后按原有声明（含 jti）重新签发，新 token 不晚于短链自身的过期时间；
+// 永久短链不续签，只在保存的 token 有效期内可用。原播放链接在个人中心被撤销后短链随之失效
+function resolveShortLinkToken(source, row) {
+  const verified = verifyPlaybackToken(row.token, { playlistId: row.playlist_id, allowExpired: true });
+  if (!verified.ok) return null;
+  if (verified.source && verified.source !== source.name) return null;
+  if (verified.userId !== row.user_id) return null;
+  if (isPlaybackTokenRevoked(verified.jti)) return null;
+  if (!source.userStore.getById.get(verified.userId)) return null;
+  if (!verified.expired) return row.token;
+  if (!row.expires_at) return null;
+
+  const ttlSeconds = Math.min(
+    getPlaybackTokenTtlSeconds(),
+    Math.floor((fromSqliteDatetime(row.expires_at) - Date.now()) / 1000)
+  );
+  if (!(ttlSeconds > 0)) return null;
+
+  const renewed = createPlaybackToken({
+    userId: verified.userId,
+    playlistId: verified.playlistId,
+    source: source.name,
+    mode: verified.mode,
+    quality: verified.quality,
+    jti: verified.jti,
+    options: verified.options,
+    format: verified.format,
+    crossfade: verified.crossfade,
+    nowPlaying: verified.nowPlaying,
+    lyrics: verified.lyrics,
+    rendition: verified.rendition,
+    ttlSeconds
+  });
+  shortLinkOps.updateToken.run(renewed, row.code);
+  if (verified.jti) {
+    const expiresAt = toSqliteDatetime(new Date(verifyPlaybackToken(renewed).expiresAt * 1000));
+    playbackTokenOps.extend.run(expiresAt, verified.jti, expiresAt);
+  }
+  return renewed;
+}
+
+function redirectShortLink(req, res) {
+  const code = String(req.params.code || '');
+  if (!isValidShortCode(code)) {
+    return res.status(404).type('text/plain').send('Short link not found');
+  }
+
+  const row = shortLinkOps.getActive.get(code);
+  const source = row ? getSource(row.source) : null;
+  if (!row || !source) {
+    return res.status(404).type('text/plain').send('Short link not found');
+  }
+
+  const token = resolveShortLinkToken(source, row);
+  if (!token) {
+    return res.status(410).type('text/plain').send('Short link is no longer valid');
+  }
+
+  try {
+    shortLinkOps.hit.run(code);
+  } catch (e) {
+    console.error('[短链] 记录访问失败:', e.message);
+  }
+
+  const target = buildPlaybackPath({
+    apiBase: source.apiBase,
+    type: row.type,
+    token,
+    playlistId: row.playlist_id,
+    songId: row.song_id
+  });
+  res.setHeader('Cache-Control', 'no-store');
+  res.redirect(302, `${getBaseUrl(req)}${target}`);
+}
+
+module.exports = router;
+module.exports.redirectShortLink = redirectShortLink;
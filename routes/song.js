@@ -1,33 +1,35 @@
 const express = require('express');
 const router = express.Router();
-const netease = require('../lib/netease');
 const { decrypt } = require('../lib/crypto');
-const { userOps, playLogOps, playlistOps } = require('../lib/db');
-const { verifyPlaybackToken, isLegacyToken } = require('../lib/playback-token');
-
-function isValidNumericId(id) {
-  return typeof id === 'string' && /^\d+$/.test(id) && id.length <= 20;
-}
+const { playLogOps, playlistOps } = require('../lib/db');
+const { isLegacyToken } = require('../lib/playback-token');
+const { resolvePlaybackAccess } = require('../lib/sources');
+const { resolveLocalAudioPath } = require('../lib/local-library');
+const { isSongInScope } = require('../lib/single-song');
+const { enforcePlaybackQuota } = require('../lib/usage-quota');
 
 function isLikelyToken(token) {
   return typeof token === 'string' && token.length > 0 && token.length <= 1024;
 }
 
-// 网易云 CDN 返回的 URL 可能是 http://，在 HTTPS 站点下会被 mixed content 阻止
+// CDN 返回的 URL 可能是 http://，在 HTTPS 站点下会被 mixed content 阻止
 function ensureHttpsUrl(url) {
   if (!url) return url;
   return url.replace(/^http:\/\//, 'https://');
 }
 
-function resolveUserFromAccessToken(token, playlistId) {
-  const raw = String(token || '');
-  if (isLegacyToken(raw)) {
-    return userOps.getByToken.get(raw) || null;
+// 本地音乐库文件直接返回（sendFile 支持 Range），http(s) 地址跳转到 CDN；
+// 无法解析到曲库内的 file:// 等地址返回 404，不能把服务器上的路径跳转给客户端
+function sendSongUrl(res, url) {
+  const localPath = resolveLocalAudioPath(url);
+  if (localPath) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    return res.sendFile(localPath);
   }
-
-  const verified = verifyPlaybackToken(raw, { playlistId: String(playlistId || '') });
-  if (!verified.ok) return null;
-  return userOps.getById.get(verified.userId) || null;
+  if (!/^https?:\/\//i.test(String(url))) {
+    return res.status(404).json({ error: '歌曲文件不存在' });
+  }
+  return res.redirect(302, ensureHttpsUrl(url));
 }
 
 const urlCache = new Map();
@@ -53,6 +55,7 @@ router.get('/:token/:songId.mp3', handleSongRequest);
 router.get('/:token/:songId', handleSongRequest);
 
 async function handleSongRequest(req, res) {
+  const adapter = req.musicSource;
   const token = req.params.token;
   const songId = req.params.songId;
   const { playlist } = req.query;
@@ -60,34 +63,40 @@ async function handleSongRequest(req, res) {
   if (!isLikelyToken(token)) {
     return res.status(400).json({ error: '无效的token格式' });
   }
-  if (!isValidNumericId(songId)) {
+  if (!adapter.isValidSongId(songId)) {
     return res.status(400).json({ error: '无效的歌曲ID' });
   }
-  if (playlist && !isValidNumericId(playlist)) {
+  if (playlist && !adapter.isValidPlaylistId(playlist)) {
     return res.status(400).json({ error: '无效的歌单ID' });
   }
   if (!playlist && !isLegacyToken(token)) {
     return res.status(400).json({ error: '签名链接缺少歌单ID' });
   }
+  if (playlist && !isSongInScope(playlist, songId)) {
+    return res.status(403).json({ error: '该链接仅能播放指定歌曲' });
+  }
   
-  const user = resolveUserFromAccessToken(token, playlist);
-  if (!user) {
+  const access = resolvePlaybackAccess(adapter, token, playlist);
+  if (!access) {
     return res.status(401).json({ error: '无效的访问令牌' });
   }
+  if (!enforcePlaybackQuota(req, res, { source: adapter, access, token, format: 'json', countRequest: false })) return;
+  const { user, quality } = access;
   
   try {
-    const cacheKey = `${user.id}:${songId}`;
+    const cacheKey = `${adapter.name}:${user.id}:${songId}${quality ? `@${quality}` : ''}`;
     const cached = urlCache.get(cacheKey);
     
     if (cached && cached.expires > Date.now()) {
-      logPlay(user.id, songId, playlist);
-      return res.redirect(302, ensureHttpsUrl(cached.url));
+      logPlay(adapter, user.id, songId, playlist);
+      return sendSongUrl(res, cached.url);
     }
 
     const cookie = decrypt(user.cookie);
-    const url = await netease.getSongUrl(songId, cookie);
+    const url = await adapter.getSongUrl(songId, cookie, { quality });
 
     if (!url) {
+      console.warn(`[${adapter.label}歌曲] 无法获取 songId=${songId} userId=${user.id}`);
       return res.status(404).json({ error: '无法获取歌曲，可能无版权或需要VIP' });
     }
 
@@ -98,26 +107,26 @@ async function handleSongRequest(req, res) {
     });
     evictOldestUrlCache();
 
-    logPlay(user.id, songId, playlist);
+    logPlay(adapter, user.id, songId, playlist);
 
-    res.redirect(302, httpsUrl);
+    sendSongUrl(res, httpsUrl);
   } catch (e) {
-    console.error('获取歌曲URL失败:', e);
+    console.error(`获取${adapter.label}歌曲URL失败:`, e);
     res.status(500).json({ error: '获取歌曲失败' });
   }
 }
 
-async function logPlay(userId, songId, playlistId) {
+async function logPlay(adapter, userId, songId, playlistId) {
   try {
     let songName = '未知';
     let artist = '未知';
     
     if (playlistId) {
-      const cached = playlistOps.get.get(playlistId);
+      const cached = playlistOps.get.get(adapter.getPlaylistCacheKey(playlistId));
       if (cached) {
         try {
           const songs = JSON.parse(cached.songs);
-          const song = Array.isArray(songs) ? songs.find(s => String(s.id) === String(songId)) : null;
+          const song = Array.isArray(songs) ? songs.find(s => adapter.getSongIdForTrack(s) === String(songId)) : null;
           if (song) {
             songName = song.name || songName;
             artist = song.artist || artist;
@@ -130,8 +139,8 @@ async function logPlay(userId, songId, playlistId) {
 
     playLogOps.log.run({
       user_id: userId,
-      playlist_id: playlistId || null,
-      song_id: songId,
+      playlist_id: playlistId ? adapter.toPlayLogPlaylistId(playlistId) : null,
+      song_id: adapter.toPlayLogSongId(songId),
       song_name: songName,
       artist: artist
     });
@@ -147,6 +156,6 @@ setInterval(() => {
       urlCache.delete(key);
     }
   }
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref();
 
 module.exports = router;
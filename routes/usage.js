@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { getDailyDateKey } = require('../lib/virtual-playlist');
+const { getQuotaLimits, getScopeUsage, getSecondsUntilReset } = require('../lib/usage-quota');
+
+function sourceAuth(req, res, next) {
+  return req.musicSource.auth(req, res, next);
+}
+
+// ─── 当天用量与配额（按音乐源挂载：/api/usage、/api/qq/usage ...） ───
+// 各播放链接的用量见 /tokens 列表中的 usage
+
+router.get('/', sourceAuth, (req, res) => {
+  const source = req.musicSource;
+  const user = source.getRequestUser(req);
+
+  try {
+    res.json({
+      success: true,
+      data: {
+        day: getDailyDateKey(),
+        usage: getScopeUsage('user', `${source.name}:${user.id}`),
+        limits: getQuotaLimits(),
+        resetInSeconds: getSecondsUntilReset()
+      }
+    });
+  } catch (e) {
+    console.error('获取用量失败:', e);
+    res.status(500).json({ success: false, message: '获取用量失败' });
+  }
+});
+
+module.exports = router;
@@ -10,6 +10,7 @@ const path = require('path');
 const rateLimit = require('express-rate-limit');
 const { ipKeyGenerator } = rateLimit;
 require('./lib/db');
+const { bindSource, getSource } = require('./lib/sources');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -86,10 +87,13 @@ const hlsStreamLimiter = rateLimit({
   max: parseInt(process.env.RATE_LIMIT_HLS_STREAM) || 60,
   standardHeaders: true,
   legacyHeaders: false,
-  skip: (req) => !String(req.path || '').endsWith('stream.m3u8'),
+  skip: (req) => !/\/(stream\.m3u8|live\.m3u8|manifest\.mpd|subs\.m3u8)$/.test(String(req.path || '')),
   keyGenerator: hlsKey,
   handler: (req, res) => {
     res.status(429);
+    if (String(req.path || '').endsWith('.mpd')) {
+      return res.type('text/plain').send('Rate limit exceeded');
+    }
     res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
     res.send('#EXTM3U\n#EXT-X-ERROR:Rate limit exceeded');
   }
@@ -100,7 +104,8 @@ const hlsSegmentLimiter = rateLimit({
   max: parseInt(process.env.RATE_LIMIT_HLS_SEGMENT) || 600,
   standardHeaders: true,
   legacyHeaders: false,
-  skip: (req) => !String(req.path || '').endsWith('.ts'),
+  // .ts / .m4s 分片、fMP4 的 init.mp4 与歌词字幕 .vtt
+  skip: (req) => !/\.(ts|m4s|mp4|vtt)$/.test(String(req.path || '')),
   keyGenerator: hlsKey,
   handler: (req, res) => {
     res.status(429).type('text/plain').send('Rate limit exceeded');
@@ -153,30 +158,23 @@ if (process.env.SITE_PASSWORD) {
     return false;
   }
 
-  app.use((req, res, next) => {
-    if (req.path.startsWith('/api/playlist/') && req.path.endsWith('.m3u8')) {
-      return next();
-    }
-    if (req.path.startsWith('/api/song/')) {
-      return next();
-    }
-    if (req.path.startsWith('/api/hls/') && !req.path.startsWith('/api/hls/cache')) {
-      return next();
-    }
-    if (req.path.startsWith('/api/qq/hls/') && !req.path.startsWith('/api/qq/hls/cache')) {
-      return next();
-    }
-    if (req.path.startsWith('/api/mp4/')) {
-      return next();
-    }
-    if (req.path.startsWith('/api/qq/mp4/')) {
-      return next();
-    }
+  // 播放链接（lite m3u8 / 单曲 / HLS / MP4）与短链 /s/<code> 需要能被播放器直接访问
+  // /api/<type>/... 为网易云历史路径，/api/<source>/<type>/... 为已注册音乐源
+  const PLAYBACK_PATH_RE = /^\/api(?:\/([a-z][a-z0-9_-]{0,31}))?\/(playlist|song|hls|mp4)\/(.*)$/;
+
+  function isPublicPlaybackPath(p) {
+    if (/^\/s\/[A-Za-z0-9]+$/.test(p)) return true;
+    const m = p.match(PLAYBACK_PATH_RE);
+    if (!m) return false;
+    const [, sourceName, type, rest] = m;
+    if (sourceName && !getSource(sourceName)) return false;
+    if (type === 'playlist') return p.endsWith('.m3u8');
+    if (type === 'hls') return !rest.startsWith('cache') && !rest.startsWith('jobs');
+    return true;
+  }
 
-    if (req.path.startsWith('/api/qq/song/')) {
-      return next();
-    }
-    if (req.path.startsWith('/api/qq/playlist/m3u8/') && req.path.endsWith('.m3u8')) {
+  app.use((req, res, next) => {
+    if (isPublicPlaybackPath(req.path)) {
       return next();
     }
 
@@ -213,25 +211,47 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/captcha', authLimiter);
 app.use('/api/auth', require('./routes/auth'));
-app.use('/api/playlist/parse', parseLimiter);
-app.use('/api/playlist', require('./routes/playlist'));
-
-app.use('/api/song', require('./routes/song'));
 app.use('/api/img', require('./routes/img'));
-app.use('/api/hls', hlsStreamLimiter, hlsSegmentLimiter, require('./routes/hls'));
-app.use('/api/qq/hls', hlsStreamLimiter, hlsSegmentLimiter, require('./routes/hls'));
-app.use('/api/mp4', mp4Limiter, require('./routes/mp4'));
-app.use('/api/qq/mp4', mp4Limiter, require('./routes/mp4'));
 app.use('/api/favorites', require('./routes/favorite'));
 app.use('/api/history', require('./routes/history'));
+// 歌词：/api/lyrics/<音乐源>/<歌曲ID>
+app.use('/api/lyrics', require('./routes/lyrics'));
 
 app.use('/api/qq/auth/login', authLimiter);
 app.use('/api/qq/auth', require('./routes/qq-auth'));
-app.use('/api/qq/playlist/parse', parseLimiter);
-app.use('/api/qq/playlist', require('./routes/qq-playlist'));
 app.use('/api/qq/favorites', require('./routes/qq-favorite'));
 app.use('/api/qq/history', require('./routes/qq-history'));
-app.use('/api/qq/song', require('./routes/qq-song'));
+
+// 歌单 / 单曲 / HLS / MP4 路由按音乐源挂载，路由内部通过 req.musicSource 访问上游
+const playlistRoutes = require('./routes/playlist');
+const songRoutes = require('./routes/song');
+const hlsRoutes = require('./routes/hls');
+const mp4Routes = require('./routes/mp4');
+const shortLinkRoutes = require('./routes/short-link');
+const playbackTokenRoutes = require('./routes/playback-token');
+const usageRoutes = require('./routes/usage');
+
+function createSourceRouter(binding) {
+  const router = express.Router({ mergeParams: true });
+  router.use(binding);
+  router.use('/playlist/parse', parseLimiter);
+  router.use('/playlist', playlistRoutes);
+  router.use('/song', songRoutes);
+  router.use('/hls', hlsStreamLimiter, hlsSegmentLimiter, hlsRoutes);
+  router.use('/mp4', mp4Limiter, mp4Routes);
+  router.use('/links', shortLinkRoutes);
+  router.use('/tokens', playbackTokenRoutes);
+  router.use('/usage', usageRoutes);
+  return router;
+}
+
+// 网易云历史路径：/api/playlist、/api/song、/api/hls、/api/mp4
+app.use('/api', createSourceRouter(bindSource('netease')));
+// 已注册音乐源：/api/qq/hls、/api/netease/song ...
+app.use('/api/:source', createSourceRouter(bindSource()));
+
+// 短链：/s/<code> 重定向到保存的播放链接
+app.get('/s/:code', globalLimiter, shortLinkRoutes.redirectShortLink);
 
 app.use('/api', (req, res) => {
   res.status(404).json({ 
@@ -255,6 +275,8 @@ app.listen(PORT, () => {
   console.log(`
 服务器已经启动，端口号为${PORT}      
   `);
+  hlsRoutes.restoreJobs();
+  mp4Routes.restoreJobs();
 });
 
 module.exports = app;
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const { getCacheConfig, createCacheIndex } = require('../lib/cache-index');
+const { createCacheOps } = require('../lib/db');
+
+// 内存数据库，不影响真实缓存
+function makeIndex(options) {
+  return createCacheIndex({ ops: createCacheOps(new Database(':memory:')), maxAge: 3600 * 1000, graceMs: 0, ...options });
+}
+
+function makeDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-index-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('缓存配置', () => {
+  assert.deepEqual(getCacheConfig({}), {
+    maxSize: 5 * 1024 ** 3,
+    maxAge: 24 * 3600 * 1000,
+    cleanupInterval: 3600 * 1000,
+    cleanupToRatio: 0.8
+  });
+  const config = getCacheConfig({
+    HLS_CACHE_MAX_SIZE: '1000',
+    HLS_CACHE_MAX_SIZE_GB: '2',
+    HLS_CACHE_MAX_AGE_HOURS: '0.5',
+    HLS_CACHE_CLEANUP_TARGET_RATIO: '1.5'
+  });
+  assert.equal(config.maxSize, 1000);
+  assert.equal(config.maxAge, 30 * 60 * 1000);
+  assert.equal(config.cleanupToRatio, 0.8);
+  assert.equal(getCacheConfig({ HLS_CACHE_MAX_SIZE_GB: '0.5' }).maxSize, 512 * 1024 ** 2);
+});
+
+test('命中批量写入访问时间与次数，统计按类型汇总', () => {
+  const index = makeIndex({ maxSize: 1000 });
+  index.record({ key: 'a', kind: 'hls', path: '/tmp/a', bytes: 300 }, 1000);
+  index.record({ key: 'b', kind: 'audio', path: '/tmp/b', bytes: 50 }, 1000);
+
+  index.touch('a', 2000);
+  index.touch('a', 3000);
+  // 未写入前索引中仍是旧值
+  assert.equal(index.get('a').last_access, 1000);
+  index.flush();
+  assert.equal(index.get('a').last_access, 3000);
+  assert.equal(index.get('a').hit_count, 2);
+
+  // 重新生成：访问时间重置，命中次数保留
+  index.record({ key: 'a', kind: 'hls', path: '/tmp/a', bytes: 400 }, 4000);
+  assert.deepEqual(
+    { ...index.get('a') },
+    { key: 'a', kind: 'hls', path: '/tmp/a', bytes: 400, created_at: 4000, last_access: 4000, hit_count: 2 }
+  );
+
+  assert.deepEqual(index.getStats().kinds, {
+    audio: { entries: 1, bytes: 50, hits: 0 },
+    hls: { entries: 1, bytes: 400, hits: 2 }
+  });
+  assert.equal(index.getStats().totalBytes, 450);
+  assert.deepEqual(index.listRecent(1).map((entry) => entry.key), ['a']);
+});
+
+test('按最近访问时间淘汰过期与超出容量的缓存，使用中的保留', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = makeDir(t);
+  const index = makeIndex({ maxSize: 1000, cleanupToRatio: 0.8 });
+  const now = Date.now();
+  const entries = {
+    expired: { kind: 'audio', bytes: 100, age: 2 * 3600 * 1000 },
+    song1: { kind: 'hls', bytes: 400, age: 40 * 60 * 1000 },
+    song2: { kind: 'hls', bytes: 300, age: 30 * 60 * 1000 },
+    movie: { kind: 'mp4', bytes: 300, age: 20 * 60 * 1000 },
+    song3: { kind: 'hls', bytes: 200, age: 10 * 60 * 1000 }
+  };
+  for (const [key, entry] of Object.entries(entries)) {
+    const entryPath = path.join(dir, key);
+    fs.mkdirSync(entryPath);
+    fs.writeFileSync(path.join(entryPath, 'data'), 'x');
+    index.record({ key, kind: entry.kind, path: entryPath, bytes: entry.bytes }, now - entry.age);
+  }
+  // song1 访问过，变为较新
+  index.touch('song1', now - 5 * 60 * 1000);
+  index.addBusyCheck((entry) => entry.key === 'song2');
+  const evicted = [];
+  index.onEvict((entry) => evicted.push(entry.key));
+
+  // 总 1300 超过 1000：删除过期的 expired 后，跳过生成中的 song2，依次删除 movie、song3，降到 800 以下
+  const result = await index.evict('test', now);
+  assert.deepEqual(result, { deleted: 3, freedBytes: 600, totalBytes: 700 });
+  assert.deepEqual(evicted, ['expired', 'movie', 'song3']);
+  assert.ok(!fs.existsSync(path.join(dir, 'expired')));
+  assert.ok(!fs.existsSync(path.join(dir, 'movie')));
+  assert.ok(fs.existsSync(path.join(dir, 'song2')));
+  assert.ok(fs.existsSync(path.join(dir, 'song1')));
+  assert.equal(index.get('movie'), null);
+  assert.deepEqual(index.listRecent(10).map((entry) => entry.key), ['song1', 'song2']);
+
+  // 手动删除单项：使用中的由调用方跳过
+  assert.equal(index.isBusy(index.get('song2')), true);
+  assert.equal(index.isBusy(index.get('song1')), false);
+  await index.remove(index.get('song1'));
+  assert.deepEqual(evicted, ['expired', 'movie', 'song3', 'song1']);
+  assert.ok(!fs.existsSync(path.join(dir, 'song1')));
+  assert.equal(index.get('song1'), null);
+});
+
+test('刚访问的缓存不淘汰，登记已有缓存与清理失效记录', async (t) => {
+  const dir = makeDir(t);
+  const index = makeIndex({ maxSize: 10, graceMs: 60 * 1000 });
+  const now = Date.now();
+  fs.writeFileSync(path.join(dir, 'kept'), 'x');
+  index.record({ key: 'kept', kind: 'cover', path: path.join(dir, 'kept'), bytes: 100 }, now - 1000);
+  assert.equal((await index.evict('test', now)).deleted, 0);
+
+  assert.equal(index.adopt({ key: 'kept', kind: 'cover', path: path.join(dir, 'kept'), bytes: 1, lastAccess: 1 }), false);
+  assert.equal(index.adopt({ key: 'gone', kind: 'hls', path: path.join(dir, 'gone'), bytes: 5, lastAccess: now - 1000 }), true);
+  assert.equal(index.get('gone').last_access, now - 1000);
+  assert.equal(index.getByPath(path.join(dir, 'kept')).key, 'kept');
+
+  assert.equal(await index.dropMissing(), 1);
+  assert.equal(index.get('gone'), null);
+  assert.equal(index.get('kept').bytes, 100);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  formatIsoDuration,
+  buildSegmentTimeline,
+  buildDashManifest
+} = require('../lib/dash-manifest');
+
+test('ISO 8601 时长保留到毫秒', () => {
+  assert.equal(formatIsoDuration(0), 'PT0S');
+  assert.equal(formatIsoDuration(25), 'PT25S');
+  assert.equal(formatIsoDuration(12.3456), 'PT12.346S');
+});
+
+test('连续等长分片合并为一个 S 元素', () => {
+  assert.deepEqual(buildSegmentTimeline([10, 10, 10, 4.5]), [
+    '<S t="0" d="10000" r="2"/>',
+    '<S d="4500"/>'
+  ]);
+});
+
+test('每首歌一个 Period，各档位为一个 Representation，URL 中的 & 被转义', () => {
+  const rep = (id, extra) => ({
+    id,
+    audioOnly: false,
+    width: 640,
+    height: 360,
+    bandwidth: 500000,
+    codecs: 'avc1.42c016,mp4a.40.2',
+    initialization: `https://x.test/seg/${id}/init.mp4?mode=lite_video&r=360p`,
+    media: `https://x.test/seg/${id}/$Number$.m4s?mode=lite_video&r=360p`,
+    segmentDurations: [10, 5],
+    ...extra
+  });
+  const mpd = buildDashManifest({
+    periods: [
+      { duration: 15, representations: [rep('a')] },
+      { duration: 12, representations: [rep('b', { segmentDurations: [10, 2] })] }
+    ]
+  });
+
+  assert.match(mpd, /mediaPresentationDuration="PT27S"/);
+  assert.equal((mpd.match(/<Period /g) || []).length, 2);
+  assert.match(mpd, /<Period id="1" start="PT15S" duration="PT12S">/);
+  assert.match(mpd, /width="640" height="360"/);
+  assert.match(mpd, /media="https:\/\/x\.test\/seg\/a\/\$Number\$\.m4s\?mode=lite_video&amp;r=360p"/);
+  assert.doesNotMatch(mpd, /&r=/);
+});
+
+test('纯音频档位使用 audio/mp4，不带分辨率', () => {
+  const mpd = buildDashManifest({
+    periods: [{
+      duration: 10,
+      representations: [{
+        id: '96k',
+        audioOnly: true,
+        bandwidth: 105600,
+        codecs: 'mp4a.40.2',
+        initialization: 'https://x.test/init.mp4',
+        media: 'https://x.test/$Number$.m4s',
+        segmentDurations: [10]
+      }]
+    }]
+  });
+  assert.match(mpd, /mimeType="audio\/mp4"/);
+  assert.match(mpd, /audioSamplingRate="44100"/);
+  assert.doesNotMatch(mpd, / width=/);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const {
+  getAudioDownloadKey,
+  getCoverDownloadKey,
+  createDownloadCache
+} = require('../lib/download-cache');
+const { createCacheIndex } = require('../lib/cache-index');
+const { createCacheOps } = require('../lib/db');
+
+// 内存数据库上的缓存索引，不影响真实缓存
+function makeIndex(maxSize = 1024 ** 2) {
+  return createCacheIndex({ ops: createCacheOps(new Database(':memory:')), maxSize, maxAge: 3600 * 1000, graceMs: 0 });
+}
+
+function makeDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function fakeDownload(calls, body = 'x'.repeat(100)) {
+  return async (url, filePath) => {
+    calls.push(url);
+    await new Promise((resolve) => setImmediate(resolve));
+    fs.writeFileSync(filePath, body);
+  };
+}
+
+test('下载缓存键', () => {
+  assert.equal(getAudioDownloadKey('netease', ' 123 ', 'high'), 'audio:netease:123@high');
+  assert.notEqual(getAudioDownloadKey('netease', '123', 'high'), getAudioDownloadKey('netease', '123', 'lossless'));
+  assert.equal(getCoverDownloadKey('https://p1.music.126.net/a.jpg'), 'cover:https://p1.music.126.net/a.jpg');
+});
+
+test('同一文件只下载一次，并发请求共用同一次下载', async (t) => {
+  const index = makeIndex();
+  const cache = createDownloadCache({ dir: makeDir(t), index });
+  const calls = [];
+  const request = { key: getAudioDownloadKey('netease', '1', 'high'), url: 'https://m1.music.126.net/1.mp3?sig=a', ext: '.audio', download: fakeDownload(calls) };
+
+  const [a, b] = await Promise.all([cache.acquire(request), cache.acquire(request)]);
+  assert.equal(a.filePath, b.filePath);
+  assert.ok(a.filePath.endsWith('.audio'));
+  // 地址签名变化不影响命中
+  const c = await cache.acquire({ ...request, url: 'https://m1.music.126.net/1.mp3?sig=b' });
+  assert.equal(c.filePath, a.filePath);
+  assert.deepEqual(calls, ['https://m1.music.126.net/1.mp3?sig=a']);
+  assert.equal(fs.readFileSync(a.filePath, 'utf8').length, 100);
+  // 下载后登记到索引，命中计入访问次数
+  const entry = index.get(request.key);
+  assert.deepEqual({ kind: entry.kind, path: entry.path, bytes: entry.bytes }, { kind: 'audio', path: a.filePath, bytes: 100 });
+  index.flush();
+  assert.equal(index.get(request.key).hit_count, 1);
+  [a, b, c].forEach((handle) => handle.release());
+});
+
+test('下载失败不留下文件，acquireAll 释放已获取的文件', async (t) => {
+  const dir = makeDir(t);
+  const cache = createDownloadCache({ dir, index: makeIndex() });
+  const calls = [];
+  const failing = async (url, filePath) => {
+    fs.writeFileSync(filePath, 'partial');
+    throw new Error('HTTP 403');
+  };
+
+  await assert.rejects(cache.acquireAll([
+    { key: 'cover:a', url: 'a', ext: '.jpg', download: fakeDownload(calls) },
+    null,
+    { key: 'audio:b', url: 'b', ext: '.audio', download: failing }
+  ]), { message: 'HTTP 403' });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(fs.readdirSync(dir), [path.basename(cache.getFilePath('cover:a', '.jpg'))]);
+
+  const [first, none] = await cache.acquireAll([{ key: 'cover:a', url: 'a', ext: '.jpg', download: fakeDownload(calls) }, null]);
+  assert.equal(none, null);
+  assert.equal(calls.length, 1);
+  first.release();
+});
+
+test('按最近使用时间淘汰，使用中的文件保留；启动时删除未登记的文件', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = makeDir(t);
+  const index = makeIndex(250);
+  const cache = createDownloadCache({ dir, index });
+  const calls = [];
+  const handles = {};
+  for (const key of ['cover:old', 'audio:a', 'audio:b', 'audio:c']) {
+    handles[key] = await cache.acquire({ key, url: key, ext: '.bin', download: fakeDownload(calls) });
+  }
+  assert.equal(index.get('cover:old').kind, 'cover');
+
+  const now = Date.now();
+  const age = (key, ms) => index.touch(key, now - ms);
+  age('audio:a', 30 * 60 * 1000);
+  age('audio:b', 20 * 60 * 1000);
+  age('audio:c', 10 * 60 * 1000);
+  index.record({ key: 'cover:old', kind: 'cover', path: handles['cover:old'].filePath, bytes: 100 }, now - 2 * 3600 * 1000);
+
+  // audio:a 仍在使用：跳过它，删除过期的 cover:old 后继续删除 audio:b，直到低于容量上限的 80%
+  handles['cover:old'].release();
+  handles['audio:b'].release();
+  handles['audio:c'].release();
+  const result = await index.evict('test', now);
+  assert.deepEqual(result, { deleted: 2, freedBytes: 200, totalBytes: 200 });
+  assert.ok(fs.existsSync(handles['audio:a'].filePath));
+  assert.ok(!fs.existsSync(handles['cover:old'].filePath));
+  assert.ok(!fs.existsSync(handles['audio:b'].filePath));
+  assert.ok(fs.existsSync(handles['audio:c'].filePath));
+  handles['audio:a'].release();
+
+  fs.writeFileSync(path.join(dir, 'unknown.audio'), 'x');
+  fs.writeFileSync(path.join(dir, 'stale.1.2.part'), 'x');
+  assert.equal(await cache.reconcile(), 2);
+  assert.deepEqual(fs.readdirSync(dir).sort(), [handles['audio:a'].filePath, handles['audio:c'].filePath].map((f) => path.basename(f)).sort());
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createGrowingFile, createGrowingFileRegistry, canStreamGrowingFile } = require('../lib/growing-file');
+
+function makeDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'growing-file-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function collect(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    stream.on('error', reject);
+  });
+}
+
+function write(writable, text) {
+  return new Promise((resolve, reject) => writable.write(text, (err) => (err ? reject(err) : resolve())));
+}
+
+test('边写边读：先后打开的读取方都读到完整内容，改名不影响已打开的读取', async (t) => {
+  const dir = makeDir(t);
+  const filePath = path.join(dir, 'song.mp4.tmp');
+  const file = createGrowingFile(filePath);
+
+  const early = collect(file.createReadStream());
+  await write(file.writable, 'moov');
+  await new Promise((resolve) => setImmediate(resolve));
+  const late = collect(file.createReadStream());
+  await write(file.writable, '-frag1');
+  await write(file.writable, '-frag2');
+  assert.equal(file.size, 16);
+
+  file.writable.end();
+  await new Promise((resolve) => file.writable.on('finish', resolve));
+  fs.renameSync(filePath, path.join(dir, 'song.mp4'));
+  file.end();
+
+  assert.equal(await early, 'moov-frag1-frag2');
+  assert.equal(await late, 'moov-frag1-frag2');
+  assert.equal(fs.readFileSync(path.join(dir, 'song.mp4'), 'utf8'), 'moov-frag1-frag2');
+});
+
+test('写入失败时读取方收到错误，关闭读取不影响写入', async (t) => {
+  const file = createGrowingFile(path.join(makeDir(t), 'song.mp4.tmp'));
+  const reader = file.createReadStream();
+  const failed = collect(reader);
+  const closed = file.createReadStream();
+  closed.destroy();
+
+  await write(file.writable, 'partial');
+  file.end(new Error('MP4 生成失败'));
+  await assert.rejects(failed, { message: 'MP4 生成失败' });
+  assert.ok(closed.destroyed);
+  assert.equal(file.ended, true);
+});
+
+test('登记时即打开读取流：之后临时文件被改名仍能读完；文件已移走或任务先结束时返回 null', async (t) => {
+  const dir = makeDir(t);
+  const registry = createGrowingFileRegistry();
+  let finish;
+  const generation = new Promise((resolve) => { finish = resolve; });
+
+  const waiting = registry.openReader('song', generation);
+  const filePath = path.join(dir, 'song.mp4.tmp');
+  const file = createGrowingFile(filePath);
+  registry.set('song', file);
+  await write(file.writable, 'frag');
+  file.writable.end();
+  await new Promise((resolve) => file.writable.on('finish', resolve));
+  registry.remove('song', file);
+  file.end();
+  // 请求拿到读取流之前写入已结束并改名
+  fs.renameSync(filePath, path.join(dir, 'song.mp4'));
+  assert.equal(await collect(await waiting), 'frag');
+
+  // 登记还在但临时文件已被移走
+  const moved = createGrowingFile(path.join(dir, 'moved.mp4.tmp'));
+  registry.set('moved', moved);
+  fs.renameSync(path.join(dir, 'moved.mp4.tmp'), path.join(dir, 'moved.mp4'));
+  assert.equal(await registry.openReader('moved', generation), null);
+  moved.end();
+
+  const notStarted = registry.openReader('other', generation);
+  finish();
+  assert.equal(await notStarted, null);
+});
+
+test('只有完整 GET 请求边写边读，HEAD 与 Range 续传等文件完成', () => {
+  assert.equal(canStreamGrowingFile({ method: 'GET', headers: {} }), true);
+  assert.equal(canStreamGrowingFile({ method: 'GET', headers: { range: 'bytes=0-' } }), true);
+  assert.equal(canStreamGrowingFile({ method: 'GET', headers: { range: 'bytes=0-1' } }), false);
+  assert.equal(canStreamGrowingFile({ method: 'GET', headers: { range: 'bytes=1000-' } }), false);
+  assert.equal(canStreamGrowingFile({ method: 'HEAD', headers: {} }), false);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeSegmentFormat,
+  getSegmentFileName,
+  getMediaPlaylistVersion,
+  getSegmentContentType
+} = require('../lib/hls-container');
+
+test('封装格式默认 ts，fmp4 / cmaf 选择 fMP4', () => {
+  assert.equal(normalizeSegmentFormat(undefined), 'ts');
+  assert.equal(normalizeSegmentFormat('mp4'), 'ts');
+  assert.equal(normalizeSegmentFormat('FMP4'), 'fmp4');
+  assert.equal(normalizeSegmentFormat('cmaf'), 'fmp4');
+});
+
+test('分片文件名按格式区分扩展名', () => {
+  assert.equal(getSegmentFileName('ts', 3), 'seg_0003.ts');
+  assert.equal(getSegmentFileName('fmp4', 12), 'seg_0012.m4s');
+});
+
+test('fMP4 的媒体播放列表声明版本 7，并使用 MP4 的 Content-Type', () => {
+  assert.equal(getMediaPlaylistVersion('ts'), 3);
+  assert.equal(getMediaPlaylistVersion('fmp4'), 7);
+  assert.equal(getSegmentContentType('ts', false), 'video/mp2t');
+  assert.equal(getSegmentContentType('fmp4', false), 'video/mp4');
+  assert.equal(getSegmentContentType('fmp4', true), 'audio/mp4');
+});
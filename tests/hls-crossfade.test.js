@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeCrossfade,
+  getCrossfadePlan,
+  planPlaylistCrossfades
+} = require('../lib/hls-crossfade');
+
+test('淡化秒数只接受 1~12 的整数', () => {
+  assert.equal(normalizeCrossfade('6'), 6);
+  assert.equal(normalizeCrossfade(12), 12);
+  assert.equal(normalizeCrossfade('0'), 0);
+  assert.equal(normalizeCrossfade('13'), 0);
+  assert.equal(normalizeCrossfade('2.5'), 0);
+  assert.equal(normalizeCrossfade(undefined), 0);
+});
+
+test('过渡段从分片边界开始，到后一首的分片边界结束', () => {
+  // 前一首 95 秒，淡化 6 秒：从第 8 个分片（80 秒）起进入过渡段；后一首前 1 个分片（10 秒）混入
+  const plan = getCrossfadePlan({ fromDuration: 95, toDuration: 200, crossfade: 6, segmentDuration: 10 });
+  assert.deepEqual(plan, { tailIndex: 8, tailStart: 80, headIndex: 1, headDuration: 10, duration: 19 });
+
+  // 淡化秒数超过一个分片时，后一首混入的分片数向上取整
+  const long = getCrossfadePlan({ fromDuration: 95, toDuration: 200, crossfade: 12, segmentDuration: 10 });
+  assert.equal(long.tailStart, 80);
+  assert.equal(long.headIndex, 2);
+  assert.equal(long.duration, 95 - 80 + 20 - 12);
+});
+
+test('时长未知或过短时不淡化', () => {
+  const base = { crossfade: 6, segmentDuration: 10 };
+  assert.equal(getCrossfadePlan({ ...base, fromDuration: 0, toDuration: 200 }), null);
+  assert.equal(getCrossfadePlan({ ...base, fromDuration: 12, toDuration: 200 }), null);
+  assert.equal(getCrossfadePlan({ ...base, fromDuration: 95, toDuration: 10 }), null);
+  assert.equal(getCrossfadePlan({ ...base, crossfade: 0, fromDuration: 95, toDuration: 200 }), null);
+});
+
+test('整张歌单：每首歌输出过渡段之外的分片，过渡段不重叠', () => {
+  // 第三首只有 25 秒：开头 10 秒在上一段过渡中，其余 15 秒全部进入下一段过渡，自身不输出分片；
+  // 时长未知（0）的歌曲前后保持硬切
+  const layout = planPlaylistCrossfades([95, 200, 25, 60, 0, 60], 6, 10);
+  assert.deepEqual(layout.map(({ startIndex, endIndex }) => [startIndex, endIndex]), [
+    [0, 8],
+    [1, 19],
+    [1, 1],
+    [1, null],
+    [0, null],
+    [0, null]
+  ]);
+  assert.deepEqual(layout.map((x) => !!x.transition), [true, true, true, false, false, false]);
+  assert.equal(layout[1].transition.tailStart, 190);
+});
+
+test('后一首开头已属于上一段过渡时，不再从更早的位置淡出', () => {
+  // 第二首 14 秒：开头 10 秒在上一段过渡中，结尾过渡会从第 0 个分片开始，与上一段重叠，保持硬切
+  const layout = planPlaylistCrossfades([95, 14, 60], 6, 10);
+  assert.ok(layout[0].transition);
+  assert.equal(layout[1].transition, null);
+  assert.deepEqual([layout[1].startIndex, layout[1].endIndex], [1, null]);
+});
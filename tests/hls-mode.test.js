@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeHlsMode,
+  getModeCacheKey
+} = require('../lib/hls-mode');
+const { createPlaybackToken, verifyPlaybackToken } = require('../lib/playback-token');
+
+test('模式参数只接受已知取值', () => {
+  assert.equal(normalizeHlsMode('AUDIO'), 'audio');
+  assert.equal(normalizeHlsMode(' lite_video '), 'lite_video');
+  assert.equal(normalizeHlsMode('Visualizer'), 'visualizer');
+  assert.equal(normalizeHlsMode('flac'), '');
+  assert.equal(normalizeHlsMode(undefined), '');
+});
+
+test('各模式的分片缓存互不共用', () => {
+  const keys = new Set(['', 'lite_video', 'audio', 'visualizer'].map(getModeCacheKey));
+  assert.equal(keys.size, 4);
+  assert.equal(getModeCacheKey(''), 'default');
+});
+
+test('audio 模式可写入播放 token', () => {
+  const token = createPlaybackToken({ userId: 1, playlistId: '2', mode: 'audio' });
+  assert.equal(verifyPlaybackToken(token, '2').mode, 'audio');
+});
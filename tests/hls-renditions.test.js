@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseVideoRenditions,
+  parseAudioRenditions,
+  resolveRendition,
+  parseX264Codec,
+  measureBandwidth,
+  buildStreamInf
+} = require('../lib/hls-renditions');
+
+const COVER = { width: 640, height: 360 };
+
+test('未配置多码率时只有一档，分辨率取 COVER_WIDTH/HEIGHT', () => {
+  const [video] = parseVideoRenditions('', COVER);
+  assert.equal(video.id, '');
+  assert.equal(video.width, 640);
+  assert.equal(video.height, 360);
+
+  const [audio] = parseAudioRenditions(undefined);
+  assert.equal(audio.id, '');
+  assert.equal(audio.audioKbps, 128);
+});
+
+test('档位按配置顺序解析，忽略未知与重复项', () => {
+  const video = parseVideoRenditions('360p, 720p,4k,360p', COVER);
+  assert.deepEqual(video.map((r) => r.id), ['360p', '720p']);
+  assert.equal(video[1].width, 1280);
+
+  const audio = parseAudioRenditions('96k,192k,1000k,abc');
+  assert.deepEqual(audio.map((r) => r.audioKbps), [96, 192]);
+  assert.ok(audio.every((r) => r.audioOnly));
+});
+
+test('未指定档位时使用第一档，未知档位为 null', () => {
+  const list = parseVideoRenditions('360p,720p', COVER);
+  assert.equal(resolveRendition(list, '').id, '360p');
+  assert.equal(resolveRendition(list, '720P').id, '720p');
+  assert.equal(resolveRendition(list, '1080p'), null);
+});
+
+test('从 x264 日志解析实际 profile 与 level', () => {
+  const log = '[libx264 @ 0x55d0c8] profile Constrained Baseline, level 3.1, 4:2:0, 8-bit\n';
+  assert.equal(parseX264Codec(log), 'avc1.42c01f');
+  assert.equal(parseX264Codec('[libx264 @ 0x1] profile High, level 4.0, 4:2:0, 8-bit'), 'avc1.640028');
+  assert.equal(parseX264Codec('no encoder info'), null);
+});
+
+test('实测码率：峰值取最大分片，平均按总时长', () => {
+  const bw = measureBandwidth([125000, 250000, 50000], [10, 10, 4]);
+  assert.equal(bw.peak, 200000);
+  assert.equal(bw.average, Math.ceil(425000 * 8 / 24));
+  assert.equal(measureBandwidth([], []), null);
+});
+
+test('STREAM-INF 优先使用已缓存分片的实测值，否则按档位估算', () => {
+  const [r360] = parseVideoRenditions('360p', COVER);
+  const nominal = buildStreamInf(r360, []);
+  assert.match(nominal, /^BANDWIDTH=\d+,RESOLUTION=640x360,CODECS="avc1\.42c0\w{2},mp4a\.40\.2"$/);
+  assert.doesNotMatch(nominal, /AVERAGE-BANDWIDTH/);
+
+  const measured = buildStreamInf(r360, [
+    { totalDuration: 100, bandwidth: { peak: 300000, average: 200000 }, codecs: 'avc1.42c01e,mp4a.40.2' },
+    { totalDuration: 300, bandwidth: { peak: 250000, average: 100000 }, codecs: 'avc1.42c01e,mp4a.40.2' }
+  ]);
+  assert.equal(measured, 'BANDWIDTH=300000,AVERAGE-BANDWIDTH=125000,RESOLUTION=640x360,CODECS="avc1.42c01e,mp4a.40.2"');
+
+  const [audio] = parseAudioRenditions('96k');
+  const audioInf = buildStreamInf(audio, []);
+  assert.match(audioInf, /CODECS="mp4a\.40\.2"$/);
+  assert.doesNotMatch(audioInf, /RESOLUTION|avc1/);
+});
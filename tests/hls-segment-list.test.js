@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseSegmentList, createSegmentListWatcher } = require('../lib/hls-segment-list');
+
+test('解析 FFmpeg 写出的分片列表', () => {
+  const content = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    '#EXT-X-TARGETDURATION:10',
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXTINF:10.000000,',
+    'song_seg_0000.ts',
+    '#EXTINF:9.960000,',
+    'song_seg_0001.ts',
+    ''
+  ].join('\n');
+  assert.deepEqual(parseSegmentList(content), {
+    segments: [
+      { duration: 10, uri: 'song_seg_0000.ts' },
+      { duration: 9.96, uri: 'song_seg_0001.ts' }
+    ],
+    ended: false
+  });
+
+  // 末尾没有换行的行可能还没写完，不计入
+  assert.equal(parseSegmentList(`${content}#EXTINF:4.2,\nsong_seg_00`).segments.length, 2);
+  assert.equal(parseSegmentList(`${content}#EXTINF:4.2,\nsong_seg_0002.ts\n#EXT-X-ENDLIST\n`).ended, true);
+  assert.deepEqual(parseSegmentList(''), { segments: [], ended: false });
+});
+
+test('分片写入列表后按顺序发布，停止后未发布的等待返回 false', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'segment-list-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const listPath = path.join(dir, 'song.m3u8');
+  const published = [];
+  const watcher = createSegmentListWatcher({
+    listPath,
+    interval: 10,
+    onSegment: async (segment, index) => {
+      published.push(`${index}:${segment.uri}`);
+    }
+  });
+  t.after(() => watcher.stop());
+
+  // 列表还不存在
+  await watcher.poll();
+  const first = watcher.waitFor(0);
+  const third = watcher.waitFor(2);
+
+  fs.writeFileSync(listPath, '#EXTM3U\n#EXTINF:10.0,\nseg_0000.ts\n');
+  // 定时器已 unref，测试中主动轮询，不依赖定时器保持事件循环
+  await watcher.poll();
+  assert.equal(await first, true);
+
+  fs.writeFileSync(listPath, '#EXTM3U\n#EXTINF:10.0,\nseg_0000.ts\n#EXTINF:3.5,\nseg_0001.ts\n#EXT-X-ENDLIST\n');
+  await watcher.poll();
+  assert.deepEqual(published, ['0:seg_0000.ts', '1:seg_0001.ts']);
+  assert.deepEqual(watcher.segments.map((segment) => segment.duration), [10, 3.5]);
+  assert.equal(await watcher.waitFor(1), true);
+
+  await watcher.stop();
+  assert.equal(await third, false);
+  assert.equal(await watcher.waitFor(5), false);
+});
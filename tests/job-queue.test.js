@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  QUEUE_FULL_MESSAGE,
+  JobCancelledError,
+  JobQueue,
+  getRetryDelay,
+  parseFFmpegProgress,
+  cancelJob
+} = require('../lib/job-queue');
+const { db, jobOps } = require('../lib/db');
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+}
+
+function getRow(queue, key) {
+  return db.prepare('SELECT * FROM transcode_jobs WHERE queue = ? AND job_key = ?').get(queue, key);
+}
+
+function cleanup(queue) {
+  db.prepare('DELETE FROM transcode_jobs WHERE queue = ?').run(queue);
+}
+
+test('按优先级调度，同一 key 合并并提升优先级', async () => {
+  const queue = new JobQueue({ name: 'test-priority', concurrency: 1, maxQueueSize: 2 });
+  const order = [];
+  const gate = deferred();
+  const task = (name) => async () => {
+    order.push(name);
+    if (name === 'first') await gate.promise;
+    return name;
+  };
+
+  try {
+    const first = queue.run({ key: 'first', kind: 'test' }, task('first'));
+    const bulk = queue.run({ key: 'bulk', kind: 'test', priority: 'preload' }, task('bulk'));
+    const next = queue.run({ key: 'next', kind: 'test', priority: 'next' }, task('next'));
+    await assert.rejects(queue.run({ key: 'extra', kind: 'test' }, task('extra')), { message: QUEUE_FULL_MESSAGE });
+
+    // 排队中的预加载被点播：不重复入队，直接提到最前
+    const again = queue.run({ key: 'bulk', kind: 'test', priority: 'on_demand' }, task('duplicate'));
+    assert.equal(queue.running, 1);
+    assert.equal(queue.waiting, 2);
+    assert.deepEqual(queue.list().map((job) => [job.key, job.status, job.priority]), [
+      ['first', 'running', 'on_demand'],
+      ['bulk', 'queued', 'on_demand'],
+      ['next', 'queued', 'next']
+    ]);
+
+    gate.resolve();
+    assert.deepEqual(await Promise.all([first, bulk, next, again]), ['first', 'bulk', 'next', 'bulk']);
+    assert.deepEqual(order, ['first', 'bulk', 'next']);
+    assert.equal(getRow('test-priority', 'bulk').status, 'done');
+  } finally {
+    cleanup('test-priority');
+  }
+});
+
+test('失败后按退避重试，retryable 为 false 时不重试', async () => {
+  assert.equal(getRetryDelay(1, 1000), 1000);
+  assert.equal(getRetryDelay(3, 1000), 4000);
+  assert.equal(getRetryDelay(20, 1000), 60000);
+
+  const queue = new JobQueue({ name: 'test-retry', concurrency: 1, maxQueueSize: 5, maxAttempts: 3, retryDelayMs: 5 });
+  try {
+    let calls = 0;
+    const result = await queue.run({ key: 'flaky', kind: 'test' }, async (job) => {
+      calls++;
+      if (calls < 3) throw new Error(`第 ${job.attempts} 次失败`);
+      return 'ok';
+    });
+    assert.equal(result, 'ok');
+    assert.equal(getRow('test-retry', 'flaky').attempts, 3);
+
+    let fatalCalls = 0;
+    await assert.rejects(queue.run({ key: 'fatal', kind: 'test' }, async () => {
+      fatalCalls++;
+      throw Object.assign(new Error('配额用尽'), { retryable: false });
+    }), { message: '配额用尽' });
+    assert.equal(fatalCalls, 1);
+
+    const row = getRow('test-retry', 'fatal');
+    assert.equal(row.status, 'failed');
+    assert.equal(row.error, '配额用尽');
+  } finally {
+    cleanup('test-retry');
+  }
+});
+
+test('取消排队中与进行中的任务', async () => {
+  const queue = new JobQueue({ name: 'test-cancel', concurrency: 1, maxQueueSize: 5 });
+  try {
+    const running = queue.run({ key: 'running', kind: 'test' }, (job) => new Promise((resolve, reject) => {
+      job.reportProgress(30, 120);
+      job.signal.addEventListener('abort', () => reject(new Error('FFmpeg 已终止')));
+    }));
+    const queued = queue.run({ key: 'queued', kind: 'test' }, async () => 'never');
+
+    await new Promise((resolve) => setImmediate(resolve));
+    const [runningJob, queuedJob] = queue.list();
+    assert.equal(runningJob.progress, 0.25);
+
+    assert.ok(cancelJob(queuedJob.id));
+    await assert.rejects(queued, JobCancelledError);
+    assert.ok(queue.cancel(runningJob.id));
+    await assert.rejects(running, JobCancelledError);
+
+    assert.equal(getRow('test-cancel', 'queued').status, 'cancelled');
+    assert.equal(getRow('test-cancel', 'running').status, 'cancelled');
+    assert.equal(queue.cancel(runningJob.id), false);
+  } finally {
+    cleanup('test-cancel');
+  }
+});
+
+test('服务重启后恢复未完成的任务', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const insert = (id, key, kind, status) => jobOps.insert.run({
+    id,
+    queue: 'test-restore',
+    job_key: key,
+    kind,
+    priority: 1,
+    status,
+    attempts: status === 'running' ? 1 : 0,
+    max_attempts: 3,
+    payload: JSON.stringify({ songId: key })
+  });
+
+  cleanup('test-restore');
+  try {
+    insert('test-restore-1', 'a', 'song', 'running');
+    insert('test-restore-2', 'b', 'unknown', 'queued');
+    insert('test-restore-3', 'c', 'song', 'done');
+
+    const queue = new JobQueue({ name: 'test-restore', concurrency: 1, maxQueueSize: 5 });
+    const done = deferred();
+    queue.registerHandler('song', async (payload, job) => {
+      done.resolve({ payload, attempts: job.attempts });
+      return payload.songId;
+    });
+
+    assert.equal(queue.restore(), 1);
+    assert.deepEqual(await done.promise, { payload: { songId: 'a' }, attempts: 2 });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(getRow('test-restore', 'a').status, 'done');
+    assert.equal(getRow('test-restore', 'b').status, 'failed');
+    assert.equal(getRow('test-restore', 'c').status, 'done');
+  } finally {
+    cleanup('test-restore');
+  }
+});
+
+test('解析 FFmpeg 进度', () => {
+  assert.equal(parseFFmpegProgress('frame=1 time=00:00:01.50 bitrate=1k\rframe=9 time=00:01:02.25 bitrate=1k'), 62.25);
+  assert.equal(parseFFmpegProgress('Input #0, mp3'), null);
+});
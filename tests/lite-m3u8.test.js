@@ -40,3 +40,17 @@ test('buildLiteM3u8 ignores invalid segment url and keeps valid ones', () => {
   assert.ok(!m3u8.includes('invalid'));
   assert.ok(m3u8.includes('https://example.com/ok.mp3'));
 });
+
+test('buildLiteM3u8 emits ReplayGain tag only for measured tracks', () => {
+  const m3u8 = buildLiteM3u8({
+    segments: [
+      { url: 'https://example.com/a.mp3', duration: 120, title: 'A', replayGain: { gain: -4.5, peak: 0.891251 } },
+      { url: 'https://example.com/b.mp3', duration: 180, title: 'B' }
+    ]
+  });
+
+  const lines = m3u8.trim().split('\n');
+  const tags = lines.filter((line) => line.startsWith('#EXT-X-REPLAYGAIN:'));
+  assert.deepEqual(tags, ['#EXT-X-REPLAYGAIN:TRACK-GAIN=-4.50,TRACK-PEAK=0.891251']);
+  assert.equal(lines[lines.indexOf(tags[0]) + 1], '#EXTINF:120.000,A');
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getNominalSegmentDurations,
+  buildLiveSchedule,
+  getLiveWindow
+} = require('../lib/live-radio');
+
+// 两首歌：a 25 秒（10 + 10 + 5），b 20 秒（10 + 10），一个循环 45 秒、5 个分片
+const schedule = buildLiveSchedule([{ id: 'a', duration: 25 }, { id: 'b', duration: 20 }], 10);
+
+test('名义分片时长：整段按分片时长，末段为余数，缺少时长按 240 秒估算', () => {
+  assert.deepEqual(getNominalSegmentDurations(25, 10), [10, 10, 5]);
+  assert.deepEqual(getNominalSegmentDurations(20, 10), [10, 10]);
+  assert.equal(getNominalSegmentDurations(undefined, 10).length, 24);
+});
+
+test('时间表按歌单顺序排列一个循环内的全部分片', () => {
+  assert.equal(schedule.cycleMs, 45000);
+  assert.deepEqual(
+    schedule.segments.map((s) => `${s.songId}/${s.segmentIndex}@${s.startMs}`),
+    ['a/0@0', 'a/1@10000', 'a/2@20000', 'b/0@25000', 'b/1@35000']
+  );
+});
+
+test('同一时刻加入的听众得到相同的窗口，末尾为正在播出的分片', () => {
+  const live = getLiveWindow(schedule, 30000, { windowSize: 3 });
+  assert.deepEqual(live, getLiveWindow(schedule, 30000, { windowSize: 3 }));
+  assert.equal(live.mediaSequence, 1);
+  assert.deepEqual(live.segments.map((s) => `${s.songId}/${s.segmentIndex}`), ['a/1', 'a/2', 'b/0']);
+  assert.deepEqual(live.segments.map((s) => s.discontinuity), [false, false, true]);
+  assert.equal(live.segments[2].programDateTime, 25000);
+});
+
+test('窗口跨越循环时序号与节目时间继续递增', () => {
+  // 第二轮循环的 a/0 从 45 秒开始播出
+  const live = getLiveWindow(schedule, 46000, { windowSize: 3 });
+  assert.equal(live.mediaSequence, 3);
+  assert.deepEqual(live.segments.map((s) => `${s.songId}/${s.segmentIndex}`), ['b/0', 'b/1', 'a/0']);
+  assert.deepEqual(live.segments.map((s) => s.sequence), [3, 4, 5]);
+  assert.equal(live.segments[2].programDateTime, 45000);
+  assert.equal(live.segments[2].discontinuity, true);
+});
+
+test('DISCONTINUITY-SEQUENCE 随移出窗口的歌曲边界递增', () => {
+  const at = (ms) => getLiveWindow(schedule, ms, { windowSize: 2 }).discontinuitySequence;
+  assert.equal(at(15000), 1); // a/0, a/1
+  assert.equal(at(26000), 1); // a/2, b/0
+  assert.equal(at(36000), 2); // b/0, b/1（窗口首个分片不输出 DISCONTINUITY）
+  assert.equal(at(46000), 2); // b/1, a/0
+  assert.equal(at(56000), 3); // a/0, a/1
+});
+
+test('起点可配置，起点之前与空歌单的处理', () => {
+  const live = getLiveWindow(schedule, 1000005000, { windowSize: 3, epochMs: 1000000000 });
+  assert.equal(live.mediaSequence, 0);
+  assert.deepEqual(live.segments.map((s) => s.programDateTime), [1000000000]);
+  assert.equal(getLiveWindow(buildLiveSchedule([], 10), Date.now()), null);
+});
+
+test('已缓存的歌曲按实际分片时长排入时间表，跳过缺失的分片，已知分片数时截断名义时长', () => {
+  const cached = buildLiveSchedule([
+    // 元数据写 25 秒，实际转码出 10 + 8 秒
+    { id: 'a', duration: 25, segmentDurations: [10, 8], segmentCount: 2 },
+    // 缓存信息中第 1 段时长缺失
+    { id: 'b', duration: 30, segmentDurations: [10, null, 6], segmentCount: 3 },
+    // 旧版缓存信息只有分片数
+    { id: 'c', duration: 40, segmentCount: 2 }
+  ], 10);
+  assert.equal(cached.cycleMs, 54000);
+  assert.deepEqual(
+    cached.segments.map((s) => `${s.songId}/${s.segmentIndex}@${s.startMs}`),
+    ['a/0@0', 'a/1@10000', 'b/0@18000', 'b/2@28000', 'c/0@34000', 'c/1@44000']
+  );
+
+  // 歌曲边界仍按每首歌的第一个分片计算
+  const live = getLiveWindow(cached, 30000, { windowSize: 3 });
+  assert.deepEqual(live.segments.map((s) => `${s.songId}/${s.segmentIndex}`), ['a/1', 'b/0', 'b/2']);
+  assert.deepEqual(live.segments.map((s) => s.discontinuity), [false, true, false]);
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+const express = require('express');
+
+const library = require('../lib/local-library');
+
+function makeLibraryDir() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'mfu-local-'));
+  fs.mkdirSync(path.join(root, 'DJ Sets'));
+  fs.writeFileSync(path.join(root, 'DJ Sets', '01 Opener - Warmup.mp3'), 'fake-mp3-a');
+  fs.writeFileSync(path.join(root, 'DJ Sets', '02 Closing.flac'), 'fake-flac-b');
+  fs.writeFileSync(path.join(root, 'DJ Sets', 'cover.jpg'), 'not-audio');
+  fs.writeFileSync(path.join(root, '.hidden.mp3'), 'hidden');
+  fs.writeFileSync(
+    path.join(root, 'party.m3u'),
+    '#EXTM3U\n#EXTINF:321,Closer\nDJ Sets/02 Closing.flac\nhttps://example.com/remote.mp3\n../outside.mp3\nmissing.mp3\n'
+  );
+  return root;
+}
+
+function withLibraryEnv(root) {
+  const old = { dir: process.env.LOCAL_MUSIC_DIR, probe: process.env.FFPROBE_PATH };
+  process.env.LOCAL_MUSIC_DIR = root;
+  // 固定走文件名回退，测试不依赖本机是否安装 ffprobe
+  process.env.FFPROBE_PATH = path.join(root, 'no-such-ffprobe');
+  library.__resetForTests();
+  return () => {
+    if (old.dir === undefined) delete process.env.LOCAL_MUSIC_DIR;
+    else process.env.LOCAL_MUSIC_DIR = old.dir;
+    if (old.probe === undefined) delete process.env.FFPROBE_PATH;
+    else process.env.FFPROBE_PATH = old.probe;
+    library.__resetForTests();
+    fs.rmSync(root, { recursive: true, force: true });
+  };
+}
+
+test('parseM3u 解析 EXTINF 与相对路径，跳过远程 URL', () => {
+  const entries = library.parseM3u('﻿#EXTM3U\n#EXTINF:185,Artist - Song\nsub/a.mp3\n\nhttp://x/y.mp3\nb.flac\n', '/music');
+  assert.deepEqual(entries, [
+    { file: path.resolve('/music', 'sub/a.mp3'), title: 'Artist - Song', duration: 185 },
+    { file: path.resolve('/music', 'b.flac'), title: '', duration: 0 }
+  ]);
+});
+
+test('normalizeProbeResult 读取标签（大小写不敏感）与时长', () => {
+  const info = library.normalizeProbeResult({
+    format: { duration: '241.53', tags: { TITLE: '夜曲', Artist: '周杰伦', album: '十一月的萧邦' } },
+    streams: [{ codec_type: 'audio' }]
+  });
+  assert.deepEqual(info, { name: '夜曲', artist: '周杰伦', album: '十一月的萧邦', duration: 242 });
+  assert.deepEqual(library.normalizeProbeResult(null), { name: '', artist: '', album: '', duration: 0 });
+});
+
+test('parseTitleFromFilename 按 "歌手 - 歌名" 拆分', () => {
+  assert.deepEqual(library.parseTitleFromFilename('/a/DJ X - Live Set.mp3'), { artist: 'DJ X', name: 'Live Set' });
+  assert.deepEqual(library.parseTitleFromFilename('/a/track.flac'), { artist: '', name: 'track' });
+});
+
+test('scanLibrary 将目录与 m3u 作为歌单，拒绝库外文件', async () => {
+  const root = makeLibraryDir();
+  const restore = withLibraryEnv(root);
+  try {
+    fs.writeFileSync(path.join(root, '..', 'outside.mp3'), 'outside');
+    const { playlists, songs } = await library.getLibrary();
+
+    const dirId = library.parsePlaylistInput('DJ Sets');
+    const m3uId = library.parsePlaylistInput('party.m3u');
+    assert.ok(playlists.has(dirId));
+    assert.ok(playlists.has(m3uId));
+    assert.equal(playlists.size, 2);
+    assert.equal(songs.size, 2);
+    assert.match(dirId, /^\d+$/);
+
+    const detail = await library.getPlaylistDetail(dirId);
+    assert.equal(detail.name, 'DJ Sets');
+    assert.deepEqual(detail.tracks.map((t) => [t.artist, t.name]), [
+      ['01 Opener', 'Warmup'],
+      ['', '02 Closing']
+    ]);
+    assert.ok(detail.tracks.every((t) => library.isValidSongId(t.id)));
+
+    const party = await library.getPlaylistDetail(m3uId);
+    assert.equal(party.tracks.length, 1);
+    assert.equal(party.tracks[0].name, 'Closer');
+    assert.equal(party.tracks[0].duration, 321);
+    assert.equal(party.tracks[0].id, detail.tracks[1].id);
+
+    const url = await library.getSongUrl(detail.tracks[0].id);
+    assert.equal(library.resolveLocalAudioPath(url), fs.realpathSync(path.join(root, 'DJ Sets', '01 Opener - Warmup.mp3')));
+    assert.equal(library.resolveLocalAudioPath(pathToFileURL(path.join(root, '..', 'outside.mp3')).href), null);
+    assert.equal(library.resolveLocalAudioPath(pathToFileURL(path.join(root, 'DJ Sets', 'cover.jpg')).href), null);
+    assert.equal(library.resolveLocalAudioPath('https://example.com/a.mp3'), null);
+  } finally {
+    fs.rmSync(path.join(root, '..', 'outside.mp3'), { force: true });
+    restore();
+  }
+});
+
+test('本地音乐源走通 lite m3u8 与单曲文件返回', async () => {
+  const root = makeLibraryDir();
+  const restore = withLibraryEnv(root);
+  const { registerSource, unregisterSource, bindSource } = require('../lib/sources');
+  const { createPlaybackToken } = require('../lib/playback-token');
+  const { userOps } = require('../lib/db');
+
+  const hadLocal = unregisterSource('local');
+  registerSource(require('../lib/sources/local'));
+
+  const app = express();
+  const router = express.Router({ mergeParams: true });
+  router.use(bindSource());
+  router.use('/playlist', require('../routes/playlist'));
+  router.use('/song', require('../routes/song'));
+  app.use('/api/:source', router);
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const userId = 900000002;
+  const originalGetById = userOps.getById;
+  userOps.getById = { get: (id) => (Number(id) === userId ? { id: userId, cookie: '' } : undefined) };
+
+  try {
+    const playlistId = library.parsePlaylistInput('DJ Sets');
+    const token = createPlaybackToken({ userId, playlistId });
+
+    const m3u8Res = await fetch(`${base}/api/local/playlist/m3u8/${encodeURIComponent(token)}/${playlistId}/stream.m3u8`);
+    assert.equal(m3u8Res.status, 200);
+    const m3u8 = await m3u8Res.text();
+    assert.match(m3u8, /#EXTINF:\d+\.000,01 Opener - Warmup/);
+
+    const songUrl = m3u8.split('\n').find((line) => line.includes('/api/local/song/'));
+    assert.ok(songUrl);
+    const songRes = await fetch(songUrl);
+    assert.equal(songRes.status, 200);
+    assert.equal(await songRes.text(), 'fake-mp3-a');
+  } finally {
+    userOps.getById = originalGetById;
+    server.close();
+    unregisterSource('local');
+    if (hadLocal) registerSource(require('../lib/sources/local'));
+    restore();
+  }
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getLoudnormConfig,
+  isSameLoudnormTarget,
+  buildLoudnessMeasureArgs,
+  parseLoudnormOutput,
+  buildLoudnormFilter,
+  getReplayGain
+} = require('../lib/loudness');
+
+const SAMPLE_LOG = `[Parsed_loudnorm_0 @ 0x55d] 
+{
+	"input_i" : "-9.42",
+	"input_tp" : "-0.12",
+	"input_lra" : "6.30",
+	"input_thresh" : "-19.55",
+	"output_i" : "-16.01",
+	"output_tp" : "-1.50",
+	"output_lra" : "5.80",
+	"output_thresh" : "-26.10",
+	"normalization_type" : "dynamic",
+	"target_offset" : "0.01"
+}
+`;
+
+test('默认关闭，开启后读取目标并忽略越界值', () => {
+  assert.equal(getLoudnormConfig({}), null);
+  assert.equal(getLoudnormConfig({ LOUDNORM: '0' }), null);
+  assert.deepEqual(getLoudnormConfig({ LOUDNORM: '1' }), { i: -16, tp: -1.5, lra: 11 });
+  assert.deepEqual(
+    getLoudnormConfig({ LOUDNORM: 'true', LOUDNORM_I: '-14', LOUDNORM_TP: '3', LOUDNORM_LRA: '7' }),
+    { i: -14, tp: -1.5, lra: 7 }
+  );
+});
+
+test('缓存目标比较：均未开启视为一致，目标变化需重新生成', () => {
+  const target = { i: -16, tp: -1.5, lra: 11 };
+  assert.equal(isSameLoudnormTarget(null, undefined), true);
+  assert.equal(isSameLoudnormTarget({ ...target }, target), true);
+  assert.equal(isSameLoudnormTarget(null, target), false);
+  assert.equal(isSameLoudnormTarget({ ...target, i: -14 }, target), false);
+});
+
+test('解析第一遍测量输出，无法测量时返回 null', () => {
+  assert.deepEqual(parseLoudnormOutput(`Stream #0:0: Audio: mp3\n${SAMPLE_LOG}`), {
+    input_i: -9.42,
+    input_tp: -0.12,
+    input_lra: 6.3,
+    input_thresh: -19.55,
+    target_offset: 0.01
+  });
+  assert.equal(parseLoudnormOutput(SAMPLE_LOG.replace('"-9.42"', '"-inf"')), null);
+  assert.equal(parseLoudnormOutput('no json here'), null);
+});
+
+test('测量与第二遍滤镜参数', () => {
+  const target = { i: -16, tp: -1.5, lra: 11 };
+  const args = buildLoudnessMeasureArgs('/tmp/a.mp3', target);
+  assert.equal(args[args.indexOf('-af') + 1], 'loudnorm=I=-16:TP=-1.5:LRA=11:print_format=json');
+  assert.deepEqual(args.slice(-3), ['-f', 'null', '-']);
+
+  assert.equal(buildLoudnormFilter(target, null), 'loudnorm=I=-16:TP=-1.5:LRA=11');
+  assert.equal(
+    buildLoudnormFilter(target, parseLoudnormOutput(SAMPLE_LOG)),
+    'loudnorm=I=-16:TP=-1.5:LRA=11:measured_I=-9.42:measured_TP=-0.12:measured_LRA=6.3:measured_thresh=-19.55:offset=0.01:linear=true'
+  );
+});
+
+test('ReplayGain 增益相对 -18 LUFS，峰值为线性值', () => {
+  assert.equal(getReplayGain(null), null);
+  assert.deepEqual(getReplayGain({ input_i: -9.42, input_tp: -0.12 }), { gain: -8.58, peak: 0.986279 });
+});
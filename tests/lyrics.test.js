@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseLrc,
+  mergeLyrics,
+  formatVttTime,
+  buildLrc,
+  buildWebVtt
+} = require('../lib/lyrics');
+
+test('解析 LRC：一行多个时间标签、毫秒位数与 offset', () => {
+  const entries = parseLrc([
+    '[ti:晴天]',
+    '[00:20.5][01:10.25]副歌',
+    '[00:01.123]第一行',
+    '[00:10]第二行'
+  ].join('\n'));
+  assert.deepEqual(entries.map((e) => [e.time, e.text]), [
+    [1.123, '第一行'],
+    [10, '第二行'],
+    [20.5, '副歌'],
+    [70.25, '副歌']
+  ]);
+
+  // offset 为正表示歌词整体提前
+  const shifted = parseLrc('[offset:500]\n[00:02.00]a');
+  assert.equal(shifted[0].time, 1.5);
+});
+
+test('合并翻译：按时间戳对应，空行只作为结束时间', () => {
+  const lrc = '[00:01.00]Hello\n[00:04.00]World\n[00:08.00]\n[00:10.00]End';
+  const tlrc = '[00:01.00]你好\n[00:04.00]//';
+  const cues = mergeLyrics(lrc, tlrc, { duration: 15 });
+  assert.deepEqual(cues, [
+    { start: 1, end: 4, text: 'Hello', translation: '你好' },
+    { start: 4, end: 8, text: 'World', translation: '' },
+    { start: 10, end: 15, text: 'End', translation: '' }
+  ]);
+
+  // 时长未知时最后一行显示 5 秒
+  assert.equal(mergeLyrics('[00:10.00]End', '').at(-1).end, 15);
+});
+
+test('双语 LRC：同一时间戳的第二行视为翻译', () => {
+  const cues = mergeLyrics('[00:01.00]Hello\n[00:01.00]你好\n[00:03.00]Bye', '', { duration: 5 });
+  assert.equal(cues[0].translation, '你好');
+  assert.equal(cues.length, 2);
+});
+
+test('输出 LRC 与 WebVTT', () => {
+  const cues = [
+    { start: 1.5, end: 61, text: 'a < b & c', translation: '译文' },
+    { start: 61, end: 3725.25, text: 'x', translation: '' }
+  ];
+  assert.equal(buildLrc(cues), '[00:01.50]a < b & c\n[00:01.50]译文\n[01:01.00]x\n');
+  assert.equal(formatVttTime(3725.25), '01:02:05.250');
+
+  const vtt = buildWebVtt(cues, { timestampMap: 'MPEGTS:0,LOCAL:00:00:00.000' });
+  assert.equal(vtt, [
+    'WEBVTT',
+    'X-TIMESTAMP-MAP=MPEGTS:0,LOCAL:00:00:00.000',
+    '',
+    '1',
+    '00:00:01.500 --> 00:01:01.000',
+    'a &lt; b &amp; c',
+    '译文',
+    '',
+    '2',
+    '00:01:01.000 --> 01:02:05.250',
+    'x',
+    ''
+  ].join('\n'));
+  assert.equal(buildWebVtt([]), 'WEBVTT\n');
+});
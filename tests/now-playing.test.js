@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeNowPlaying,
+  getNowPlayingFont,
+  truncateLine,
+  getNowPlayingInfo,
+  escapeFilterValue,
+  buildOverlayFilterGraph
+} = require('../lib/now-playing');
+
+test('np 只接受 1 / true', () => {
+  assert.equal(normalizeNowPlaying('1'), true);
+  assert.equal(normalizeNowPlaying(' TRUE '), true);
+  assert.equal(normalizeNowPlaying('0'), false);
+  assert.equal(normalizeNowPlaying(undefined), false);
+});
+
+test('字体：绝对路径按字体文件，其余按字体名', () => {
+  assert.deepEqual(getNowPlayingFont({}), { font: 'Noto Sans CJK SC' });
+  assert.deepEqual(getNowPlayingFont({ NOW_PLAYING_FONT: '/usr/share/fonts/wqy.ttc' }), { fontfile: '/usr/share/fonts/wqy.ttc' });
+  assert.deepEqual(getNowPlayingFont({ NOW_PLAYING_FONT: 'WenQuanYi Zen Hei' }), { font: 'WenQuanYi Zen Hei' });
+});
+
+test('曲目信息按字符截断，缺少缓存时以歌曲ID作为标题', () => {
+  assert.equal(truncateLine('晴天', 5), '晴天');
+  assert.equal(truncateLine('一二三四五六', 5), '一二三四…');
+  assert.equal(truncateLine('  a \n b  '), 'a b');
+
+  assert.deepEqual(
+    getNowPlayingInfo({ song: { name: '晴天', artist: '周杰伦', duration: 269 }, songId: '1', playlistName: '我喜欢的音乐' }),
+    { title: '晴天', artist: '周杰伦', playlistName: '我喜欢的音乐', duration: 269 }
+  );
+  assert.deepEqual(
+    getNowPlayingInfo({ song: null, songId: '186016', playlistName: null }),
+    { title: '186016', artist: '', playlistName: '', duration: 0 }
+  );
+});
+
+test('滤镜参数值两级转义', () => {
+  assert.equal(escapeFilterValue('/tmp/a.txt'), '/tmp/a.txt');
+  assert.equal(escapeFilterValue('C:/fonts/a,b.ttf'), 'C\\\\:/fonts/a\\,b.ttf');
+});
+
+test('滤镜图：底板、各行文字与随时间滑入的进度条', () => {
+  const base = {
+    baseFilter: 'scale=1280:720',
+    width: 1280,
+    height: 720,
+    fps: 5,
+    font: { font: 'Noto Sans CJK SC' }
+  };
+  const textFiles = { title: '/tmp/t.txt', playlistName: '/tmp/p.txt' };
+  const graph = buildOverlayFilterGraph({ ...base, nowPlaying: { textFiles, duration: 269 } });
+  const chains = graph.split(';');
+  assert.equal(chains.length, 3);
+  assert.ok(chains[0].startsWith('[0:v]scale=1280:720,drawbox='));
+  assert.equal((chains[0].match(/drawtext=/g) || []).length, 2);
+  assert.match(chains[0], /textfile=\/tmp\/t\.txt:expansion=none/);
+  assert.ok(!chains[0].includes('artist'));
+  assert.equal(chains[1], 'color=c=white:s=1280x7:r=5[bar]');
+  assert.equal(chains[2], '[np][bar]overlay=x=-w+w*t/269:y=H-h:shortest=1[v]');
+
+  // 时长未知时不绘制进度条
+  const noBar = buildOverlayFilterGraph({ ...base, nowPlaying: { textFiles, duration: 0 } });
+  assert.ok(!noBar.includes('overlay'));
+  assert.ok(noBar.endsWith('[v]'));
+});
+
+test('滤镜图：歌词按时间显示，翻译在原文下方', () => {
+  const lyrics = [
+    { start: 1.5, end: 4, text: 'Hello, world', translation: '你好' },
+    { start: 4, end: 9, text: '第二行', translation: '' }
+  ];
+  const graph = buildOverlayFilterGraph({
+    baseFilter: 'scale=1280:720',
+    width: 1280,
+    height: 720,
+    fps: 5,
+    lyrics,
+    font: { font: 'Noto Sans CJK SC' }
+  });
+  assert.ok(graph.startsWith('[0:v]scale=1280:720,drawtext='));
+  assert.ok(graph.endsWith('[v]'));
+  assert.equal((graph.match(/drawtext=/g) || []).length, 3);
+  assert.match(graph, /text=Hello\\, world:expansion=none/);
+  assert.match(graph, /enable=gte\(t\\,1\.500\)\*lt\(t\\,4\.000\)/);
+  assert.ok(!graph.includes('drawbox'));
+});
+
+test('滤镜图：接在可视化画面之后时不再缩放', () => {
+  const graph = buildOverlayFilterGraph({
+    input: '[vis]',
+    width: 1280,
+    height: 720,
+    fps: 25,
+    nowPlaying: { textFiles: { title: '/tmp/t.txt' }, duration: 0 },
+    font: { font: 'Noto Sans CJK SC' }
+  });
+  assert.ok(graph.startsWith('[vis]drawbox='));
+  assert.ok(graph.endsWith('[v]'));
+});
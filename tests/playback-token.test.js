@@ -4,6 +4,9 @@ const assert = require('node:assert/strict');
 const {
   createPlaybackToken,
   verifyPlaybackToken,
+  derivePlaybackToken,
+  generateTokenId,
+  isValidTokenId,
   getPlaybackTokenTtlSeconds
 } = require('../lib/playback-token');
 
@@ -81,3 +84,158 @@ test('caps playback token ttl at 48 hours', () => {
     }
   }
 });
+
+test('single-song token is scoped to its virtual playlist id', () => {
+  const token = createPlaybackToken({ userId: 3, playlistId: 'song-003abcDEF' });
+
+  const ok = verifyPlaybackToken(token, { playlistId: 'song-003abcDEF' });
+  assert.equal(ok.ok, true);
+  assert.equal(ok.playlistId, 'song-003abcDEF');
+
+  assert.equal(verifyPlaybackToken(token, { playlistId: 'song-other' }).ok, false);
+  assert.equal(verifyPlaybackToken(token, { playlistId: '123' }).ok, false);
+  assert.throws(() => createPlaybackToken({ userId: 3, playlistId: 'song-../x' }), /Invalid playlistId/);
+  assert.throws(() => createPlaybackToken({ userId: 3, playlistId: 'mix-1' }), /Invalid playlistId/);
+});
+
+test('playback options are signed into the token', () => {
+  const options = { seed: 99, offset: 0, limit: 5, reverse: false, loop: 2, skipUnavailable: true };
+  const token = createPlaybackToken({ userId: 4, playlistId: '100', options });
+
+  const verified = verifyPlaybackToken(token, { playlistId: '100' });
+  assert.equal(verified.ok, true);
+  assert.deepEqual(verified.options, options);
+
+  const plain = verifyPlaybackToken(createPlaybackToken({ userId: 4, playlistId: '100' }), { playlistId: '100' });
+  assert.equal(plain.options.seed, null);
+  assert.equal(plain.options.loop, 1);
+});
+
+test('v2 token carries signed claims in a compact url-safe form', () => {
+  const token = createPlaybackToken({
+    userId: 123456789,
+    playlistId: '1234567890',
+    source: 'netease',
+    mode: 'lite_video',
+    quality: 'high',
+    options: { seed: 42, offset: 0, limit: 10, reverse: false, loop: 1, skipUnavailable: false }
+  });
+
+  assert.match(token, /^2~[0-9a-z~_.A-Z-]+$/);
+  assert.equal(encodeURIComponent(token), token);
+  assert.ok(token.length < 90, `token too long: ${token.length}`);
+
+  const verified = verifyPlaybackToken(token, { playlistId: '1234567890' });
+  assert.equal(verified.ok, true);
+  assert.equal(verified.version, 2);
+  assert.equal(verified.source, 'netease');
+  assert.equal(verified.mode, 'lite_video');
+  assert.equal(verified.quality, 'high');
+  assert.equal(verified.options.seed, 42);
+  assert.equal(verified.options.limit, 10);
+
+  assert.equal(verifyPlaybackToken(token.replace('qhigh', 'qlossless')).reason, 'bad-signature');
+  assert.throws(() => createPlaybackToken({ userId: 1, playlistId: '1', quality: 'ultra' }), /Invalid quality/);
+  assert.throws(() => createPlaybackToken({ userId: 1, playlistId: '1', mode: 'video' }), /Invalid mode/);
+});
+
+test('token id (jti) is signed into v2 tokens', () => {
+  const jti = generateTokenId();
+  assert.ok(isValidTokenId(jti));
+  assert.notEqual(generateTokenId(), jti);
+
+  const token = createPlaybackToken({ userId: 7, playlistId: '42', source: 'qq', jti });
+  assert.ok(token.length < 60, `token too long: ${token.length}`);
+  const verified = verifyPlaybackToken(token, { playlistId: '42' });
+  assert.equal(verified.ok, true);
+  assert.equal(verified.jti, jti);
+
+  assert.equal(verifyPlaybackToken(createPlaybackToken({ userId: 7, playlistId: '42' })).jti, null);
+  assert.throws(() => createPlaybackToken({ userId: 7, playlistId: '42', jti: 'BAD!' }), /Invalid jti/);
+});
+
+test('output options are signed into the token', () => {
+  const token = createPlaybackToken({
+    userId: 9,
+    playlistId: '500',
+    mode: 'visualizer',
+    format: 'cmaf',
+    crossfade: '6',
+    nowPlaying: true,
+    lyrics: true,
+    rendition: '720p'
+  });
+
+  const verified = verifyPlaybackToken(token, { playlistId: '500' });
+  assert.equal(verified.ok, true);
+  assert.equal(verified.format, 'fmp4');
+  assert.equal(verified.crossfade, 6);
+  assert.equal(verified.nowPlaying, true);
+  assert.equal(verified.lyrics, true);
+  assert.equal(verified.rendition, '720p');
+  assert.equal(verifyPlaybackToken(token.replace('~d6', '~dc')).reason, 'bad-signature');
+
+  const plain = verifyPlaybackToken(createPlaybackToken({ userId: 9, playlistId: '500', format: 'ts', crossfade: 0 }));
+  assert.equal(plain.format, null);
+  assert.equal(plain.crossfade, 0);
+  assert.equal(plain.nowPlaying, false);
+  assert.equal(plain.lyrics, false);
+  assert.equal(plain.rendition, null);
+
+  assert.throws(() => createPlaybackToken({ userId: 1, playlistId: '1', format: 'webm' }), /Invalid format/);
+  assert.throws(() => createPlaybackToken({ userId: 1, playlistId: '1', crossfade: 13 }), /Invalid crossfade/);
+  assert.throws(() => createPlaybackToken({ userId: 1, playlistId: '1', rendition: '720p!' }), /Invalid rendition/);
+});
+
+test('derived tokens keep every claim and only change rendition or expiry', () => {
+  const nowMs = Date.now();
+  const jti = generateTokenId();
+  const token = createPlaybackToken({
+    userId: 3,
+    playlistId: '800',
+    source: 'netease',
+    mode: 'audio',
+    quality: 'lossless',
+    jti,
+    format: 'fmp4',
+    crossfade: 4,
+    options: { seed: 7, offset: 0, limit: null, reverse: false, loop: 1, skipUnavailable: false },
+    ttlSeconds: 300,
+    nowMs
+  });
+  const original = verifyPlaybackToken(token, { nowMs });
+
+  const derived = derivePlaybackToken(token, { rendition: '96k' });
+  const verified = verifyPlaybackToken(derived, { playlistId: '800', nowMs });
+  assert.equal(verified.ok, true);
+  assert.equal(verified.rendition, '96k');
+  assert.equal(verified.expiresAt, original.expiresAt);
+  for (const key of ['userId', 'source', 'mode', 'quality', 'jti', 'format', 'crossfade', 'nowPlaying', 'lyrics', 'options']) {
+    assert.deepEqual(verified[key], original[key], key);
+  }
+
+  const extended = verifyPlaybackToken(derivePlaybackToken(derived, { expiresAt: original.expiresAt + 600 }), { nowMs });
+  assert.equal(extended.expiresAt, original.expiresAt + 600);
+  assert.equal(extended.rendition, '96k');
+
+  assert.equal(derivePlaybackToken(token.replace('qlossless', 'qhigh'), { rendition: '96k' }), null);
+  assert.equal(derivePlaybackToken('a'.repeat(32), { rendition: '96k' }), null);
+});
+
+test('still verifies v1 JSON tokens', () => {
+  const { getKey } = require('../lib/crypto');
+  const payloadB64 = Buffer.from(JSON.stringify({
+    u: 5,
+    p: '777',
+    e: Math.floor(Date.now() / 1000) + 60,
+    o: { s: 9 }
+  })).toString('base64url');
+  const sig = require('node:crypto').createHmac('sha256', getKey()).update(payloadB64).digest('base64url');
+
+  const verified = verifyPlaybackToken(`${payloadB64}.${sig}`, { playlistId: '777' });
+  assert.equal(verified.ok, true);
+  assert.equal(verified.version, 1);
+  assert.equal(verified.userId, 5);
+  assert.equal(verified.source, null);
+  assert.equal(verified.options.seed, 9);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_OPTIONS,
+  isTruthyFlag,
+  parsePlaylistOptionsQuery,
+  toTokenOptions,
+  fromTokenOptions,
+  applyPlaylistOptions
+} = require('../lib/playlist-options');
+
+const TRACKS = ['a', 'b', 'c', 'd', 'e', 'f'].map((id) => ({ id }));
+const ids = (list) => list.map((t) => t.id).join('');
+
+test('parsePlaylistOptionsQuery 解析并校验查询参数', () => {
+  assert.deepEqual(parsePlaylistOptionsQuery({}), DEFAULT_OPTIONS);
+  assert.deepEqual(
+    parsePlaylistOptionsQuery({ seed: '42', offset: '2', limit: '3', reverse: '1', loop: '2', skip_unavailable: 'true' }),
+    { seed: 42, offset: 2, limit: 3, reverse: true, loop: 2, skipUnavailable: true }
+  );
+
+  const shuffled = parsePlaylistOptionsQuery({ shuffle: '1' });
+  assert.ok(Number.isInteger(shuffled.seed) && shuffled.seed > 0);
+
+  assert.throws(() => parsePlaylistOptionsQuery({ limit: '0' }), /无效的歌曲数量/);
+  assert.throws(() => parsePlaylistOptionsQuery({ loop: '99' }), /无效的循环次数/);
+  assert.throws(() => parsePlaylistOptionsQuery({ offset: '-1' }), /无效的起始位置/);
+  assert.throws(() => parsePlaylistOptionsQuery({ seed: 'abc' }), /无效的随机种子/);
+});
+
+test('isTruthyFlag 只认明确的开关值', () => {
+  for (const value of ['1', 'true', 'YES', ' on ']) assert.equal(isTruthyFlag(value), true);
+  for (const value of [undefined, null, '', '0', 'false', 'off']) assert.equal(isTruthyFlag(value), false);
+});
+
+test('token 紧凑形式可往返，默认选项不写入', () => {
+  assert.equal(toTokenOptions(DEFAULT_OPTIONS), null);
+  const options = { seed: 7, offset: 1, limit: 2, reverse: true, loop: 3, skipUnavailable: true };
+  const compact = toTokenOptions(options);
+  assert.deepEqual(compact, { s: 7, f: 1, l: 2, r: 1, n: 3, k: 1 });
+  assert.deepEqual(fromTokenOptions(compact), options);
+  assert.deepEqual(fromTokenOptions(undefined), DEFAULT_OPTIONS);
+  assert.throws(() => fromTokenOptions({ n: 100 }), /Invalid options/);
+  assert.throws(() => fromTokenOptions('x'), /Invalid options/);
+});
+
+test('applyPlaylistOptions 同一种子顺序固定，按规则截取与循环', () => {
+  const once = ids(applyPlaylistOptions(TRACKS, { seed: 123 }));
+  assert.equal(ids(applyPlaylistOptions(TRACKS, { seed: 123 })), once);
+  assert.notEqual(ids(applyPlaylistOptions(TRACKS, { seed: 456 })), once);
+  assert.equal(once.split('').sort().join(''), 'abcdef');
+
+  assert.equal(ids(applyPlaylistOptions(TRACKS, { reverse: true, offset: 1, limit: 2 })), 'ed');
+  assert.equal(ids(applyPlaylistOptions(TRACKS, { limit: 2, loop: 3 })), 'ababab');
+  assert.equal(ids(applyPlaylistOptions(TRACKS, null)), 'abcdef');
+
+  const withVip = [{ id: 'x', available: false }, { id: 'y', available: true }, { id: 'z' }];
+  assert.equal(ids(applyPlaylistOptions(withVip, { skipUnavailable: true })), 'yz');
+  assert.equal(ids(applyPlaylistOptions(withVip, {})), 'xyz');
+  // 原数组不被修改
+  assert.equal(ids(TRACKS), 'abcdef');
+});
@@ -1,8 +1,8 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 
-const neteaseRouter = require('../routes/playlist');
-const qqRouter = require('../routes/qq-playlist');
+const playlistRouter = require('../routes/playlist');
+const { getSource } = require('../lib/sources');
 
 function getRouteHandler(router, path, method) {
   const layer = router.stack.find((l) => l && l.route && l.route.path === path && l.route.methods && l.route.methods[method]);
@@ -12,10 +12,11 @@ function getRouteHandler(router, path, method) {
   return handlers[handlers.length - 1];
 }
 
-function createMockReq({ id, userType }) {
+function createMockReq({ id, userType, query = {} }) {
   const req = {
-    query: { id: String(id) },
+    query: { id: String(id), ...query },
     params: {},
+    musicSource: getSource(userType),
     protocol: 'https',
     get(name) {
       if (String(name).toLowerCase() === 'host') return 'music.example.test';
@@ -51,7 +52,7 @@ async function invokeHandler(handler, req) {
 }
 
 test('网易 /url 返回 lite + mp4 + hls 且 default=lite', async () => {
-  const handler = getRouteHandler(neteaseRouter, '/url', 'get');
+  const handler = getRouteHandler(playlistRouter, '/url', 'get');
   const req = createMockReq({ id: '123456', userType: 'netease' });
 
   const res = await invokeHandler(handler, req);
@@ -61,8 +62,9 @@ test('网易 /url 返回 lite + mp4 + hls 且 default=lite', async () => {
   const data = res.body.data;
   assert.equal(data.default, 'lite');
 
+  // 未声明 fMP4 封装时不提供 DASH
   const types = (data.urls || []).map((x) => x.type);
-  assert.deepEqual(types, ['lite', 'hls']);
+  assert.deepEqual(types, ['lite', 'hls', 'live']);
 
   const lite = data.urls.find((x) => x.type === 'lite');
   assert.ok(lite);
@@ -77,8 +79,8 @@ test('网易 /url 返回 lite + mp4 + hls 且 default=lite', async () => {
 });
 
 test('QQ /url 返回 lite + mp4 + hls 且 default=lite', async () => {
-  const handler = getRouteHandler(qqRouter, '/url', 'get');
-  const req = createMockReq({ id: '888999', userType: 'qq' });
+  const handler = getRouteHandler(playlistRouter, '/url', 'get');
+  const req = createMockReq({ id: '888999', userType: 'qq', query: { fmt: 'fmp4' } });
 
   const res = await invokeHandler(handler, req);
   assert.equal(res.statusCode, 200);
@@ -88,7 +90,7 @@ test('QQ /url 返回 lite + mp4 + hls 且 default=lite', async () => {
   assert.equal(data.default, 'lite');
 
   const types = (data.urls || []).map((x) => x.type);
-  assert.deepEqual(types, ['lite', 'hls']);
+  assert.deepEqual(types, ['lite', 'hls', 'dash', 'live']);
 
   const lite = data.urls.find((x) => x.type === 'lite');
   assert.ok(lite);
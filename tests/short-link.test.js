@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const {
+  generateShortCode,
+  isValidShortCode,
+  parseExpiresInHours,
+  buildPlaybackPath
+} = require('../lib/short-link');
+const { registerSource, unregisterSource, bindSource } = require('../lib/sources');
+const { createMemorySource } = require('../lib/sources/memory');
+const { createPlaybackToken, verifyPlaybackToken } = require('../lib/playback-token');
+const { shortLinkOps } = require('../lib/db');
+const shortLinkRoutes = require('../routes/short-link');
+
+const OWNER_ID = 900000101;
+const OTHER_ID = 900000102;
+
+function startApp() {
+  const app = express();
+  app.use(express.json());
+  const router = express.Router({ mergeParams: true });
+  router.use(bindSource());
+  router.use('/links', shortLinkRoutes);
+  app.use('/api/:source', router);
+  app.get('/s/:code', shortLinkRoutes.redirectShortLink);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({ server, base: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+test('短码生成与校验', () => {
+  const code = generateShortCode();
+  assert.equal(code.length, 7);
+  assert.ok(isValidShortCode(code));
+  assert.doesNotMatch(code, /[0O1lI]/);
+  assert.equal(isValidShortCode('ab'), false);
+  assert.equal(isValidShortCode('abc/def'), false);
+});
+
+test('有效期解析：空值永久，非法值为 NaN', () => {
+  assert.equal(parseExpiresInHours(''), null);
+  assert.equal(parseExpiresInHours(undefined), null);
+  assert.equal(parseExpiresInHours(0), null);
+  assert.equal(parseExpiresInHours('24'), 24);
+  assert.ok(Number.isNaN(parseExpiresInHours('1.5')));
+  assert.ok(Number.isNaN(parseExpiresInHours(-1)));
+  assert.ok(Number.isNaN(parseExpiresInHours(100000)));
+});
+
+test('短链跳转地址与 /playlist/url 一致', () => {
+  assert.equal(
+    buildPlaybackPath({ apiBase: '/api/qq', type: 'lite', token: 'a.b', playlistId: '1' }),
+    '/api/qq/playlist/m3u8/a.b/1/stream.m3u8'
+  );
+  assert.equal(
+    buildPlaybackPath({ apiBase: '/api', type: 'mp4', token: 't', playlistId: '1', songId: '9' }),
+    '/api/mp4/t/1/9.mp4'
+  );
+  assert.equal(
+    buildPlaybackPath({ apiBase: '/api/qq', type: 'dash', token: 't', playlistId: '1' }),
+    '/api/qq/hls/t/1/manifest.mpd'
+  );
+  assert.equal(
+    buildPlaybackPath({ apiBase: '/api', type: 'live', token: 't', playlistId: '1' }),
+    '/api/hls/t/1/live.m3u8'
+  );
+  assert.throws(() => buildPlaybackPath({ apiBase: '/api', type: 'flac', token: 't', playlistId: '1' }), /Invalid link type/);
+});
+
+test('短链创建、跳转计数、仅本人撤销', async () => {
+  const fake = createMemorySource({ name: 'fake_short' });
+  fake.addUser({ id: OWNER_ID, token: 'owner-token' });
+  fake.addUser({ id: OTHER_ID, token: 'other-token' });
+  fake.addPlaylist({ id: '77', name: '短链歌单', tracks: [{ id: 'x1', name: '歌', duration: 60 }] });
+  registerSource(fake);
+
+  const { server, base } = await startApp();
+  const post = (body, loginToken) => fetch(`${base}/api/fake_short/links`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Token': loginToken },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    const playback = createPlaybackToken({ userId: OWNER_ID, playlistId: '77', source: 'fake_short' });
+
+    const stolen = await post({ token: playback, playlistId: '77', type: 'lite', expiresInHours: 24 }, 'other-token');
+    assert.equal(stolen.status, 403);
+
+    const badType = await post({ token: playback, playlistId: '77', type: 'flac' }, 'owner-token');
+    assert.equal(badType.status, 400);
+
+    const badExpiry = await post({ token: playback, playlistId: '77', type: 'lite', expiresInHours: 1.5 }, 'owner-token');
+    assert.equal(badExpiry.status, 400);
+
+    // 旧版 32 位 token 即登录凭证，不能创建短链
+    const loginToken = 'c'.repeat(32);
+    fake.addUser({ id: OWNER_ID + 10, token: loginToken });
+    const legacy = await post({ token: loginToken, playlistId: '77', type: 'lite', expiresInHours: 24 }, loginToken);
+    assert.equal(legacy.status, 400);
+
+    const created = await post({ token: playback, playlistId: '77', type: 'lite', label: '测试', expiresInHours: 24 }, 'owner-token');
+    assert.equal(created.status, 200);
+    const link = (await created.json()).data;
+    assert.match(link.url, new RegExp(`/s/${link.code}$`));
+    assert.ok(link.expiresAt);
+
+    const hit = await fetch(link.url, { redirect: 'manual' });
+    assert.equal(hit.status, 302);
+    assert.match(hit.headers.get('location'), /\/api\/fake_short\/playlist\/m3u8\/.+\/77\/stream\.m3u8$/);
+
+    const list = await (await fetch(`${base}/api/fake_short/links`, { headers: { 'X-Token': 'owner-token' } })).json();
+    assert.equal(list.total, 1);
+    assert.equal(list.data[0].hits, 1);
+    assert.equal(list.data[0].label, '测试');
+
+    const otherDelete = await fetch(`${base}/api/fake_short/links/${link.code}`, { method: 'DELETE', headers: { 'X-Token': 'other-token' } });
+    assert.equal(otherDelete.status, 404);
+
+    const ownerDelete = await fetch(`${base}/api/fake_short/links/${link.code}`, { method: 'DELETE', headers: { 'X-Token': 'owner-token' } });
+    assert.equal(ownerDelete.status, 200);
+
+    const gone = await fetch(link.url, { redirect: 'manual' });
+    assert.equal(gone.status, 404);
+  } finally {
+    server.close();
+    unregisterSource('fake_short');
+  }
+});
+
+test('保存的 token 过期后按原声明续签且不超过短链有效期，短链本身过期则 404', async () => {
+  const fake = createMemorySource({ name: 'fake_short_renew' });
+  fake.addUser({ id: OWNER_ID, token: 'owner-token' });
+  registerSource(fake);
+
+  const { server, base } = await startApp();
+  const expiredToken = createPlaybackToken({
+    userId: OWNER_ID,
+    playlistId: '88',
+    source: 'fake_short_renew',
+    quality: 'low',
+    ttlSeconds: 1,
+    nowMs: Date.now() - 60 * 1000
+  });
+  const row = {
+    source: 'fake_short_renew',
+    user_id: OWNER_ID,
+    playlist_id: '88',
+    song_id: null,
+    type: 'hls',
+    token: expiredToken,
+    label: ''
+  };
+  const liveCode = generateShortCode();
+  const deadCode = generateShortCode();
+  const foreverCode = generateShortCode();
+  const linkExpiresAt = new Date(Date.now() + 60 * 1000).toISOString().slice(0, 19).replace('T', ' ');
+  shortLinkOps.create.run({ ...row, code: liveCode, expires_at: linkExpiresAt });
+  shortLinkOps.create.run({ ...row, code: deadCode, expires_at: '2000-01-01 00:00:00' });
+  shortLinkOps.create.run({ ...row, code: foreverCode, expires_at: null });
+
+  try {
+    const res = await fetch(`${base}/s/${liveCode}`, { redirect: 'manual' });
+    assert.equal(res.status, 302);
+    const location = res.headers.get('location');
+    assert.match(location, /\/api\/fake_short_renew\/hls\/.+\/88\/master\.m3u8$/);
+    assert.ok(!location.includes(encodeURIComponent(expiredToken)));
+    const renewed = verifyPlaybackToken(shortLinkOps.getActive.get(liveCode).token, { playlistId: '88' });
+    assert.equal(renewed.ok, true);
+    assert.equal(renewed.quality, 'low');
+    assert.ok(renewed.expiresAt <= Date.parse(`${linkExpiresAt.replace(' ', 'T')}Z`) / 1000);
+
+    const expired = await fetch(`${base}/s/${deadCode}`, { redirect: 'manual' });
+    assert.equal(expired.status, 404);
+
+    // 永久短链的 token 过期后不再续签
+    const forever = await fetch(`${base}/s/${foreverCode}`, { redirect: 'manual' });
+    assert.equal(forever.status, 410);
+  } finally {
+    shortLinkOps.remove.run(liveCode, 'fake_short_renew', OWNER_ID);
+    shortLinkOps.remove.run(deadCode, 'fake_short_renew', OWNER_ID);
+    shortLinkOps.remove.run(foreverCode, 'fake_short_renew', OWNER_ID);
+    server.close();
+    unregisterSource('fake_short_renew');
+  }
+});
@@ -0,0 +1,301 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const {
+  defineSource,
+  registerSource,
+  unregisterSource,
+  getSource,
+  bindSource
+} = require('../lib/sources');
+const { createMemorySource } = require('../lib/sources/memory');
+const { db } = require('../lib/db');
+
+const USER_ID = 900000001;
+
+function startApp() {
+  const app = express();
+  const router = express.Router({ mergeParams: true });
+  router.use(bindSource());
+  router.use('/playlist', require('../routes/playlist'));
+  router.use('/song', require('../routes/song'));
+  router.use('/tokens', require('../routes/playback-token'));
+  app.use(express.json());
+  app.use('/api/:source', router);
+  app.use('/api', (req, res) => res.status(404).json({ success: false, message: '接口不存在' }));
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({ server, base: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+test('defineSource 校验名称与必需方法', () => {
+  const fake = createMemorySource({ name: 'fake_check' });
+  assert.throws(() => defineSource({ ...fake, name: 'Bad Name' }), /Invalid source name/);
+  assert.throws(() => defineSource({ ...fake, getSongUrl: undefined }), /getSongUrl/);
+  assert.throws(() => defineSource({ ...fake, userStore: null }), /userStore/);
+
+  const source = defineSource(fake);
+  assert.equal(source.apiBase, '/api/fake_check');
+  assert.equal(source.getPlaylistCacheKey('1'), 'fake_check:1');
+  assert.equal(source.toPlayLogSongId('abc'), 'fake_check:abc');
+});
+
+test('重复注册同名音乐源会报错', () => {
+  registerSource(createMemorySource({ name: 'fake_dup' }));
+  try {
+    assert.throws(() => registerSource(createMemorySource({ name: 'fake_dup' })), /already registered/);
+  } finally {
+    unregisterSource('fake_dup');
+  }
+  assert.equal(getSource('fake_dup'), null);
+});
+
+test('内置音乐源保持历史路径与缓存键', () => {
+  const netease = getSource('netease');
+  const qq = getSource('qq');
+
+  assert.equal(netease.apiBase, '/api');
+  assert.equal(netease.getPlaylistCacheKey('123'), '123');
+  assert.equal(netease.parsePlaylistId('https://music.163.com/#/playlist?id=123456'), '123456');
+
+  assert.equal(qq.apiBase, '/api/qq');
+  assert.equal(qq.getPlaylistCacheKey('123'), 'qq:123');
+  assert.equal(qq.toPlayLogSongId('003abc'), 'qq:003abc');
+  assert.equal(qq.getSongIdForTrack({ id: 1, mid: '003abc' }), '003abc');
+  assert.equal(qq.parsePlaylistId('https://y.qq.com/n/ryqq/playlist/7654321'), '7654321');
+});
+
+test('内存音乐源走通 /url → lite m3u8 → 单曲跳转', async () => {
+  const fake = createMemorySource({ name: 'fake', label: '测试源' });
+  fake.addUser({ id: USER_ID, token: 'fake-login-token' });
+  fake.addPlaylist({
+    id: '4242',
+    name: '测试歌单',
+    tracks: [
+      { id: 'song-a', name: '第一首', artist: '歌手', duration: 180 },
+      { id: 'bad id', name: '非法ID', duration: 60 }
+    ]
+  });
+  fake.setSongUrl('song-a', 'http://cdn.example.test/a.mp3');
+  fake.setSongUrl('song-local', 'file:///srv/music/private/b.mp3');
+  registerSource(fake);
+
+  const { server, base } = await startApp();
+  try {
+    const urlRes = await fetch(`${base}/api/fake/playlist/url?id=4242&token=fake-login-token`);
+    assert.equal(urlRes.status, 200);
+    const { data } = await urlRes.json();
+    const lite = data.urls.find((x) => x.type === 'lite');
+    const hls = data.urls.find((x) => x.type === 'hls');
+    assert.match(lite.url, /\/api\/fake\/playlist\/m3u8\/.+\/4242\/stream\.m3u8$/);
+    assert.match(hls.url, /\/api\/fake\/hls\/.+\/4242\/master\.m3u8$/);
+
+    const m3u8Res = await fetch(lite.url);
+    assert.equal(m3u8Res.status, 200);
+    const m3u8 = await m3u8Res.text();
+    assert.match(m3u8, /#EXTINF:180\.000,歌手 - 第一首/);
+    assert.match(m3u8, /\/api\/fake\/song\/[^/]+\/song-a\.mp3\?playlist=4242/);
+    assert.doesNotMatch(m3u8, /非法ID/);
+
+    const songUrl = m3u8.split('\n').find((line) => line.includes('/api/fake/song/'));
+    const songRes = await fetch(songUrl, { redirect: 'manual' });
+    assert.equal(songRes.status, 302);
+    assert.equal(songRes.headers.get('location'), 'https://cdn.example.test/a.mp3');
+
+    // 不在本地曲库内的 file:// 地址不跳转，避免泄露服务器路径
+    const localRes = await fetch(songUrl.replace('/song-a.mp3', '/song-local.mp3'), { redirect: 'manual' });
+    assert.equal(localRes.status, 404);
+    assert.equal(localRes.headers.get('location'), null);
+
+    const unauth = await fetch(`${base}/api/fake/playlist/url?id=4242`);
+    assert.equal(unauth.status, 401);
+
+    const unknown = await fetch(`${base}/api/nope/playlist/url?id=4242`);
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).message, '接口不存在');
+  } finally {
+    server.close();
+    unregisterSource('fake');
+  }
+});
+
+test('单曲链接只包含并只允许播放指定歌曲', async () => {
+  const fake = createMemorySource({ name: 'fake_single', label: '测试源' });
+  fake.addUser({ id: USER_ID, token: 'fake-login-token' });
+  fake.addPlaylist({
+    id: '77',
+    tracks: [
+      { id: 'one', name: '第一首', artist: '甲', duration: 200 },
+      { id: 'two', name: '第二首', artist: '乙', duration: 100 }
+    ]
+  });
+  fake.setSongUrl('one', 'https://cdn.example.test/one.mp3');
+  fake.setSongUrl('two', 'https://cdn.example.test/two.mp3');
+  registerSource(fake);
+
+  const { server, base } = await startApp();
+  try {
+    const bad = await fetch(`${base}/api/fake_single/playlist/url?song=${encodeURIComponent('a/b')}&token=fake-login-token`);
+    assert.equal(bad.status, 400);
+
+    const urlRes = await fetch(`${base}/api/fake_single/playlist/url?song=two&token=fake-login-token`);
+    assert.equal(urlRes.status, 200);
+    const { data } = await urlRes.json();
+    assert.equal(data.song, 'two');
+    assert.deepEqual(data.urls.map((x) => x.type), ['lite', 'hls', 'mp4', 'live']);
+    assert.match(data.urls[2].url, /\/api\/fake_single\/mp4\/.+\/song-two\/two\.mp4$/);
+
+    const m3u8 = await (await fetch(data.url)).text();
+    assert.match(m3u8, /#EXTINF:100\.000,乙 - 第二首/);
+    assert.doesNotMatch(m3u8, /第一首/);
+
+    const songUrl = m3u8.split('\n').find((line) => line.includes('/song/'));
+    const ok = await fetch(songUrl, { redirect: 'manual' });
+    assert.equal(ok.status, 302);
+    assert.equal(ok.headers.get('location'), 'https://cdn.example.test/two.mp3');
+
+    const other = await fetch(songUrl.replace('/two.mp3', '/one.mp3'), { redirect: 'manual' });
+    assert.equal(other.status, 403);
+  } finally {
+    server.close();
+    unregisterSource('fake_single');
+  }
+});
+
+test('专辑与每日推荐走虚拟歌单，每日推荐绑定当前用户', async () => {
+  const fake = createMemorySource({ name: 'fake_virtual', label: '测试源' });
+  fake.addUser({ id: USER_ID, token: 'fake-login-token' });
+  fake.addAlbum({ id: '5', name: '专辑五', tracks: [{ id: 'a1', name: '专辑曲', artist: '丙', duration: 90 }] });
+  fake.setDailyRecommend([{ id: 'd1', name: '推荐曲', artist: '丁', duration: 60 }]);
+  registerSource(fake);
+
+  const { server, base } = await startApp();
+  try {
+    const album = await fetch(`${base}/api/fake_virtual/playlist/url?id=album-5&token=fake-login-token`);
+    assert.equal(album.status, 200);
+    const albumM3u8 = await (await fetch((await album.json()).data.url)).text();
+    assert.match(albumM3u8, /丙 - 专辑曲/);
+
+    const daily = await fetch(`${base}/api/fake_virtual/playlist/url?id=daily&token=fake-login-token`);
+    assert.equal(daily.status, 200);
+    const dailyUrl = (await daily.json()).data.url;
+    assert.ok(dailyUrl.includes(`/daily-${USER_ID}/`));
+    assert.match(await (await fetch(dailyUrl)).text(), /丁 - 推荐曲/);
+
+    const otherUser = await fetch(`${base}/api/fake_virtual/playlist/url?id=daily-1&token=fake-login-token`);
+    assert.equal(otherUser.status, 400);
+
+    const artist = await fetch(`${base}/api/fake_virtual/playlist/url?id=artist-1&token=fake-login-token`);
+    assert.equal(artist.status, 400);
+  } finally {
+    server.close();
+    unregisterSource('fake_virtual');
+  }
+});
+
+test('播放选项写入 token，lite m3u8 按固定顺序输出', async () => {
+  const fake = createMemorySource({ name: 'fake_options', label: '测试源' });
+  fake.addUser({ id: USER_ID, token: 'fake-login-token' });
+  fake.addPlaylist({
+    id: '88',
+    tracks: ['s1', 's2', 's3', 's4', 's5'].map((id) => ({ id, name: id, duration: 10, available: id !== 's3' }))
+  });
+  registerSource(fake);
+
+  const titles = (m3u8) => m3u8.split('\n').filter((l) => l.startsWith('#EXTINF')).map((l) => l.split(',')[1]);
+
+  const { server, base } = await startApp();
+  try {
+    const bad = await fetch(`${base}/api/fake_options/playlist/url?id=88&loop=0&token=fake-login-token`);
+    assert.equal(bad.status, 400);
+
+    const res = await fetch(`${base}/api/fake_options/playlist/url?id=88&shuffle=1&limit=3&loop=2&skip_unavailable=1&token=fake-login-token`);
+    const { data } = await res.json();
+    assert.ok(data.seed > 0);
+
+    const first = titles(await (await fetch(data.url)).text());
+    const second = titles(await (await fetch(data.url)).text());
+    assert.deepEqual(first, second);
+    assert.equal(first.length, 6);
+    assert.deepEqual(first.slice(3), first.slice(0, 3));
+    assert.ok(!first.includes('s3'));
+
+    const reversed = await fetch(`${base}/api/fake_options/playlist/url?id=88&reverse=1&offset=1&limit=2&token=fake-login-token`);
+    const reversedM3u8 = await (await fetch((await reversed.json()).data.url)).text();
+    assert.deepEqual(titles(reversedM3u8), ['s4', 's3']);
+  } finally {
+    server.close();
+    unregisterSource('fake_options');
+  }
+});
+
+test('token 声明的音乐源与当前源不一致时拒绝', async () => {
+  const { createPlaybackToken } = require('../lib/playback-token');
+  const { resolvePlaybackAccess } = require('../lib/sources');
+  const a = createMemorySource({ name: 'fake_a' });
+  const b = createMemorySource({ name: 'fake_b' });
+  a.addUser({ id: USER_ID });
+  b.addUser({ id: USER_ID });
+  const sourceA = registerSource(a);
+  const sourceB = registerSource(b);
+
+  try {
+    const token = createPlaybackToken({ userId: USER_ID, playlistId: '1', source: 'fake_a', quality: 'low' });
+    const access = resolvePlaybackAccess(sourceA, token, '1');
+    assert.equal(access.user.id, USER_ID);
+    assert.equal(access.quality, 'low');
+    assert.equal(resolvePlaybackAccess(sourceB, token, '1'), null);
+  } finally {
+    unregisterSource('fake_a');
+    unregisterSource('fake_b');
+  }
+});
+
+test('播放链接可列出、重命名与撤销，撤销后立即失效', async () => {
+  const fake = createMemorySource({ name: 'fake_revoke' });
+  fake.addUser({ id: USER_ID, token: 'fake-login-token' });
+  fake.addUser({ id: USER_ID + 1, token: 'other-login-token' });
+  fake.addPlaylist({ id: '5151', name: '撤销测试', tracks: [{ id: 'song-a', name: '第一首', duration: 60 }] });
+  fake.setSongUrl('song-a', 'http://cdn.example.test/a.mp3');
+  registerSource(fake);
+
+  const { server, base } = await startApp();
+  const as = (loginToken, init = {}) => ({
+    ...init,
+    headers: { 'Content-Type': 'application/json', 'X-Token': loginToken }
+  });
+  try {
+    const { data } = await (await fetch(`${base}/api/fake_revoke/playlist/url?id=5151&label=${encodeURIComponent('客厅')}`, as('fake-login-token'))).json();
+    assert.ok(data.tokenId);
+    const lite = data.urls.find((x) => x.type === 'lite').url;
+    assert.equal((await fetch(lite)).status, 200);
+
+    const list = await (await fetch(`${base}/api/fake_revoke/tokens`, as('fake-login-token'))).json();
+    assert.deepEqual(
+      [list.data[0].id, list.data[0].label, list.data[0].status],
+      [data.tokenId, '客厅', 'active']
+    );
+    const otherList = await (await fetch(`${base}/api/fake_revoke/tokens`, as('other-login-token'))).json();
+    assert.equal(otherList.total, 0);
+
+    const tokenPath = `${base}/api/fake_revoke/tokens/${data.tokenId}`;
+    const renamed = await fetch(tokenPath, as('fake-login-token', { method: 'PATCH', body: JSON.stringify({ label: '卧室' }) }));
+    assert.equal(renamed.status, 200);
+    assert.equal((await fetch(tokenPath, as('other-login-token', { method: 'DELETE' }))).status, 404);
+    assert.equal((await fetch(lite)).status, 200);
+
+    assert.equal((await fetch(tokenPath, as('fake-login-token', { method: 'DELETE' }))).status, 200);
+    assert.equal((await fetch(lite)).status, 401);
+
+    const after = await (await fetch(`${base}/api/fake_revoke/tokens`, as('fake-login-token'))).json();
+    assert.deepEqual([after.data[0].label, after.data[0].status], ['卧室', 'revoked']);
+  } finally {
+    db.prepare('DELETE FROM playback_tokens WHERE source = ?').run('fake_revoke');
+    server.close();
+    unregisterSource('fake_revoke');
+  }
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const {
+  RANGE_UNSATISFIABLE,
+  makeEtag,
+  parseRange,
+  isRangeContinuation,
+  isNotModified,
+  isRangeCurrent,
+  sendStaticFile
+} = require('../lib/static-file');
+
+test('解析 Range 请求头', () => {
+  assert.deepEqual(parseRange('bytes=0-99', 1000), { start: 0, end: 99 });
+  assert.deepEqual(parseRange('bytes=900-', 1000), { start: 900, end: 999 });
+  assert.deepEqual(parseRange('bytes=900-5000', 1000), { start: 900, end: 999 });
+  // 后缀范围：最后 N 个字节，超过文件大小时返回整个文件
+  assert.deepEqual(parseRange('bytes=-100', 1000), { start: 900, end: 999 });
+  assert.deepEqual(parseRange('bytes=-5000', 1000), { start: 0, end: 999 });
+
+  assert.equal(parseRange('bytes=1000-', 1000), RANGE_UNSATISFIABLE);
+  assert.equal(parseRange('bytes=-0', 1000), RANGE_UNSATISFIABLE);
+  assert.equal(parseRange('bytes=0-', 0), RANGE_UNSATISFIABLE);
+
+  // 无效或多段：忽略 Range
+  assert.equal(parseRange('bytes=5-1', 1000), null);
+  assert.equal(parseRange('bytes=-', 1000), null);
+  assert.equal(parseRange('bytes=0-1,5-6', 1000), null);
+  assert.equal(parseRange('items=0-1', 1000), null);
+
+  assert.equal(isRangeContinuation({ headers: {} }), false);
+  assert.equal(isRangeContinuation({ headers: { range: 'bytes=0-' } }), false);
+  assert.equal(isRangeContinuation({ headers: { range: 'bytes=500-' } }), true);
+  assert.equal(isRangeContinuation({ headers: { range: 'bytes=-500' } }), true);
+});
+
+test('条件请求与 If-Range', () => {
+  const mtimeMs = Date.parse('2024-01-02T03:04:05.678Z');
+  const etag = makeEtag({ size: 10, mtimeMs });
+  assert.equal(etag, `"10-${Math.floor(mtimeMs)}"`);
+
+  assert.equal(isNotModified({ 'if-none-match': etag }, etag, mtimeMs), true);
+  assert.equal(isNotModified({ 'if-none-match': `"x", W/${etag}` }, etag, mtimeMs), true);
+  assert.equal(isNotModified({ 'if-none-match': '*' }, etag, mtimeMs), true);
+  // If-None-Match 优先于 If-Modified-Since
+  assert.equal(isNotModified({ 'if-none-match': '"x"', 'if-modified-since': new Date(mtimeMs).toUTCString() }, etag, mtimeMs), false);
+  assert.equal(isNotModified({ 'if-modified-since': new Date(mtimeMs).toUTCString() }, etag, mtimeMs), true);
+  assert.equal(isNotModified({ 'if-modified-since': new Date(mtimeMs - 2000).toUTCString() }, etag, mtimeMs), false);
+  assert.equal(isNotModified({ 'if-modified-since': 'garbage' }, etag, mtimeMs), false);
+
+  assert.equal(isRangeCurrent({}, etag, mtimeMs), true);
+  assert.equal(isRangeCurrent({ 'if-range': etag }, etag, mtimeMs), true);
+  assert.equal(isRangeCurrent({ 'if-range': `W/${etag}` }, etag, mtimeMs), false);
+  assert.equal(isRangeCurrent({ 'if-range': new Date(mtimeMs).toUTCString() }, etag, mtimeMs), true);
+  assert.equal(isRangeCurrent({ 'if-range': new Date(mtimeMs + 5000).toUTCString() }, etag, mtimeMs), false);
+});
+
+test('文件响应：Range / HEAD / 416 / 304', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'static-file-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'song.mp4');
+  fs.writeFileSync(filePath, '0123456789');
+  const stat = fs.statSync(filePath);
+  const etag = makeEtag(stat);
+
+  const app = express();
+  app.get('/file', (req, res) => {
+    res.setHeader('Content-Type', 'video/mp4');
+    sendStaticFile(req, res, filePath, stat);
+  });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/file`;
+
+  let res = await fetch(url);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('accept-ranges'), 'bytes');
+  assert.equal(res.headers.get('etag'), etag);
+  assert.equal(await res.text(), '0123456789');
+
+  res = await fetch(url, { headers: { range: 'bytes=2-4' } });
+  assert.equal(res.status, 206);
+  assert.equal(res.headers.get('content-range'), 'bytes 2-4/10');
+  assert.equal(res.headers.get('content-length'), '3');
+  assert.equal(await res.text(), '234');
+
+  res = await fetch(url, { headers: { range: 'bytes=-3' } });
+  assert.equal(res.status, 206);
+  assert.equal(await res.text(), '789');
+
+  res = await fetch(url, { headers: { range: 'bytes=20-' } });
+  assert.equal(res.status, 416);
+  assert.equal(res.headers.get('content-range'), 'bytes */10');
+  await res.arrayBuffer();
+
+  // If-Range 与当前文件不一致：返回整个文件
+  res = await fetch(url, { headers: { range: 'bytes=2-4', 'if-range': '"old"' } });
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), '0123456789');
+
+  res = await fetch(url, { method: 'HEAD', headers: { range: 'bytes=0-0' } });
+  assert.equal(res.status, 206);
+  assert.equal(res.headers.get('content-length'), '1');
+  assert.equal(await res.text(), '');
+
+  res = await fetch(url, { headers: { 'if-none-match': etag } });
+  assert.equal(res.status, 304);
+  await res.arrayBuffer();
+});
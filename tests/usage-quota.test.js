@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const {
+  getQuotaLimits,
+  findExceededQuota,
+  getSecondsUntilReset,
+  getScopeUsage
+} = require('../lib/usage-quota');
+const { registerSource, unregisterSource, bindSource } = require('../lib/sources');
+const { createMemorySource } = require('../lib/sources/memory');
+const { db } = require('../lib/db');
+
+const USER_ID = 900000201;
+
+test('配额从环境变量读取，0 或非法值表示不限制', () => {
+  const limits = getQuotaLimits({
+    QUOTA_TOKEN_REQUESTS_PER_DAY: '100',
+    QUOTA_TOKEN_BYTES_PER_DAY: '0',
+    QUOTA_USER_TRANSCODE_SECONDS_PER_DAY: 'abc'
+  });
+  assert.deepEqual(limits.token, { requests: 100, transcodeSeconds: 0, bytes: 0 });
+  assert.deepEqual(limits.user, { requests: 0, transcodeSeconds: 0, bytes: 0 });
+});
+
+test('先检查 token 配额，再检查用户配额', () => {
+  const limits = {
+    token: { requests: 10, transcodeSeconds: 0, bytes: 0 },
+    user: { requests: 0, transcodeSeconds: 600, bytes: 0 }
+  };
+  const usage = (tokenRequests, userSeconds) => ({
+    token: { requests: tokenRequests, transcodeSeconds: 0, bytes: 0 },
+    user: { requests: tokenRequests, transcodeSeconds: userSeconds, bytes: 0 }
+  });
+
+  assert.equal(findExceededQuota(usage(9, 599), limits), null);
+  assert.deepEqual(findExceededQuota(usage(10, 0), limits), { scope: 'token', metric: 'requests', limit: 10, used: 10 });
+  assert.deepEqual(findExceededQuota(usage(0, 600), limits), { scope: 'user', metric: 'transcodeSeconds', limit: 600, used: 600 });
+});
+
+test('配额在北京时间零点重置', () => {
+  // 2024-01-01 15:00:00 UTC = 北京时间 23:00
+  assert.equal(getSecondsUntilReset(Date.UTC(2024, 0, 1, 15, 0, 0)), 3600);
+  assert.equal(getSecondsUntilReset(Date.UTC(2024, 0, 1, 16, 0, 0)), 24 * 3600);
+});
+
+test('超出请求配额后 lite m3u8 返回 429 与 #EXT-X-ERROR，并统计输出字节', async () => {
+  const fake = createMemorySource({ name: 'fake_quota' });
+  fake.addUser({ id: USER_ID, token: 'quota-login-token' });
+  fake.addPlaylist({ id: '6161', name: '配额测试', tracks: [{ id: 'song-a', name: '第一首', duration: 60 }] });
+  registerSource(fake);
+
+  const app = express();
+  const router = express.Router({ mergeParams: true });
+  router.use(bindSource());
+  router.use('/playlist', require('../routes/playlist'));
+  router.use('/usage', require('../routes/usage'));
+  app.use('/api/:source', router);
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const previous = process.env.QUOTA_TOKEN_REQUESTS_PER_DAY;
+  process.env.QUOTA_TOKEN_REQUESTS_PER_DAY = '2';
+
+  let tokenId = null;
+  try {
+    const headers = { 'X-Token': 'quota-login-token' };
+    const { data } = await (await fetch(`${base}/api/fake_quota/playlist/url?id=6161`, { headers })).json();
+    tokenId = data.tokenId;
+    const lite = data.urls.find((x) => x.type === 'lite').url;
+
+    const first = await fetch(lite);
+    const body = await first.text();
+    assert.equal(first.status, 200);
+    assert.equal((await fetch(lite)).status, 200);
+
+    const blocked = await fetch(lite);
+    assert.equal(blocked.status, 429);
+    assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+    assert.match(await blocked.text(), /^#EXTM3U\n#EXT-X-ERROR:Quota exceeded/);
+
+    const tokenUsage = getScopeUsage('token', tokenId);
+    assert.equal(tokenUsage.requests, 2);
+    assert.ok(tokenUsage.bytes >= Buffer.byteLength(body) * 2);
+
+    const usageRes = await (await fetch(`${base}/api/fake_quota/usage`, { headers })).json();
+    assert.equal(usageRes.data.usage.requests, 2);
+    assert.equal(usageRes.data.limits.token.requests, 2);
+  } finally {
+    if (previous === undefined) delete process.env.QUOTA_TOKEN_REQUESTS_PER_DAY;
+    else process.env.QUOTA_TOKEN_REQUESTS_PER_DAY = previous;
+    db.prepare('DELETE FROM usage_daily WHERE (scope = ? AND scope_id = ?) OR (scope = ? AND scope_id = ?)')
+      .run('user', `fake_quota:${USER_ID}`, 'token', String(tokenId));
+    db.prepare('DELETE FROM playback_tokens WHERE source = ?').run('fake_quota');
+    server.close();
+    unregisterSource('fake_quota');
+  }
+});
+
+test('分片等下级请求不计请求次数，只受流量配额限制', async () => {
+  const fake = createMemorySource({ name: 'fake_quota_sub' });
+  fake.addUser({ id: USER_ID, token: 'quota-sub-login-token' });
+  fake.addPlaylist({ id: '6262', name: '配额测试', tracks: [{ id: 'song-a', name: '第一首', duration: 60 }] });
+  fake.setSongUrl('song-a', 'https://cdn.example.test/a.mp3');
+  registerSource(fake);
+
+  const app = express();
+  const router = express.Router({ mergeParams: true });
+  router.use(bindSource());
+  router.use('/playlist', require('../routes/playlist'));
+  router.use('/song', require('../routes/song'));
+  app.use('/api/:source', router);
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const previous = {
+    requests: process.env.QUOTA_TOKEN_REQUESTS_PER_DAY,
+    bytes: process.env.QUOTA_TOKEN_BYTES_PER_DAY
+  };
+  process.env.QUOTA_TOKEN_REQUESTS_PER_DAY = '1';
+
+  let tokenId = null;
+  try {
+    const headers = { 'X-Token': 'quota-sub-login-token' };
+    const { data } = await (await fetch(`${base}/api/fake_quota_sub/playlist/url?id=6262`, { headers })).json();
+    tokenId = data.tokenId;
+    const lite = data.urls.find((x) => x.type === 'lite').url;
+
+    const m3u8 = await (await fetch(lite)).text();
+    assert.equal((await fetch(lite)).status, 429);
+
+    // 请求配额已用尽，列表中的歌曲仍可播放，且不计入请求次数
+    const songUrl = m3u8.split('\n').find((line) => line.includes('/song/'));
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await fetch(songUrl, { redirect: 'manual' })).status, 302);
+    }
+    assert.equal(getScopeUsage('token', tokenId).requests, 1);
+
+    // 流量配额用尽后下级请求同样被拒绝
+    process.env.QUOTA_TOKEN_BYTES_PER_DAY = '1';
+    const blocked = await fetch(songUrl, { redirect: 'manual' });
+    assert.equal(blocked.status, 429);
+    assert.equal((await blocked.json()).quota.metric, 'bytes');
+  } finally {
+    for (const [metric, name] of [['requests', 'QUOTA_TOKEN_REQUESTS_PER_DAY'], ['bytes', 'QUOTA_TOKEN_BYTES_PER_DAY']]) {
+      if (previous[metric] === undefined) delete process.env[name];
+      else process.env[name] = previous[metric];
+    }
+    db.prepare('DELETE FROM usage_daily WHERE (scope = ? AND scope_id = ?) OR (scope = ? AND scope_id = ?)')
+      .run('user', `fake_quota_sub:${USER_ID}`, 'token', String(tokenId));
+    db.prepare('DELETE FROM playback_tokens WHERE source = ?').run('fake_quota_sub');
+    server.close();
+    unregisterSource('fake_quota_sub');
+  }
+});
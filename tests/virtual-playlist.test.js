@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseVirtualPlaylistId,
+  toVirtualPlaylistId,
+  bindDailyPlaylistId,
+  getDailyDateKey,
+  toVirtualCacheId
+} = require('../lib/virtual-playlist');
+const { getSource } = require('../lib/sources');
+
+test('parseVirtualPlaylistId 识别各类虚拟歌单 ID', () => {
+  assert.deepEqual(parseVirtualPlaylistId('album-123'), { kind: 'album', id: '123' });
+  assert.deepEqual(parseVirtualPlaylistId('artist-0025NhlN2yWrP4'), { kind: 'artist', id: '0025NhlN2yWrP4' });
+  assert.deepEqual(parseVirtualPlaylistId('daily-42'), { kind: 'daily', id: '42' });
+  assert.equal(parseVirtualPlaylistId('daily-abc'), null);
+  assert.equal(parseVirtualPlaylistId('12345'), null);
+  assert.equal(parseVirtualPlaylistId('album-a/b'), null);
+  assert.throws(() => toVirtualPlaylistId('album', ''), /Invalid album id/);
+});
+
+test('bindDailyPlaylistId 只允许绑定到当前用户', () => {
+  assert.equal(bindDailyPlaylistId('daily', 7), 'daily-7');
+  assert.equal(bindDailyPlaylistId('daily-7', 7), 'daily-7');
+  assert.equal(bindDailyPlaylistId('daily-8', 7), null);
+  assert.equal(bindDailyPlaylistId('album-1', 7), 'album-1');
+  assert.equal(bindDailyPlaylistId('123', 7), '123');
+});
+
+test('每日推荐缓存键按北京时间自然日区分', () => {
+  // 2026-01-01 15:59:59Z = 北京时间 23:59:59，16:00Z 起进入次日
+  assert.equal(getDailyDateKey(Date.UTC(2026, 0, 1, 15, 59, 59)), '20260101');
+  assert.equal(getDailyDateKey(Date.UTC(2026, 0, 1, 16, 0, 0)), '20260102');
+  assert.equal(toVirtualCacheId('daily-7', Date.UTC(2026, 0, 1)), 'daily-7@20260101');
+  assert.equal(toVirtualCacheId('album-1'), 'album-1');
+});
+
+test('网易云与 QQ 音乐解析专辑、歌手与每日推荐链接', () => {
+  const netease = getSource('netease');
+  assert.equal(netease.parsePlaylistId('https://music.163.com/#/album?id=34209'), 'album-34209');
+  assert.equal(netease.parsePlaylistId('https://music.163.com/album/34209/?userid=1'), 'album-34209');
+  assert.equal(netease.parsePlaylistId('https://music.163.com/#/artist?id=6452'), 'artist-6452');
+  assert.equal(netease.parsePlaylistId('https://music.163.com/#/discover/recommend/taste'), 'daily');
+  assert.equal(netease.parsePlaylistId('https://music.163.com/#/playlist?id=19723756'), '19723756');
+  assert.ok(netease.isValidPlaylistId('daily-1'));
+
+  const qq = getSource('qq');
+  assert.equal(qq.parsePlaylistId('https://y.qq.com/n/ryqq/albumDetail/002MAeob3zLXwZ'), 'album-002MAeob3zLXwZ');
+  assert.equal(qq.parsePlaylistId('https://y.qq.com/n/ryqq/singer/0025NhlN2yWrP4'), 'artist-0025NhlN2yWrP4');
+  assert.ok(qq.isValidPlaylistId('album-002MAeob3zLXwZ'));
+  // QQ 音乐未实现每日推荐
+  assert.equal(qq.isValidPlaylistId('daily-1'), false);
+});
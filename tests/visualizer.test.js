@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeVisualizerStyle,
+  getVisualizerConfig,
+  buildVisualizerFilterGraph
+} = require('../lib/visualizer');
+
+test('可视化样式与帧率配置', () => {
+  assert.equal(normalizeVisualizerStyle(' Spectrum '), 'spectrum');
+  assert.equal(normalizeVisualizerStyle('bars'), 'waves');
+  assert.deepEqual(getVisualizerConfig({}), { style: 'waves', fps: 25, maxConcurrentJobs: 1 });
+  assert.deepEqual(
+    getVisualizerConfig({ VISUALIZER_STYLE: 'vectorscope', VISUALIZER_FPS: '60', VISUALIZER_MAX_CONCURRENT_JOBS: '2' }),
+    { style: 'vectorscope', fps: 25, maxConcurrentJobs: 2 }
+  );
+});
+
+test('滤镜图：模糊封面背景 + 音频图层', () => {
+  const base = { width: 1280, height: 720, fps: 25 };
+  const chains = buildVisualizerFilterGraph({ ...base, style: 'waves' }).split(';');
+  assert.equal(chains.length, 3);
+  assert.match(chains[0], /^\[0:v\]scale=1280:720:force_original_aspect_ratio=increase,crop=1280:720,boxblur=18:2,/);
+  assert.ok(chains[0].endsWith('fps=25[bg]'));
+  assert.match(chains[1], /^\[1:a\]showwaves=s=1280x240:mode=cline:r=25/);
+  assert.ok(chains[2].startsWith('[bg][scope]overlay='));
+  assert.ok(chains[2].endsWith('[v]'));
+
+  assert.match(buildVisualizerFilterGraph({ ...base, style: 'spectrum' }), /\[1:a\]showspectrum=s=1280x288:/);
+  assert.match(buildVisualizerFilterGraph({ ...base, style: 'vectorscope' }), /\[1:a\]avectorscope=s=432x432:r=25/);
+
+  // 还要叠加文字时输出到中间标签
+  assert.ok(buildVisualizerFilterGraph({ ...base, style: 'waves', output: '[vis]' }).endsWith('[vis]'));
+});